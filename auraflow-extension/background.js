@@ -49,13 +49,29 @@ const SessionState = {
         try {
             await chrome.storage.local.set({
                 'auraflow_active_session': {
+                    sessionId: sessionData.sessionId || `session_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`,
+                    status: sessionData.status || 'running',
                     workDuration: sessionData.workDuration,
                     breakDuration: sessionData.breakDuration,
                     startTime: Date.now(),
-                    taskGoal: sessionData.taskGoal || 'Focus session'
+                    // When the work period ends, or the time left while paused
+                    workEndsAt: sessionData.workEndsAt || Date.now() + sessionData.workDuration * 60 * 1000,
+                    remainingSeconds: sessionData.remainingSeconds || null,
+                    // When the break after this work period ends (null until scheduled)
+                    breakEndsAt: sessionData.breakEndsAt || null,
+                    taskGoal: sessionData.taskGoal || 'Focus session',
+                    // Pomodoro cycles: 'work', 'break', or 'waiting' for the user to continue
+                    phase: sessionData.phase || 'work',
+                    cycle: sessionData.cycle || 1,
+                    cycles: sessionData.cycles || 1,
+                    longBreakEvery: sessionData.longBreakEvery || AlarmManager.DEFAULT_LONG_BREAK_EVERY,
+                    longBreakDuration: sessionData.longBreakDuration ||
+                        sessionData.breakDuration * AlarmManager.LONG_BREAK_MULTIPLIER,
+                    advanceMode: sessionData.advanceMode === 'confirm' ? 'confirm' : 'auto'
                 }
             });
             console.log('Session state saved:', sessionData);
+            await SessionBadge.update(await this.getSession());
             return true;
         } catch (error) {
             console.error('Failed to save session state:', error);
@@ -84,6 +100,7 @@ const SessionState = {
         try {
             await chrome.storage.local.remove(['auraflow_active_session']);
             console.log('Session state cleared');
+            await SessionBadge.update(null);
             return true;
         } catch (error) {
             console.error('Failed to clear session state:', error);
@@ -92,16 +109,99 @@ const SessionState = {
     }
 };
 
+/**
+ * Shows the session's state on the toolbar icon: minutes left in the work period
+ * or break, in the phase's color, so the popup need not be opened to check
+ * A once-a-minute alarm keeps the countdown moving while the service worker sleeps.
+ */
+const SessionBadge = {
+    TICK_ALARM: 'AURAFLOW_BADGE_TICK',
+    COLORS: {
+        work: '#667EEA',
+        break: '#10B981',
+        waiting: '#F59E0B',
+        paused: '#6B7280'
+    },
+
+    /**
+     * Formats time left for the badge, which fits about four characters
+     * @param {number} milliseconds - Time left
+     * @returns {string} e.g. '25m', or '2h' for long sessions
+     */
+    formatRemaining(milliseconds) {
+        const minutes = Math.max(1, Math.ceil(milliseconds / 60000));
+        return minutes > 99 ? `${Math.ceil(minutes / 60)}h` : `${minutes}m`;
+    },
+
+    /**
+     * Updates the badge for a session
+     * @param {Object|null} session - Session from SessionState, or null when none is active
+     */
+    async update(session) {
+        try {
+            if (!session) {
+                await chrome.alarms.clear(this.TICK_ALARM);
+                await chrome.action.setBadgeText({ text: '' });
+                await chrome.action.setTitle({ title: 'AuraFlow Calendar' });
+                return;
+            }
+
+            let text;
+            let title;
+            let color;
+            if (session.status === 'paused') {
+                text = 'II';
+                title = `AuraFlow: ${session.phase === 'break' ? 'Break' : 'Focus'} paused`;
+                color = this.COLORS.paused;
+                await chrome.alarms.clear(this.TICK_ALARM);
+            } else if (session.phase === 'waiting') {
+                text = 'NEXT';
+                title = `AuraFlow: Ready for cycle ${session.cycle + 1} of ${session.cycles}`;
+                color = this.COLORS.waiting;
+                await chrome.alarms.clear(this.TICK_ALARM);
+            } else {
+                const endsAt = session.phase === 'break' ? session.breakEndsAt : session.workEndsAt;
+                const remaining = endsAt - Date.now();
+                text = this.formatRemaining(remaining);
+                title = session.phase === 'break'
+                    ? `AuraFlow: ${text} of break left`
+                    : `AuraFlow: ${text} of focus left`;
+                color = this.COLORS[session.phase] || this.COLORS.work;
+
+                // Tick again when the minute shown changes
+                await chrome.alarms.create(this.TICK_ALARM, {
+                    when: Date.now() + (remaining % 60000 || 60000),
+                    periodInMinutes: 1
+                });
+            }
+
+            await chrome.action.setBadgeText({ text });
+            await chrome.action.setBadgeBackgroundColor({ color });
+            await chrome.action.setTitle({ title });
+        } catch (error) {
+            console.warn('Failed to update the badge:', error);
+        }
+    }
+};
+
 // ============================================================================
 // ALARM MANAGEMENT
 // ============================================================================
 
 /**
  * Manages chrome.alarms for focus session timing
+ * A ritual runs as `cycles` work/break cycles, with a long break after every
+ * `longBreakEvery` cycles. Only the current cycle's alarms exist at any time; when
+ * they fire, the next step is worked out from the session in storage, so a
+ * restarted service worker carries on where the last one stopped. In 'confirm'
+ * mode the next cycle waits for the user instead of starting by itself.
  */
 const AlarmManager = {
     WORK_END_ALARM: 'AURAFLOW_WORK_END',
     BREAK_END_ALARM: 'AURAFLOW_BREAK_END',
+    NEXT_CYCLE_NOTIFICATION: 'auraflow_next_cycle',
+    DEFAULT_LONG_BREAK_EVERY: 4,
+    LONG_BREAK_MULTIPLIER: 3,
 
     /**
      * Clears all existing AuraFlow alarms
@@ -144,6 +244,230 @@ const AlarmManager = {
             console.error('Failed to create alarms:', error);
             throw new Error('Failed to create session alarms');
         }
+    },
+
+    /**
+     * Whether the break after the session's current cycle is a long one
+     * @param {Object} session - Session from SessionState
+     * @returns {boolean} True for a long break
+     */
+    isLongBreak(session) {
+        return session.cycles > 1 && session.cycle % session.longBreakEvery === 0;
+    },
+
+    /**
+     * Length of the break after the session's current cycle
+     * @param {Object} session - Session from SessionState
+     * @returns {number} Break duration in minutes
+     */
+    getBreakDuration(session) {
+        return this.isLongBreak(session) ? session.longBreakDuration : session.breakDuration;
+    },
+
+    /**
+     * Starts a cycle: saves it as the running session and creates its alarms
+     * @param {Object} settings - Session settings (workDuration, breakDuration, taskGoal,
+     *   cycles, longBreakEvery, longBreakDuration, advanceMode, cycle)
+     * @returns {Promise<Object>} The saved session
+     */
+    async startCycle(settings) {
+        await SessionState.saveSession({
+            ...settings,
+            sessionId: null,
+            phase: 'work',
+            workEndsAt: null,
+            remainingSeconds: null,
+            breakEndsAt: null
+        });
+
+        // The break's length depends on the cycle, so it is known once the defaults are in
+        const session = await SessionState.getSession();
+        const breakDuration = this.getBreakDuration(session);
+        session.breakEndsAt = session.workEndsAt + breakDuration * 60 * 1000;
+        await SessionState.saveSession(session);
+        await this.createSessionAlarms(session.workDuration, breakDuration);
+
+        console.log(`Cycle ${session.cycle} of ${session.cycles} started`);
+        return SessionState.getSession();
+    },
+
+    /**
+     * Handles the end of a work period: the break begins
+     * @param {Object} session - Session from SessionState
+     * @returns {Promise<void>}
+     */
+    async handleWorkEnd(session) {
+        // A late duplicate of an alarm that was already handled
+        if (session.phase !== 'work' || session.status === 'paused') return;
+
+        await SessionState.saveSession({ ...session, phase: 'break' });
+
+        const affirmation = getRandomAffirmation();
+        const longBreak = this.isLongBreak(session);
+        await chrome.notifications.create({
+            type: 'basic',
+            iconUrl: 'icons/icon128.png',
+            title: longBreak
+                ? `AuraFlow: Time for a long break (${session.longBreakDuration} min)!`
+                : 'AuraFlow: Time for a mindful break!',
+            message: session.cycles > 1
+                ? `Cycle ${session.cycle} of ${session.cycles} done. ${affirmation}`
+                : affirmation,
+            priority: 2,
+            requireInteraction: false
+        });
+
+        console.log('Work end notification sent with affirmation:', affirmation);
+
+        await SessionSync.push(session, 'ended');
+    },
+
+    /**
+     * Handles the end of a break: the next cycle starts, waits for the user, or the
+     * ritual is complete
+     * @param {Object} session - Session from SessionState
+     * @returns {Promise<void>}
+     */
+    async handleBreakEnd(session) {
+        if (session.phase !== 'break') return;
+
+        if (session.cycle >= session.cycles) {
+            await chrome.notifications.create({
+                type: 'basic',
+                iconUrl: 'icons/icon128.png',
+                title: session.cycles > 1 ? 'AuraFlow: Ritual complete!' : 'AuraFlow: Break complete!',
+                message: session.cycles > 1
+                    ? `You finished all ${session.cycles} focus cycles. Well done.`
+                    : 'Ready to continue your focused work?',
+                priority: 1,
+                requireInteraction: false
+            });
+
+            console.log('Break end notification sent');
+            await SessionState.clearSession();
+            return;
+        }
+
+        if (session.advanceMode === 'confirm') {
+            await SessionState.saveSession({ ...session, phase: 'waiting' });
+            await chrome.notifications.create(this.NEXT_CYCLE_NOTIFICATION, {
+                type: 'basic',
+                iconUrl: 'icons/icon128.png',
+                title: 'AuraFlow: Break complete!',
+                message: `Ready for cycle ${session.cycle + 1} of ${session.cycles}?`,
+                buttons: [{ title: 'Start next cycle' }],
+                priority: 1,
+                requireInteraction: true
+            });
+            return;
+        }
+
+        await this.startNextCycle(session);
+    },
+
+    /**
+     * Moves on to the ritual's next cycle
+     * @param {Object} session - Session from SessionState
+     * @returns {Promise<Object|null>} The new cycle's session, or null if there is none
+     */
+    async startNextCycle(session) {
+        if (!session || session.phase === 'work' || session.cycle >= session.cycles) return null;
+
+        const next = await this.startCycle({ ...session, cycle: session.cycle + 1 });
+
+        await chrome.notifications.clear(this.NEXT_CYCLE_NOTIFICATION);
+        await chrome.notifications.create({
+            type: 'basic',
+            iconUrl: 'icons/icon128.png',
+            title: `AuraFlow: Cycle ${next.cycle} of ${next.cycles}`,
+            message: `Focus for ${next.workDuration} minutes on ${next.taskGoal}.`,
+            priority: 1,
+            requireInteraction: false
+        });
+
+        // Each cycle is its own session on the user's other devices
+        await SessionSync.push(next, 'running');
+        return next;
+    },
+
+    /**
+     * Pauses the running work period or break
+     * Its alarms are cancelled and the time left is kept in the session, so the
+     * schedule picks up from there on resume.
+     * @returns {Promise<Object>} The paused session
+     * @throws {Error} When no session is running
+     */
+    async pauseSession() {
+        const session = await SessionState.getSession();
+        if (!session || session.status === 'paused' || session.phase === 'waiting') {
+            throw new Error('No running session to pause');
+        }
+
+        const endsAt = session.phase === 'break' ? session.breakEndsAt : session.workEndsAt;
+        const remainingSeconds = Math.max(1, Math.round((endsAt - Date.now()) / 1000));
+
+        await this.clearAllAlarms();
+        await SessionState.saveSession({ ...session, status: 'paused', remainingSeconds });
+        const paused = await SessionState.getSession();
+
+        // Breaks are not shared with other devices
+        if (paused.phase === 'work') {
+            await SessionSync.push(paused, 'paused');
+        }
+        return paused;
+    },
+
+    /**
+     * Resumes a paused work period or break with the time it had left
+     * @returns {Promise<Object>} The running session
+     * @throws {Error} When no session is paused
+     */
+    async resumeSession() {
+        const session = await SessionState.getSession();
+        if (!session || session.status !== 'paused') {
+            throw new Error('No paused session to resume');
+        }
+
+        const endsAt = Date.now() + session.remainingSeconds * 1000;
+        const resumed = { ...session, status: 'running', remainingSeconds: null };
+
+        if (session.phase === 'break') {
+            resumed.breakEndsAt = endsAt;
+            await SessionState.saveSession(resumed);
+            await this.clearAllAlarms();
+            await chrome.alarms.create(this.BREAK_END_ALARM, { when: endsAt });
+            return SessionState.getSession();
+        }
+
+        const breakDuration = this.getBreakDuration(session);
+        resumed.workEndsAt = endsAt;
+        resumed.breakEndsAt = endsAt + breakDuration * 60 * 1000;
+        await SessionState.saveSession(resumed);
+        await this.createSessionAlarms(session.remainingSeconds / 60, breakDuration);
+
+        const running = await SessionState.getSession();
+        await SessionSync.push(running, 'running');
+        return running;
+    },
+
+    /**
+     * Recreates the current phase's alarm if the browser lost it (for example after
+     * a restart or an extension update); phases that ended meanwhile run right away.
+     * The badge is brought up to date as well.
+     * @returns {Promise<void>}
+     */
+    async restoreSessionAlarms() {
+        const session = await SessionState.getSession();
+        await SessionBadge.update(session);
+        if (!session || session.status === 'paused' || session.phase === 'waiting') return;
+
+        const soon = Date.now() + 1000;
+        if (session.phase === 'work' && !(await chrome.alarms.get(this.WORK_END_ALARM))) {
+            await chrome.alarms.create(this.WORK_END_ALARM, { when: Math.max(session.workEndsAt, soon) });
+        }
+        if (session.breakEndsAt && !(await chrome.alarms.get(this.BREAK_END_ALARM))) {
+            await chrome.alarms.create(this.BREAK_END_ALARM, { when: Math.max(session.breakEndsAt, soon + 1000) });
+        }
     }
 };
 
@@ -1480,7 +1804,9 @@ const CalendarAPI = {
             isAllDay: !event.start.dateTime, // All-day events only have date, not dateTime
             attendees: event.attendees || [],
             creator: event.creator || {},
-            organizer: event.organizer || {}
+            organizer: event.organizer || {},
+            eventType: event.eventType || 'default',
+            extendedProperties: event.extendedProperties || {}
         };
     },
 
@@ -1561,6 +1887,367 @@ const CalendarAPI = {
     }
 };
 
+// ============================================================================
+// EXTERNAL TASKS (ASANA, NOTION, TODOIST)
+// ============================================================================
+
+/**
+ * Talks to the AuraFlow backend's task endpoints, which read tasks from and
+ * write progress back to the user's task managers
+ */
+const TaskAPI = {
+    // Backend configuration, loaded from config.js
+    API_URL: null,
+
+    /**
+     * Load backend settings from config.js
+     * @returns {Promise<boolean>} True if the backend is configured
+     */
+    async loadConfig() {
+        try {
+            const response = await fetch(chrome.runtime.getURL('config.js'));
+            const configText = await response.text();
+            const config = new Function(configText + '; return CONFIG;')();
+
+            if (config && config.backend && config.backend.API_URL) {
+                this.API_URL = config.backend.API_URL.replace(/\/$/, '');
+                return true;
+            }
+            return false;
+        } catch (error) {
+            console.warn('Backend configuration not available:', error);
+            return false;
+        }
+    },
+
+    /**
+     * Make a request to the backend task API
+     * Uses the backend session cookie, since the task endpoints read the signed-in
+     * user's own task manager accounts.
+     * @param {string} path - Path under /api/tasks
+     * @param {Object} [options] - Fetch options
+     * @returns {Promise<Object>} Parsed JSON response
+     */
+    async request(path, options = {}) {
+        if (!this.API_URL) {
+            await this.loadConfig();
+        }
+        if (!this.API_URL) {
+            throw new Error('AuraFlow backend not configured. Please add the backend section to config.js.');
+        }
+
+        const response = await fetch(`${this.API_URL}/tasks${path}`, {
+            ...options,
+            credentials: 'include',
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (response.status === 401) {
+            throw new Error('Sign in to the AuraFlow web app to use your tasks.');
+        }
+        if (!response.ok) {
+            throw new Error(data.error?.message || `Task request failed: ${response.status}`);
+        }
+        return data;
+    },
+
+    /**
+     * Fetch open tasks from every connected task manager
+     * @returns {Promise<Array>} Normalized tasks
+     */
+    async fetchTasks() {
+        const data = await this.request('');
+        return data.tasks || [];
+    },
+
+    /**
+     * Mark a task done in its task manager
+     * @param {string} taskId - Task ID ('<provider>:<externalId>')
+     * @returns {Promise<Object>} Backend result
+     */
+    async completeTask(taskId) {
+        return this.request(`/${encodeURIComponent(taskId)}/complete`, { method: 'POST' });
+    },
+
+    /**
+     * Log focus time against a task in its task manager
+     * @param {string} taskId - Task ID ('<provider>:<externalId>')
+     * @param {number} minutes - Minutes focused
+     * @returns {Promise<Object>} Backend result
+     */
+    async logTime(taskId, minutes) {
+        return this.request(`/${encodeURIComponent(taskId)}/time`, {
+            method: 'POST',
+            body: JSON.stringify({ minutes })
+        });
+    }
+};
+
+// ============================================================================
+// LIVE UPDATES
+// ============================================================================
+
+/**
+ * Shares session and status changes with the user's other AuraFlow clients
+ * (web app tabs, other browsers) through the backend's live update stream.
+ * Uses the same backend settings as TaskAPI.
+ */
+const LiveAPI = {
+    CLIENT_ID_KEY: 'auraflow_live_client_id',
+
+    /**
+     * Get this browser's client ID, so the popup can ignore the echo of its own updates
+     * @returns {Promise<string>} Client ID
+     */
+    async getClientId() {
+        const result = await chrome.storage.local.get([this.CLIENT_ID_KEY]);
+        if (result[this.CLIENT_ID_KEY]) {
+            return result[this.CLIENT_ID_KEY];
+        }
+
+        const clientId = `ext-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        await chrome.storage.local.set({ [this.CLIENT_ID_KEY]: clientId });
+        return clientId;
+    },
+
+    /**
+     * Check that the backend section of config.js is filled in
+     * @returns {Promise<boolean>} True if live updates can be used
+     */
+    async isConfigured() {
+        if (!TaskAPI.API_URL) {
+            await TaskAPI.loadConfig();
+        }
+        return Boolean(TaskAPI.API_URL);
+    },
+
+    /**
+     * Publish an update to the user's other clients
+     * Best effort: sessions work the same when the backend is unreachable.
+     * @param {string} type - Update type ('session-started', 'session-ended', 'status-changed', ...)
+     * @param {Object} [data] - Update payload
+     * @returns {Promise<boolean>} True if the backend accepted the update
+     */
+    async publish(type, data = {}) {
+        try {
+            if (!(await this.isConfigured())) {
+                return false;
+            }
+
+            const response = await fetch(`${TaskAPI.API_URL}/live/events`, {
+                method: 'POST',
+                credentials: 'include',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    type,
+                    data,
+                    source: { client: 'extension', id: await this.getClientId() }
+                })
+            });
+            return response.ok;
+        } catch (error) {
+            console.warn(`Failed to publish live update ${type}:`, error);
+            return false;
+        }
+    },
+
+    /**
+     * Get what the popup needs to open the live update stream
+     * The popup opens it with the backend session cookie (withCredentials).
+     * @returns {Promise<Object|null>} {streamUrl, clientId}, or null when not configured
+     */
+    async getStreamInfo() {
+        if (!(await this.isConfigured())) {
+            return null;
+        }
+
+        return {
+            streamUrl: `${TaskAPI.API_URL}/live/stream`,
+            clientId: await this.getClientId()
+        };
+    }
+};
+
+/**
+ * Keeps the session in SessionState in step with the user's shared session on the
+ * backend (/api/session/active), so starting or stopping it here shows up in the
+ * web app and changes made there move this browser's alarms.
+ * Changes made while offline are kept (latest only) and retried by alarm; the
+ * backend settles them against changes made elsewhere in the meantime.
+ */
+const SessionSync = {
+    VERSION_KEY: 'auraflow_session_version',
+    PENDING_KEY: 'auraflow_pending_session_change',
+    RETRY_ALARM: 'AURAFLOW_SESSION_SYNC',
+
+    /**
+     * Call the backend's active-session endpoint with the backend session cookie
+     * @param {Object} [options] - Fetch options
+     * @returns {Promise<Response>} Fetch response
+     */
+    async request(options = {}) {
+        return fetch(`${TaskAPI.API_URL}/session/active`, {
+            ...options,
+            credentials: 'include',
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        });
+    },
+
+    /**
+     * Get the version of the shared session this browser last saw
+     * @returns {Promise<number>} Version, 0 if none
+     */
+    async getVersion() {
+        const result = await chrome.storage.local.get([this.VERSION_KEY]);
+        return result[this.VERSION_KEY] || 0;
+    },
+
+    /**
+     * Report a change of the local session
+     * @param {Object} session - Local session from SessionState
+     * @param {string} status - 'running', 'paused' or 'ended'
+     * @returns {Promise<void>}
+     */
+    async push(session, status) {
+        if (!session || !(await LiveAPI.isConfigured())) return;
+
+        const remainingSeconds = status === 'paused'
+            ? session.remainingSeconds
+            : Math.round((session.workEndsAt - Date.now()) / 1000);
+
+        await chrome.storage.local.set({
+            [this.PENDING_KEY]: {
+                sessionId: session.sessionId,
+                status,
+                baseVersion: await this.getVersion(),
+                remainingSeconds: Math.max(0, remainingSeconds || 0),
+                durationSeconds: session.workDuration * 60,
+                mode: 'work',
+                taskGoal: session.taskGoal,
+                changedAt: new Date().toISOString(),
+                source: { client: 'extension', id: await LiveAPI.getClientId() }
+            }
+        });
+
+        await this.flush();
+    },
+
+    /**
+     * Send the pending change, if any
+     * A change that lost to another device (409) is dropped and the winning session adopted.
+     * @returns {Promise<boolean>} True if nothing is left pending
+     */
+    async flush() {
+        const result = await chrome.storage.local.get([this.PENDING_KEY]);
+        const change = result[this.PENDING_KEY];
+        if (!change) return true;
+
+        try {
+            const response = await this.request({ method: 'PUT', body: JSON.stringify(change) });
+            if (response.status >= 500) {
+                throw new Error(`Session sync failed: ${response.status}`);
+            }
+
+            await chrome.storage.local.remove([this.PENDING_KEY]);
+            const data = await response.json().catch(() => ({}));
+
+            if (response.ok) {
+                await chrome.storage.local.set({ [this.VERSION_KEY]: data.session.version });
+            } else if (response.status === 409) {
+                console.log('Session changed on another device:', data.error?.message);
+                await this.adopt(data.session);
+            } else {
+                console.warn('Session change rejected:', data.error);
+            }
+            return true;
+        } catch (error) {
+            console.warn('Session change will be retried:', error);
+            await chrome.alarms.create(this.RETRY_ALARM, { delayInMinutes: 1 });
+            return false;
+        }
+    },
+
+    /**
+     * Send pending changes, then catch up with changes made on other devices
+     * @returns {Promise<void>}
+     */
+    async pull() {
+        if (!(await LiveAPI.isConfigured()) || !(await this.flush())) return;
+
+        try {
+            const response = await this.request();
+            if (!response.ok) return;
+
+            const data = await response.json();
+            if (data.session && data.session.version !== await this.getVersion()) {
+                await this.adopt(data.session);
+            }
+        } catch (error) {
+            console.warn('Failed to fetch the active session:', error);
+        }
+    },
+
+    /**
+     * Make the local session and its alarms follow the shared session
+     * @param {Object} remote - Shared session ({sessionId, status, taskGoal, durationSeconds, remainingSeconds, endsAt, version})
+     * @returns {Promise<void>}
+     */
+    async adopt(remote) {
+        if (!remote) return;
+        await chrome.storage.local.set({ [this.VERSION_KEY]: remote.version });
+
+        const local = await SessionState.getSession();
+
+        const sameSession = local && local.sessionId === remote.sessionId;
+
+        if (remote.status === 'ended') {
+            // Once a cycle's work is over, its 'ended' is this browser's own; the ritual goes on
+            if (sameSession && local.phase === 'work') {
+                await AlarmManager.clearAllAlarms();
+                await SessionState.clearSession();
+            }
+            return;
+        }
+
+        const remainingSeconds = remote.status === 'running'
+            ? Math.round((new Date(remote.endsAt).getTime() - Date.now()) / 1000)
+            : remote.remainingSeconds;
+        if (remainingSeconds <= 0) return;
+
+        // A pause or resume of this browser's cycle keeps the ritual's cycles going
+        const breakDuration = local ? local.breakDuration : 5;
+        const workEndsAt = Date.now() + remainingSeconds * 1000;
+        await SessionState.saveSession({
+            ...(sameSession ? local : {}),
+            sessionId: remote.sessionId,
+            status: remote.status,
+            phase: 'work',
+            workDuration: Math.max(1, Math.round(remote.durationSeconds / 60)),
+            breakDuration,
+            workEndsAt,
+            remainingSeconds: remote.status === 'paused' ? remainingSeconds : null,
+            breakEndsAt: null,
+            taskGoal: remote.taskGoal
+        });
+
+        if (remote.status === 'paused') {
+            await AlarmManager.clearAllAlarms();
+        } else {
+            const session = await SessionState.getSession();
+            const cycleBreak = AlarmManager.getBreakDuration(session);
+            await SessionState.saveSession({ ...session, breakEndsAt: workEndsAt + cycleBreak * 60 * 1000 });
+            await AlarmManager.createSessionAlarms(remainingSeconds / 60, cycleBreak);
+        }
+    }
+};
+
 // Error handling and logging utilities
 const ErrorUtils = {
     // Log error with context and structured information
@@ -2110,7 +2797,9 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
 
                 case 'startSession':
                     console.log('Starting focus session');
-                    const { workDuration, breakDuration, taskGoal } = message.data || {};
+                    // cycles, longBreakEvery, longBreakDuration and advanceMode ('auto' or
+                    // 'confirm') are optional; without them this is a single work/break cycle
+                    const { workDuration, breakDuration, taskGoal, cycles, longBreakEvery, longBreakDuration, advanceMode } = message.data || {};
 
                     // Validate input
                     if (!workDuration || !breakDuration) {
@@ -2121,15 +2810,19 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
                         break;
                     }
 
-                    // Save session state
-                    await SessionState.saveSession({
+                    // Save session state and create the first cycle's alarms
+                    const startedSession = await AlarmManager.startCycle({
                         workDuration,
                         breakDuration,
-                        taskGoal
+                        taskGoal,
+                        cycles,
+                        longBreakEvery,
+                        longBreakDuration,
+                        advanceMode
                     });
 
-                    // Create alarms
-                    await AlarmManager.createSessionAlarms(workDuration, breakDuration);
+                    // Share it with the user's other devices
+                    await SessionSync.push(startedSession, 'running');
 
                     sendResponse({
                         success: true,
@@ -2137,8 +2830,27 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
                     });
                     break;
 
+                case 'pauseSession':
+                    console.log('Pausing focus session');
+                    const pausedSession = await AlarmManager.pauseSession();
+                    sendResponse({ success: true, data: pausedSession });
+                    break;
+
+                case 'resumeSession':
+                    console.log('Resuming focus session');
+                    const resumedSession = await AlarmManager.resumeSession();
+                    sendResponse({ success: true, data: resumedSession });
+                    break;
+
+                case 'continueSession':
+                    console.log('Starting the next ritual cycle');
+                    const nextCycle = await AlarmManager.startNextCycle(await SessionState.getSession());
+                    sendResponse({ success: true, data: nextCycle });
+                    break;
+
                 case 'endSession':
                     console.log('Ending focus session early');
+                    const endedSession = await SessionState.getSession();
 
                     // Clear all alarms
                     await AlarmManager.clearAllAlarms();
@@ -2146,6 +2858,8 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
                     // Clear session state
                     await SessionState.clearSession();
 
+                    await SessionSync.push(endedSession, 'ended');
+
                     sendResponse({
                         success: true,
                         data: { message: 'Session ended successfully' }
@@ -2183,14 +2897,31 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
 
                 case 'startFocus':
                     console.log('Starting focus mode - enabling website blocking');
-                    await updateBlockingRules(true);
+                    // ritualName (optional) picks that ritual's block list
+                    await BlockingRules.setFocus(true, message.data && message.data.ritualName);
                     sendResponse({ success: true, data: { message: 'Blocking enabled' } });
                     break;
 
                 case 'endFocus':
                     console.log('Ending focus mode - disabling website blocking');
-                    await updateBlockingRules(false);
-                    sendResponse({ success: true, data: { message: 'Blocking disabled' } });
+                    // A schedule window or booked focus block can keep blocking on
+                    const blockingState = await BlockingRules.setFocus(false);
+                    sendResponse({
+                        success: true,
+                        data: { message: blockingState.active ? 'Blocking stays on for the schedule' : 'Blocking disabled' }
+                    });
+                    break;
+
+                case 'getBlockedPageInfo':
+                    const blockedPageInfo = await BlockingRules.getBlockedPageInfo(message.data && message.data.url);
+                    sendResponse({ success: true, data: blockedPageInfo });
+                    break;
+
+                case 'unlockSite':
+                    console.log('Unlocking a blocked site');
+                    const { url: unlockUrl, reason: unlockReason } = message.data || {};
+                    const unlock = await BlockingRules.unlockSite(unlockUrl, unlockReason);
+                    sendResponse({ success: true, data: unlock });
                     break;
 
                 case 'authenticateSlack':
@@ -2226,6 +2957,9 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
                 case 'updateSlackStatus':
                     console.log('Handling Slack status update request:', message.status);
                     const updateResult = await handleUpdateSlackStatus(message.status);
+                    if (updateResult.success) {
+                        LiveAPI.publish('status-changed', { status: message.status });
+                    }
                     sendResponse(updateResult);
                     break;
 
@@ -2251,6 +2985,37 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
                     }
                     break;
 
+                case 'fetchTasks':
+                    console.log('Fetching external tasks');
+                    const externalTasks = await TaskAPI.fetchTasks();
+                    sendResponse({ success: true, data: externalTasks });
+                    break;
+
+                case 'completeTask':
+                    console.log('Completing external task:', message.taskId);
+                    const completeResult = await TaskAPI.completeTask(message.taskId);
+                    sendResponse({ success: true, data: completeResult });
+                    break;
+
+                case 'logTaskTime':
+                    console.log('Logging time on external task:', message.taskId);
+                    const logResult = await TaskAPI.logTime(message.taskId, message.minutes);
+                    sendResponse({ success: true, data: logResult });
+                    break;
+
+                case 'syncActiveSession':
+                    console.log('Syncing the shared session');
+                    await SessionSync.pull();
+                    const syncedSession = await SessionState.getSession();
+                    sendResponse({ success: true, data: syncedSession });
+                    break;
+
+                case 'getLiveStreamInfo':
+                    console.log('Getting live update stream info');
+                    const streamInfo = await LiveAPI.getStreamInfo();
+                    sendResponse({ success: true, data: streamInfo });
+                    break;
+
                 default:
                     console.warn('Unknown message action:', message.action);
                     sendResponse({ success: false, error: 'Unknown action' });
@@ -2281,6 +3046,26 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
 chrome.alarms.onAlarm.addListener(async (alarm) => {
     console.log('Alarm fired:', alarm.name);
 
+    if (alarm.name === SessionSync.RETRY_ALARM) {
+        await SessionSync.pull();
+        return;
+    }
+
+    if (alarm.name === BlockingRules.SCHEDULE_ALARM) {
+        await BlockingRules.refresh();
+        return;
+    }
+
+    if (alarm.name.startsWith(BlockingRules.UNLOCK_ALARM_PREFIX)) {
+        await BlockingRules.expireUnlocks();
+        return;
+    }
+
+    if (alarm.name === SessionBadge.TICK_ALARM) {
+        await SessionBadge.update(await SessionState.getSession());
+        return;
+    }
+
     try {
         const session = await SessionState.getSession();
 
@@ -2291,34 +3076,10 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
 
         if (alarm.name === AlarmManager.WORK_END_ALARM) {
             // Work period ended - time for break
-            const affirmation = getRandomAffirmation();
-
-            await chrome.notifications.create({
-                type: 'basic',
-                iconUrl: 'icons/icon128.png',
-                title: 'AuraFlow: Time for a mindful break!',
-                message: affirmation,
-                priority: 2,
-                requireInteraction: false
-            });
-
-            console.log('Work end notification sent with affirmation:', affirmation);
-
+            await AlarmManager.handleWorkEnd(session);
         } else if (alarm.name === AlarmManager.BREAK_END_ALARM) {
-            // Break period ended - time to resume or finish
-            await chrome.notifications.create({
-                type: 'basic',
-                iconUrl: 'icons/icon128.png',
-                title: 'AuraFlow: Break complete!',
-                message: 'Ready to continue your focused work?',
-                priority: 1,
-                requireInteraction: false
-            });
-
-            console.log('Break end notification sent');
-
-            // Clear session state
-            await SessionState.clearSession();
+            // Break period ended - next cycle, or finish
+            await AlarmManager.handleBreakEnd(session);
         }
 
     } catch (error) {
@@ -2327,10 +3088,29 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
     }
 });
 
+// "Start next cycle" on the notification shown between cycles in 'confirm' mode
+chrome.notifications.onButtonClicked.addListener(async (notificationId) => {
+    if (notificationId !== AlarmManager.NEXT_CYCLE_NOTIFICATION) return;
+
+    try {
+        await AlarmManager.startNextCycle(await SessionState.getSession());
+    } catch (error) {
+        console.error('Failed to start the next cycle:', error);
+        ErrorUtils.logError('next_cycle', error);
+    }
+});
+
 // Service worker installation and activation
 chrome.runtime.onInstalled.addListener((details) => {
     console.log('AuraFlow extension installed/updated:', details.reason);
 
+    // Updates can drop alarms; put back the running session's
+    AlarmManager.restoreSessionAlarms();
+
+    // Start the blocking schedule and catch up on a window that is already open
+    BlockingRules.refresh();
+    BlockingRules.expireUnlocks();
+
     if (details.reason === 'install') {
         console.log('First time installation - extension ready');
     } else if (details.reason === 'update') {
@@ -2341,6 +3121,14 @@ chrome.runtime.onInstalled.addListener((details) => {
 // Handle service worker startup
 chrome.runtime.onStartup.addListener(() => {
     console.log('AuraFlow service worker started');
+
+    // Alarms do not always survive a browser restart
+    AlarmManager.restoreSessionAlarms();
+    BlockingRules.refresh();
+    BlockingRules.expireUnlocks();
+
+    // Pick up session changes made on other devices while the browser was closed
+    SessionSync.pull();
 });
 
 // Testing and debugging utilities
@@ -2450,60 +3238,474 @@ if (typeof module !== 'undefined' && module.exports) {
 // ============================================================================
 
 /**
- * Updates the declarativeNetRequest blocking rules
- * @param {boolean} enableBlocking - Whether to enable or disable blocking
+ * Builds the Distraction Shield's declarativeNetRequest dynamic rules and decides
+ * when they are installed
+ * Settings live in chrome.storage.sync so the popup can edit them:
+ *   auraFlowBlockingMode - 'block' (block the listed sites) or 'allow' (block
+ *     everything except the listed sites)
+ *   auraFlowBlockedSites / auraFlowAllowedSites - Site entries for each mode
+ *   auraFlowRitualBlockLists - Block lists keyed by ritual name; used in place of
+ *     auraFlowBlockedSites while that ritual's focus is on
+ *   auraFlowBlockingSchedule - {windows: [{days, start, end}], duringFocusBlocks}
+ * A site entry is a domain ('youtube.com', subdomains included) or a domain with a
+ * URL path pattern ('reddit.com/r/*', where * matches anything).
+ * Blocking is on while focus was started from the popup, during a schedule window,
+ * or (with duringFocusBlocks) during a focus block booked on today's calendar.
+ * Blocked navigations are redirected to blocked.html, which can unlock the site for
+ * UNLOCK_MINUTES with a higher-priority allow rule; every unlock is logged.
  */
-async function updateBlockingRules(enableBlocking = false) {
-    try {
-        console.log('Updating blocking rules, enableBlocking:', enableBlocking);
+const BlockingRules = {
+    // Rule IDs up to MAX_RULE_ID are rebuilt with the settings; the next thousand are unlocks
+    MAX_RULE_ID: 999,
+    MAX_UNLOCK_RULE_ID: 1999,
+    BLOCK_PRIORITY: 1,
+    ALLOW_PRIORITY: 2,
+    UNLOCK_PRIORITY: 3,
+    BLOCKED_PAGE: 'blocked.html',
+    UNLOCK_MINUTES: 5,
+    UNLOCK_ALARM_PREFIX: 'AURAFLOW_UNLOCK_',
+    // Active unlocks keyed by rule ID: {domain, expiresAt}
+    UNLOCKS_KEY: 'auraflow_site_unlocks',
+    UNLOCK_LOG_KEY: 'auraflow_unlock_log',
+    MAX_UNLOCK_LOG: 100,
+    SCHEDULE_ALARM: 'AURAFLOW_BLOCKING_SCHEDULE',
+    SETTINGS_KEYS: [
+        'auraFlowBlockingMode',
+        'auraFlowBlockedSites',
+        'auraFlowAllowedSites',
+        'auraFlowRitualBlockLists',
+        'auraFlowBlockingSchedule'
+    ],
+    // Focus started from the popup: {active, ritualName}
+    FOCUS_STATE_KEY: 'auraflow_focus_blocking',
+    // Today's booked focus blocks, re-read from the calendar every FOCUS_BLOCKS_MAX_AGE
+    FOCUS_BLOCKS_KEY: 'auraflow_focus_blocks',
+    FOCUS_BLOCKS_MAX_AGE: 15 * 60 * 1000,
+    // Private extended property the AuraFlow service sets on the blocks it books
+    FOCUS_BLOCK_MARKER: { key: 'auraflow', value: 'focus-block' },
+    // The rules last installed, to skip rewriting identical ones
+    RULES_SIGNATURE_KEY: 'auraflow_blocking_rules',
+
+    /**
+     * Parses a site entry from the popup
+     * @param {string} entry - e.g. 'youtube.com', 'https://www.reddit.com/r/*'
+     * @returns {Object|null} {domain, path} (path is '' for a whole domain), or null if unusable
+     */
+    parseSite(entry) {
+        const match = /^(?:[a-z][a-z0-9+.-]*:\/\/)?([^/?#]+)(\/[^?#]*)?/i.exec(String(entry || '').trim());
+        if (!match) return null;
+
+        const domain = match[1].toLowerCase().replace(/:\d+$/, '').replace(/^\*\./, '');
+        if (!/^[a-z0-9.-]+$/.test(domain) || !domain.includes('.')) return null;
+
+        // A bare '/' or '/*' covers the whole domain
+        const path = (match[2] || '').replace(/^\/\*?$/, '');
+        return { domain, path };
+    },
+
+    /**
+     * Builds the redirect to the blocked page, which gets the blocked URL after '#'
+     * @returns {Object} Rule action
+     */
+    blockedPageAction() {
+        return {
+            type: 'redirect',
+            redirect: { regexSubstitution: `${chrome.runtime.getURL(this.BLOCKED_PAGE)}#\\0` }
+        };
+    },
 
-        // Step 1: Get all existing dynamic rules
-        const existingRules = await chrome.declarativeNetRequest.getDynamicRules();
-        const existingRuleIds = existingRules.map(rule => rule.id);
+    /**
+     * Turns a site with a path pattern into a regexFilter
+     * @param {Object} site - Parsed site ({domain, path})
+     * @returns {string} Regular expression matching the site's URLs
+     */
+    toRegexFilter(site) {
+        const escape = text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+        const path = site.path.split('*').map(escape).join('.*');
+        return `^https?://([^/]*\\.)?${escape(site.domain)}${path}`;
+    },
 
-        // Step 2: Remove all existing rules to prevent duplication
-        if (existingRuleIds.length > 0) {
-            await chrome.declarativeNetRequest.updateDynamicRules({
-                removeRuleIds: existingRuleIds
+    /**
+     * Builds the rules for the current settings
+     * @param {Object} settings - Values of SETTINGS_KEYS
+     * @param {string} [ritualName] - Ritual whose focus is on, if any
+     * @returns {Array<Object>} Dynamic rules (empty when there is nothing to block)
+     */
+    buildRules(settings, ritualName) {
+        const allowMode = settings.auraFlowBlockingMode === 'allow';
+        const ritualLists = settings.auraFlowRitualBlockLists || {};
+        const entries = allowMode
+            ? settings.auraFlowAllowedSites
+            : (ritualName && Array.isArray(ritualLists[ritualName]) ? ritualLists[ritualName] : settings.auraFlowBlockedSites);
+
+        const sites = (entries || []).map(entry => this.parseSite(entry)).filter(Boolean);
+        if (sites.length === 0) return [];
+
+        const domains = [...new Set(sites.filter(site => !site.path).map(site => site.domain))];
+        const pathSites = sites.filter(site => site.path);
+
+        // Redirects need a regexFilter to hand the blocked URL to the blocked page
+        const rules = [];
+        if (allowMode) {
+            // Everything is blocked except whole allowed domains; allowed paths get
+            // their own higher-priority allow rules
+            rules.push({
+                priority: this.BLOCK_PRIORITY,
+                action: this.blockedPageAction(),
+                condition: {
+                    regexFilter: '^https?://.*',
+                    resourceTypes: ['main_frame'],
+                    ...(domains.length > 0 && { excludedRequestDomains: domains })
+                }
             });
-            console.log('Removed existing rules:', existingRuleIds);
+            pathSites.forEach(site => rules.push({
+                priority: this.ALLOW_PRIORITY,
+                action: { type: 'allow' },
+                condition: { urlFilter: `||${site.domain}${site.path}`, resourceTypes: ['main_frame'] }
+            }));
+        } else {
+            if (domains.length > 0) {
+                rules.push({
+                    priority: this.BLOCK_PRIORITY,
+                    action: this.blockedPageAction(),
+                    condition: { regexFilter: '^https?://.*', resourceTypes: ['main_frame'], requestDomains: domains }
+                });
+            }
+            pathSites.forEach(site => rules.push({
+                priority: this.BLOCK_PRIORITY,
+                action: this.blockedPageAction(),
+                condition: { regexFilter: this.toRegexFilter(site), resourceTypes: ['main_frame'] }
+            }));
         }
 
-        // Step 3: If blocking should be enabled, create new rules
+        return rules
+            .slice(0, this.MAX_RULE_ID)
+            .map((rule, index) => ({ id: index + 1, ...rule }));
+    },
+
+    /**
+     * Finds the schedule window covering a time
+     * A window whose end is before its start runs overnight; its days are the days it starts on.
+     * @param {Object} schedule - auraFlowBlockingSchedule
+     * @param {Date} now - Time to check
+     * @returns {number|null} When the window ends (milliseconds), or null outside every window
+     */
+    findScheduleWindowEnd(schedule, now) {
+        const minutes = now.getHours() * 60 + now.getMinutes();
+        const yesterday = (now.getDay() + 6) % 7;
+        const toMinutes = time => {
+            const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+            return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+        };
+        const startsOn = (scheduleWindow, day) =>
+            !Array.isArray(scheduleWindow.days) || scheduleWindow.days.includes(day);
+
+        for (const scheduleWindow of (schedule && schedule.windows) || []) {
+            const start = toMinutes(scheduleWindow.start);
+            const end = toMinutes(scheduleWindow.end);
+            if (start === null || end === null || start === end) continue;
+
+            // Days from today on which the window ends: 0 (today) or 1 (tomorrow, overnight)
+            let endDayOffset = null;
+            if (start < end) {
+                if (startsOn(scheduleWindow, now.getDay()) && minutes >= start && minutes < end) endDayOffset = 0;
+            } else if (startsOn(scheduleWindow, now.getDay()) && minutes >= start) {
+                endDayOffset = 1;
+            } else if (startsOn(scheduleWindow, yesterday) && minutes < end) {
+                endDayOffset = 0;
+            }
+
+            if (endDayOffset !== null) {
+                return new Date(now.getFullYear(), now.getMonth(), now.getDate() + endDayOffset,
+                    Math.floor(end / 60), end % 60).getTime();
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Checks whether an event is focus time: a block booked by AuraFlow, or a Google
+     * focus-time event the user made themselves
+     * @param {Object} event - Event from CalendarAPI.normalizeEvent
+     * @returns {boolean} True for focus blocks
+     */
+    isFocusBlock(event) {
+        const marker = event.extendedProperties && event.extendedProperties.private;
+        return event.eventType === 'focusTime' ||
+            Boolean(marker && marker[this.FOCUS_BLOCK_MARKER.key] === this.FOCUS_BLOCK_MARKER.value);
+    },
+
+    /**
+     * Gets today's booked focus blocks, reading the calendar when the cached copy is stale
+     * @returns {Promise<Array<Object>>} Blocks ({start, end} in milliseconds)
+     */
+    async getFocusBlocks() {
+        const result = await chrome.storage.local.get([this.FOCUS_BLOCKS_KEY]);
+        const cached = result[this.FOCUS_BLOCKS_KEY];
+        const today = new Date().toDateString();
+
+        if (cached && cached.day === today && Date.now() - cached.fetchedAt < this.FOCUS_BLOCKS_MAX_AGE) {
+            return cached.blocks;
+        }
+
+        try {
+            const events = await CalendarAPI.fetchTodaysEvents();
+            const blocks = events
+                .filter(event => !event.isAllDay && this.isFocusBlock(event))
+                .map(event => ({
+                    start: new Date(event.start.dateTime).getTime(),
+                    end: new Date(event.end.dateTime).getTime()
+                }));
+
+            await chrome.storage.local.set({
+                [this.FOCUS_BLOCKS_KEY]: { day: today, fetchedAt: Date.now(), blocks }
+            });
+            return blocks;
+        } catch (error) {
+            // Signed out or offline: keep going with what was read earlier today
+            console.warn('Could not read focus blocks from the calendar:', error.message);
+            return cached && cached.day === today ? cached.blocks : [];
+        }
+    },
+
+    /**
+     * Works out whether blocking should be on now
+     * @param {Object} settings - Values of SETTINGS_KEYS
+     * @returns {Promise<Object>} {active, ritualName, reason, endsAt} (endsAt is only
+     *   known for schedule windows and focus blocks)
+     */
+    async getBlockingState(settings) {
+        const result = await chrome.storage.local.get([this.FOCUS_STATE_KEY]);
+        const focus = result[this.FOCUS_STATE_KEY];
+        if (focus && focus.active) {
+            return { active: true, ritualName: focus.ritualName || null, reason: 'focus', endsAt: null };
+        }
+
+        const schedule = settings.auraFlowBlockingSchedule || {};
+        const now = new Date();
+        const windowEnd = this.findScheduleWindowEnd(schedule, now);
+        if (windowEnd) {
+            return { active: true, ritualName: null, reason: 'schedule', endsAt: windowEnd };
+        }
+
+        if (schedule.duringFocusBlocks) {
+            const blocks = await this.getFocusBlocks();
+            const block = blocks.find(block => block.start <= now.getTime() && now.getTime() < block.end);
+            if (block) {
+                return { active: true, ritualName: null, reason: 'focusBlock', endsAt: block.end };
+            }
+        }
+
+        return { active: false, ritualName: null, reason: null, endsAt: null };
+    },
+
+    /**
+     * Turns focus blocking from the popup on or off, then applies the result
+     * @param {boolean} active - Whether focus is on
+     * @param {string} [ritualName] - Ritual whose block list to use
+     * @returns {Promise<Object>} Blocking state after the change
+     */
+    async setFocus(active, ritualName) {
+        if (active) {
+            await chrome.storage.local.set({ [this.FOCUS_STATE_KEY]: { active: true, ritualName: ritualName || null } });
+        } else {
+            await chrome.storage.local.remove([this.FOCUS_STATE_KEY]);
+        }
+        return this.refresh();
+    },
+
+    /**
+     * Installs or removes the rules to match the current blocking state, and keeps
+     * the schedule alarm running while a schedule is set
+     * @returns {Promise<Object>} Blocking state
+     */
+    async refresh() {
+        try {
+            const settings = await chrome.storage.sync.get(this.SETTINGS_KEYS);
+            const schedule = settings.auraFlowBlockingSchedule || {};
+            const scheduled = (Array.isArray(schedule.windows) && schedule.windows.length > 0) || Boolean(schedule.duringFocusBlocks);
+
+            if (scheduled) {
+                // Windows start on the minute; checking once a minute is close enough
+                const existing = await chrome.alarms.get(this.SCHEDULE_ALARM);
+                if (!existing) {
+                    await chrome.alarms.create(this.SCHEDULE_ALARM, { periodInMinutes: 1 });
+                }
+            } else {
+                await chrome.alarms.clear(this.SCHEDULE_ALARM);
+            }
+
+            const state = await this.getBlockingState(settings);
+            await updateBlockingRules(state.active, state.ritualName);
+            return state;
+        } catch (error) {
+            console.error('Failed to refresh blocking:', error);
+            ErrorUtils.logError('refresh_blocking', error);
+            return { active: false, ritualName: null, reason: null, endsAt: null };
+        }
+    },
+
+    /**
+     * Unlocks a blocked site for UNLOCK_MINUTES and logs why
+     * @param {string} url - Blocked URL
+     * @param {string} reason - Why the user needs the site
+     * @returns {Promise<Object>} Unlock ({domain, expiresAt})
+     */
+    async unlockSite(url, reason) {
+        let domain;
+        try {
+            const parsed = new URL(url);
+            if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error('Not a web page');
+            domain = parsed.hostname.toLowerCase();
+        } catch (error) {
+            throw new Error('A valid blocked URL is required to unlock a site');
+        }
+
+        const trimmedReason = String(reason || '').trim();
+        if (!trimmedReason) {
+            throw new Error('A reason is required to unlock a site');
+        }
+
+        const result = await chrome.storage.local.get([this.UNLOCKS_KEY, this.UNLOCK_LOG_KEY]);
+        const unlocks = result[this.UNLOCKS_KEY] || {};
+
+        // Unlocking the same site again restarts its time
+        const previousIds = Object.keys(unlocks).filter(id => unlocks[id].domain === domain).map(Number);
+        previousIds.forEach(id => delete unlocks[id]);
+
+        let ruleId = this.MAX_RULE_ID + 1;
+        while (unlocks[ruleId]) ruleId++;
+        if (ruleId > this.MAX_UNLOCK_RULE_ID) {
+            throw new Error('Too many sites are unlocked right now');
+        }
+
+        const unlockedAt = Date.now();
+        const expiresAt = unlockedAt + this.UNLOCK_MINUTES * 60 * 1000;
+
+        await chrome.declarativeNetRequest.updateDynamicRules({
+            removeRuleIds: [...previousIds, ruleId],
+            addRules: [{
+                id: ruleId,
+                priority: this.UNLOCK_PRIORITY,
+                action: { type: 'allow' },
+                condition: { requestDomains: [domain], resourceTypes: ['main_frame'] }
+            }]
+        });
+        await Promise.all(previousIds.map(id => chrome.alarms.clear(`${this.UNLOCK_ALARM_PREFIX}${id}`)));
+        await chrome.alarms.create(`${this.UNLOCK_ALARM_PREFIX}${ruleId}`, { when: expiresAt });
+
+        unlocks[ruleId] = { domain, expiresAt };
+        const log = [...(result[this.UNLOCK_LOG_KEY] || []), { domain, url, reason: trimmedReason, unlockedAt, expiresAt }]
+            .slice(-this.MAX_UNLOCK_LOG);
+        await chrome.storage.local.set({ [this.UNLOCKS_KEY]: unlocks, [this.UNLOCK_LOG_KEY]: log });
+
+        console.log(`Unlocked ${domain} for ${this.UNLOCK_MINUTES} minutes:`, trimmedReason);
+        return { domain, expiresAt };
+    },
+
+    /**
+     * Removes unlock rules whose time is up, and any left without a record
+     */
+    async expireUnlocks() {
+        try {
+            const result = await chrome.storage.local.get([this.UNLOCKS_KEY]);
+            const unlocks = result[this.UNLOCKS_KEY] || {};
+            const now = Date.now();
+
+            const expiredIds = (await chrome.declarativeNetRequest.getDynamicRules())
+                .map(rule => rule.id)
+                .filter(id => id > this.MAX_RULE_ID && id <= this.MAX_UNLOCK_RULE_ID)
+                .filter(id => !unlocks[id] || unlocks[id].expiresAt <= now);
+            if (expiredIds.length === 0) return;
+
+            await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds: expiredIds });
+            expiredIds.forEach(id => delete unlocks[id]);
+            await chrome.storage.local.set({ [this.UNLOCKS_KEY]: unlocks });
+            console.log('Unlocks expired:', expiredIds);
+        } catch (error) {
+            console.error('Failed to expire unlocks:', error);
+            ErrorUtils.logError('expire_unlocks', error);
+        }
+    },
+
+    /**
+     * Gathers what the blocked page shows
+     * @param {string} [url] - Blocked URL
+     * @returns {Promise<Object>} {domain, taskGoal, endsAt, affirmation, unlockMinutes, unlocksToday}
+     */
+    async getBlockedPageInfo(url) {
+        const settings = await chrome.storage.sync.get(this.SETTINGS_KEYS);
+        const state = await this.getBlockingState(settings);
+        const session = await SessionState.getSession();
+        const result = await chrome.storage.local.get([this.UNLOCK_LOG_KEY]);
+        const startOfDay = new Date().setHours(0, 0, 0, 0);
+
+        let domain = null;
+        try {
+            domain = new URL(url).hostname;
+        } catch (error) {
+            // The page was opened without a blocked URL
+        }
+
+        // A running work period says best how long focus lasts
+        const workRunning = session && session.phase === 'work' && session.status !== 'paused';
+
+        return {
+            domain,
+            taskGoal: (session && session.taskGoal) || null,
+            endsAt: workRunning ? session.workEndsAt : state.endsAt,
+            affirmation: getRandomAffirmation(),
+            unlockMinutes: this.UNLOCK_MINUTES,
+            unlocksToday: (result[this.UNLOCK_LOG_KEY] || []).filter(entry => entry.unlockedAt >= startOfDay).length
+        };
+    }
+};
+
+/**
+ * Updates the declarativeNetRequest blocking rules
+ * Only the shield's own rule IDs are replaced, and nothing is written when the
+ * installed rules already match.
+ * @param {boolean} enableBlocking - Whether to enable or disable blocking
+ * @param {string} [ritualName] - Ritual whose block list to use
+ */
+async function updateBlockingRules(enableBlocking = false, ritualName = null) {
+    try {
+        console.log('Updating blocking rules, enableBlocking:', enableBlocking);
+
+        // Step 1: Build the rules that should be installed
+        let rules = [];
         if (enableBlocking) {
-            // Get the list of blocked sites from storage
-            const result = await chrome.storage.sync.get(['auraFlowBlockedSites']);
-            const blockedSites = result.auraFlowBlockedSites || [];
+            const settings = await chrome.storage.sync.get(BlockingRules.SETTINGS_KEYS);
+            rules = BlockingRules.buildRules(settings, ritualName);
 
-            if (blockedSites.length === 0) {
+            if (rules.length === 0) {
                 console.log('No sites to block');
-                return;
             }
+        }
 
-            console.log('Blocking sites:', blockedSites);
+        // Step 2: Compare with the rules installed last time; the schedule checks every minute
+        const existingRules = (await chrome.declarativeNetRequest.getDynamicRules())
+            .filter(rule => rule.id <= BlockingRules.MAX_RULE_ID);
+        const signature = JSON.stringify(rules);
+        const stored = await chrome.storage.local.get([BlockingRules.RULES_SIGNATURE_KEY]);
 
-            // Step 4: Create the blocking rule
-            const blockingRule = {
-                id: 1,
-                priority: 1,
-                action: {
-                    type: 'block'
-                },
-                condition: {
-                    urlFilter: '*',
-                    resourceTypes: ['main_frame'],
-                    requestDomains: blockedSites
-                }
-            };
+        if (stored[BlockingRules.RULES_SIGNATURE_KEY] === signature && existingRules.length === rules.length) {
+            console.log('Blocking rules already up to date');
+            return;
+        }
 
-            // Step 5: Add the new rule
-            await chrome.declarativeNetRequest.updateDynamicRules({
-                addRules: [blockingRule]
-            });
+        // Step 3: Replace the shield's rules in one update
+        await chrome.declarativeNetRequest.updateDynamicRules({
+            removeRuleIds: existingRules.map(rule => rule.id),
+            addRules: rules
+        });
+        await chrome.storage.local.set({ [BlockingRules.RULES_SIGNATURE_KEY]: signature });
 
-            console.log('Blocking rule added successfully');
+        if (rules.length > 0) {
+            console.log('Blocking rules added successfully:', rules.length);
         } else {
-            console.log('Blocking disabled - all rules removed');
+            console.log('Blocking disabled - rules removed');
         }
     } catch (error) {
         console.error('Error updating blocking rules:', error);
@@ -2511,7 +3713,9 @@ async function updateBlockingRules(enableBlocking = false) {
     }
 }
 
-/**
- * Handles focus session start/end messages for blocking control
- * This is integrated into the main message listener above
- */
+// Re-apply the rules when the popup changes the shield's settings
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && BlockingRules.SETTINGS_KEYS.some(key => key in changes)) {
+        BlockingRules.refresh();
+    }
+});
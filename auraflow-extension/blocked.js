@@ -0,0 +1,196 @@
+// Blocked page for AuraFlow's Distraction Shield
+// Shown in place of a blocked site: the current goal, the focus time left, an
+// affirmation, and a deliberate way to unlock the site for a few minutes
+
+import * as Platform from './chrome-platform-services.js';
+
+// The blocking rule passes the blocked URL after '#'
+const blockedUrl = window.location.hash.slice(1);
+
+// Unlocking takes a reason and a short pause, so it is a choice rather than a reflex
+const UNLOCK_REASON_MIN_LENGTH = 10;
+const UNLOCK_WAIT_SECONDS = 10;
+
+let focusEndsAt = null;
+let unlockWaitLeft = UNLOCK_WAIT_SECONDS;
+let unlockWaitTimer = null;
+
+document.addEventListener('DOMContentLoaded', function () {
+    console.log('AuraFlow blocked page loaded for:', blockedUrl);
+
+    setupEventListeners();
+    initializeBlockedPage();
+});
+
+async function initializeBlockedPage() {
+    // Match the theme chosen in the popup
+    try {
+        const theme = await Platform.getData('auraflow_theme');
+        if (theme) {
+            document.body.classList.remove('theme-light');
+            document.body.classList.add(`theme-${theme}`);
+        }
+    } catch (error) {
+        console.warn('Failed to load theme:', error);
+    }
+
+    try {
+        const response = await Platform.sendMessageToServiceWorker({
+            action: 'getBlockedPageInfo',
+            data: { url: blockedUrl }
+        });
+
+        if (!response || !response.success) {
+            throw new Error((response && response.error) || 'No response from the service worker');
+        }
+
+        renderBlockedPageInfo(response.data);
+    } catch (error) {
+        console.error('Failed to load blocked page info:', error);
+    }
+}
+
+function setupEventListeners() {
+    const backBtn = document.getElementById('blocked-back-btn');
+    if (backBtn) {
+        backBtn.addEventListener('click', handleBackToFocus);
+    }
+
+    const unlockSection = document.querySelector('.blocked-unlock');
+    if (unlockSection) {
+        unlockSection.addEventListener('toggle', () => {
+            if (unlockSection.open) startUnlockWait();
+        });
+    }
+
+    const reasonInput = document.getElementById('unlock-reason');
+    if (reasonInput) {
+        reasonInput.addEventListener('input', updateUnlockButton);
+    }
+
+    const unlockBtn = document.getElementById('unlock-btn');
+    if (unlockBtn) {
+        unlockBtn.addEventListener('click', handleUnlock);
+    }
+}
+
+/**
+ * Fills in the page
+ * @param {Object} info - From the service worker ({domain, taskGoal, endsAt, affirmation,
+ *   unlockMinutes, unlocksToday})
+ */
+function renderBlockedPageInfo(info) {
+    if (info.domain) {
+        document.getElementById('blocked-domain').textContent = info.domain;
+    } else {
+        // Nothing to unlock without the blocked URL
+        document.querySelector('.blocked-unlock')?.classList.add('hidden');
+    }
+
+    if (info.taskGoal) {
+        document.getElementById('blocked-goal').textContent = info.taskGoal;
+    }
+
+    document.getElementById('blocked-affirmation').textContent = info.affirmation || '';
+    document.getElementById('unlock-minutes').textContent = info.unlockMinutes;
+
+    if (info.unlocksToday > 0) {
+        document.getElementById('unlock-note').textContent =
+            `You've unlocked ${info.unlocksToday} ${info.unlocksToday === 1 ? 'site' : 'sites'} today.`;
+    }
+
+    if (info.endsAt) {
+        focusEndsAt = info.endsAt;
+        updateRemainingTime();
+        setInterval(updateRemainingTime, 1000);
+    }
+}
+
+// Show the focus time left, counting down
+function updateRemainingTime() {
+    const remainingEl = document.getElementById('blocked-remaining');
+    if (!remainingEl || !focusEndsAt) return;
+
+    const remaining = focusEndsAt - Date.now();
+    remainingEl.classList.remove('hidden');
+
+    if (remaining <= 0) {
+        remainingEl.textContent = 'Your focus time is up. Nice work!';
+        return;
+    }
+
+    const minutes = Math.floor(remaining / 60000);
+    const seconds = Math.floor((remaining % 60000) / 1000);
+    remainingEl.textContent = `${minutes}:${String(seconds).padStart(2, '0')} of focus left`;
+}
+
+// Leave the blocked page: back to the previous page, or close a tab opened just for the site
+function handleBackToFocus() {
+    if (window.history.length > 1) {
+        window.history.back();
+        return;
+    }
+
+    chrome.tabs.getCurrent(tab => {
+        if (tab) chrome.tabs.remove(tab.id);
+    });
+}
+
+// Counts down the pause before unlocking is allowed
+function startUnlockWait() {
+    if (unlockWaitTimer || unlockWaitLeft === 0) return;
+
+    updateUnlockButton();
+    unlockWaitTimer = setInterval(() => {
+        unlockWaitLeft--;
+        if (unlockWaitLeft === 0) {
+            clearInterval(unlockWaitTimer);
+        }
+        updateUnlockButton();
+    }, 1000);
+}
+
+function updateUnlockButton() {
+    const unlockBtn = document.getElementById('unlock-btn');
+    const note = document.getElementById('unlock-note');
+    const reason = document.getElementById('unlock-reason')?.value.trim() || '';
+    if (!unlockBtn || !note) return;
+
+    unlockBtn.disabled = unlockWaitLeft > 0 || reason.length < UNLOCK_REASON_MIN_LENGTH;
+
+    if (unlockWaitLeft > 0) {
+        note.textContent = `Take a breath. Unlocking is available in ${unlockWaitLeft}s.`;
+    } else if (reason.length < UNLOCK_REASON_MIN_LENGTH) {
+        note.textContent = 'Say what you need it for to unlock.';
+    } else {
+        note.textContent = 'The unlock and your reason are saved to your focus log.';
+    }
+}
+
+async function handleUnlock() {
+    const unlockBtn = document.getElementById('unlock-btn');
+    const note = document.getElementById('unlock-note');
+    const reason = document.getElementById('unlock-reason').value.trim();
+
+    unlockBtn.disabled = true;
+
+    try {
+        const response = await Platform.sendMessageToServiceWorker({
+            action: 'unlockSite',
+            data: { url: blockedUrl, reason }
+        });
+
+        if (!response || !response.success) {
+            throw new Error((response && (response.details || response.error)) || 'Failed to unlock the site');
+        }
+
+        const until = new Date(response.data.expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        note.textContent = `Unlocked until ${until}. Opening the site...`;
+
+        window.location.replace(blockedUrl);
+    } catch (error) {
+        console.error('Failed to unlock site:', error);
+        note.textContent = error.message;
+        unlockBtn.disabled = false;
+    }
+}
@@ -7,6 +7,11 @@ const CONFIG = {
         // Get these from https://api.slack.com/apps
         CLIENT_ID: 'YOUR_SLACK_CLIENT_ID',
         CLIENT_SECRET: 'YOUR_SLACK_CLIENT_SECRET'
+    },
+    backend: {
+        // AuraFlow backend, used for Asana/Notion/Todoist tasks and session sync.
+        // Requests use your web app sign-in, so sign in there in the same browser.
+        API_URL: 'http://localhost:3000/api'
     }
 };
 
@@ -14,6 +14,8 @@ let mouseActivityTimer;
 const MOUSE_INACTIVE_DELAY = 3000; // 3 seconds
 let currentTheme = 'light'; // Default theme
 let lastSessionSettings = null;
+let availableTasks = [];
+let activeExternalTask = null; // {id, title} of the task linked to the running session
 
 document.addEventListener('DOMContentLoaded', function () {
     console.log('AuraFlow Calendar popup loaded');
@@ -41,6 +43,9 @@ document.addEventListener('DOMContentLoaded', function () {
 
     // Initialize Slack status control
     initializeSlackStatus();
+
+    // Follow sessions and calendar changes from the user's other devices
+    connectLiveUpdates();
 });
 
 async function initializePopup() {
@@ -119,6 +124,16 @@ function setupEventListeners() {
         saveBlockedSitesBtn.addEventListener('keydown', (e) => handleButtonKeydown(e, handleSaveBlockedSites));
     }
 
+    // Distraction Shield mode and per-ritual block lists
+    const blockingModeSelect = document.getElementById('blocking-mode');
+    if (blockingModeSelect) {
+        blockingModeSelect.addEventListener('change', () => showBlockingMode(blockingModeSelect.value));
+    }
+    const blockListRitualSelect = document.getElementById('blocking-list-ritual');
+    if (blockListRitualSelect) {
+        blockListRitualSelect.addEventListener('change', handleBlockListRitualChange);
+    }
+
     // Slack status control buttons
     const connectSlackBtn = document.getElementById('connect-slack-btn');
     if (connectSlackBtn) {
@@ -700,6 +715,9 @@ async function loadEvents() {
             console.log('Events loaded successfully:', response.data);
             displayEvents(response.data);
             showScreen('events');
+
+            // Tasks are optional, so they load in the background
+            loadTasks();
         } else {
             throw new Error(response.error || 'Failed to load events');
         }
@@ -1313,6 +1331,10 @@ function handlePauseSession() {
         announceToScreenReader('Session paused');
     }
 
+    // Move the service worker's alarms along with the timer
+    sendMessageToServiceWorker({ action: timerState.isPaused ? 'resumeSession' : 'pauseSession' })
+        .catch(error => console.warn('Failed to update the background session:', error));
+
     handleMouseActivity();
 }
 
@@ -1344,6 +1366,9 @@ function updatePauseButton(isPaused) {
 function startTimer(durationMinutes) {
     console.log(`Starting timer for ${durationMinutes} minutes`);
 
+    // Link the task picked on the events screen to this session
+    activeExternalTask = getSelectedTask();
+
     const durationSeconds = CoreLogic.minutesToSeconds(durationMinutes);
 
     // Start the timer with callbacks
@@ -1405,12 +1430,132 @@ async function handleTimerComplete() {
     // Announce to screen reader
     announceToScreenReader('Focus session complete!');
 
+    const linkedTask = activeExternalTask;
+    const minutes = Math.round(CoreLogic.getTimerState().totalDuration / 60);
+    activeExternalTask = null;
+
     // Return to events screen after a short delay
     setTimeout(() => {
         showScreen('events');
+
+        // Offer to update the linked task in its task manager
+        if (linkedTask) {
+            showTaskFollowUp(linkedTask, minutes);
+        }
     }, 2000);
 }
 
+// ============================================================================
+// EXTERNAL TASKS (ASANA, NOTION, TODOIST)
+// ============================================================================
+
+let pendingTaskFollowUp = null;
+
+/**
+ * Load open tasks through the service worker and fill the task picker
+ */
+async function loadTasks() {
+    try {
+        const response = await sendMessageToServiceWorker({ action: 'fetchTasks' });
+        availableTasks = response.success ? response.data : [];
+    } catch (error) {
+        console.warn('Tasks not available:', error);
+        availableTasks = [];
+    }
+
+    const picker = document.getElementById('task-picker');
+    const select = document.getElementById('focus-task-select');
+    if (!picker || !select) return;
+
+    const selectedId = select.value;
+    select.innerHTML = '<option value="">No linked task</option>';
+
+    availableTasks.forEach(task => {
+        const option = document.createElement('option');
+        option.value = task.id;
+        option.textContent = task.project ? `${task.title} (${task.project})` : task.title;
+        select.appendChild(option);
+    });
+
+    select.value = availableTasks.some(task => task.id === selectedId) ? selectedId : '';
+    picker.classList.toggle('hidden', availableTasks.length === 0);
+}
+
+/**
+ * Get the task selected in the task picker
+ * @returns {Object|null} Selected task ({id, title}) or null
+ */
+function getSelectedTask() {
+    const select = document.getElementById('focus-task-select');
+    const task = select ? availableTasks.find(item => item.id === select.value) : null;
+    return task ? { id: task.id, title: task.title } : null;
+}
+
+/**
+ * Ask what to record against the linked task after a completed session
+ * @param {Object} task - Linked task ({id, title})
+ * @param {number} minutes - Minutes focused
+ */
+function showTaskFollowUp(task, minutes) {
+    const aiResults = document.getElementById('ai-results');
+    if (!aiResults) return;
+
+    pendingTaskFollowUp = { task, minutes };
+
+    aiResults.innerHTML = `
+        <div class="focus-time-result">
+            <div class="focus-time-header">
+                <span>✅</span>
+                <h5>Update your task</h5>
+            </div>
+            <div class="focus-reasoning">You focused on "${escapeHtml(task.title)}" for ${minutes} min. Record it in your task manager?</div>
+            <div class="task-followup-actions">
+                <button class="start-session-btn" data-action="task-complete">Mark done</button>
+                <button class="start-session-btn" data-action="task-log-time">Log ${minutes} min</button>
+            </div>
+            <button class="close-results-btn" data-action="close-results" aria-label="Skip">×</button>
+        </div>
+    `;
+    aiResults.classList.remove('hidden');
+
+    addAIResultsEventListeners();
+}
+
+/**
+ * Mark the linked task done or log the session's time against it
+ * @param {string} action - 'task-complete' or 'task-log-time'
+ */
+async function handleTaskFollowUp(action) {
+    // Clear first so repeated clicks send a single update
+    const followUp = pendingTaskFollowUp;
+    pendingTaskFollowUp = null;
+    if (!followUp) return;
+
+    const { task, minutes } = followUp;
+
+    try {
+        const response = action === 'task-complete'
+            ? await sendMessageToServiceWorker({ action: 'completeTask', taskId: task.id })
+            : await sendMessageToServiceWorker({ action: 'logTaskTime', taskId: task.id, minutes });
+
+        if (!response.success) {
+            throw new Error(response.error || 'Task update failed');
+        }
+
+        hideAIResults();
+
+        if (action === 'task-complete') {
+            announceToScreenReader(`Marked ${task.title} as done`);
+            loadTasks();
+        } else {
+            announceToScreenReader(`Logged ${minutes} minutes on ${task.title}`);
+        }
+    } catch (error) {
+        console.error('Failed to update task:', error);
+        showAIError(error.message || 'Could not update the task. Please try again.');
+    }
+}
+
 // ============================================================================
 // THEME SYSTEM IMPLEMENTATION
 // ============================================================================
@@ -1730,16 +1875,19 @@ async function endFocusSession() {
  * @param {number} workDuration - Work duration in minutes
  * @param {number} breakDuration - Break duration in minutes
  * @param {string} taskGoal - Task goal
+ * @param {Date|null} [workEndsAt] - When work ends (defaults to workDuration from now, null while paused)
  */
-function showSessionStartedUI(workDuration, breakDuration, taskGoal) {
+function showSessionStartedUI(workDuration, breakDuration, taskGoal, workEndsAt) {
     const aiResults = document.getElementById('ai-results');
     if (!aiResults) return;
 
-    const endTime = new Date(Date.now() + workDuration * 60 * 1000);
-    const endTimeStr = endTime.toLocaleTimeString('en-US', {
-        hour: 'numeric',
-        minute: '2-digit'
-    });
+    const endTime = workEndsAt === undefined ? new Date(Date.now() + workDuration * 60 * 1000) : workEndsAt;
+    const endTimeStr = endTime
+        ? endTime.toLocaleTimeString('en-US', {
+            hour: 'numeric',
+            minute: '2-digit'
+        })
+        : 'Paused';
 
     aiResults.innerHTML = `
     <div class="ai-result-card" style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white;">
@@ -1765,6 +1913,9 @@ function showSessionStartedUI(workDuration, breakDuration, taskGoal) {
           <p style="font-size: 12px; color: rgba(255,255,255,0.9); margin-bottom: 8px;">
             You'll receive a notification when it's time for your break. You can close this popup.
           </p>
+          <button id="toggle-session-pause-btn" class="btn btn-secondary" style="width: 100%; margin-bottom: 8px; background: rgba(255,255,255,0.2); border: 1px solid rgba(255,255,255,0.3);">
+            ${endTime ? 'Pause Session' : 'Resume Session'}
+          </button>
           <button id="end-session-btn" class="btn btn-secondary" style="width: 100%; background: rgba(255,255,255,0.2); border: 1px solid rgba(255,255,255,0.3);">
             End Session Early
           </button>
@@ -1780,6 +1931,41 @@ function showSessionStartedUI(workDuration, breakDuration, taskGoal) {
     if (endSessionBtn) {
         endSessionBtn.addEventListener('click', endFocusSession);
     }
+
+    const togglePauseBtn = document.getElementById('toggle-session-pause-btn');
+    if (togglePauseBtn) {
+        togglePauseBtn.addEventListener('click', () => toggleSessionPause(!endTime));
+    }
+}
+
+/**
+ * Pauses or resumes the session the service worker is running
+ * Its alarms move with it, so the break notification comes when the work is really done.
+ * @param {boolean} isPaused - Whether the session is paused now
+ */
+async function toggleSessionPause(isPaused) {
+    try {
+        const response = await sendMessageToServiceWorker({
+            action: isPaused ? 'resumeSession' : 'pauseSession'
+        });
+
+        if (!response.success) {
+            throw new Error(response.details || response.error || 'Failed to update session');
+        }
+
+        const session = response.data;
+        const nowPaused = session.status === 'paused';
+        showSessionStartedUI(
+            session.workDuration,
+            session.breakDuration,
+            session.taskGoal,
+            nowPaused ? null : new Date(session.workEndsAt)
+        );
+        announceToScreenReader(nowPaused ? 'Session paused' : 'Session resumed');
+    } catch (error) {
+        console.error('Failed to pause or resume the session:', error);
+        showError('Failed to update the focus session. Please try again.');
+    }
 }
 
 /**
@@ -1811,53 +1997,225 @@ function showSessionEndedUI() {
 // WEBSITE BLOCKING (DISTRACTION SHIELD)
 // ============================================================================
 
+// Rituals generatePersonalizedRitual can suggest, each of which can have its own block list
+const BLOCKING_RITUAL_NAMES = [
+    'Morning Flow', 'Morning Sprint', 'Morning Burst',
+    'Afternoon Deep Dive', 'Afternoon Focus', 'Power Hour',
+    'Evening Reflection', 'Evening Wind-Down', 'Evening Wrap-Up'
+];
+const SCHEDULE_DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Block lists as edited in the popup, keyed by ritual name ('' for all sessions)
+let blockListDrafts = { '': [] };
+let blockListRitual = '';
+
+/**
+ * Splits a textarea into its non-empty lines
+ * @param {HTMLTextAreaElement|null} textarea - Textarea
+ * @returns {Array<string>} Trimmed lines
+ */
+function readLines(textarea) {
+    if (!textarea) return [];
+    return textarea.value
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line.length > 0); // Remove empty lines
+}
+
 /**
- * Loads the blocked sites list from storage and populates the textarea
+ * Parses a schedule line such as 'Mon-Fri 09:00-12:00', 'Sat,Sun 10:00-11:30' or
+ * '14:00-16:00' (every day)
+ * An end before the start, as in 'Sun-Thu 22:00-02:00', runs overnight into the next day.
+ * @param {string} line - Schedule line
+ * @returns {Object|null} Window ({days, start, end}), or null if the line is not valid
+ */
+function parseScheduleWindow(line) {
+    const match = /^(?:([a-z,\s-]+?)\s+)?(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/i.exec(line.trim());
+    if (!match) return null;
+
+    const toMinutes = time => {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours < 24 && minutes < 60 ? hours * 60 + minutes : null;
+    };
+    const start = toMinutes(match[2]);
+    const end = toMinutes(match[3]);
+    if (start === null || end === null || end === start) return null;
+
+    const scheduleWindow = { start: match[2].padStart(5, '0'), end: match[3].padStart(5, '0') };
+    if (!match[1]) return scheduleWindow;
+
+    const days = new Set();
+    for (const part of match[1].toLowerCase().split(',')) {
+        const [from, to] = part.trim().split('-').map(day => SCHEDULE_DAY_NAMES.indexOf(day.trim().slice(0, 3)));
+        if (from === -1 || to === -1) return null;
+
+        // Ranges can wrap around the week (Sat-Sun, Fri-Mon)
+        const last = to === undefined ? from : to;
+        for (let day = from; ; day = (day + 1) % 7) {
+            days.add(day);
+            if (day === last) break;
+        }
+    }
+    scheduleWindow.days = [...days].sort((a, b) => a - b);
+    return scheduleWindow;
+}
+
+/**
+ * Formats a schedule window back into a line for the textarea
+ * @param {Object} scheduleWindow - Window ({days, start, end})
+ * @returns {string} e.g. 'Mon,Tue 09:00-12:00'
+ */
+function formatScheduleWindow(scheduleWindow) {
+    const days = Array.isArray(scheduleWindow.days)
+        ? scheduleWindow.days.map(day => SCHEDULE_DAY_NAMES[day].charAt(0).toUpperCase() + SCHEDULE_DAY_NAMES[day].slice(1)).join(',') + ' '
+        : '';
+    return `${days}${scheduleWindow.start}-${scheduleWindow.end}`;
+}
+
+/**
+ * Shows the block or allow list for the selected mode
+ * @param {string} mode - 'block' or 'allow'
+ */
+function showBlockingMode(mode) {
+    document.getElementById('blocked-sites-group')?.classList.toggle('hidden', mode === 'allow');
+    document.getElementById('allowed-sites-group')?.classList.toggle('hidden', mode !== 'allow');
+}
+
+/**
+ * Switches the block list textarea to another ritual's list, keeping unsaved edits
+ */
+function handleBlockListRitualChange() {
+    const textarea = document.getElementById('blocked-sites-list');
+    const select = document.getElementById('blocking-list-ritual');
+    if (!textarea || !select) return;
+
+    blockListDrafts[blockListRitual] = readLines(textarea);
+    blockListRitual = select.value;
+
+    // Rituals without a list of their own use the list for all sessions
+    const sites = blockListDrafts[blockListRitual] || [];
+    textarea.value = sites.join('\n');
+    textarea.placeholder = blockListRitual
+        ? 'Leave empty to use the list for all sessions'
+        : 'youtube.com\ntwitter.com\nreddit.com/r/*';
+}
+
+/**
+ * Loads the Distraction Shield settings from storage and populates the form
  */
 async function loadBlockedSites() {
     try {
         const blockedSites = await Platform.getData('auraFlowBlockedSites') || [];
+        const allowedSites = await Platform.getData('auraFlowAllowedSites') || [];
+        const ritualLists = await Platform.getData('auraFlowRitualBlockLists') || {};
+        const mode = await Platform.getData('auraFlowBlockingMode') || 'block';
+        const schedule = await Platform.getData('auraFlowBlockingSchedule') || {};
+
+        blockListDrafts = { ...ritualLists, '': blockedSites };
+        blockListRitual = '';
 
         const textarea = document.getElementById('blocked-sites-list');
         if (textarea && blockedSites.length > 0) {
             textarea.value = blockedSites.join('\n');
         }
+
+        const allowedTextarea = document.getElementById('allowed-sites-list');
+        if (allowedTextarea) {
+            allowedTextarea.value = allowedSites.join('\n');
+        }
+
+        const ritualSelect = document.getElementById('blocking-list-ritual');
+        if (ritualSelect) {
+            const names = [...new Set([...BLOCKING_RITUAL_NAMES, ...Object.keys(ritualLists)])];
+            names.forEach(name => ritualSelect.add(new Option(name, name)));
+        }
+
+        const modeSelect = document.getElementById('blocking-mode');
+        if (modeSelect) {
+            modeSelect.value = mode;
+        }
+        showBlockingMode(mode);
+
+        const scheduleTextarea = document.getElementById('blocking-schedule-list');
+        if (scheduleTextarea) {
+            scheduleTextarea.value = (schedule.windows || []).map(formatScheduleWindow).join('\n');
+        }
+
+        const focusBlocksCheckbox = document.getElementById('block-during-focus-blocks');
+        if (focusBlocksCheckbox) {
+            focusBlocksCheckbox.checked = Boolean(schedule.duringFocusBlocks);
+        }
     } catch (error) {
         console.error('Failed to load blocked sites:', error);
     }
 }
 
 /**
- * Handles saving the blocked sites list
+ * Handles saving the Distraction Shield settings
+ * The service worker re-applies its blocking rules when they change.
  */
 async function handleSaveBlockedSites() {
     try {
         const textarea = document.getElementById('blocked-sites-list');
         if (!textarea) return;
 
-        // Get text content and split by newlines
-        const text = textarea.value;
-        const sites = text
-            .split('\n')
-            .map(site => site.trim())
-            .filter(site => site.length > 0); // Remove empty lines
+        // Parse the schedule first so a typo does not save half the form
+        const scheduleLines = readLines(document.getElementById('blocking-schedule-list'));
+        const windows = scheduleLines.map(parseScheduleWindow);
+        const invalidLine = scheduleLines.find((line, index) => !windows[index]);
+        if (invalidLine) {
+            showError(`Could not read the schedule line "${invalidLine}". Use a format like Mon-Fri 09:00-12:00, with different start and end times.`);
+            return;
+        }
+
+        blockListDrafts[blockListRitual] = readLines(textarea);
+        const sites = blockListDrafts[''];
+        const ritualLists = Object.fromEntries(
+            Object.entries(blockListDrafts).filter(([name, list]) => name && list.length > 0)
+        );
+        const allowedSites = readLines(document.getElementById('allowed-sites-list'));
+        const mode = document.getElementById('blocking-mode')?.value === 'allow' ? 'allow' : 'block';
+        const duringFocusBlocks = Boolean(document.getElementById('block-during-focus-blocks')?.checked);
 
         // Save to storage
         await Platform.saveData('auraFlowBlockedSites', sites);
+        await Platform.saveData('auraFlowAllowedSites', allowedSites);
+        await Platform.saveData('auraFlowRitualBlockLists', ritualLists);
+        await Platform.saveData('auraFlowBlockingMode', mode);
+        await Platform.saveData('auraFlowBlockingSchedule', { windows, duringFocusBlocks });
 
-        console.log('Blocked sites saved:', sites);
+        console.log('Blocked sites saved:', { mode, sites, allowedSites, ritualLists, windows, duringFocusBlocks });
 
         // Show success feedback
         showBlockingSaveSuccess();
 
         // Announce to screen reader
-        announceToScreenReader(`Saved ${sites.length} blocked sites`);
+        announceToScreenReader(mode === 'allow'
+            ? `Saved ${allowedSites.length} allowed sites`
+            : `Saved ${sites.length} blocked sites`);
     } catch (error) {
         console.error('Failed to save blocked sites:', error);
         showError('Failed to save blocked sites. Please try again.');
     }
 }
 
+/**
+ * Briefly confirms the save on the Distraction Shield's button
+ */
+function showBlockingSaveSuccess() {
+    const button = document.getElementById('save-blocked-sites-button');
+    if (!button) return;
+
+    const originalContent = button.innerHTML;
+    button.innerHTML = '<span class="btn-icon">✓</span> Saved';
+    button.disabled = true;
+
+    setTimeout(() => {
+        button.innerHTML = originalContent;
+        button.disabled = false;
+    }, 2000);
+}
+
 /**
  * Hide AI results panel
  */
@@ -1911,6 +2269,10 @@ async function useRitual(name, workDuration, breakDuration, soundscape) {
         // Hide AI results
         hideAIResults();
 
+        // Turn on the Distraction Shield with this ritual's block list
+        sendMessageToServiceWorker({ action: 'startFocus', data: { ritualName: name } })
+            .catch(error => console.warn('Failed to enable blocking:', error));
+
         announceToScreenReader(`Starting ${name} ritual with ${workDuration} minute work session`);
 
     } catch (error) {
@@ -1955,6 +2317,8 @@ function addAIResultsEventListeners() {
             useRitual(name, work, breakTime, soundscape);
         } else if (action === 'retry-ai') {
             retryLastAIAction();
+        } else if (action === 'task-complete' || action === 'task-log-time') {
+            handleTaskFollowUp(action);
         }
     });
 }
@@ -2313,3 +2677,106 @@ async function initializeSlackStatus() {
         showSlackDisconnectedState();
     }
 }
+
+// ============================================================================
+// LIVE UPDATES
+// ============================================================================
+
+let liveStream = null;
+
+/**
+ * Open the backend's live update stream for as long as the popup is open
+ * Follows sessions started or stopped in the web app, refreshes events when the
+ * calendar changes and mirrors Slack status changes made elsewhere.
+ */
+async function connectLiveUpdates() {
+    if (liveStream || typeof EventSource === 'undefined') return;
+
+    try {
+        const response = await sendMessageToServiceWorker({ action: 'getLiveStreamInfo' });
+        if (!response.success || !response.data) {
+            console.log('Live updates not configured');
+            return;
+        }
+
+        const { streamUrl, clientId } = response.data;
+        liveStream = new EventSource(streamUrl, { withCredentials: true });
+
+        ['session-started', 'session-paused', 'session-resumed', 'session-ended', 'status-changed', 'calendar-changed']
+            .forEach(type => liveStream.addEventListener(type, event => handleLiveUpdate(event, clientId)));
+
+        liveStream.onerror = () => {
+            console.warn('Live updates disconnected, retrying');
+        };
+
+        // Catch up with sessions started or stopped on other devices
+        await refreshSharedSession();
+    } catch (error) {
+        console.warn('Failed to connect live updates:', error);
+    }
+}
+
+/**
+ * Handle an update from the live stream
+ * @param {MessageEvent} event - SSE message carrying {id, type, data, source, timestamp}
+ * @param {string} clientId - This browser's client ID, to skip our own updates
+ */
+function handleLiveUpdate(event, clientId) {
+    let update;
+    try {
+        update = JSON.parse(event.data);
+    } catch (error) {
+        console.warn('Ignoring malformed live update:', error);
+        return;
+    }
+
+    if (update.source && update.source.id === clientId) return;
+
+    switch (update.type) {
+        case 'session-started':
+        case 'session-resumed':
+        case 'session-paused':
+        case 'session-ended':
+            refreshSharedSession();
+            break;
+        case 'calendar-changed':
+            // Reloading switches to the events screen, so only refresh when it is showing
+            if (currentScreen === 'events') {
+                loadEvents();
+            }
+            break;
+        case 'status-changed':
+            if (update.data && ['available', 'focused', 'dnd'].includes(update.data.status)) {
+                updateSlackStatusUI(update.data.status);
+            }
+            break;
+    }
+}
+
+/**
+ * Have the service worker catch up with the user's shared session, then show it
+ * The service worker moves this browser's session and alarms to match.
+ */
+async function refreshSharedSession() {
+    try {
+        const response = await sendMessageToServiceWorker({ action: 'syncActiveSession' });
+        if (!response.success) return;
+
+        const session = response.data;
+        const isPaused = session && session.status === 'paused';
+
+        if (session && (isPaused || session.workEndsAt > Date.now())) {
+            showSessionStartedUI(
+                session.workDuration,
+                session.breakDuration,
+                session.taskGoal,
+                isPaused ? null : new Date(session.workEndsAt)
+            );
+        } else if (document.getElementById('end-session-btn')) {
+            // The session card is showing but the session ended elsewhere
+            showSessionEndedUI();
+        }
+    } catch (error) {
+        console.warn('Failed to sync the shared session:', error);
+    }
+}
@@ -3,8 +3,20 @@
  * Tests complete request/response cycles with validation and error handling
  */
 
+const http = require('http');
 const request = require('supertest');
 const { createApp } = require('./app');
+const googleCalendar = require('./integrations/google-calendar');
+const calendarService = require('./services/calendar.service');
+const liveUpdates = require('./services/live-updates.service');
+const activeSession = require('./services/active-session.service');
+const tasksService = require('./services/tasks.service');
+const liveRoutes = require('./routes/live.routes');
+const config = require('./utils/config');
+const { createFakeCalendarPush } = require('./integrations/fake-calendar-push');
+const { createFakeTaskProviderServer } = require('./integrations/task-providers/fake-server');
+const { createFakeCalDAVServer, USERNAME, PASSWORD } = require('./integrations/calendar-providers/fake-caldav-server');
+const tokenManager = require('./utils/token-manager');
 
 // Mock the Google Calendar integration to avoid real API calls
 jest.mock('./integrations/google-calendar', () => ({
@@ -20,7 +32,30 @@ jest.mock('./integrations/google-calendar', () => ({
       };
     }
     throw new Error('Invalid authorization code');
-  })
+  }),
+  getFreshTokens: jest.fn(async userId => require('./utils/token-manager').getTokens(userId)),
+  fetchCalendarList: jest.fn(async () => [
+    { id: 'me@example.com', name: 'Me', primary: true, accessRole: 'owner', backgroundColor: '#9fe1e7', selected: true, timeZone: 'UTC' },
+    { id: 'team@group.calendar.google.com', name: 'Team', primary: false, accessRole: 'reader', backgroundColor: '#f83a22', selected: true, timeZone: 'UTC' }
+  ]),
+  fetchCalendarEvents: jest.fn(async () => []),
+  createCalendarEvent: jest.fn(async (userId, eventData) => ({
+    id: 'focus_event_1',
+    startTime: eventData.startTime,
+    endTime: eventData.endTime,
+    title: eventData.title,
+    htmlLink: 'https://calendar.google.com/event?eid=focus_event_1',
+    colorId: eventData.colorId,
+    transparency: eventData.transparency
+  })),
+  deleteCalendarEvent: jest.fn(async () => true),
+  fetchFreeBusy: jest.fn(async () => ({})),
+  watchEvents: jest.fn(async (userId, calendarId, { id }) => ({
+    id,
+    resourceId: `resource-${calendarId}`,
+    expiration: Date.now() + 7 * 24 * 60 * 60 * 1000
+  })),
+  stopChannel: jest.fn(async () => true)
 }));
 
 // Mock token manager
@@ -28,7 +63,10 @@ jest.mock('./utils/token-manager', () => ({
   storeTokens: jest.fn(),
   getTokens: jest.fn(() => null),
   clearTokens: jest.fn(),
-  isTokenExpired: jest.fn(() => false)
+  isTokenExpired: jest.fn(() => false),
+  encryptToken: jest.fn(value => `encrypted:${value}`),
+  decryptToken: jest.fn(value => value.replace(/^encrypted:/, '')),
+  registerEncryptedStore: jest.fn()
 }));
 
 describe('AuraFlow API Integration Tests', () => {
@@ -225,6 +263,175 @@ describe('AuraFlow API Integration Tests', () => {
     });
   });
 
+  describe('POST /api/schedule/suggest - Time Zones and Working Hours', () => {
+    test('should accept a time zone and working hours', async () => {
+      const response = await request(app)
+        .post('/api/schedule/suggest')
+        .send({
+          calendarEvents: [{ id: '1', startTime: '2025-10-06T13:00:00Z', endTime: '2025-10-06T14:00:00Z', title: 'Sync' }],
+          userPreferences: {
+            timeZone: 'America/New_York',
+            workingHours: { monday: [{ start: '09:00', end: '12:00' }, { start: '13:00', end: '17:00' }] }
+          }
+        })
+        .set('Content-Type', 'application/json')
+        .expect(200);
+
+      expect(response.body).toHaveProperty('startTime');
+    });
+
+    test('should return 400 for an unknown time zone', async () => {
+      const response = await request(app)
+        .post('/api/schedule/suggest')
+        .send({ calendarEvents: [], userPreferences: { timeZone: 'Nowhere/Special' } })
+        .set('Content-Type', 'application/json')
+        .expect(400);
+
+      expect(response.body.error.details[0].field).toBe('userPreferences.timeZone');
+    });
+
+    test('should return 400 for malformed working hours', async () => {
+      await request(app)
+        .post('/api/schedule/suggest')
+        .send({
+          calendarEvents: [],
+          userPreferences: { workingHours: { monday: [{ start: '17:00', end: '09:00' }] } }
+        })
+        .set('Content-Type', 'application/json')
+        .expect(400);
+    });
+
+    test('should include ranked alternatives when requested', async () => {
+      const response = await request(app)
+        .post('/api/schedule/suggest')
+        .send({
+          calendarEvents: [
+            { id: '1', startTime: '2025-10-06T10:00:00Z', endTime: '2025-10-06T11:00:00Z', title: 'Standup' },
+            { id: '2', startTime: '2025-10-06T13:00:00Z', endTime: '2025-10-06T14:00:00Z', title: 'Lunch' }
+          ],
+          userPreferences: { preferredTime: 'afternoon', minimumDuration: 60, timeZone: 'UTC' },
+          alternatives: 2
+        })
+        .set('Content-Type', 'application/json')
+        .expect(200);
+
+      expect(response.body.breakdown).toHaveProperty('timePreference');
+      expect(response.body.alternatives.length).toBeGreaterThan(0);
+      expect(response.body.alternatives[0].rank).toBe(2);
+      expect(response.body.alternatives[0].score).toBeLessThanOrEqual(response.body.score);
+    });
+
+    test('should return 400 when too many alternatives are requested', async () => {
+      await request(app)
+        .post('/api/schedule/suggest')
+        .send({ calendarEvents: [], alternatives: 50 })
+        .set('Content-Type', 'application/json')
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/schedule/plan - Multi-day Planning', () => {
+    // Plan from next Monday so the range is always in the future
+    function nextMonday() {
+      const date = new Date();
+      date.setHours(0, 0, 0, 0);
+      date.setDate(date.getDate() + ((8 - date.getDay()) % 7 || 7));
+      return date;
+    }
+
+    test('should return a multi-day plan meeting the target', async () => {
+      const monday = nextMonday();
+      const meetingStart = new Date(monday);
+      meetingStart.setHours(9, 0, 0, 0);
+      const meetingEnd = new Date(monday);
+      meetingEnd.setHours(11, 0, 0, 0);
+
+      const response = await request(app)
+        .post('/api/schedule/plan')
+        .send({
+          calendarEvents: [{
+            id: '1',
+            startTime: meetingStart.toISOString(),
+            endTime: meetingEnd.toISOString(),
+            title: 'Planning'
+          }],
+          userPreferences: { preferredTime: 'morning', minimumDuration: 60 },
+          planOptions: { startDate: monday.toISOString(), days: 5, weeklyTargetHours: 5 }
+        })
+        .set('Content-Type', 'application/json')
+        .expect(200);
+
+      expect(response.body.days).toHaveLength(5);
+      expect(response.body.targetMinutes).toBe(300);
+      expect(response.body.targetMet).toBe(true);
+
+      const mondayBlocks = response.body.days[0].blocks;
+      mondayBlocks.forEach(block => {
+        const overlapsMeeting = new Date(block.startTime) < meetingEnd && new Date(block.endTime) > meetingStart;
+        expect(overlapsMeeting).toBe(false);
+      });
+    });
+
+    test('should return 400 for invalid plan options', async () => {
+      const response = await request(app)
+        .post('/api/schedule/plan')
+        .send({ calendarEvents: [], planOptions: { days: 30 } })
+        .set('Content-Type', 'application/json')
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('POST /api/schedule/tasks - Task-aware Scheduling', () => {
+    let agent;
+
+    beforeEach(async () => {
+      agent = request.agent(app);
+      await agent.get('/api/auth/google/callback?code=valid_code').expect(200);
+    });
+
+    test('should pair free slots with the supplied tasks', async () => {
+      const response = await agent
+        .post('/api/schedule/tasks')
+        .send({
+          calendarEvents: [{ id: '1', startTime: '2025-10-06T10:00:00Z', endTime: '2025-10-06T11:00:00Z', title: 'Standup' }],
+          userPreferences: { preferredTime: 'morning', minimumDuration: 60, timeZone: 'UTC' },
+          tasks: [
+            { id: 'todoist:101', provider: 'todoist', title: 'Finalize presentation', priority: 'urgent', dueDate: '2025-10-06', estimatedMinutes: 60 },
+            { title: 'Inbox zero', priority: 'low' }
+          ],
+          maxSlots: 2
+        })
+        .set('Content-Type', 'application/json')
+        .expect(200);
+
+      expect(response.body.slots).toHaveLength(2);
+      const best = response.body.slots.find(slot => slot.rank === 1);
+      expect(best.task.id).toBe('todoist:101');
+      expect(best.task.externalId).toBe('101');
+      expect(response.body.slots.map(slot => slot.task.id)).toContain('inline:2');
+    });
+
+    test('should return 400 for tasks without a title', async () => {
+      await agent
+        .post('/api/schedule/tasks')
+        .send({ calendarEvents: [], tasks: [{ priority: 'high' }] })
+        .set('Content-Type', 'application/json')
+        .expect(400);
+    });
+
+    test('should require a signed-in session', async () => {
+      const response = await request(app)
+        .post('/api/schedule/tasks')
+        .set('x-user-id', 'someone-else')
+        .send({ calendarEvents: [] })
+        .expect(401);
+
+      expect(response.body.error.code).toBe('UNAUTHORIZED');
+    });
+  });
+
   describe('POST /api/ritual/generate - Ritual Generation', () => {
     test('should return 200 with valid context for planning task', async () => {
       const payload = {
@@ -546,6 +753,1287 @@ describe('AuraFlow API Integration Tests', () => {
     });
   });
 
+  describe('/api/session - Session History', () => {
+    let agent;
+
+    beforeEach(async () => {
+      agent = request.agent(app);
+      await agent.get('/api/auth/google/callback?code=valid_code').expect(200);
+    });
+
+    test('should return 401 without a signed-in session', async () => {
+      const response = await request(app)
+        .get('/api/session')
+        .set('x-user-id', 'history-user')
+        .expect(401);
+
+      expect(response.body.error.code).toBe('UNAUTHORIZED');
+    });
+
+    test('should record, fetch, update and delete a session', async () => {
+      const created = await agent
+        .post('/api/session')
+        .send({
+          taskGoal: 'Draft design doc',
+          plannedDuration: 50,
+          actualDuration: 45,
+          pauseCount: 1,
+          interruptions: 2,
+          endTime: '2025-10-03T15:30:00Z',
+          externalTaskId: 'todoist:101'
+        })
+        .expect(201);
+
+      const { session } = created.body;
+      expect(session).toHaveProperty('id');
+      expect(session.externalTaskId).toBe('todoist:101');
+      expect(session.summary).toContain('45');
+
+      const fetched = await agent
+        .get(`/api/session/${session.id}`)
+        .expect(200);
+      expect(fetched.body.session.taskGoal).toBe('Draft design doc');
+
+      const updated = await agent
+        .put(`/api/session/${session.id}`)
+        .send({ interruptions: 0 })
+        .expect(200);
+      expect(updated.body.session.interruptions).toBe(0);
+
+      await agent
+        .delete(`/api/session/${session.id}`)
+        .expect(204);
+
+      await agent
+        .get(`/api/session/${session.id}`)
+        .expect(404);
+    });
+
+    test('should filter the session list by date range', async () => {
+      for (const endTime of ['2025-09-01T10:00:00Z', '2025-09-10T10:00:00Z']) {
+        await agent
+          .post('/api/session')
+          .send({ plannedDuration: 25, endTime })
+          .expect(201);
+      }
+
+      const response = await agent
+        .get('/api/session?from=2025-09-05T00:00:00Z&to=2025-09-30T00:00:00Z')
+        .expect(200);
+
+      expect(response.body.count).toBe(1);
+      expect(response.body.sessions[0].endTime).toBe('2025-09-10T10:00:00Z');
+    });
+
+    test('should return 400 when no duration is provided', async () => {
+      const response = await agent
+        .post('/api/session')
+        .send({ taskGoal: 'No duration' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    test('should return 400 for an inverted date range', async () => {
+      await agent
+        .get('/api/session?from=2025-09-30T00:00:00Z&to=2025-09-01T00:00:00Z')
+        .expect(400);
+    });
+  });
+
+  describe('/api/session/active - Cross-device Session', () => {
+    let agent;
+
+    beforeEach(async () => {
+      activeSession.clearAllActiveSessions();
+      agent = request.agent(app);
+      await agent.get('/api/auth/google/callback?code=valid_code').expect(200);
+    });
+
+    test('should share a session started on one device with the others', async () => {
+      const empty = await agent
+        .get('/api/session/active')
+        .expect(200);
+      expect(empty.body.session).toBeNull();
+
+      const started = await agent
+        .put('/api/session/active')
+        .send({
+          sessionId: 'session_web_1',
+          status: 'running',
+          baseVersion: 0,
+          remainingSeconds: 1500,
+          durationSeconds: 1500,
+          taskGoal: 'Draft design doc',
+          source: { client: 'webapp', id: 'tab-1' }
+        })
+        .expect(200);
+      expect(started.body.session).toMatchObject({ status: 'running', version: 1 });
+
+      // The extension pauses it, having seen version 1
+      await agent
+        .put('/api/session/active')
+        .send({ sessionId: 'session_web_1', status: 'paused', baseVersion: 1, remainingSeconds: 1200 })
+        .expect(200);
+
+      const current = await agent
+        .get('/api/session/active')
+        .expect(200);
+      expect(current.body.session).toMatchObject({
+        sessionId: 'session_web_1',
+        status: 'paused',
+        remainingSeconds: 1200,
+        taskGoal: 'Draft design doc',
+        version: 2
+      });
+    });
+
+    test('should return 409 with the current session when an offline change loses', async () => {
+      await agent
+        .put('/api/session/active')
+        .send({ sessionId: 'session_web_1', status: 'running', baseVersion: 0, remainingSeconds: 1500 })
+        .expect(200);
+      await agent
+        .put('/api/session/active')
+        .send({ sessionId: 'session_web_1', status: 'ended', baseVersion: 1 })
+        .expect(200);
+
+      const response = await agent
+        .put('/api/session/active')
+        .send({ sessionId: 'session_web_1', status: 'paused', baseVersion: 1, remainingSeconds: 600 })
+        .expect(409);
+
+      expect(response.body.error.code).toBe('SESSION_CONFLICT');
+      expect(response.body.session).toMatchObject({ status: 'ended', version: 2 });
+    });
+
+    test('should reject a spoofed user id header', async () => {
+      await agent
+        .put('/api/session/active')
+        .send({ sessionId: 'session_web_1', status: 'running', baseVersion: 0, remainingSeconds: 1500 })
+        .expect(200);
+
+      await request(app)
+        .get('/api/session/active')
+        .set('x-user-id', 'active-session-user')
+        .expect(401);
+      await request(app)
+        .put('/api/session/active')
+        .set('x-user-id', 'active-session-user')
+        .send({ sessionId: 'session_web_1', status: 'ended', baseVersion: 1 })
+        .expect(401);
+    });
+
+    test('should return 400 for an invalid change', async () => {
+      const response = await agent
+        .put('/api/session/active')
+        .send({ sessionId: 'session_web_1', status: 'running' })
+        .expect(400);
+
+      expect(response.body.error.details.map(detail => detail.field)).toEqual(
+        expect.arrayContaining(['baseVersion', 'remainingSeconds'])
+      );
+    });
+  });
+
+  describe('GET /api/analytics - Focus Analytics', () => {
+    let agent;
+
+    beforeEach(async () => {
+      agent = request.agent(app);
+      await agent.get('/api/auth/google/callback?code=valid_code').expect(200);
+    });
+
+    test('should return analytics for the recorded sessions', async () => {
+      await agent
+        .post('/api/session')
+        .send({ plannedDuration: 50, endTime: '2025-08-12T10:00:00Z', source: 'suggestion' })
+        .expect(201);
+
+      const response = await agent
+        .get('/api/analytics?from=2025-08-10T00:00:00Z&to=2025-08-17T00:00:00Z')
+        .expect(200);
+
+      expect(response.body.totalFocusMinutes).toBe(50);
+      expect(response.body.completionRate).toBe(100);
+      expect(response.body.bySource.suggestion.sessions).toBe(1);
+      expect(Array.isArray(response.body.sessionsPerDay)).toBe(true);
+      expect(response.body).toHaveProperty('streaks');
+    });
+
+    test('should return 400 for an unknown period', async () => {
+      const response = await agent
+        .get('/api/analytics?period=decade')
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    test('should return 400 for ranges longer than a year', async () => {
+      await agent
+        .get('/api/analytics?from=2023-01-01T00:00:00Z&to=2025-01-01T00:00:00Z')
+        .expect(400);
+    });
+
+    test('should return 400 when from alone is more than a year ago', async () => {
+      const response = await agent
+        .get('/api/analytics?from=1000-01-01T00:00:00Z')
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('POST /api/calendar/focus-time - Book Focus Time', () => {
+    const focusWindow = {
+      startTime: '2030-01-07T14:15:00.000Z',
+      endTime: '2030-01-07T16:15:00.000Z',
+      reasoning: 'This 120-minute afternoon slot aligns with your preference.'
+    };
+    let agent;
+
+    beforeEach(async () => {
+      agent = request.agent(app);
+      await agent.get('/api/auth/google/callback?code=valid_code').expect(200);
+      tokenManager.getTokens.mockReturnValue({ accessToken: 'mock_access_token' });
+      googleCalendar.fetchCalendarEvents.mockClear();
+      googleCalendar.createCalendarEvent.mockClear();
+    });
+
+    afterEach(() => {
+      tokenManager.getTokens.mockReturnValue(null);
+    });
+
+    test('should return 401 without an authenticated session', async () => {
+      await request(app)
+        .post('/api/calendar/focus-time')
+        .send(focusWindow)
+        .expect(401);
+    });
+
+    test('should book the suggestion as a focus-time event', async () => {
+      const response = await agent
+        .post('/api/calendar/focus-time')
+        .send(focusWindow)
+        .expect(201);
+
+      expect(response.body.event.id).toBe('focus_event_1');
+      expect(response.body.event.duration).toBe(120);
+
+      const eventData = googleCalendar.createCalendarEvent.mock.calls[0][1];
+      expect(eventData.title).toBe('Focus Time');
+      expect(eventData.description).toBe(focusWindow.reasoning);
+      expect(eventData.colorId).toBe('9');
+      expect(eventData.transparency).toBe('opaque');
+      expect(eventData.reminders).toEqual({ useDefault: false, overrides: [{ method: 'popup', minutes: 5 }] });
+    });
+
+    test('should return 409 when the slot is no longer free', async () => {
+      googleCalendar.fetchCalendarEvents.mockResolvedValueOnce([{
+        id: 'meeting',
+        startTime: '2030-01-07T15:00:00.000Z',
+        endTime: '2030-01-07T15:30:00.000Z',
+        title: 'New meeting'
+      }]);
+
+      const response = await agent
+        .post('/api/calendar/focus-time')
+        .send(focusWindow)
+        .expect(409);
+
+      expect(response.body.error.code).toBe('SLOT_UNAVAILABLE');
+      expect(googleCalendar.createCalendarEvent).not.toHaveBeenCalled();
+    });
+
+    test('should return 400 for an invalid transparency', async () => {
+      await agent
+        .post('/api/calendar/focus-time')
+        .send({ ...focusWindow, transparency: 'invisible' })
+        .expect(400);
+    });
+
+    test('should return 401 only when the token refresh is rejected', async () => {
+      googleCalendar.getFreshTokens.mockRejectedValueOnce(
+        Object.assign(new Error('Failed to refresh access token'), { code: 'REFRESH_REJECTED' })
+      );
+
+      const response = await agent
+        .post('/api/calendar/focus-time')
+        .send(focusWindow)
+        .expect(401);
+
+      expect(response.body.error.code).toBe('TOKEN_EXPIRED');
+      expect(googleCalendar.createCalendarEvent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('/api/calendar - Multiple Calendars', () => {
+    const TEAM_CALENDAR = 'team@group.calendar.google.com';
+    let agent;
+
+    // Each calendar has its own events; shared meetings appear on both
+    function mockCalendarEvents(eventsByCalendar) {
+      googleCalendar.fetchCalendarEvents.mockImplementation(async (userId, startDate, endDate, calendarId) =>
+        eventsByCalendar[calendarId] || []);
+    }
+
+    beforeEach(async () => {
+      calendarService.clearAllCalendarSettings();
+      agent = request.agent(app);
+      await agent.get('/api/auth/google/callback?code=valid_code').expect(200);
+      tokenManager.getTokens.mockReturnValue({ accessToken: 'mock_access_token' });
+      googleCalendar.fetchCalendarEvents.mockClear();
+    });
+
+    afterEach(() => {
+      tokenManager.getTokens.mockReturnValue(null);
+      googleCalendar.fetchCalendarEvents.mockImplementation(async () => []);
+    });
+
+    test('should require authentication', async () => {
+      await request(app).get('/api/calendar/calendars').expect(401);
+      await request(app).post('/api/calendar/suggest').send({}).expect(401);
+    });
+
+    test('should list calendars with only the primary calendar busy by default', async () => {
+      const response = await agent
+        .get('/api/calendar/calendars')
+        .expect(200);
+
+      expect(response.body.calendars.map(calendar => [calendar.id, calendar.busy])).toEqual([
+        ['primary', true],
+        [TEAM_CALENDAR, false]
+      ]);
+      expect(response.body.calendars[1].name).toBe('Team');
+    });
+
+    test('should choose busy calendars and reject unknown ones', async () => {
+      const updated = await agent
+        .put('/api/calendar/calendars/busy')
+        .send({ calendarIds: ['me@example.com', TEAM_CALENDAR] })
+        .expect(200);
+
+      expect(updated.body.calendars.every(calendar => calendar.busy)).toBe(true);
+
+      const rejected = await agent
+        .put('/api/calendar/calendars/busy')
+        .send({ calendarIds: ['primary', 'someone-else@example.com'] })
+        .expect(400);
+
+      expect(rejected.body.error.code).toBe('UNKNOWN_CALENDAR');
+      expect(rejected.body.error.details).toEqual(['someone-else@example.com']);
+
+      await agent
+        .put('/api/calendar/calendars/busy')
+        .send({ calendarIds: [] })
+        .expect(400);
+    });
+
+    test('should merge events from every busy calendar', async () => {
+      const standup = { id: 'standup', startTime: '2030-01-07T09:00:00Z', endTime: '2030-01-07T09:15:00Z', title: 'Standup' };
+      mockCalendarEvents({
+        primary: [standup],
+        [TEAM_CALENDAR]: [
+          standup,
+          { id: 'review', startTime: '2030-01-07T08:00:00Z', endTime: '2030-01-07T08:30:00Z', title: 'Review' }
+        ]
+      });
+
+      await agent
+        .put('/api/calendar/calendars/busy')
+        .send({ calendarIds: ['primary', TEAM_CALENDAR] })
+        .expect(200);
+
+      const response = await agent
+        .get('/api/calendar/events')
+        .expect(200);
+
+      expect(response.body.events.map(event => [event.id, event.calendarId])).toEqual([
+        ['review', TEAM_CALENDAR],
+        ['standup', 'primary']
+      ]);
+    });
+
+    test('should answer 304 while today\'s events are unchanged', async () => {
+      mockCalendarEvents({
+        primary: [{ id: 'standup', startTime: new Date().toISOString(), endTime: new Date(Date.now() + 60000).toISOString(), title: 'Standup' }]
+      });
+
+      const first = await agent
+        .get('/api/calendar/events')
+        .expect(200);
+
+      expect(first.headers.etag).toMatch(/^W\/"/);
+      expect(first.headers['cache-control']).toBe('private, no-cache');
+
+      await agent
+        .get('/api/calendar/events')
+        .set('If-None-Match', first.headers.etag)
+        .expect(304);
+
+      mockCalendarEvents({ primary: [] });
+      const changed = await agent
+        .get('/api/calendar/events')
+        .set('If-None-Match', first.headers.etag)
+        .expect(200);
+
+      expect(changed.body.events).toEqual([]);
+      expect(changed.headers.etag).not.toBe(first.headers.etag);
+    });
+
+    test('should suggest focus time around events on all busy calendars', async () => {
+      mockCalendarEvents({
+        primary: [{ id: 'm1', startTime: '2030-01-07T08:00:00Z', endTime: '2030-01-07T12:00:00Z', title: 'Workshop' }],
+        [TEAM_CALENDAR]: [{ id: 't1', startTime: '2030-01-07T12:00:00Z', endTime: '2030-01-07T17:00:00Z', title: 'Offsite' }]
+      });
+
+      await agent
+        .put('/api/calendar/calendars/busy')
+        .send({ calendarIds: ['primary', TEAM_CALENDAR] })
+        .expect(200);
+
+      const response = await agent
+        .post('/api/calendar/suggest')
+        .send({ date: '2030-01-07', userPreferences: { timeZone: 'UTC', minimumDuration: 60 } })
+        .expect(200);
+
+      expect(response.body.calendarIds).toEqual(['primary', TEAM_CALENDAR]);
+      expect(new Date(response.body.suggestion.startTime).getTime())
+        .toBeGreaterThanOrEqual(new Date('2030-01-07T17:00:00Z').getTime());
+
+      const [, startDate, endDate] = googleCalendar.fetchCalendarEvents.mock.calls[0];
+      expect([startDate, endDate]).toEqual(['2030-01-07T00:00:00.000Z', '2030-01-08T00:00:00.000Z']);
+    });
+
+    test('should return 400 for an invalid suggestion date', async () => {
+      await agent
+        .post('/api/calendar/suggest')
+        .send({ date: 'next tuesday' })
+        .expect(400);
+    });
+  });
+
+  describe('/api/calendar/provider - CalDAV Calendars', () => {
+    const originalAllowPrivateHosts = config.caldav.allowPrivateHosts;
+    let server;
+    let serverUrl;
+
+    beforeAll(done => {
+      config.caldav.allowPrivateHosts = true;
+      server = createFakeCalDAVServer().listen(0, '127.0.0.1', () => {
+        serverUrl = `http://127.0.0.1:${server.address().port}/`;
+        done();
+      });
+    });
+
+    afterAll(done => {
+      config.caldav.allowPrivateHosts = originalAllowPrivateHosts;
+      server.close(done);
+    });
+
+    beforeEach(() => {
+      calendarService.clearAllCalendarSettings();
+      googleCalendar.fetchCalendarEvents.mockClear();
+    });
+
+    function signInWithCalDAV(agent, password = PASSWORD) {
+      return agent
+        .post('/api/auth/caldav')
+        .send({ serverUrl, username: USERNAME, password });
+    }
+
+    test('should default to Google', async () => {
+      const agent = request.agent(app);
+      await agent.get('/api/auth/google/callback?code=valid_code').expect(200);
+
+      const response = await agent
+        .get('/api/calendar/provider')
+        .expect(200);
+
+      expect(response.body.provider).toBe('google');
+    });
+
+    test('should sign in with a CalDAV account and suggest focus time around its events', async () => {
+      const agent = request.agent(app);
+      const signedIn = await signInWithCalDAV(agent).expect(200);
+
+      expect(signedIn.body).toMatchObject({ provider: 'caldav', serverUrl, username: USERNAME });
+      expect(signedIn.body).not.toHaveProperty('password');
+      expect(signedIn.body.calendars[0]).toMatchObject({ id: 'primary', name: 'Work', busy: true });
+
+      const status = await agent.get('/api/auth/status').expect(200);
+      expect(status.body).toMatchObject({ authenticated: true, userId: signedIn.body.userId });
+
+      const suggested = await agent
+        .post('/api/calendar/suggest')
+        .send({ date: '2025-10-06', userPreferences: { timeZone: 'Europe/Berlin' } })
+        .expect(200);
+
+      // Sprint planning runs 08:00-09:00 UTC on the CalDAV work calendar
+      const { startTime, endTime } = suggested.body.suggestion;
+      expect(new Date(endTime) <= new Date('2025-10-06T08:00:00Z') ||
+        new Date(startTime) >= new Date('2025-10-06T09:00:00Z')).toBe(true);
+      expect(googleCalendar.fetchCalendarEvents).not.toHaveBeenCalled();
+    });
+
+    test('should return to the same user when signing in again', async () => {
+      const first = await signInWithCalDAV(request.agent(app)).expect(200);
+      const second = await signInWithCalDAV(request.agent(app)).expect(200);
+
+      expect(second.body.userId).toBe(first.body.userId);
+    });
+
+    test('should not let a user id header stand in for a sign-in', async () => {
+      const signedIn = await signInWithCalDAV(request.agent(app)).expect(200);
+      const victim = signedIn.body.userId;
+
+      await request(app).get('/api/calendar/provider').set('x-user-id', victim).expect(401);
+      await request(app).get(`/api/calendar/events?userId=${victim}`).expect(401);
+      await request(app)
+        .put('/api/calendar/provider')
+        .set('x-user-id', victim)
+        .send({ provider: 'google' })
+        .expect(401);
+      await request(app)
+        .post('/api/calendar/focus-time')
+        .set('x-user-id', victim)
+        .send({ startTime: '2030-01-07T14:15:00.000Z', endTime: '2030-01-07T16:15:00.000Z' })
+        .expect(401);
+
+      expect(calendarService.getProviderName(victim)).toBe('caldav');
+    });
+
+    test('should reject wrong credentials and missing CalDAV settings', async () => {
+      const agent = request.agent(app);
+      const rejected = await signInWithCalDAV(agent, 'wrong').expect(422);
+      expect(rejected.body.error.code).toBe('CALENDAR_AUTH_FAILED');
+      await agent.get('/api/calendar/provider').expect(401);
+
+      const invalid = await agent
+        .post('/api/auth/caldav')
+        .send({ serverUrl })
+        .expect(400);
+
+      expect(invalid.body.error.details.map(detail => detail.field)).toEqual(['username', 'password']);
+
+      await signInWithCalDAV(agent).expect(200);
+      await agent
+        .put('/api/calendar/provider')
+        .send({ provider: 'outlook' })
+        .expect(400);
+    });
+
+    test('should not offer push notifications for CalDAV calendars', async () => {
+      const agent = request.agent(app);
+      await signInWithCalDAV(agent).expect(200);
+
+      const response = await agent
+        .post('/api/calendar/watch')
+        .expect(409);
+
+      expect(response.body.error.code).toBe('WATCH_NOT_SUPPORTED');
+    });
+  });
+
+  describe('/api/calendar/sharing - Free/busy Sharing', () => {
+    beforeEach(() => {
+      calendarService.clearAllCalendarSettings();
+    });
+
+    test('should let a signed-in user choose who sees their free/busy', async () => {
+      const agent = request.agent(app);
+      await agent.get('/api/auth/google/callback?code=valid_code').expect(200);
+
+      const updated = await agent
+        .put('/api/calendar/sharing')
+        .send({ userIds: ['teammate-1', 'teammate-1'] })
+        .expect(200);
+      expect(updated.body.userIds).toEqual(['teammate-1']);
+
+      const listed = await agent.get('/api/calendar/sharing').expect(200);
+      expect(listed.body.userIds).toEqual(['teammate-1']);
+    });
+
+    test('should reject a spoofed user id header', async () => {
+      calendarService.setFreeBusySharing('victim', ['teammate-1']);
+
+      await request(app)
+        .put('/api/calendar/sharing')
+        .set('x-user-id', 'victim')
+        .send({ userIds: ['attacker'] })
+        .expect(401);
+      await request(app)
+        .get('/api/calendar/sharing?userId=victim')
+        .expect(401);
+
+      expect(calendarService.getFreeBusySharing('victim')).toEqual(['teammate-1']);
+    });
+  });
+
+  describe('POST /api/calendar/team-focus - Team Focus Hours', () => {
+    const team = {
+      userPreferences: {
+        timeZone: 'UTC',
+        minimumDuration: 60,
+        workingHours: { monday: [{ start: '09:00', end: '17:00' }] }
+      },
+      teamOptions: { startDate: '2030-01-07T00:00:00Z', days: 1 }
+    };
+    let agent;
+
+    beforeEach(async () => {
+      calendarService.clearAllCalendarSettings();
+      agent = request.agent(app);
+      await agent.get('/api/auth/google/callback?code=valid_code').expect(200);
+      tokenManager.getTokens.mockReturnValue({ accessToken: 'mock_access_token' });
+      googleCalendar.fetchFreeBusy.mockClear();
+    });
+
+    afterEach(() => {
+      tokenManager.getTokens.mockReturnValue(null);
+      googleCalendar.fetchFreeBusy.mockImplementation(async () => ({}));
+    });
+
+    test('should require authentication and at least one teammate', async () => {
+      await request(app).post('/api/calendar/team-focus').send({ attendees: ['dana@example.com'] }).expect(401);
+
+      const response = await agent
+        .post('/api/calendar/team-focus')
+        .send({ members: [], attendees: [] })
+        .expect(400);
+
+      expect(response.body.error.details[0].message).toBe('Add at least one member or attendee');
+    });
+
+    test('should find the window in which every participant is free', async () => {
+      googleCalendar.fetchFreeBusy.mockImplementation(async (userId, startDate, endDate, calendarIds) => (
+        calendarIds.includes('primary')
+          ? { primary: [{ start: '2030-01-07T09:00:00Z', end: '2030-01-07T12:00:00Z' }] }
+          : { 'dana@example.com': [{ start: '2030-01-07T13:30:00Z', end: '2030-01-07T17:00:00Z' }] }
+      ));
+
+      const response = await agent
+        .post('/api/calendar/team-focus')
+        .send({ ...team, attendees: ['dana@example.com', 'private@example.com'] })
+        .expect(200);
+
+      expect(response.body.windows).toEqual([
+        expect.objectContaining({
+          startTime: '2030-01-07T12:15:00.000Z',
+          endTime: '2030-01-07T13:15:00.000Z',
+          duration: 60,
+          rank: 1
+        })
+      ]);
+      expect(response.body.participants.map(participant => [participant.type, participant.available])).toEqual([
+        ['user', true],
+        ['attendee', true],
+        ['attendee', false]
+      ]);
+      expect(response.body.participants[0]).not.toHaveProperty('busy');
+
+      const [, startDate, endDate] = googleCalendar.fetchFreeBusy.mock.calls[0];
+      expect([startDate, endDate]).toEqual(['2030-01-07T09:00:00.000Z', '2030-01-07T17:00:00.000Z']);
+    });
+  });
+
+  describe('Calendar push notifications', () => {
+    const originalWebhookUrl = config.google.webhookUrl;
+    let agent;
+    let server;
+    let webhookUrl;
+
+    beforeAll(done => {
+      server = app.listen(0, '127.0.0.1', () => {
+        webhookUrl = `http://127.0.0.1:${server.address().port}/api/webhooks/google-calendar`;
+        done();
+      });
+    });
+
+    afterAll(done => {
+      config.google.webhookUrl = originalWebhookUrl;
+      server.close(done);
+    });
+
+    beforeEach(async () => {
+      config.google.webhookUrl = webhookUrl;
+      calendarService.clearAllCalendarSettings();
+      agent = request.agent(app);
+      await agent.get('/api/auth/google/callback?code=valid_code').expect(200);
+      tokenManager.getTokens.mockReturnValue({ accessToken: 'mock_access_token' });
+      googleCalendar.watchEvents.mockClear();
+    });
+
+    afterEach(async () => {
+      await agent.delete('/api/calendar/watch');
+      tokenManager.getTokens.mockReturnValue(null);
+    });
+
+    test('should report when push notifications are not configured', async () => {
+      config.google.webhookUrl = '';
+
+      const response = await agent
+        .post('/api/calendar/watch')
+        .expect(503);
+
+      expect(response.body.error.code).toBe('WEBHOOKS_NOT_CONFIGURED');
+    });
+
+    test('should publish a calendar change sent through a watch channel', async () => {
+      const watched = await agent
+        .post('/api/calendar/watch')
+        .expect(201);
+
+      const [channel] = watched.body.channels;
+      expect(channel.calendarId).toBe('primary');
+      expect(channel).not.toHaveProperty('token');
+
+      // Google echoes back the channel it was given
+      const [, , opened] = googleCalendar.watchEvents.mock.calls[0];
+      const push = createFakeCalendarPush(webhookUrl, { ...opened, resourceId: 'resource-primary' });
+      const userId = (await agent.get('/api/auth/status')).body.userId;
+      const updates = [];
+      const unsubscribe = liveUpdates.subscribe(userId, update => updates.push(update));
+
+      expect((await push.sync()).data.status).toBe('ignored');
+      expect((await push.change()).data.status).toBe('updated');
+      unsubscribe();
+
+      expect(updates.map(update => update.type)).toEqual(['calendar-changed']);
+      expect(updates[0].data.calendarId).toBe('primary');
+    });
+
+    test('should reject notifications for unknown channels or with a wrong token', async () => {
+      await agent.post('/api/calendar/watch').expect(201);
+      const [, , opened] = googleCalendar.watchEvents.mock.calls[0];
+
+      const forged = createFakeCalendarPush(webhookUrl, { ...opened, token: 'forged' });
+      expect((await forged.change()).status).toBe(403);
+
+      const unknown = createFakeCalendarPush(webhookUrl, { id: 'chan_unknown', resourceId: 'r' });
+      expect((await unknown.change()).status).toBe(404);
+    });
+  });
+
+  describe('ICS calendars - Import and Export', () => {
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Microsoft Corporation//Outlook 16.0 MIMEDIR//EN',
+      'BEGIN:VEVENT',
+      'UID:standup@outlook',
+      'DTSTART;TZID="Eastern Standard Time":20251006T090000',
+      'DTEND;TZID="Eastern Standard Time":20251006T093000',
+      'RRULE:FREQ=DAILY;COUNT=5',
+      'SUMMARY:Stand-up',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n');
+    const importRange = { start: '2025-10-06T00:00:00Z', end: '2025-10-13T00:00:00Z' };
+
+    test('should import ICS events that the scheduler accepts without Google', async () => {
+      const imported = await request(app)
+        .post('/api/calendar/import')
+        .send({ ics, ...importRange })
+        .expect(200);
+
+      expect(imported.body.count).toBe(5);
+      expect(imported.body.events[0]).toMatchObject({
+        id: 'standup@outlook_20251006T130000Z',
+        startTime: '2025-10-06T13:00:00.000Z',
+        endTime: '2025-10-06T13:30:00.000Z',
+        title: 'Stand-up',
+        calendarId: 'ics'
+      });
+
+      const suggested = await request(app)
+        .post('/api/schedule/suggest')
+        .send({
+          calendarEvents: imported.body.events,
+          userPreferences: { timeZone: 'America/New_York' }
+        })
+        .expect(200);
+
+      // The imported stand-up blocks the start of the day
+      expect(new Date(suggested.body.startTime).getTime())
+        .toBeGreaterThanOrEqual(new Date('2025-10-06T13:30:00Z').getTime());
+    });
+
+    test('should return 400 unless exactly one of ics or url is sent', async () => {
+      const response = await request(app)
+        .post('/api/calendar/import')
+        .send({ ics, url: 'https://calendars.example.com/team.ics' })
+        .expect(400);
+
+      expect(response.body.error.details[0]).toMatchObject({ field: 'ics', message: 'Provide either ics or url' });
+      await request(app).post('/api/calendar/import').send({}).expect(400);
+    });
+
+    test('should reject text that is not a calendar and private calendar URLs', async () => {
+      const invalid = await request(app)
+        .post('/api/calendar/import')
+        .send({ ics: 'not a calendar' })
+        .expect(422);
+      const privateUrl = await request(app)
+        .post('/api/calendar/import')
+        .send({ url: 'http://127.0.0.1:3000/api/health' })
+        .expect(400);
+
+      expect(invalid.body.error.code).toBe('ICS_INVALID');
+      expect(privateUrl.body.error.code).toBe('ICS_URL_NOT_ALLOWED');
+    });
+
+    test('should export completed focus sessions as a calendar file', async () => {
+      const agent = request.agent(app);
+      await agent.get('/api/auth/google/callback?code=valid_code').expect(200);
+      await agent
+        .post('/api/session')
+        .send({
+          taskGoal: 'Quarterly review',
+          startTime: '2025-10-06T14:00:00Z',
+          endTime: '2025-10-06T14:50:00Z',
+          plannedDuration: 50,
+          actualDuration: 50
+        })
+        .expect(201);
+
+      const response = await agent
+        .get('/api/session/calendar.ics')
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/^text\/calendar/);
+      expect(response.headers['content-disposition']).toContain('.ics');
+      expect(response.text).toContain('SUMMARY:Focus: Quarterly review');
+      expect(response.text).toContain('DTSTART:20251006T140000Z');
+      expect(response.text).toContain('DTEND:20251006T145000Z');
+
+      // Calendar apps subscribe to the private feed URL without signing in
+      const feed = await agent.get('/api/session/calendar-feed').expect(200);
+      const { pathname, search } = new URL(feed.body.url);
+      expect(search).toMatch(/^\?token=[0-9a-f]{48}$/);
+      const subscribed = await request(app)
+        .get(`${pathname}${search}`)
+        .expect(200);
+      expect(subscribed.text).toContain('SUMMARY:Focus: Quarterly review');
+    });
+
+    test('should only serve the ICS feed to its token or a signed-in session', async () => {
+      const agent = request.agent(app);
+      await agent.get('/api/auth/google/callback?code=valid_code').expect(200);
+      const { url } = (await agent.get('/api/session/calendar-feed').expect(200)).body;
+
+      await request(app)
+        .get('/api/session/calendar.ics?userId=ics-user')
+        .expect(401);
+
+      const replaced = await agent.post('/api/session/calendar-feed').expect(200);
+      expect(replaced.body.url).not.toBe(url);
+
+      const response = await request(app)
+        .get(new URL(url).pathname + new URL(url).search)
+        .expect(401);
+      expect(response.body.error.code).toBe('INVALID_FEED_TOKEN');
+    });
+  });
+
+  describe('/api/live - Live Updates', () => {
+    let server;
+    let baseUrl;
+
+    beforeAll(done => {
+      server = app.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        done();
+      });
+    });
+
+    afterAll(done => {
+      server.close(done);
+    });
+
+    beforeEach(() => {
+      liveUpdates.clearRecentUpdates();
+    });
+
+    /**
+     * Opens an SSE stream and collects its messages
+     * Resolves once the stream says it is connected.
+     */
+    function openStream(path, headers = {}) {
+      return new Promise((resolve, reject) => {
+        const messages = [];
+        const waiters = [];
+        let buffer = '';
+
+        const req = http.get(`${baseUrl}${path}`, { headers }, res => {
+          res.setEncoding('utf8');
+          res.on('data', chunk => {
+            buffer += chunk;
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+              const block = buffer.slice(0, boundary);
+              buffer = buffer.slice(boundary + 2);
+              const message = {};
+              block.split('\n').forEach(line => {
+                const [field, ...rest] = line.split(': ');
+                message[field] = rest.join(': ');
+              });
+              if (!message.event) continue;
+
+              message.data = JSON.parse(message.data);
+              messages.push(message);
+              if (message.event === 'connected') {
+                resolve(stream);
+              }
+              waiters.filter(waiter => messages.length >= waiter.count).forEach(waiter => waiter.resolve());
+            }
+          });
+
+          const stream = {
+            response: res,
+            messages,
+            // Waits until the stream has received `count` messages (including 'connected')
+            waitFor: count => new Promise(done => {
+              if (messages.length >= count) return done();
+              waiters.push({ count, resolve: done });
+            }),
+            close: () => req.destroy()
+          };
+        });
+        req.on('error', reject);
+      });
+    }
+
+    test('should stream updates published by another client', async () => {
+      const stream = await openStream('/api/live/stream?userId=live-user');
+
+      try {
+        expect(stream.response.headers['content-type']).toMatch(/text\/event-stream/);
+        expect(stream.messages[0].data).toEqual({ userId: 'live-user', subscribers: 1 });
+
+        const response = await request(app)
+          .post('/api/live/events')
+          .set('x-user-id', 'live-user')
+          .send({
+            type: 'session-started',
+            data: { taskGoal: 'Write report', workDuration: 25 },
+            source: { client: 'extension', id: 'ext-1' }
+          })
+          .expect(202);
+
+        expect(response.body.delivered).toBe(1);
+
+        await stream.waitFor(2);
+        expect(stream.messages[1]).toMatchObject({
+          event: 'session-started',
+          id: String(response.body.update.id),
+          data: {
+            type: 'session-started',
+            data: { taskGoal: 'Write report', workDuration: 25 },
+            source: { client: 'extension', id: 'ext-1' }
+          }
+        });
+      } finally {
+        stream.close();
+      }
+    });
+
+    test('should replay missed updates to a reconnecting client', async () => {
+      const publish = type => request(app)
+        .post('/api/live/events')
+        .set('x-user-id', 'live-user')
+        .send({ type })
+        .expect(202);
+
+      const first = await publish('session-started');
+      await publish('session-paused');
+      await publish('session-resumed');
+
+      const stream = await openStream('/api/live/stream?userId=live-user', {
+        'Last-Event-ID': String(first.body.update.id)
+      });
+      stream.close();
+
+      expect(stream.messages.map(message => message.event)).toEqual([
+        'session-paused',
+        'session-resumed',
+        'connected'
+      ]);
+    });
+
+    test('should only stream the user\'s own updates', async () => {
+      const stream = await openStream('/api/live/stream?userId=live-user');
+
+      try {
+        await request(app)
+          .post('/api/live/events')
+          .set('x-user-id', 'someone-else')
+          .send({ type: 'status-changed', data: { status: 'focusing' } })
+          .expect(202);
+        await request(app)
+          .post('/api/live/events')
+          .set('x-user-id', 'live-user')
+          .send({ type: 'session-ended' })
+          .expect(202);
+
+        await stream.waitFor(2);
+        expect(stream.messages.map(message => message.event)).toEqual(['connected', 'session-ended']);
+      } finally {
+        stream.close();
+      }
+    });
+
+    test('should reject server-only and malformed updates', async () => {
+      const response = await request(app)
+        .post('/api/live/events')
+        .set('x-user-id', 'live-user')
+        .send({ type: 'calendar-changed', source: { client: 'fridge' } })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+      expect(response.body.error.details.map(detail => detail.field)).toEqual(
+        expect.arrayContaining(['type', 'source.client'])
+      );
+
+      await request(app)
+        .post('/api/live/events')
+        .set('x-user-id', 'live-user')
+        .send({ type: 'session-started', data: 'not an object' })
+        .expect(400);
+    });
+
+    test('should end open streams on shutdown', async () => {
+      const stream = await openStream('/api/live/stream?userId=live-user');
+      const ended = new Promise(resolve => stream.response.on('end', resolve));
+
+      expect(liveRoutes.closeAllStreams()).toBe(1);
+
+      await ended;
+      expect(liveUpdates.getSubscriberCount('live-user')).toBe(0);
+      expect(liveRoutes.closeAllStreams()).toBe(0);
+    });
+
+    test('should require a user for the stream', async () => {
+      await request(app)
+        .get('/api/live/stream')
+        .expect(401);
+    });
+  });
+
+  describe('/api/focus-rules - Protected Focus Blocks', () => {
+    let agent;
+
+    async function signIn() {
+      const signedIn = request.agent(app);
+      await signedIn.get('/api/auth/google/callback?code=valid_code').expect(200);
+      return signedIn;
+    }
+
+    beforeEach(async () => {
+      agent = await signIn();
+      tokenManager.getTokens.mockReturnValue({ accessToken: 'mock_access_token' });
+    });
+
+    afterEach(() => {
+      tokenManager.getTokens.mockReturnValue(null);
+    });
+
+    test('should create, list, update and delete a rule', async () => {
+      const created = await agent
+        .post('/api/focus-rules')
+        .send({ durationMinutes: 90, preferredTime: 'morning', timeZone: 'Europe/Berlin' })
+        .expect(201);
+
+      const ruleId = created.body.rule.id;
+      expect(created.body.rule.days).toHaveLength(5);
+
+      const list = await agent
+        .get('/api/focus-rules')
+        .expect(200);
+      expect(list.body.count).toBe(1);
+
+      const updated = await agent
+        .put(`/api/focus-rules/${ruleId}`)
+        .send({ window: { start: '09:00', end: '12:00' } })
+        .expect(200);
+      expect(updated.body.rule.window).toEqual({ start: '09:00', end: '12:00' });
+
+      const someoneElse = await signIn();
+      await someoneElse
+        .get(`/api/focus-rules/${ruleId}`)
+        .expect(404);
+
+      await agent
+        .delete(`/api/focus-rules/${ruleId}`)
+        .expect(204);
+    });
+
+    test('should book blocks when a rule is synced', async () => {
+      googleCalendar.createCalendarEvent.mockClear();
+      const created = await agent
+        .post('/api/focus-rules')
+        .send({ days: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'], preferredTime: null, durationMinutes: 30 })
+        .expect(201);
+
+      const response = await agent
+        .post(`/api/focus-rules/${created.body.rule.id}/sync`)
+        .expect(200);
+
+      expect(response.body.days).toHaveLength(7);
+      expect(response.body.days.filter(day => day.status === 'booked').length).toBeGreaterThanOrEqual(6);
+      expect(googleCalendar.createCalendarEvent).toHaveBeenCalled();
+    });
+
+    test('should return 400 for unknown weekdays', async () => {
+      const response = await agent
+        .post('/api/focus-rules')
+        .send({ days: ['someday'] })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    test('should return 401 without a signed-in session', async () => {
+      await request(app)
+        .get('/api/focus-rules')
+        .expect(401);
+
+      const created = await agent
+        .post('/api/focus-rules')
+        .send({ durationMinutes: 60 })
+        .expect(201);
+
+      // A user id header is not a sign-in
+      await request(app)
+        .post('/api/focus-rules')
+        .set('x-user-id', 'focus-rules-user')
+        .send({ durationMinutes: 60 })
+        .expect(401);
+      await request(app)
+        .post(`/api/focus-rules/${created.body.rule.id}/sync`)
+        .set('x-user-id', 'focus-rules-user')
+        .expect(401);
+    });
+  });
+
+  describe('/api/tasks - Task Aggregation', () => {
+    let agent;
+    let taskServer;
+    const originalTodoistUrl = config.taskProviders.todoist.baseUrl;
+
+    beforeAll(done => {
+      taskServer = createFakeTaskProviderServer().listen(0, '127.0.0.1', () => {
+        config.taskProviders.todoist.baseUrl = `http://127.0.0.1:${taskServer.address().port}/todoist`;
+        done();
+      });
+    });
+
+    afterAll(done => {
+      config.taskProviders.todoist.baseUrl = originalTodoistUrl;
+      taskServer.close(done);
+    });
+
+    beforeEach(async () => {
+      tasksService.clearAllTaskConnections();
+      agent = request.agent(app);
+      await agent.get('/api/auth/google/callback?code=valid_code').expect(200);
+    });
+
+    test('should list provider status even when nothing is connected', async () => {
+      const response = await agent
+        .get('/api/tasks')
+        .expect(200);
+
+      expect(response.body.count).toBe(0);
+      expect(response.body.providers.map(provider => provider.name).sort()).toEqual(['asana', 'notion', 'todoist']);
+    });
+
+    test('should return 400 for an unknown provider', async () => {
+      const response = await agent
+        .get('/api/tasks?provider=todoist,jira')
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    test('should connect a provider for the signed-in user only', async () => {
+      const connected = await agent
+        .put('/api/tasks/providers/todoist')
+        .send({ apiToken: 'todoist-token' })
+        .expect(200);
+      expect(connected.body.provider).toMatchObject({ name: 'todoist', connected: true });
+      expect(JSON.stringify(connected.body)).not.toContain('todoist-token');
+
+      const tasks = await agent.get('/api/tasks?provider=todoist').expect(200);
+      expect(tasks.body.count).toBeGreaterThan(0);
+
+      const other = request.agent(app);
+      await other.get('/api/auth/google/callback?code=valid_code').expect(200);
+      const otherTasks = await other.get('/api/tasks?provider=todoist').expect(200);
+      expect(otherTasks.body.providers[0].status).toBe('disconnected');
+
+      await agent.delete('/api/tasks/providers/todoist').expect(204);
+      const providers = await agent.get('/api/tasks/providers').expect(200);
+      expect(providers.body.providers.every(provider => !provider.connected)).toBe(true);
+    });
+
+    test('should return 400 when a provider\'s account ID is missing', async () => {
+      const response = await agent
+        .put('/api/tasks/providers/asana')
+        .send({ apiToken: 'asana-token' })
+        .expect(400);
+
+      expect(response.body.error.details.map(detail => detail.field)).toEqual(['workspaceId']);
+    });
+
+    test('should reject a spoofed user id header', async () => {
+      await request(app)
+        .get('/api/tasks')
+        .set('x-user-id', 'tasks-user')
+        .expect(401);
+      await request(app)
+        .put('/api/tasks/providers/todoist')
+        .set('x-user-id', 'tasks-user')
+        .send({ apiToken: 'attacker-token' })
+        .expect(401);
+    });
+  });
+
+  describe('POST /api/tasks/:taskId - Task Write-back', () => {
+    let agent;
+
+    beforeEach(async () => {
+      agent = request.agent(app);
+      await agent.get('/api/auth/google/callback?code=valid_code').expect(200);
+    });
+
+    test('should return 404 for a task from an unknown provider', async () => {
+      const response = await agent
+        .post('/api/tasks/jira:42/complete')
+        .expect(404);
+
+      expect(response.body.error.code).toBe('NOT_FOUND');
+    });
+
+    test('should return 409 when the provider is not connected', async () => {
+      const response = await agent
+        .post('/api/tasks/todoist:101/time')
+        .send({ minutes: 25 })
+        .expect(409);
+
+      expect(response.body.error.code).toBe('PROVIDER_DISCONNECTED');
+    });
+
+    test('should return 400 for an invalid time entry', async () => {
+      const response = await agent
+        .post('/api/tasks/todoist:101/time')
+        .send({ minutes: 0, date: '10/06/2025' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
   describe('OAuth Authentication Endpoints', () => {
     test('GET /api/auth/google should redirect to Google OAuth', async () => {
       const response = await request(app)
@@ -16,6 +16,14 @@ const ritualRoutes = require('./routes/ritual.routes');
 const sessionRoutes = require('./routes/session.routes');
 const authRoutes = require('./routes/auth.routes');
 const calendarRoutes = require('./routes/calendar.routes');
+const analyticsRoutes = require('./routes/analytics.routes');
+const focusRulesRoutes = require('./routes/focus-rules.routes');
+const tasksRoutes = require('./routes/tasks.routes');
+const webhooksRoutes = require('./routes/webhooks.routes');
+const liveRoutes = require('./routes/live.routes');
+const { startFocusDefense } = require('./services/focus-rules.service');
+const { startChannelRenewal } = require('./services/calendar-watch.service');
+const { rotateEncryptionKey } = require('./utils/token-manager');
 
 /**
  * Validates environment variables before starting the server
@@ -81,7 +89,7 @@ function createApp() {
     }
     
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-User-Id, Last-Event-ID');
     res.setHeader('Access-Control-Allow-Credentials', 'true');
     
     // Handle preflight requests
@@ -136,6 +144,11 @@ function createApp() {
   app.use('/api/session', sessionRoutes);
   app.use('/api/auth', authRoutes);
   app.use('/api/calendar', calendarRoutes);
+  app.use('/api/analytics', analyticsRoutes);
+  app.use('/api/focus-rules', focusRulesRoutes);
+  app.use('/api/tasks', tasksRoutes);
+  app.use('/api/webhooks', webhooksRoutes);
+  app.use('/api/live', liveRoutes);
   
   // Root endpoint
   app.get('/', (req, res) => {
@@ -145,12 +158,49 @@ function createApp() {
       endpoints: {
         health: 'GET /api/health',
         scheduling: 'POST /api/schedule/suggest',
+        planning: 'POST /api/schedule/plan',
+        taskScheduling: 'POST /api/schedule/tasks',
         ritual: 'POST /api/ritual/generate',
-        session: 'POST /api/session/summary',
-        calendar: 'GET /api/calendar/events',
+        session: {
+          summary: 'POST /api/session/summary',
+          history: 'GET|POST /api/session',
+          active: 'GET|PUT /api/session/active',
+          calendar: 'GET /api/session/calendar.ics',
+          record: 'GET|PUT|DELETE /api/session/:id'
+        },
+        calendar: {
+          events: 'GET /api/calendar/events',
+          provider: 'GET|PUT /api/calendar/provider',
+          calendars: 'GET /api/calendar/calendars',
+          busyCalendars: 'PUT /api/calendar/calendars/busy',
+          suggest: 'POST /api/calendar/suggest',
+          teamFocus: 'POST /api/calendar/team-focus',
+          import: 'POST /api/calendar/import',
+          watch: 'GET|POST|DELETE /api/calendar/watch',
+          focusTime: 'POST /api/calendar/focus-time'
+        },
+        analytics: 'GET /api/analytics',
+        focusRules: {
+          rules: 'GET|POST /api/focus-rules',
+          rule: 'GET|PUT|DELETE /api/focus-rules/:id',
+          sync: 'POST /api/focus-rules/:id/sync'
+        },
+        tasks: {
+          list: 'GET /api/tasks',
+          complete: 'POST /api/tasks/:taskId/complete',
+          logTime: 'POST /api/tasks/:taskId/time'
+        },
+        webhooks: {
+          googleCalendar: 'POST /api/webhooks/google-calendar'
+        },
+        live: {
+          stream: 'GET /api/live/stream',
+          publish: 'POST /api/live/events'
+        },
         auth: {
           google: 'GET /api/auth/google',
           callback: 'GET /api/auth/google/callback',
+          caldav: 'POST /api/auth/caldav',
           status: 'GET /api/auth/status',
           logout: 'POST /api/auth/logout'
         }
@@ -183,6 +233,12 @@ function startServer() {
   // Validate environment variables first
   validateEnvironment();
   
+  // Re-encrypt stored tokens still using a previous encryption key
+  if (config.security.previousEncryptionKeys.length > 0) {
+    const { rotated, failed } = rotateEncryptionKey();
+    console.log(`✓ Token encryption key rotation: ${rotated} re-encrypted, ${failed.length} unreadable`);
+  }
+  
   // Create Express app
   const app = createApp();
   
@@ -198,31 +254,63 @@ function startServer() {
     console.log('='.repeat(60) + '\n');
     console.log('Available endpoints:');
     console.log(`  POST   /api/schedule/suggest  - Smart scheduling suggestions`);
+    console.log(`  POST   /api/schedule/plan     - Multi-day focus planning`);
+    console.log(`  POST   /api/schedule/tasks    - Match tasks to free focus slots`);
     console.log(`  POST   /api/ritual/generate   - Personalized ritual generation`);
     console.log(`  POST   /api/session/summary   - Session summary generation`);
+    console.log(`  GET    /api/session           - List session history`);
+    console.log(`  POST   /api/session           - Record a completed session`);
+    console.log(`  PUT    /api/session/active    - Start, pause or stop the session shared across devices`);
+    console.log(`  GET    /api/session/calendar.ics - Completed focus sessions as an ICS calendar`);
+    console.log(`  GET    /api/session/calendar-feed - Private ICS feed URL for calendar apps`);
     console.log(`  GET    /api/auth/google       - Initiate Google OAuth`);
+    console.log(`  POST   /api/auth/caldav       - Sign in with a CalDAV account`);
     console.log(`  GET    /api/auth/status       - Check auth status`);
     console.log(`  POST   /api/auth/logout       - Logout`);
-    console.log(`  GET    /api/calendar/events   - Fetch today's calendar events`);
+    console.log(`  GET    /api/calendar/events   - Fetch today's events from busy calendars`);
+    console.log(`  PUT    /api/calendar/provider - Use Google or a CalDAV server for calendars`);
+    console.log(`  GET    /api/calendar/calendars - List calendars and which count as busy`);
+    console.log(`  PUT    /api/calendar/calendars/busy - Choose the busy calendars`);
+    console.log(`  POST   /api/calendar/suggest  - Suggest focus time from the user's calendars`);
+    console.log(`  POST   /api/calendar/team-focus - Find shared focus windows for a team`);
+    console.log(`  POST   /api/calendar/import   - Import events from an ICS file or URL (no Google needed)`);
+    console.log(`  POST   /api/calendar/watch    - Live calendar updates via Google push notifications`);
+    console.log(`  POST   /api/calendar/focus-time - Book a suggested focus window`);
+    console.log(`  GET    /api/analytics         - Weekly/monthly focus analytics`);
+    console.log(`  GET    /api/focus-rules       - Protected focus-block rules`);
+    console.log(`  GET    /api/tasks             - Tasks from the user's Asana, Notion and Todoist`);
+    console.log(`  PUT    /api/tasks/providers/:provider - Connect an Asana, Notion or Todoist account`);
+    console.log(`  POST   /api/tasks/:taskId/complete - Mark a task done in its provider`);
+    console.log(`  POST   /api/tasks/:taskId/time - Log focus time against a task`);
+    console.log(`  POST   /api/webhooks/google-calendar - Google Calendar change notifications`);
+    console.log(`  GET    /api/live/stream       - Live session, status and calendar updates (SSE)`);
+    console.log(`  POST   /api/live/events       - Publish a session or status change to other clients`);
     console.log('\n' + '='.repeat(60) + '\n');
   });
   
+  // Keep protected focus blocks booked as calendars change
+  const focusDefenseTimer = startFocusDefense();
+  
+  // Replace calendar push-notification channels before Google expires them
+  const channelRenewalTimer = startChannelRenewal();
+  
   // Graceful shutdown handling
-  process.on('SIGTERM', () => {
-    console.log('\n📡 SIGTERM signal received: closing HTTP server');
+  // Live update streams never end on their own, so they are ended first; idle
+  // keep-alive connections are dropped too, while requests in progress finish.
+  const shutdown = signal => {
+    console.log(`\n📡 ${signal} signal received: closing HTTP server`);
+    clearInterval(focusDefenseTimer);
+    clearInterval(channelRenewalTimer);
+    liveRoutes.closeAllStreams();
     server.close(() => {
       console.log('✓ HTTP server closed');
       process.exit(0);
     });
-  });
+    server.closeIdleConnections();
+  };
   
-  process.on('SIGINT', () => {
-    console.log('\n📡 SIGINT signal received: closing HTTP server');
-    server.close(() => {
-      console.log('✓ HTTP server closed');
-      process.exit(0);
-    });
-  });
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
   
   return server;
 }
@@ -0,0 +1,490 @@
+/**
+ * CalDAV calendar provider
+ * Reads and writes events on any CalDAV server (iCloud, Fastmail, Nextcloud, Radicale,
+ * ...) with HTTP basic auth, for teams that don't use Google Calendar
+ *
+ * Calendar IDs are the calendars' paths on the server; 'primary' is the first calendar
+ * that holds events. Events the app creates are stored as '<uid>.ics' in the primary
+ * calendar, and the event ID is the UID.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../../utils/config');
+const {
+  parseICalendar,
+  buildICalendar,
+  isPrivateHost,
+  resolvePublicHost,
+  pinnedAgents
+} = require('../ics-calendar');
+const { formatToISO, parseISODate } = require('../../utils/date-utils');
+
+// Redirects followed per request
+const MAX_REDIRECTS = 3;
+
+// Calendars found on each account, so reads don't repeat the three-step discovery
+const discoveredCalendars = new Map();
+
+const PRINCIPAL_PROPFIND = `<?xml version="1.0" encoding="utf-8"?>
+<d:propfind xmlns:d="DAV:"><d:prop><d:current-user-principal/></d:prop></d:propfind>`;
+
+const HOME_SET_PROPFIND = `<?xml version="1.0" encoding="utf-8"?>
+<d:propfind xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+  <d:prop><c:calendar-home-set/></d:prop>
+</d:propfind>`;
+
+const CALENDARS_PROPFIND = `<?xml version="1.0" encoding="utf-8"?>
+<d:propfind xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav" xmlns:a="http://apple.com/ns/ical/">
+  <d:prop>
+    <d:resourcetype/>
+    <d:displayname/>
+    <d:current-user-privilege-set/>
+    <a:calendar-color/>
+    <c:calendar-timezone/>
+    <c:supported-calendar-component-set/>
+  </d:prop>
+</d:propfind>`;
+
+/**
+ * Creates an error carrying a code the calendar service and routes translate
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error with code
+ */
+function caldavError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Finds the contents of every element with a local name, whatever its namespace prefix
+ * @param {string} xml - XML text
+ * @param {string} tag - Local element name
+ * @returns {Array<string>} Raw inner XML of each element ('' for empty elements)
+ */
+function findElements(xml, tag) {
+  const pattern = new RegExp(`<(?:[\\w-]+:)?${tag}(?:\\s[^>]*)?(?:/>|>([\\s\\S]*?)</(?:[\\w-]+:)?${tag}>)`, 'g');
+  return [...xml.matchAll(pattern)].map(match => match[1] || '');
+}
+
+/**
+ * Gets the text of the first element with a local name
+ * @param {string} xml - XML text
+ * @param {string} tag - Local element name
+ * @returns {string|null} Decoded text, or null if there is no such element
+ */
+function findText(xml, tag) {
+  const [inner] = findElements(xml, tag);
+  if (inner === undefined) return null;
+
+  const cdata = /^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/.exec(inner);
+  if (cdata) return cdata[1];
+
+  return inner.trim()
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Parses a connection's server URL
+ * @param {string} serverUrl - CalDAV server URL
+ * @returns {URL} Parsed URL
+ * @throws {Error} CALENDAR_URL_NOT_ALLOWED for invalid or non-http(s) URLs, or private
+ *   host names and addresses unless allowed in config
+ */
+function checkServerUrl(serverUrl) {
+  let url;
+  try {
+    url = new URL(serverUrl);
+  } catch (error) {
+    throw caldavError('CalDAV server URL is not a valid URL', 'CALENDAR_URL_NOT_ALLOWED');
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw caldavError('CalDAV server URL must use http or https', 'CALENDAR_URL_NOT_ALLOWED');
+  }
+  if (!config.caldav.allowPrivateHosts && isPrivateHost(url.hostname)) {
+    throw caldavError('CalDAV server URL must point at a public host', 'CALENDAR_URL_NOT_ALLOWED');
+  }
+
+  return url;
+}
+
+/**
+ * Checks a URL about to be requested, resolving its host so a public-looking name
+ * can't lead to a private address
+ * @param {URL} url - Request URL
+ * @returns {Promise<Object>} Axios options that pin the request to the checked addresses
+ * @throws {Error} CALENDAR_URL_NOT_ALLOWED for non-http(s) URLs or private hosts unless
+ *   allowed in config, CALENDAR_REQUEST_FAILED if the host can't be resolved
+ */
+async function checkRequestUrl(url) {
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw caldavError('CalDAV server URL must use http or https', 'CALENDAR_URL_NOT_ALLOWED');
+  }
+  if (config.caldav.allowPrivateHosts) {
+    return {};
+  }
+
+  let addresses;
+  try {
+    addresses = await resolvePublicHost(url.hostname);
+  } catch (error) {
+    throw caldavError(`CalDAV server could not be reached: ${error.message}`, 'CALENDAR_REQUEST_FAILED');
+  }
+  if (!addresses) {
+    throw caldavError('CalDAV server URL must point at a public host', 'CALENDAR_URL_NOT_ALLOWED');
+  }
+  return pinnedAgents(addresses);
+}
+
+/**
+ * Sends a WebDAV request with the connection's credentials
+ * Redirects are followed by hand so every hop is checked; credentials are only sent
+ * on to the same host.
+ * @param {Object} connection - Calendar connection (serverUrl, username, password)
+ * @param {string} method - HTTP method (PROPFIND, REPORT, PUT, DELETE)
+ * @param {string} path - Absolute URL or path on the server
+ * @param {Object} [options] - Request options
+ * @param {string} [options.depth] - Depth header
+ * @param {string} [options.body] - Request body
+ * @param {Object} [options.headers] - Extra headers
+ * @returns {Promise<Object>} Axios response (data as text)
+ * @throws {Error} CALENDAR_AUTH_FAILED if the server rejects the credentials,
+ *   CALENDAR_URL_NOT_ALLOWED for private hosts, CALENDAR_REQUEST_FAILED for other failures
+ */
+async function davRequest(connection, method, path, options = {}) {
+  let url = new URL(path, checkServerUrl(connection.serverUrl));
+  let auth = { username: connection.username, password: connection.password };
+  const headers = { 'Content-Type': 'application/xml; charset=utf-8', ...options.headers };
+  if (options.depth !== undefined) {
+    headers.Depth = options.depth;
+  }
+
+  for (let redirects = 0; ; redirects++) {
+    const agents = await checkRequestUrl(url);
+
+    let response;
+    try {
+      response = await axios.request({
+        method,
+        url: url.toString(),
+        data: options.body,
+        headers,
+        auth,
+        timeout: config.caldav.timeoutMs,
+        maxContentLength: config.caldav.maxBytes,
+        maxRedirects: 0,
+        validateStatus: status => status >= 200 && status < 400,
+        responseType: 'text',
+        transformResponse: [data => data],
+        ...agents
+      });
+    } catch (error) {
+      const status = error.response && error.response.status;
+      if (status === 401 || status === 403) {
+        throw caldavError('CalDAV server rejected the username or password', 'CALENDAR_AUTH_FAILED');
+      }
+      const failure = caldavError(`CalDAV ${method} failed: ${status ? `HTTP ${status}` : error.message}`, 'CALENDAR_REQUEST_FAILED');
+      failure.status = status;
+      throw failure;
+    }
+
+    if (response.status < 300) {
+      return response;
+    }
+
+    const location = response.headers && response.headers.location;
+    let next = null;
+    try {
+      next = location && redirects < MAX_REDIRECTS ? new URL(location, url) : null;
+    } catch (error) {
+      // Reported below like a redirect with no location
+    }
+    if (!next) {
+      const failure = caldavError(`CalDAV ${method} failed: HTTP ${response.status}`, 'CALENDAR_REQUEST_FAILED');
+      failure.status = response.status;
+      throw failure;
+    }
+
+    if (next.host !== url.host) {
+      auth = undefined;
+    }
+    url = next;
+  }
+}
+
+/**
+ * Reads a single href-valued property (e.g. the user's principal) from a resource
+ * @param {Object} connection - Calendar connection
+ * @param {string} path - Resource to ask
+ * @param {string} body - PROPFIND body naming the property
+ * @param {string} property - Local name of the property
+ * @returns {Promise<string|null>} The href, or null if the server didn't report one
+ */
+async function findHref(connection, path, body, property) {
+  const response = await davRequest(connection, 'PROPFIND', path, { depth: '0', body });
+  const [value] = findElements(response.data, property);
+  return value ? findText(value, 'href') : null;
+}
+
+/**
+ * Discovers the event calendars of an account
+ * Follows the principal and calendar-home-set, as RFC 6764 clients do, then lists
+ * the calendars in the home collection.
+ * @param {Object} connection - Calendar connection
+ * @returns {Promise<Array<Object>>} Calendars, the primary one first
+ */
+async function discoverCalendars(connection) {
+  const key = `${connection.serverUrl}|${connection.username}`;
+  if (discoveredCalendars.has(key)) {
+    return discoveredCalendars.get(key);
+  }
+
+  const principal = await findHref(connection, connection.serverUrl, PRINCIPAL_PROPFIND, 'current-user-principal') ||
+    connection.serverUrl;
+  const home = await findHref(connection, principal, HOME_SET_PROPFIND, 'calendar-home-set') || principal;
+  const response = await davRequest(connection, 'PROPFIND', home, { depth: '1', body: CALENDARS_PROPFIND });
+
+  const calendars = findElements(response.data, 'response')
+    .filter(entry => {
+      const resourceType = findElements(entry, 'resourcetype')[0] || '';
+      const components = findElements(entry, 'supported-calendar-component-set')[0];
+      return /<(?:[\w-]+:)?calendar[\s/>]/.test(resourceType) &&
+        (!components || /name="VEVENT"/i.test(components));
+    })
+    .map((entry, index) => {
+      const id = findText(entry, 'href');
+      const color = findText(entry, 'calendar-color');
+      const timeZone = /TZID:([^\r\n]+)/.exec(findText(entry, 'calendar-timezone') || '');
+      const privileges = findElements(entry, 'current-user-privilege-set')[0];
+
+      return {
+        id,
+        name: findText(entry, 'displayname') || decodeURIComponent(id.split('/').filter(Boolean).pop() || id),
+        primary: index === 0,
+        accessRole: privileges && !/<(?:[\w-]+:)?write[\s/>]/.test(privileges) ? 'reader' : 'owner',
+        backgroundColor: color ? color.slice(0, 7) : null,
+        selected: true,
+        timeZone: timeZone ? timeZone[1].trim() : null
+      };
+    });
+
+  discoveredCalendars.set(key, calendars);
+  return calendars;
+}
+
+/**
+ * Gets the path of a calendar, resolving the 'primary' alias
+ * @param {Object} connection - Calendar connection
+ * @param {string} [calendarId] - Calendar ID (default: primary)
+ * @returns {Promise<string>} Calendar collection path (ending in '/')
+ * @throws {Error} CALENDAR_REQUEST_FAILED if the account has no event calendars
+ */
+async function resolveCalendarPath(connection, calendarId = 'primary') {
+  if (calendarId !== 'primary') {
+    return calendarId.endsWith('/') ? calendarId : `${calendarId}/`;
+  }
+
+  const [primary] = await discoverCalendars(connection);
+  if (!primary) {
+    throw caldavError('CalDAV account has no calendars for events', 'CALENDAR_REQUEST_FAILED');
+  }
+  return primary.id.endsWith('/') ? primary.id : `${primary.id}/`;
+}
+
+/**
+ * Formats an instant as a CalDAV time-range value
+ * @param {string} isoDate - Date (ISO 8601)
+ * @returns {string} UTC DATE-TIME ('20250310T090000Z')
+ */
+function toTimeRangeValue(isoDate) {
+  return formatToISO(parseISODate(isoDate)).replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Runs a calendar-query REPORT and returns the matching calendar objects
+ * @param {Object} connection - Calendar connection
+ * @param {string} calendarPath - Calendar collection path
+ * @param {string} filter - Inner XML of the VEVENT comp-filter
+ * @returns {Promise<Array<Object>>} Objects ({href, data})
+ */
+async function queryCalendar(connection, calendarPath, filter) {
+  const body = `<?xml version="1.0" encoding="utf-8"?>
+<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+  <d:prop><d:getetag/><c:calendar-data/></d:prop>
+  <c:filter><c:comp-filter name="VCALENDAR"><c:comp-filter name="VEVENT">${filter}</c:comp-filter></c:comp-filter></c:filter>
+</c:calendar-query>`;
+
+  const response = await davRequest(connection, 'REPORT', calendarPath, { depth: '1', body });
+
+  return findElements(response.data, 'response')
+    .map(entry => ({ href: findText(entry, 'href'), data: findText(entry, 'calendar-data') }))
+    .filter(object => object.data);
+}
+
+/**
+ * Lists the account's event calendars
+ * Also confirms the credentials work, so it is used to check a new connection.
+ * @param {Object} connection - Calendar connection (serverUrl, username, password)
+ * @returns {Promise<Array<Object>>} Calendars
+ */
+async function listCalendars(connection) {
+  discoveredCalendars.delete(`${connection.serverUrl}|${connection.username}`);
+  return discoverCalendars(connection);
+}
+
+/**
+ * Fetches a calendar's events within a date range
+ * Recurring events are expanded into their occurrences within the range.
+ * @param {Object} connection - Calendar connection
+ * @param {string} startDate - Start date (ISO 8601)
+ * @param {string} endDate - End date (ISO 8601)
+ * @param {string} [calendarId] - Calendar to read (default: primary)
+ * @returns {Promise<Array<Object>>} Events
+ */
+async function fetchEvents(connection, startDate, endDate, calendarId = 'primary') {
+  const calendarPath = await resolveCalendarPath(connection, calendarId);
+  const objects = await queryCalendar(connection, calendarPath,
+    `<c:time-range start="${toTimeRangeValue(startDate)}" end="${toTimeRangeValue(endDate)}"/>`);
+
+  return objects.flatMap(object => parseICalendar(object.data, {
+    rangeStart: startDate,
+    rangeEnd: endDate,
+    calendarId
+  }));
+}
+
+/**
+ * Creates an event on the primary calendar
+ * CalDAV has no focus-time events, so eventType is ignored and a plain event is booked.
+ * @param {Object} connection - Calendar connection
+ * @param {Object} eventData - Event data (title, startTime, endTime, description, location,
+ *   transparency, reminders)
+ * @returns {Promise<Object>} Created event
+ */
+async function createEvent(connection, eventData) {
+  const calendarPath = await resolveCalendarPath(connection);
+  const uid = `auraflow-${crypto.randomUUID()}`;
+  const reminders = eventData.reminders && !eventData.reminders.useDefault
+    ? (eventData.reminders.overrides || []).map(reminder => reminder.minutes)
+    : [];
+
+  const ics = buildICalendar([{
+    uid,
+    start: eventData.startTime,
+    end: eventData.endTime,
+    title: eventData.title,
+    description: eventData.description,
+    location: eventData.location,
+    transparency: eventData.transparency,
+    alarmMinutes: reminders
+  }], { method: null });
+
+  await davRequest(connection, 'PUT', `${calendarPath}${encodeURIComponent(uid)}.ics`, {
+    body: ics,
+    headers: { 'Content-Type': 'text/calendar; charset=utf-8', 'If-None-Match': '*' }
+  });
+
+  return {
+    id: uid,
+    startTime: formatToISO(parseISODate(eventData.startTime)),
+    endTime: formatToISO(parseISODate(eventData.endTime)),
+    title: eventData.title,
+    htmlLink: null,
+    colorId: null,
+    transparency: eventData.transparency || 'opaque',
+    eventType: 'default'
+  };
+}
+
+/**
+ * Deletes an event from the primary calendar
+ * Events stored under another name than '<uid>.ics' (made in other apps) are looked up
+ * by UID. An event that is already gone is treated as deleted.
+ * @param {Object} connection - Calendar connection
+ * @param {string} eventId - Event UID
+ * @returns {Promise<boolean>} True once the event no longer exists
+ */
+async function deleteEvent(connection, eventId) {
+  const calendarPath = await resolveCalendarPath(connection);
+
+  const remove = async path => {
+    try {
+      await davRequest(connection, 'DELETE', path);
+      return true;
+    } catch (error) {
+      if (error.status === 404 || error.status === 410) return false;
+      throw error;
+    }
+  };
+
+  if (await remove(`${calendarPath}${encodeURIComponent(eventId)}.ics`)) {
+    return true;
+  }
+
+  const escapedId = eventId.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+  const [object] = await queryCalendar(connection, calendarPath,
+    `<c:prop-filter name="UID"><c:text-match collation="i;octet">${escapedId}</c:text-match></c:prop-filter>`);
+  if (object) {
+    await remove(object.href);
+  }
+  return true;
+}
+
+/**
+ * Reads busy periods by fetching events
+ * Only opaque, timed events count as busy (all-day events show as free, as in Google
+ * Calendar). Calendars that cannot be read are left out.
+ * @param {Object} connection - Calendar connection
+ * @param {string} startDate - Start date (ISO 8601)
+ * @param {string} endDate - End date (ISO 8601)
+ * @param {Array<string>} calendarIds - Calendars to read
+ * @returns {Promise<Object>} Busy periods ({start, end}) keyed by calendar ID
+ */
+async function fetchFreeBusy(connection, startDate, endDate, calendarIds) {
+  const busy = {};
+
+  await Promise.all(calendarIds.map(async calendarId => {
+    try {
+      const events = await fetchEvents(connection, startDate, endDate, calendarId);
+      const periods = events
+        .filter(event => event.startTime.includes('T'))
+        .map(event => ({ start: event.startTime, end: event.endTime }))
+        .sort((a, b) => parseISODate(a.start) - parseISODate(b.start));
+
+      // Merge overlapping meetings into one busy period
+      busy[calendarId] = periods.reduce((merged, period) => {
+        const last = merged[merged.length - 1];
+        if (last && parseISODate(period.start) <= parseISODate(last.end)) {
+          if (parseISODate(period.end) > parseISODate(last.end)) last.end = period.end;
+        } else {
+          merged.push({ ...period });
+        }
+        return merged;
+      }, []);
+    } catch (error) {
+      console.warn(`Skipping CalDAV calendar ${calendarId} in free/busy:`, error.message);
+    }
+  }));
+
+  return busy;
+}
+
+module.exports = {
+  name: 'caldav',
+  // Read straight from the server: the calendar cache only speaks Google's incremental sync
+  cached: false,
+  listCalendars,
+  fetchEvents,
+  createEvent,
+  deleteEvent,
+  fetchFreeBusy
+};
@@ -0,0 +1,178 @@
+/**
+ * Unit tests for the CalDAV calendar provider
+ * The provider talks to the local fake CalDAV server over real HTTP.
+ */
+
+const dns = require('dns');
+const axios = require('axios');
+const config = require('../../utils/config');
+const caldav = require('./caldav');
+const { createFakeCalDAVServer, USERNAME, PASSWORD } = require('./fake-caldav-server');
+const { parseICalendar } = require('../ics-calendar');
+
+describe('CalDAV calendar provider', () => {
+  let server;
+  let fakeApp;
+  let connection;
+  const originalAllowPrivateHosts = config.caldav.allowPrivateHosts;
+
+  beforeAll(done => {
+    config.caldav.allowPrivateHosts = true;
+    fakeApp = createFakeCalDAVServer();
+    server = fakeApp.listen(0, '127.0.0.1', () => {
+      connection = {
+        userId: 'user-1',
+        provider: 'caldav',
+        serverUrl: `http://127.0.0.1:${server.address().port}/`,
+        username: USERNAME,
+        password: PASSWORD
+      };
+      done();
+    });
+  });
+
+  afterAll(done => {
+    config.caldav.allowPrivateHosts = originalAllowPrivateHosts;
+    server.close(done);
+  });
+
+  test('should discover the account\'s event calendars with the first as primary', async () => {
+    const calendars = await caldav.listCalendars(connection);
+
+    expect(calendars).toEqual([
+      {
+        id: '/calendars/alice/work/',
+        name: 'Work',
+        primary: true,
+        accessRole: 'owner',
+        backgroundColor: '#1F6FEB',
+        selected: true,
+        timeZone: null
+      },
+      expect.objectContaining({ id: '/calendars/alice/team/', primary: false, accessRole: 'reader' })
+    ]);
+  });
+
+  test('should expand recurring events within the range', async () => {
+    const events = await caldav.fetchEvents(connection, '2025-10-06T00:00:00Z', '2025-10-13T00:00:00Z');
+
+    expect(events.map(event => [event.id, event.startTime, event.title])).toEqual([
+      ['planning-1_20251006T080000Z', '2025-10-06T08:00:00.000Z', 'Sprint planning'],
+      ['planning-1_20251009T080000Z', '2025-10-09T08:00:00.000Z', 'Sprint planning']
+    ]);
+    expect(events[0]).toMatchObject({ location: 'Room 2', calendarId: 'primary' });
+  });
+
+  test('should read other calendars by their path', async () => {
+    const events = await caldav.fetchEvents(connection, '2025-10-06T00:00:00Z', '2025-10-13T00:00:00Z', '/calendars/alice/team/');
+
+    expect(events.map(event => event.id)).toEqual(['offsite-1']);
+  });
+
+  test('should create events on the primary calendar and delete them again', async () => {
+    const created = await caldav.createEvent(connection, {
+      title: 'Focus Time',
+      description: 'Deep work',
+      startTime: '2025-10-08T09:00:00Z',
+      endTime: '2025-10-08T11:00:00Z',
+      transparency: 'opaque',
+      reminders: { useDefault: false, overrides: [{ method: 'popup', minutes: 5 }] },
+      eventType: 'focusTime',
+      focusTimeProperties: { autoDeclineMode: 'declineOnlyNewConflictingInvitations', chatStatus: 'doNotDisturb' }
+    });
+
+    // CalDAV has no focus-time events, so a plain event is booked
+    expect(created).toMatchObject({
+      startTime: '2025-10-08T09:00:00.000Z',
+      endTime: '2025-10-08T11:00:00.000Z',
+      title: 'Focus Time',
+      transparency: 'opaque',
+      eventType: 'default'
+    });
+
+    const stored = fakeApp.fixtures['/calendars/alice/work/'].objects[`${created.id}.ics`];
+    expect(stored).not.toMatch(/METHOD:/);
+    expect(stored).toContain('TRIGGER:-PT5M');
+    expect(parseICalendar(stored, { rangeStart: '2025-10-08T00:00:00Z', rangeEnd: '2025-10-09T00:00:00Z' })[0])
+      .toMatchObject({ id: created.id, title: 'Focus Time', description: 'Deep work' });
+
+    await expect(caldav.deleteEvent(connection, created.id)).resolves.toBe(true);
+    expect(fakeApp.fixtures['/calendars/alice/work/'].objects[`${created.id}.ics`]).toBeUndefined();
+  });
+
+  test('should delete events stored under another name by their UID', async () => {
+    fakeApp.fixtures['/calendars/alice/work/'].objects['imported-123.ics'] = [
+      'BEGIN:VCALENDAR', 'VERSION:2.0', 'BEGIN:VEVENT', 'UID:legacy-focus',
+      'DTSTART:20251010T090000Z', 'DTEND:20251010T100000Z', 'SUMMARY:Focus', 'END:VEVENT', 'END:VCALENDAR'
+    ].join('\r\n');
+
+    await expect(caldav.deleteEvent(connection, 'legacy-focus')).resolves.toBe(true);
+    await expect(caldav.deleteEvent(connection, 'already-gone')).resolves.toBe(true);
+    expect(fakeApp.fixtures['/calendars/alice/work/'].objects['imported-123.ics']).toBeUndefined();
+  });
+
+  test('should derive busy periods from timed events', async () => {
+    const busy = await caldav.fetchFreeBusy(connection, '2025-10-06T00:00:00Z', '2025-10-08T00:00:00Z',
+      ['primary', '/calendars/alice/team/', '/calendars/alice/missing/']);
+
+    expect(busy).toEqual({
+      primary: [{ start: '2025-10-06T08:00:00.000Z', end: '2025-10-06T09:00:00.000Z' }],
+      '/calendars/alice/team/': [{ start: '2025-10-07T13:00:00.000Z', end: '2025-10-07T15:00:00.000Z' }]
+    });
+  });
+
+  test('should report rejected credentials', async () => {
+    await expect(caldav.listCalendars({ ...connection, password: 'wrong' }))
+      .rejects.toMatchObject({ code: 'CALENDAR_AUTH_FAILED' });
+  });
+
+  test('should refuse servers on private networks unless allowed', async () => {
+    config.caldav.allowPrivateHosts = false;
+    try {
+      await expect(caldav.listCalendars(connection)).rejects.toMatchObject({ code: 'CALENDAR_URL_NOT_ALLOWED' });
+    } finally {
+      config.caldav.allowPrivateHosts = true;
+    }
+  });
+
+  describe('with private hosts refused', () => {
+    beforeEach(() => {
+      config.caldav.allowPrivateHosts = false;
+      jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+      jest.spyOn(axios, 'request');
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      config.caldav.allowPrivateHosts = true;
+    });
+
+    test('should refuse names that resolve to a private address', async () => {
+      dns.promises.lookup.mockResolvedValue([{ address: '::ffff:7f00:1', family: 6 }]);
+
+      await expect(caldav.listCalendars({ ...connection, serverUrl: 'https://127.0.0.1.nip.io/' }))
+        .rejects.toMatchObject({ code: 'CALENDAR_URL_NOT_ALLOWED' });
+      expect(axios.request).not.toHaveBeenCalled();
+    });
+
+    test('should check redirects and keep credentials on the original host', async () => {
+      axios.request
+        .mockResolvedValueOnce({ status: 301, headers: { location: 'https://fcal.example.com/dav/home/' } })
+        .mockResolvedValueOnce({ status: 302, headers: { location: 'https://mirror.example.net/dav/' } })
+        .mockResolvedValueOnce({ status: 302, headers: { location: 'http://10.0.0.5/dav/' } });
+
+      await expect(caldav.listCalendars({ ...connection, serverUrl: 'https://fcal.example.com/dav/x/' }))
+        .rejects.toMatchObject({ code: 'CALENDAR_URL_NOT_ALLOWED' });
+
+      const requests = axios.request.mock.calls.map(([options]) => options);
+      expect(requests.map(options => options.url)).toEqual([
+        'https://fcal.example.com/dav/x/',
+        'https://fcal.example.com/dav/home/',
+        'https://mirror.example.net/dav/'
+      ]);
+      expect(requests[1].auth).toEqual({ username: USERNAME, password: PASSWORD });
+      expect(requests[2].auth).toBeUndefined();
+      expect(requests[0]).toMatchObject({ maxRedirects: 0, maxContentLength: config.caldav.maxBytes });
+    });
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Local fake CalDAV server
+ *
+ * Answers the PROPFIND, REPORT, PUT and DELETE requests the CalDAV provider sends,
+ * with responses shaped like a real server's (multistatus XML, basic auth), so the
+ * provider can be exercised without network access. One account, 'alice' /
+ * 'secret', has a work calendar (primary), a read-only team calendar and a task
+ * list; events written by the provider are kept in the fixtures for inspection.
+ * Set CALDAV_ALLOW_PRIVATE_HOSTS=true and connect to http://localhost:<port>/.
+ *
+ * Run standalone with: node src/integrations/calendar-providers/fake-caldav-server.js [port]
+ */
+
+const express = require('express');
+const { parseICalendar } = require('../ics-calendar');
+
+const USERNAME = 'alice';
+const PASSWORD = 'secret';
+
+/**
+ * Builds the calendars and events served by the fake server
+ * @returns {Object} Calendars keyed by collection path
+ */
+function createFixtures() {
+  return {
+    '/calendars/alice/work/': {
+      name: 'Work',
+      color: '#1F6FEBFF',
+      components: ['VEVENT'],
+      writable: true,
+      objects: {
+        'planning.ics': [
+          'BEGIN:VCALENDAR',
+          'VERSION:2.0',
+          'PRODID:-//Fake CalDAV//EN',
+          'BEGIN:VEVENT',
+          'UID:planning-1',
+          'DTSTART;TZID=Europe/Berlin:20251006T100000',
+          'DTEND;TZID=Europe/Berlin:20251006T110000',
+          'RRULE:FREQ=WEEKLY;BYDAY=MO,TH',
+          'SUMMARY:Sprint planning',
+          'LOCATION:Room 2',
+          'END:VEVENT',
+          'END:VCALENDAR'
+        ].join('\r\n')
+      }
+    },
+    '/calendars/alice/team/': {
+      name: 'Team',
+      color: '#D93F0BFF',
+      components: ['VEVENT'],
+      writable: false,
+      objects: {
+        'offsite.ics': [
+          'BEGIN:VCALENDAR',
+          'VERSION:2.0',
+          'PRODID:-//Fake CalDAV//EN',
+          'BEGIN:VEVENT',
+          'UID:offsite-1',
+          'DTSTART:20251007T130000Z',
+          'DTEND:20251007T150000Z',
+          'SUMMARY:Team offsite prep',
+          'END:VEVENT',
+          'END:VCALENDAR'
+        ].join('\r\n')
+      }
+    },
+    '/calendars/alice/tasks/': {
+      name: 'Tasks',
+      color: null,
+      components: ['VTODO'],
+      writable: true,
+      objects: {}
+    }
+  };
+}
+
+/**
+ * Escapes text for an XML element
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Wraps response elements in a multistatus document
+ * @param {Array<string>} responses - <d:response> elements
+ * @returns {string} XML document
+ */
+function multistatus(responses) {
+  return '<?xml version="1.0" encoding="utf-8"?>\n' +
+    '<d:multistatus xmlns:d="DAV:" xmlns:cal="urn:ietf:params:xml:ns:caldav" xmlns:ical="http://apple.com/ns/ical/">' +
+    responses.join('') +
+    '</d:multistatus>';
+}
+
+/**
+ * Builds one response element with found properties
+ * @param {string} href - Resource path
+ * @param {string} props - Property elements
+ * @returns {string} <d:response> element
+ */
+function propResponse(href, props) {
+  return `<d:response><d:href>${escapeXml(href)}</d:href>` +
+    `<d:propstat><d:prop>${props}</d:prop><d:status>HTTP/1.1 200 OK</d:status></d:propstat></d:response>`;
+}
+
+/**
+ * Rejects requests without the account's basic-auth credentials
+ */
+function requireBasicAuth(req, res, next) {
+  const expected = `Basic ${Buffer.from(`${USERNAME}:${PASSWORD}`).toString('base64')}`;
+  if (req.headers.authorization !== expected) {
+    res.set('WWW-Authenticate', 'Basic realm="Fake CalDAV"');
+    return res.status(401).send('Unauthorized');
+  }
+  next();
+}
+
+/**
+ * Creates the fake CalDAV server app
+ * @param {Object} [fixtures] - Calendars keyed by collection path (default: createFixtures())
+ * @returns {Object} Express app (fixtures exposed as app.fixtures)
+ */
+function createFakeCalDAVServer(fixtures = createFixtures()) {
+  const app = express();
+  app.use(express.text({ type: '*/*' }));
+  app.use(requireBasicAuth);
+
+  // Well-known entry point and principal discovery
+  app.propfind(['/', '/.well-known/caldav'], (req, res) => {
+    res.status(207).type('application/xml').send(multistatus([
+      propResponse(req.path, '<d:current-user-principal><d:href>/principals/alice/</d:href></d:current-user-principal>')
+    ]));
+  });
+
+  app.propfind('/principals/alice/', (req, res) => {
+    res.status(207).type('application/xml').send(multistatus([
+      propResponse(req.path, '<cal:calendar-home-set><d:href>/calendars/alice/</d:href></cal:calendar-home-set>')
+    ]));
+  });
+
+  // Calendar home: lists the calendars (Depth: 1)
+  app.propfind('/calendars/alice/', (req, res) => {
+    const calendars = Object.entries(fixtures).map(([path, calendar]) => propResponse(path,
+      '<d:resourcetype><d:collection/><cal:calendar/></d:resourcetype>' +
+      `<d:displayname>${escapeXml(calendar.name)}</d:displayname>` +
+      '<d:current-user-privilege-set><d:privilege><d:read/></d:privilege>' +
+      (calendar.writable ? '<d:privilege><d:write/></d:privilege>' : '') +
+      '</d:current-user-privilege-set>' +
+      (calendar.color ? `<ical:calendar-color>${calendar.color}</ical:calendar-color>` : '') +
+      '<cal:supported-calendar-component-set>' +
+      calendar.components.map(component => `<cal:comp name="${component}"/>`).join('') +
+      '</cal:supported-calendar-component-set>'));
+
+    res.status(207).type('application/xml').send(multistatus([
+      propResponse(req.path, '<d:resourcetype><d:collection/></d:resourcetype>'),
+      ...calendars
+    ]));
+  });
+
+  // calendar-query: time-range and UID filters
+  app.report('/calendars/alice/:calendar/', (req, res) => {
+    const calendar = fixtures[req.path];
+    if (!calendar) return res.status(404).send('Not Found');
+
+    const range = /time-range start="(\w+)" end="(\w+)"/.exec(req.body);
+    const uid = /<c:text-match[^>]*>([^<]+)<\/c:text-match>/.exec(req.body);
+    const toISO = value => value.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, '$1-$2-$3T$4:$5:$6Z');
+
+    const matches = Object.entries(calendar.objects).filter(([, ics]) => {
+      if (uid) return ics.includes(`UID:${uid[1]}`);
+      if (!range) return true;
+      return parseICalendar(ics, { rangeStart: toISO(range[1]), rangeEnd: toISO(range[2]) }).length > 0;
+    });
+
+    res.status(207).type('application/xml').send(multistatus(matches.map(([name, ics]) => propResponse(
+      `${req.path}${name}`,
+      `<d:getetag>"${name.length}-${ics.length}"</d:getetag><cal:calendar-data>${escapeXml(ics)}</cal:calendar-data>`
+    ))));
+  });
+
+  app.put('/calendars/alice/:calendar/:object', (req, res) => {
+    const calendar = fixtures[`/calendars/alice/${req.params.calendar}/`];
+    if (!calendar) return res.status(404).send('Not Found');
+    if (!calendar.writable) return res.status(403).send('Forbidden');
+    if (req.headers['if-none-match'] === '*' && calendar.objects[req.params.object]) {
+      return res.status(412).send('Precondition Failed');
+    }
+
+    calendar.objects[req.params.object] = req.body;
+    res.status(201).end();
+  });
+
+  app.delete('/calendars/alice/:calendar/:object', (req, res) => {
+    const calendar = fixtures[`/calendars/alice/${req.params.calendar}/`];
+    if (!calendar || !calendar.objects[req.params.object]) return res.status(404).send('Not Found');
+
+    delete calendar.objects[req.params.object];
+    res.status(204).end();
+  });
+
+  app.fixtures = fixtures;
+  return app;
+}
+
+if (require.main === module) {
+  const port = Number(process.argv[2]) || 4020;
+  createFakeCalDAVServer().listen(port, () => {
+    console.log(`Fake CalDAV server listening on http://localhost:${port} (user ${USERNAME}, password ${PASSWORD})`);
+  });
+}
+
+module.exports = {
+  USERNAME,
+  PASSWORD,
+  createFixtures,
+  createFakeCalDAVServer
+};
@@ -0,0 +1,70 @@
+/**
+ * Google Calendar provider
+ * Adapts google-calendar.js to the calendar provider interface (see index.js)
+ */
+
+const googleCalendar = require('../google-calendar');
+
+/**
+ * Lists the calendars on the user's Google calendar list
+ * @param {Object} connection - Calendar connection ({userId})
+ * @returns {Promise<Array<Object>>} Calendars
+ */
+function listCalendars(connection) {
+  return googleCalendar.fetchCalendarList(connection.userId);
+}
+
+/**
+ * Fetches a calendar's events within a date range
+ * @param {Object} connection - Calendar connection ({userId})
+ * @param {string} startDate - Start date (ISO 8601)
+ * @param {string} endDate - End date (ISO 8601)
+ * @param {string} [calendarId] - Calendar to read (default: primary)
+ * @returns {Promise<Array<Object>>} Events
+ */
+function fetchEvents(connection, startDate, endDate, calendarId) {
+  return googleCalendar.fetchCalendarEvents(connection.userId, startDate, endDate, calendarId);
+}
+
+/**
+ * Creates an event on the user's primary calendar
+ * @param {Object} connection - Calendar connection ({userId})
+ * @param {Object} eventData - Event data
+ * @returns {Promise<Object>} Created event
+ */
+function createEvent(connection, eventData) {
+  return googleCalendar.createCalendarEvent(connection.userId, eventData);
+}
+
+/**
+ * Deletes an event from the user's primary calendar
+ * @param {Object} connection - Calendar connection ({userId})
+ * @param {string} eventId - Event ID
+ * @returns {Promise<boolean>} True once the event no longer exists
+ */
+function deleteEvent(connection, eventId) {
+  return googleCalendar.deleteCalendarEvent(connection.userId, eventId);
+}
+
+/**
+ * Reads busy periods with Google's free/busy API
+ * @param {Object} connection - Calendar connection ({userId})
+ * @param {string} startDate - Start date (ISO 8601)
+ * @param {string} endDate - End date (ISO 8601)
+ * @param {Array<string>} calendarIds - Calendars or attendee email addresses
+ * @returns {Promise<Object>} Busy periods keyed by calendar ID
+ */
+function fetchFreeBusy(connection, startDate, endDate, calendarIds) {
+  return googleCalendar.fetchFreeBusy(connection.userId, startDate, endDate, calendarIds);
+}
+
+module.exports = {
+  name: 'google',
+  // Events are kept in the calendar cache with Google's incremental sync
+  cached: true,
+  listCalendars,
+  fetchEvents,
+  createEvent,
+  deleteEvent,
+  fetchFreeBusy
+};
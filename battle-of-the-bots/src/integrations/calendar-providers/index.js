@@ -0,0 +1,46 @@
+/**
+ * Calendar provider registry
+ *
+ * Every provider module exports the same interface. A connection is the user's
+ * provider record: {userId, provider} plus the provider's own credentials (for
+ * CalDAV: serverUrl, username, password).
+ *   name: string - Provider key ('google', 'caldav')
+ *   cached: boolean - Whether events are read through the calendar cache (which needs
+ *     the provider's incremental sync; Google only)
+ *   listCalendars(connection): Promise<Array<Object>> - Calendars
+ *     ({id, name, primary, accessRole, backgroundColor, selected, timeZone})
+ *   fetchEvents(connection, startDate, endDate, calendarId): Promise<Array<Object>> - Events
+ *     ({id, startTime, endTime, title, description, location, calendarId})
+ *   createEvent(connection, eventData): Promise<Object> - Creates an event on the primary
+ *     calendar ({id, startTime, endTime, title, htmlLink, colorId, transparency})
+ *   deleteEvent(connection, eventId): Promise<boolean> - Deletes an event from the primary calendar
+ *   fetchFreeBusy(connection, startDate, endDate, calendarIds): Promise<Object> - Busy
+ *     periods ({start, end}) keyed by calendar ID
+ *
+ * Calendar IDs are the provider's own, except that 'primary' always means the user's
+ * main calendar.
+ */
+
+// Registered providers, keyed by name
+const PROVIDERS = {
+  google: require('./google'),
+  caldav: require('./caldav')
+};
+
+// Provider used until a user connects another one
+const DEFAULT_PROVIDER = 'google';
+
+/**
+ * Gets a provider module by name
+ * @param {string} name - Provider key
+ * @returns {Object|null} Provider module
+ */
+function getProvider(name) {
+  return PROVIDERS[name] || null;
+}
+
+module.exports = {
+  PROVIDERS,
+  DEFAULT_PROVIDER,
+  getProvider
+};
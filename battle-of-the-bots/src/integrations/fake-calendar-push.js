@@ -0,0 +1,87 @@
+/**
+ * Local fake Google Calendar push-notification sender
+ *
+ * Sends watch-channel notifications shaped like Google's (an empty POST carrying
+ * X-Goog-* headers) so the webhook receiver can be exercised without a public URL.
+ *
+ * Run standalone with:
+ *   node src/integrations/fake-calendar-push.js <channelId> [state] [webhookUrl]
+ * The channel's token and resource ID are read from DATA_DIR/calendar-channels.json;
+ * state defaults to 'exists' and webhookUrl to the local server.
+ */
+
+const axios = require('axios');
+
+/**
+ * Builds the headers Google sends with a notification
+ * @param {Object} channel - Channel ({id, token, resourceId, expiration})
+ * @param {string} resourceState - 'sync', 'exists' or 'not_exists'
+ * @param {number} messageNumber - Message sequence number
+ * @returns {Object} Request headers
+ */
+function buildNotificationHeaders(channel, resourceState, messageNumber) {
+  const headers = {
+    'X-Goog-Channel-ID': channel.id,
+    'X-Goog-Resource-ID': channel.resourceId,
+    'X-Goog-Resource-State': resourceState,
+    'X-Goog-Resource-URI': `https://www.googleapis.com/calendar/v3/calendars/${encodeURIComponent(channel.calendarId || 'primary')}/events`,
+    'X-Goog-Message-Number': String(messageNumber)
+  };
+
+  if (channel.token) {
+    headers['X-Goog-Channel-Token'] = channel.token;
+  }
+  if (channel.expiration) {
+    headers['X-Goog-Channel-Expiration'] = new Date(channel.expiration).toUTCString();
+  }
+
+  return headers;
+}
+
+/**
+ * Creates a sender for one channel
+ * Message numbers increase with every notification, as Google's do.
+ * @param {string} webhookUrl - Receiver URL
+ * @param {Object} channel - Channel ({id, token, resourceId, calendarId, expiration})
+ * @returns {Object} Sender with sync() and change(state) methods, each resolving to {status, data}
+ */
+function createFakeCalendarPush(webhookUrl, channel) {
+  let messageNumber = 1;
+
+  async function send(resourceState) {
+    const response = await axios.post(webhookUrl, null, {
+      headers: buildNotificationHeaders(channel, resourceState, messageNumber++),
+      validateStatus: () => true
+    });
+    return { status: response.status, data: response.data };
+  }
+
+  return {
+    sync: () => send('sync'),
+    change: (resourceState = 'exists') => send(resourceState)
+  };
+}
+
+if (require.main === module) {
+  const { createRecordStore } = require('../utils/record-store');
+  const [channelId, state = 'exists', webhookUrl = 'http://localhost:3000/api/webhooks/google-calendar'] = process.argv.slice(2);
+  const channel = channelId && createRecordStore('calendar-channels').get(channelId);
+
+  if (!channel) {
+    console.error('Usage: node src/integrations/fake-calendar-push.js <channelId> [state] [webhookUrl]');
+    console.error('The channel must be open (see GET /api/calendar/watch).');
+    process.exit(1);
+  }
+
+  createFakeCalendarPush(webhookUrl, channel).change(state)
+    .then(({ status, data }) => console.log(`${status}`, JSON.stringify(data)))
+    .catch(error => {
+      console.error('Failed to send notification:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  buildNotificationHeaders,
+  createFakeCalendarPush
+};
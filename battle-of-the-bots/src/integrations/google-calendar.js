@@ -62,36 +62,111 @@ async function refreshAccessToken(refreshToken) {
   return credentials;
 }
 
+// Refreshes in flight, keyed by user, so concurrent requests share one refresh
+const pendingRefreshes = new Map();
+
+// Refresh slightly early so a token doesn't lapse mid-request
+const REFRESH_MARGIN_MS = 60 * 1000;
+
 /**
- * Fetches calendar events for a user within date range
+ * Checks whether Google rejected a refresh token (revoked, expired or invalid)
+ * as opposed to the refresh failing for a transient reason
+ * @param {Error} error - Error from refreshAccessToken
+ * @returns {boolean} True if the user must re-authenticate
+ */
+function isRefreshRejected(error) {
+  const status = error.response && error.response.status;
+  const reason = error.response && error.response.data && error.response.data.error;
+  return reason === 'invalid_grant' || status === 400 || status === 401 ||
+    (error.message || '').includes('invalid_grant');
+}
+
+/**
+ * Builds the error thrown when the user has to log in again
+ * @param {string} reason - Why the refresh was rejected
+ * @returns {Error} Error with code REFRESH_REJECTED
+ */
+function createRefreshRejectedError(reason) {
+  const error = new Error(`Failed to refresh access token (${reason}). Please re-authenticate.`);
+  error.code = 'REFRESH_REJECTED';
+  return error;
+}
+
+/**
+ * Exchanges a user's refresh token for a new access token and stores it
  * @param {string} userId - User identifier
- * @param {string} startDate - Start date (ISO 8601)
- * @param {string} endDate - End date (ISO 8601)
- * @returns {Promise<Array<Object>>} Array of calendar events
+ * @param {Object} tokens - Stored tokens
+ * @returns {Promise<Object>} Updated tokens
+ */
+async function refreshUserTokens(userId, tokens) {
+  if (!tokens.refreshToken) {
+    throw createRefreshRejectedError('no refresh token stored');
+  }
+  
+  let credentials;
+  try {
+    credentials = await refreshAccessToken(tokens.refreshToken);
+  } catch (error) {
+    if (isRefreshRejected(error)) {
+      throw createRefreshRejectedError(error.message);
+    }
+    throw error;
+  }
+  
+  // googleapis reports an absolute expiry_date; raw OAuth responses use expires_in
+  const expiresIn = credentials.expiry_date
+    ? Math.round((credentials.expiry_date - Date.now()) / 1000)
+    : (credentials.expires_in || 3600);
+  
+  if (credentials.refresh_token) {
+    // Google rotated the refresh token
+    await tokenManager.storeTokens(userId, {
+      ...credentials,
+      scope: credentials.scope || tokens.scope
+    }, expiresIn);
+  } else {
+    tokenManager.updateAccessToken(userId, credentials.access_token, expiresIn);
+  }
+  
+  return tokenManager.getTokens(userId);
+}
+
+/**
+ * Gets a user's tokens, refreshing the access token first if it has expired
+ * Concurrent calls for the same user wait on a single refresh.
+ * @param {string} userId - User identifier
+ * @returns {Promise<Object>} Valid tokens
+ * @throws {Error} If the user has no tokens, or (code REFRESH_REJECTED) Google rejected the refresh
  */
-async function fetchCalendarEvents(userId, startDate, endDate) {
-  // Get user tokens
-  let tokens = tokenManager.getTokens(userId);
+async function getFreshTokens(userId) {
+  const tokens = tokenManager.getTokens(userId);
   
   if (!tokens) {
     throw new Error('No tokens found for user. Please authenticate first.');
   }
   
-  // Check if token is expired and refresh if needed
-  if (tokenManager.isTokenExpired(userId)) {
-    try {
-      const newTokens = await refreshAccessToken(tokens.refreshToken);
-      tokenManager.updateAccessToken(
-        userId, 
-        newTokens.access_token, 
-        newTokens.expires_in || 3600
-      );
-      tokens = tokenManager.getTokens(userId);
-    } catch (error) {
-      throw new Error('Failed to refresh access token. Please re-authenticate.');
-    }
+  if (Date.now() < tokens.expiresAt - REFRESH_MARGIN_MS) {
+    return tokens;
+  }
+  
+  if (!pendingRefreshes.has(userId)) {
+    const refresh = refreshUserTokens(userId, tokens)
+      .finally(() => pendingRefreshes.delete(userId));
+    pendingRefreshes.set(userId, refresh);
   }
   
+  return pendingRefreshes.get(userId);
+}
+
+/**
+ * Creates an authorized Calendar API client for a user
+ * Refreshes the access token first if it has expired.
+ * @param {string} userId - User identifier
+ * @returns {Promise<Object>} Google Calendar API client
+ */
+async function createCalendarClient(userId) {
+  const tokens = await getFreshTokens(userId);
+  
   // Create OAuth client with tokens
   const oauth2Client = createOAuthClient();
   oauth2Client.setCredentials({
@@ -100,11 +175,71 @@ async function fetchCalendarEvents(userId, startDate, endDate) {
   });
   
   // Create calendar API client
-  const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+  return google.calendar({ version: 'v3', auth: oauth2Client });
+}
+
+/**
+ * Converts a Google Calendar event to the internal event format
+ * @param {Object} event - Event resource from the Calendar API
+ * @param {string} calendarId - Calendar the event was read from
+ * @returns {Object} Event ({id, startTime, endTime, title, description, location, calendarId})
+ */
+function normalizeEvent(event, calendarId) {
+  return {
+    id: event.id,
+    startTime: event.start.dateTime || event.start.date,
+    endTime: event.end.dateTime || event.end.date,
+    title: event.summary || 'Untitled Event',
+    description: event.description || '',
+    location: event.location || '',
+    calendarId
+  };
+}
+
+/**
+ * Lists the calendars on a user's calendar list
+ * @param {string} userId - User identifier
+ * @returns {Promise<Array<Object>>} Calendars (id, name, primary, accessRole, backgroundColor, selected, timeZone)
+ */
+async function fetchCalendarList(userId) {
+  const calendar = await createCalendarClient(userId);
+  
+  try {
+    const response = await calendar.calendarList.list({
+      minAccessRole: 'freeBusyReader'
+    });
+    
+    return (response.data.items || []).map(entry => ({
+      id: entry.id,
+      name: entry.summaryOverride || entry.summary || entry.id,
+      primary: Boolean(entry.primary),
+      accessRole: entry.accessRole,
+      backgroundColor: entry.backgroundColor || null,
+      selected: Boolean(entry.selected),
+      timeZone: entry.timeZone || null
+    }));
+  } catch (error) {
+    if (error.code === 401) {
+      throw new Error('Authentication failed. Please re-authenticate.');
+    }
+    throw new Error(`Failed to fetch calendar list: ${error.message}`);
+  }
+}
+
+/**
+ * Fetches calendar events for a user within date range
+ * @param {string} userId - User identifier
+ * @param {string} startDate - Start date (ISO 8601)
+ * @param {string} endDate - End date (ISO 8601)
+ * @param {string} [calendarId] - Calendar to read (default: the user's primary calendar)
+ * @returns {Promise<Array<Object>>} Array of calendar events
+ */
+async function fetchCalendarEvents(userId, startDate, endDate, calendarId = 'primary') {
+  const calendar = await createCalendarClient(userId);
   
   try {
     const response = await calendar.events.list({
-      calendarId: 'primary',
+      calendarId,
       timeMin: startDate,
       timeMax: endDate,
       singleEvents: true,
@@ -113,16 +248,7 @@ async function fetchCalendarEvents(userId, startDate, endDate) {
     });
     
     // Normalize event data to internal format
-    const events = response.data.items.map(event => ({
-      id: event.id,
-      startTime: event.start.dateTime || event.start.date,
-      endTime: event.end.dateTime || event.end.date,
-      title: event.summary || 'Untitled Event',
-      description: event.description || '',
-      location: event.location || ''
-    }));
-    
-    return events;
+    return response.data.items.map(event => normalizeEvent(event, calendarId));
   } catch (error) {
     if (error.code === 401) {
       throw new Error('Authentication failed. Please re-authenticate.');
@@ -132,43 +258,171 @@ async function fetchCalendarEvents(userId, startDate, endDate) {
 }
 
 /**
- * Creates a calendar event
+ * Reads the busy periods of several calendars with the free/busy API
+ * Works for calendars the user can only see as free/busy (no event details).
  * @param {string} userId - User identifier
- * @param {Object} eventData - Event data
- * @returns {Promise<Object>} Created event
+ * @param {string} startDate - Start date (ISO 8601)
+ * @param {string} endDate - End date (ISO 8601)
+ * @param {Array<string>} calendarIds - Calendars (or attendee email addresses) to read
+ * @returns {Promise<Object>} Busy periods ({start, end}) keyed by calendar ID; calendars
+ *   Google could not read are left out
  */
-async function createCalendarEvent(userId, eventData) {
-  // Get user tokens
-  let tokens = tokenManager.getTokens(userId);
+async function fetchFreeBusy(userId, startDate, endDate, calendarIds) {
+  const calendar = await createCalendarClient(userId);
   
-  if (!tokens) {
-    throw new Error('No tokens found for user. Please authenticate first.');
+  try {
+    const response = await calendar.freebusy.query({
+      resource: {
+        timeMin: startDate,
+        timeMax: endDate,
+        items: calendarIds.map(id => ({ id }))
+      }
+    });
+    
+    const busy = {};
+    for (const [calendarId, entry] of Object.entries(response.data.calendars || {})) {
+      if (entry.errors && entry.errors.length > 0) continue;
+      busy[calendarId] = (entry.busy || []).map(period => ({ start: period.start, end: period.end }));
+    }
+    return busy;
+  } catch (error) {
+    if (error.code === 401) {
+      throw new Error('Authentication failed. Please re-authenticate.');
+    }
+    throw new Error(`Failed to fetch free/busy: ${error.message}`);
   }
+}
+
+/**
+ * Lists changed events using Google's incremental sync
+ * Without a sync token this is a full sync of the time window; with one, only events
+ * changed since that token was issued are returned (whatever their time).
+ * @param {string} userId - User identifier
+ * @param {string} calendarId - Calendar to read
+ * @param {Object} options - Sync options
+ * @param {string} [options.syncToken] - Token from a previous sync
+ * @param {string} [options.timeMin] - Window start for a full sync (ISO 8601)
+ * @param {string} [options.timeMax] - Window end for a full sync (ISO 8601)
+ * @returns {Promise<Object>} { events: Array<Object>, deletedIds: Array<string>, nextSyncToken: string|null }
+ * @throws {Error} With code SYNC_TOKEN_EXPIRED when Google requires a new full sync
+ */
+async function listEventChanges(userId, calendarId, { syncToken, timeMin, timeMax } = {}) {
+  const calendar = await createCalendarClient(userId);
+  const result = { events: [], deletedIds: [], nextSyncToken: null };
+  let pageToken;
   
-  // Check if token is expired and refresh if needed
-  if (tokenManager.isTokenExpired(userId)) {
-    try {
-      const newTokens = await refreshAccessToken(tokens.refreshToken);
-      tokenManager.updateAccessToken(
-        userId, 
-        newTokens.access_token, 
-        newTokens.expires_in || 3600
-      );
-      tokens = tokenManager.getTokens(userId);
-    } catch (error) {
-      throw new Error('Failed to refresh access token. Please re-authenticate.');
+  try {
+    do {
+      const params = { calendarId, singleEvents: true, maxResults: 250, pageToken };
+      if (syncToken) {
+        params.syncToken = syncToken;
+      } else {
+        params.timeMin = timeMin;
+        params.timeMax = timeMax;
+      }
+      
+      const response = await calendar.events.list(params);
+      
+      for (const event of response.data.items || []) {
+        if (event.status === 'cancelled') {
+          result.deletedIds.push(event.id);
+        } else {
+          result.events.push(normalizeEvent(event, calendarId));
+        }
+      }
+      
+      pageToken = response.data.nextPageToken;
+      result.nextSyncToken = response.data.nextSyncToken || null;
+    } while (pageToken);
+    
+    return result;
+  } catch (error) {
+    if (error.code === 410) {
+      const expired = new Error('Sync token is no longer valid; a full sync is required');
+      expired.code = 'SYNC_TOKEN_EXPIRED';
+      throw expired;
+    }
+    if (error.code === 401) {
+      throw new Error('Authentication failed. Please re-authenticate.');
     }
+    throw new Error(`Failed to sync calendar events: ${error.message}`);
   }
+}
+
+/**
+ * Asks Google to send change notifications for a calendar's events to a webhook
+ * @param {string} userId - User identifier
+ * @param {string} calendarId - Calendar to watch
+ * @param {Object} channel - Channel settings
+ * @param {string} channel.id - Unique channel ID chosen by us
+ * @param {string} channel.token - Secret echoed back in every notification
+ * @param {string} channel.address - HTTPS webhook URL
+ * @param {number} [channel.ttlSeconds] - Requested channel lifetime
+ * @returns {Promise<Object>} { id, resourceId, expiration (ms since epoch) }
+ */
+async function watchEvents(userId, calendarId, { id, token, address, ttlSeconds }) {
+  const calendar = await createCalendarClient(userId);
   
-  // Create OAuth client with tokens
-  const oauth2Client = createOAuthClient();
-  oauth2Client.setCredentials({
-    access_token: tokens.accessToken,
-    refresh_token: tokens.refreshToken
-  });
+  try {
+    const response = await calendar.events.watch({
+      calendarId,
+      resource: {
+        id,
+        token,
+        address,
+        type: 'web_hook',
+        params: ttlSeconds ? { ttl: String(ttlSeconds) } : undefined
+      }
+    });
+    
+    return {
+      id: response.data.id,
+      resourceId: response.data.resourceId,
+      expiration: Number(response.data.expiration)
+    };
+  } catch (error) {
+    if (error.code === 401) {
+      throw new Error('Authentication failed. Please re-authenticate.');
+    }
+    throw new Error(`Failed to watch calendar: ${error.message}`);
+  }
+}
+
+/**
+ * Stops a notification channel
+ * A channel Google no longer knows about is treated as stopped.
+ * @param {string} userId - User identifier
+ * @param {Object} channel - Channel from watchEvents ({id, resourceId})
+ * @returns {Promise<boolean>} True once the channel is stopped
+ */
+async function stopChannel(userId, { id, resourceId }) {
+  const calendar = await createCalendarClient(userId);
   
-  // Create calendar API client
-  const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+  try {
+    await calendar.channels.stop({
+      resource: { id, resourceId }
+    });
+    
+    return true;
+  } catch (error) {
+    if (error.code === 404) {
+      return true;
+    }
+    if (error.code === 401) {
+      throw new Error('Authentication failed. Please re-authenticate.');
+    }
+    throw new Error(`Failed to stop calendar channel: ${error.message}`);
+  }
+}
+
+/**
+ * Creates a calendar event
+ * @param {string} userId - User identifier
+ * @param {Object} eventData - Event data
+ * @returns {Promise<Object>} Created event
+ */
+async function createCalendarEvent(userId, eventData) {
+  const calendar = await createCalendarClient(userId);
   
   try {
     const event = {
@@ -185,17 +439,52 @@ async function createCalendarEvent(userId, eventData) {
       location: eventData.location || ''
     };
     
-    const response = await calendar.events.insert({
-      calendarId: 'primary',
-      resource: event
-    });
+    // Optional presentation settings (used for focus-time blocks)
+    if (eventData.colorId) {
+      event.colorId = eventData.colorId;
+    }
+    if (eventData.transparency) {
+      event.transparency = eventData.transparency;
+    }
+    if (eventData.reminders) {
+      event.reminders = eventData.reminders;
+    }
+    if (eventData.extendedProperties) {
+      event.extendedProperties = eventData.extendedProperties;
+    }
+    if (eventData.eventType === 'focusTime') {
+      event.eventType = 'focusTime';
+      event.focusTimeProperties = eventData.focusTimeProperties;
+    }
+    
+    let response;
+    try {
+      response = await calendar.events.insert({
+        calendarId: 'primary',
+        resource: event
+      });
+    } catch (error) {
+      // Focus time needs a Workspace account; other accounts get a plain event
+      if (event.eventType !== 'focusTime' || error.code !== 400) {
+        throw error;
+      }
+      
+      const { eventType, focusTimeProperties, ...plainEvent } = event;
+      response = await calendar.events.insert({
+        calendarId: 'primary',
+        resource: plainEvent
+      });
+    }
     
     return {
       id: response.data.id,
       startTime: response.data.start.dateTime,
       endTime: response.data.end.dateTime,
       title: response.data.summary,
-      htmlLink: response.data.htmlLink
+      htmlLink: response.data.htmlLink,
+      colorId: response.data.colorId || null,
+      transparency: response.data.transparency || 'opaque',
+      eventType: response.data.eventType || 'default'
     };
   } catch (error) {
     if (error.code === 401) {
@@ -205,11 +494,46 @@ async function createCalendarEvent(userId, eventData) {
   }
 }
 
+/**
+ * Deletes a calendar event
+ * An event that is already gone is treated as deleted.
+ * @param {string} userId - User identifier
+ * @param {string} eventId - Google Calendar event ID
+ * @returns {Promise<boolean>} True once the event no longer exists
+ */
+async function deleteCalendarEvent(userId, eventId) {
+  const calendar = await createCalendarClient(userId);
+  
+  try {
+    await calendar.events.delete({
+      calendarId: 'primary',
+      eventId
+    });
+    
+    return true;
+  } catch (error) {
+    if (error.code === 404 || error.code === 410) {
+      return true;
+    }
+    if (error.code === 401) {
+      throw new Error('Authentication failed. Please re-authenticate.');
+    }
+    throw new Error(`Failed to delete calendar event: ${error.message}`);
+  }
+}
+
 module.exports = {
   createOAuthClient,
   getAuthorizationUrl,
   exchangeCodeForTokens,
   refreshAccessToken,
+  getFreshTokens,
+  fetchCalendarList,
   fetchCalendarEvents,
-  createCalendarEvent
+  fetchFreeBusy,
+  listEventChanges,
+  watchEvents,
+  stopChannel,
+  createCalendarEvent,
+  deleteCalendarEvent
 };
@@ -0,0 +1,165 @@
+/**
+ * Unit tests for Google token refresh and event booking in the Calendar integration
+ */
+
+jest.mock('googleapis', () => {
+  const refreshAccessToken = jest.fn();
+
+  return {
+    mockRefreshAccessToken: refreshAccessToken,
+    google: {
+      auth: {
+        OAuth2: jest.fn(() => ({
+          setCredentials: jest.fn(),
+          refreshAccessToken
+        }))
+      },
+      calendar: jest.fn()
+    }
+  };
+});
+
+const { google, mockRefreshAccessToken } = require('googleapis');
+const config = require('../utils/config');
+const tokenManager = require('../utils/token-manager');
+const { getFreshTokens, createCalendarEvent } = require('./google-calendar');
+
+describe('Google Calendar token refresh', () => {
+  const originalKey = config.security.encryptionKey;
+
+  beforeAll(() => {
+    config.security.encryptionKey = 'test-key';
+  });
+
+  afterAll(() => {
+    config.security.encryptionKey = originalKey;
+  });
+
+  beforeEach(async () => {
+    tokenManager.clearAllTokens();
+    mockRefreshAccessToken.mockReset();
+    // Stored token that expired a minute ago
+    await tokenManager.storeTokens('user-1', { access_token: 'stale', refresh_token: 'refresh-1' }, -60);
+  });
+
+  test('should return unexpired tokens without refreshing', async () => {
+    await tokenManager.storeTokens('user-2', { access_token: 'fresh', refresh_token: 'refresh-2' }, 3600);
+
+    const tokens = await getFreshTokens('user-2');
+
+    expect(tokens.accessToken).toBe('fresh');
+    expect(mockRefreshAccessToken).not.toHaveBeenCalled();
+  });
+
+  test('should refresh an expired access token and store it', async () => {
+    mockRefreshAccessToken.mockResolvedValue({
+      credentials: { access_token: 'renewed', expiry_date: Date.now() + 3600 * 1000 }
+    });
+
+    const tokens = await getFreshTokens('user-1');
+
+    expect(tokens.accessToken).toBe('renewed');
+    expect(tokens.refreshToken).toBe('refresh-1');
+    expect(tokenManager.isTokenExpired('user-1')).toBe(false);
+  });
+
+  test('should share one refresh between concurrent requests', async () => {
+    let resolveRefresh;
+    mockRefreshAccessToken.mockReturnValue(new Promise(resolve => { resolveRefresh = resolve; }));
+
+    const requests = [getFreshTokens('user-1'), getFreshTokens('user-1'), getFreshTokens('user-1')];
+    resolveRefresh({ credentials: { access_token: 'renewed', expires_in: 3600 } });
+    const results = await Promise.all(requests);
+
+    expect(mockRefreshAccessToken).toHaveBeenCalledTimes(1);
+    expect(results.map(tokens => tokens.accessToken)).toEqual(['renewed', 'renewed', 'renewed']);
+  });
+
+  test('should keep a rotated refresh token', async () => {
+    mockRefreshAccessToken.mockResolvedValue({
+      credentials: { access_token: 'renewed', refresh_token: 'refresh-2', expires_in: 3600 }
+    });
+
+    const tokens = await getFreshTokens('user-1');
+
+    expect(tokens.refreshToken).toBe('refresh-2');
+  });
+
+  test('should fail with REFRESH_REJECTED when Google rejects the refresh token', async () => {
+    mockRefreshAccessToken.mockRejectedValue(Object.assign(new Error('invalid_grant'), {
+      response: { status: 400, data: { error: 'invalid_grant' } }
+    }));
+
+    await expect(getFreshTokens('user-1')).rejects.toMatchObject({ code: 'REFRESH_REJECTED' });
+
+    // A later attempt refreshes again instead of reusing the failed one
+    mockRefreshAccessToken.mockResolvedValue({ credentials: { access_token: 'renewed', expires_in: 3600 } });
+    expect((await getFreshTokens('user-1')).accessToken).toBe('renewed');
+  });
+
+  test('should pass transient refresh failures through unchanged', async () => {
+    mockRefreshAccessToken.mockRejectedValue(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }));
+
+    await expect(getFreshTokens('user-1')).rejects.toMatchObject({ code: 'ECONNRESET' });
+  });
+
+  test('should reject users without stored tokens', async () => {
+    await expect(getFreshTokens('nobody')).rejects.toThrow('Please authenticate first');
+  });
+});
+
+describe('Google Calendar focus-time events', () => {
+  const originalKey = config.security.encryptionKey;
+  const focusEvent = {
+    title: 'Focus Time',
+    startTime: '2025-10-08T09:00:00Z',
+    endTime: '2025-10-08T11:00:00Z',
+    transparency: 'opaque',
+    extendedProperties: { private: { auraflow: 'focus-block' } },
+    eventType: 'focusTime',
+    focusTimeProperties: { autoDeclineMode: 'declineOnlyNewConflictingInvitations', chatStatus: 'doNotDisturb' }
+  };
+  let insert;
+
+  beforeAll(() => {
+    config.security.encryptionKey = 'test-key';
+  });
+
+  afterAll(() => {
+    config.security.encryptionKey = originalKey;
+  });
+
+  beforeEach(async () => {
+    tokenManager.clearAllTokens();
+    await tokenManager.storeTokens('user-1', { access_token: 'fresh', refresh_token: 'refresh-1' }, 3600);
+
+    // Echoes the inserted resource back like the Calendar API
+    insert = jest.fn(async ({ resource }) => ({ data: { id: 'event-1', ...resource } }));
+    google.calendar.mockReturnValue({ events: { insert } });
+  });
+
+  test('should book a focus-time event', async () => {
+    const created = await createCalendarEvent('user-1', focusEvent);
+
+    expect(insert).toHaveBeenCalledTimes(1);
+    expect(insert.mock.calls[0][0].resource).toMatchObject({
+      eventType: 'focusTime',
+      focusTimeProperties: focusEvent.focusTimeProperties,
+      transparency: 'opaque'
+    });
+    expect(created.eventType).toBe('focusTime');
+  });
+
+  test('should fall back to a plain event when Google refuses focus time', async () => {
+    insert.mockRejectedValueOnce(Object.assign(new Error('Focus time is not supported'), { code: 400 }));
+
+    const created = await createCalendarEvent('user-1', focusEvent);
+
+    expect(insert).toHaveBeenCalledTimes(2);
+    expect(insert.mock.calls[1][0].resource).not.toHaveProperty('eventType');
+    expect(insert.mock.calls[1][0].resource).not.toHaveProperty('focusTimeProperties');
+    // The marker survives, so clients still recognize the block
+    expect(insert.mock.calls[1][0].resource.extendedProperties).toEqual(focusEvent.extendedProperties);
+    expect(created.eventType).toBe('default');
+  });
+});
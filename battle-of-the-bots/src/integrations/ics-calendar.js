@@ -0,0 +1,772 @@
+/**
+ * iCalendar (ICS) integration
+ * Reads events from .ics files and subscription URLs (Outlook, Apple Calendar and
+ * anything else that publishes iCalendar) and writes focus sessions back out as ICS
+ *
+ * Imported events have the same shape as Google events from google-calendar.js, so
+ * they can be sent as calendarEvents to the scheduler unchanged.
+ */
+
+const dns = require('dns').promises;
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const config = require('../utils/config');
+const { zonedTimeToDate, isValidTimeZone } = require('../utils/date-utils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Recurrence expansion stops after this many periods per event
+const MAX_RECURRENCE_ITERATIONS = 1000;
+
+// Shortest length of one FREQ period in days, used to skip periods before the range
+const PERIOD_DAYS = { DAILY: 1, WEEKLY: 7, MONTHLY: 28, YEARLY: 365 };
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Outlook and Exchange write Windows zone names in TZID
+const WINDOWS_TIME_ZONES = {
+  'UTC': 'UTC',
+  'GMT Standard Time': 'Europe/London',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Romance Standard Time': 'Europe/Paris',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'Central European Standard Time': 'Europe/Warsaw',
+  'E. Europe Standard Time': 'Europe/Chisinau',
+  'FLE Standard Time': 'Europe/Kiev',
+  'Eastern Standard Time': 'America/New_York',
+  'Central Standard Time': 'America/Chicago',
+  'Mountain Standard Time': 'America/Denver',
+  'US Mountain Standard Time': 'America/Phoenix',
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'Alaskan Standard Time': 'America/Anchorage',
+  'Hawaiian Standard Time': 'Pacific/Honolulu',
+  'E. South America Standard Time': 'America/Sao_Paulo',
+  'India Standard Time': 'Asia/Kolkata',
+  'China Standard Time': 'Asia/Shanghai',
+  'Singapore Standard Time': 'Asia/Singapore',
+  'Tokyo Standard Time': 'Asia/Tokyo',
+  'AUS Eastern Standard Time': 'Australia/Sydney',
+  'New Zealand Standard Time': 'Pacific/Auckland'
+};
+
+/**
+ * Creates an error carrying a code the routes translate into a response
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error with code
+ */
+function icsError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Splits ICS text into unfolded content lines
+ * @param {string} text - ICS document
+ * @returns {Array<string>} Content lines
+ */
+function unfoldLines(text) {
+  return text
+    .replace(/\r?\n[ \t]/g, '')
+    .split(/\r?\n/)
+    .filter(line => line.length > 0);
+}
+
+/**
+ * Parses a content line such as 'DTSTART;TZID="W. Europe Standard Time":20250310T090000'
+ * @param {string} line - Unfolded content line
+ * @returns {Object|null} name, params and value, or null if malformed
+ */
+function parseContentLine(line) {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...paramParts] = line.slice(0, colon).match(/(?:[^;"]|"[^"]*")+/g) || [];
+  if (!name) return null;
+
+  const params = {};
+  for (const part of paramParts) {
+    const equals = part.indexOf('=');
+    if (equals === -1) continue;
+    params[part.slice(0, equals).toUpperCase()] = part.slice(equals + 1).replace(/^"|"$/g, '');
+  }
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * Reverses TEXT value escaping
+ * @param {string} value - Escaped text
+ * @returns {string} Plain text
+ */
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Escapes text for a TEXT value
+ * @param {string} value - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Maps a TZID to an IANA time zone
+ * @param {string} [tzid] - TZID parameter
+ * @returns {string|null} IANA time zone, or null if unknown
+ */
+function resolveTimeZone(tzid) {
+  if (!tzid) return null;
+  if (WINDOWS_TIME_ZONES[tzid]) return WINDOWS_TIME_ZONES[tzid];
+  if (isValidTimeZone(tzid)) return tzid;
+
+  // Some producers prefix the zone, e.g. '/mozilla.org/20070129_1/Europe/Berlin'
+  const trailing = tzid.split('/').slice(-2).join('/');
+  return isValidTimeZone(trailing) ? trailing : null;
+}
+
+/**
+ * Parses a DATE or DATE-TIME value
+ * @param {Object} property - Parsed property (params, value)
+ * @param {string} [defaultTimeZone] - Zone for floating times
+ * @returns {Object|null} allDay, wall-clock parts and the zone they are in, or null if malformed
+ */
+function parseDateValue(property, defaultTimeZone) {
+  const value = property.value.trim();
+  const dateMatch = /^(\d{4})(\d{2})(\d{2})$/.exec(value);
+  if (dateMatch) {
+    const [, year, month, day] = dateMatch.map(Number);
+    return { allDay: true, parts: { year, month, day, hour: 0, minute: 0, second: 0 }, timeZone: defaultTimeZone };
+  }
+
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/.exec(value);
+  if (!match) return null;
+
+  const [year, month, day, hour, minute, second] = match.slice(1, 7).map(Number);
+  const timeZone = match[7] === 'Z'
+    ? 'UTC'
+    : resolveTimeZone(property.params.TZID) || defaultTimeZone;
+
+  return { allDay: false, parts: { year, month, day, hour, minute, second }, timeZone };
+}
+
+/**
+ * Gets the instant of a wall-clock date in a zone
+ * @param {Object} parts - year, month, day, hour, minute, second
+ * @param {string} [timeZone] - IANA time zone (default: server-local)
+ * @returns {Date} Instant
+ */
+function toInstant(parts, timeZone) {
+  const date = zonedTimeToDate(parts.year, parts.month, parts.day, parts.hour, parts.minute, timeZone);
+  return new Date(date.getTime() + parts.second * 1000);
+}
+
+/**
+ * Formats calendar-date parts as 'YYYY-MM-DD'
+ * @param {Object} parts - year, month, day
+ * @returns {string} Date string
+ */
+function formatDateOnly(parts) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+}
+
+/**
+ * Formats an instant as an ICS UTC DATE-TIME ('20250310T090000Z')
+ * @param {Date} date - Instant
+ * @returns {string} DATE-TIME value
+ */
+function formatUTCDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Parses a DURATION value such as 'PT1H30M' or 'P1D'
+ * @param {string} value - Duration value
+ * @returns {number|null} Milliseconds, or null if malformed
+ */
+function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) return null;
+
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const ms = ((Number(weeks || 0) * 7 + Number(days || 0)) * 24 * 3600 +
+    Number(hours || 0) * 3600 + Number(minutes || 0) * 60 + Number(seconds || 0)) * 1000;
+  return sign === '-' ? -ms : ms;
+}
+
+/**
+ * Moves calendar-date parts by a number of days, keeping the time of day
+ * @param {Object} parts - Wall-clock parts
+ * @param {number} days - Days to add
+ * @returns {Object} Shifted parts
+ */
+function shiftDays(parts, days) {
+  const shifted = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + days));
+  return {
+    ...parts,
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    day: shifted.getUTCDate()
+  };
+}
+
+/**
+ * Gets the weekday of calendar-date parts
+ * @param {Object} parts - year, month, day
+ * @returns {number} Weekday (0 = Sunday)
+ */
+function weekdayOf(parts) {
+  return new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay();
+}
+
+/**
+ * Builds calendar-date parts for a day of a month, if that day exists
+ * @param {Object} parts - Wall-clock parts supplying the time of day
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12, may overflow into later years)
+ * @param {number} day - Day of month
+ * @returns {Object|null} Parts, or null if the month has no such day
+ */
+function dayOfMonth(parts, year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCDate() !== day) return null;
+  return { ...parts, year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day };
+}
+
+/**
+ * Parses an RRULE value into its rule parts
+ * @param {string} value - RRULE value such as 'FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10'
+ * @returns {Object} Rule parts keyed by name
+ */
+function parseRule(value) {
+  const rule = {};
+  for (const part of value.split(';')) {
+    const [key, ruleValue] = part.split('=');
+    if (key && ruleValue) rule[key.toUpperCase()] = ruleValue.toUpperCase();
+  }
+  return rule;
+}
+
+/**
+ * Lists the candidate start dates of a recurrence in order
+ * Supports FREQ DAILY, WEEKLY, MONTHLY and YEARLY with INTERVAL, BYDAY (daily and
+ * weekly) and BYMONTHDAY (monthly); COUNT and UNTIL are applied by the caller.
+ * @param {Object} rule - Parsed RRULE
+ * @param {Object} start - Wall-clock parts of DTSTART
+ * @param {number} [firstStep] - Periods to skip (only safe without COUNT)
+ * @returns {Function} Generator of wall-clock parts
+ */
+function* recurrenceDates(rule, start, firstStep = 0) {
+  const interval = Math.max(1, parseInt(rule.INTERVAL, 10) || 1);
+  const byDay = rule.BYDAY
+    ? rule.BYDAY.split(',').map(day => WEEKDAYS.indexOf(day.replace(/^[+-]?\d+/, ''))).filter(day => day >= 0)
+    : null;
+  const byMonthDay = rule.BYMONTHDAY
+    ? rule.BYMONTHDAY.split(',').map(Number).filter(day => day > 0).sort((a, b) => a - b)
+    : [start.day];
+
+  for (let step = firstStep; step < firstStep + MAX_RECURRENCE_ITERATIONS; step++) {
+    if (rule.FREQ === 'DAILY') {
+      const date = shiftDays(start, step * interval);
+      if (!byDay || byDay.includes(weekdayOf(date))) yield date;
+    } else if (rule.FREQ === 'WEEKLY') {
+      // Weeks start on Monday (the RFC 5545 default for WKST)
+      const weekStart = shiftDays(start, -((weekdayOf(start) + 6) % 7) + step * interval * 7);
+      const days = (byDay || [weekdayOf(start)]).map(day => (day + 6) % 7).sort((a, b) => a - b);
+      for (const offset of days) {
+        const date = shiftDays(weekStart, offset);
+        if (step > 0 || offset >= (weekdayOf(start) + 6) % 7) yield date;
+      }
+    } else if (rule.FREQ === 'MONTHLY') {
+      for (const day of byMonthDay) {
+        const date = dayOfMonth(start, start.year, start.month + step * interval, day);
+        if (date && (step > 0 || day >= start.day)) yield date;
+      }
+    } else if (rule.FREQ === 'YEARLY') {
+      const date = dayOfMonth(start, start.year + step * interval, start.month, start.day);
+      if (date) yield date;
+    } else {
+      return;
+    }
+  }
+}
+
+/**
+ * Groups the VEVENT components of an ICS document
+ * Components nested in an event (such as VALARM) are skipped.
+ * @param {string} text - ICS document
+ * @returns {Array<Object>} Events as property lists keyed by name
+ */
+function readEventComponents(text) {
+  const events = [];
+  const stack = [];
+  let current = null;
+
+  for (const line of unfoldLines(text)) {
+    const property = parseContentLine(line);
+    if (!property) continue;
+
+    if (property.name === 'BEGIN') {
+      stack.push(property.value.toUpperCase());
+      if (property.value.toUpperCase() === 'VEVENT') {
+        current = {};
+      }
+    } else if (property.name === 'END') {
+      if (stack.pop() === 'VEVENT' && current) {
+        events.push(current);
+        current = null;
+      }
+    } else if (current && stack[stack.length - 1] === 'VEVENT') {
+      (current[property.name] = current[property.name] || []).push(property);
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Gets the first value of a property
+ * @param {Object} component - Event properties keyed by name
+ * @param {string} name - Property name
+ * @returns {Object|undefined} Property
+ */
+function first(component, name) {
+  return component[name] && component[name][0];
+}
+
+/**
+ * Gets the key identifying one occurrence of a recurring event
+ * @param {Object} value - Parsed date value
+ * @returns {string} 'YYYY-MM-DD' for all-day occurrences, otherwise epoch milliseconds
+ */
+function occurrenceKey(value) {
+  return value.allDay ? formatDateOnly(value.parts) : String(toInstant(value.parts, value.timeZone).getTime());
+}
+
+/**
+ * Formats the start of an occurrence for its event ID
+ * @param {Object} value - Parsed date value
+ * @returns {string} 'YYYYMMDD' for all-day occurrences, otherwise a UTC DATE-TIME
+ */
+function formatOccurrenceStamp(value) {
+  return value.allDay
+    ? formatDateOnly(value.parts).replace(/-/g, '')
+    : formatUTCDateTime(toInstant(value.parts, value.timeZone));
+}
+
+/**
+ * Builds an event in the shared calendar event model
+ * @param {Object} component - Event properties keyed by name
+ * @param {string} id - Event ID
+ * @param {Object} start - Parsed start value
+ * @param {number} durationMs - Length of the event
+ * @param {string} calendarId - Calendar ID
+ * @returns {Object} Event {id, startTime, endTime, title, description, location, calendarId, start, end}
+ */
+function buildEvent(component, id, start, durationMs, calendarId) {
+  const text = name => (first(component, name) ? unescapeText(first(component, name).value) : '');
+  const startDate = toInstant(start.parts, start.timeZone);
+
+  let startTime;
+  let endTime;
+  if (start.allDay) {
+    const days = Math.max(1, Math.round(durationMs / DAY_MS));
+    startTime = formatDateOnly(start.parts);
+    endTime = formatDateOnly(shiftDays(start.parts, days));
+  } else {
+    startTime = startDate.toISOString();
+    endTime = new Date(startDate.getTime() + durationMs).toISOString();
+  }
+
+  return {
+    id,
+    startTime,
+    endTime,
+    title: text('SUMMARY') || 'Untitled Event',
+    description: text('DESCRIPTION'),
+    location: text('LOCATION'),
+    calendarId,
+    // Instants used to filter by range; removed before returning
+    start: startDate,
+    end: start.allDay
+      ? toInstant(shiftDays(start.parts, Math.max(1, Math.round(durationMs / DAY_MS))), start.timeZone)
+      : new Date(startDate.getTime() + durationMs)
+  };
+}
+
+/**
+ * Gets the length of an event from DTEND or DURATION
+ * @param {Object} component - Event properties keyed by name
+ * @param {Object} start - Parsed start value
+ * @param {string} [timeZone] - Zone for floating times
+ * @returns {number} Milliseconds
+ */
+function getEventDuration(component, start, timeZone) {
+  const dtend = first(component, 'DTEND') && parseDateValue(first(component, 'DTEND'), timeZone);
+  if (dtend) {
+    if (start.allDay) {
+      return Date.UTC(dtend.parts.year, dtend.parts.month - 1, dtend.parts.day) -
+        Date.UTC(start.parts.year, start.parts.month - 1, start.parts.day);
+    }
+    return Math.max(0, toInstant(dtend.parts, dtend.timeZone) - toInstant(start.parts, start.timeZone));
+  }
+
+  const duration = first(component, 'DURATION') && parseDuration(first(component, 'DURATION').value);
+  if (duration !== null && duration !== undefined) {
+    return Math.max(0, duration);
+  }
+
+  // RFC 5545: a DATE start without an end lasts one day, a DATE-TIME start is an instant
+  return start.allDay ? DAY_MS : 0;
+}
+
+/**
+ * Parses an ICS document into calendar events
+ * Recurring events are expanded into one event per occurrence, with IDs of the form
+ * '<UID>_<occurrence start>'. Cancelled events and events marked free
+ * (TRANSP:TRANSPARENT) are left out because they do not block focus time.
+ * @param {string} text - ICS document
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.timeZone] - IANA zone for floating times and all-day events (default: server-local)
+ * @param {string|Date} [options.rangeStart] - Keep events ending after this (default: now)
+ * @param {string|Date} [options.rangeEnd] - Keep events starting before this (default: config.ics.windowDays after rangeStart)
+ * @param {string} [options.calendarId] - Calendar ID stamped on every event (default: 'ics')
+ * @returns {Array<Object>} Events {id, startTime, endTime, title, description, location, calendarId}, by start time
+ * @throws {Error} ICS_INVALID if the text is not an iCalendar document
+ */
+function parseICalendar(text, options = {}) {
+  if (typeof text !== 'string' || !/BEGIN:VCALENDAR/i.test(text)) {
+    throw icsError('Not an iCalendar document (no BEGIN:VCALENDAR)', 'ICS_INVALID');
+  }
+
+  const { timeZone } = options;
+  const calendarId = options.calendarId || 'ics';
+  const rangeStart = options.rangeStart ? new Date(options.rangeStart) : new Date();
+  const rangeEnd = options.rangeEnd
+    ? new Date(options.rangeEnd)
+    : new Date(rangeStart.getTime() + config.ics.windowDays * DAY_MS);
+
+  const allComponents = readEventComponents(text);
+  const components = allComponents.filter(component => {
+    const status = first(component, 'STATUS');
+    const transp = first(component, 'TRANSP');
+    return first(component, 'DTSTART') &&
+      !(status && status.value.toUpperCase() === 'CANCELLED') &&
+      !(transp && transp.value.toUpperCase() === 'TRANSPARENT');
+  });
+
+  // Modified occurrences of recurring events, by UID and original start
+  const overrides = new Map();
+  for (const component of allComponents) {
+    const recurrenceId = first(component, 'RECURRENCE-ID');
+    const uid = first(component, 'UID');
+    if (!recurrenceId || !uid) continue;
+    const original = parseDateValue(recurrenceId, timeZone);
+    if (original) overrides.set(`${uid.value}|${occurrenceKey(original)}`, true);
+  }
+
+  const events = [];
+  components.forEach((component, index) => {
+    const start = parseDateValue(first(component, 'DTSTART'), timeZone);
+    if (!start) return;
+
+    const uid = first(component, 'UID') ? first(component, 'UID').value : `ics-event-${index}`;
+    const durationMs = getEventDuration(component, start, timeZone);
+    const rrule = first(component, 'RRULE');
+    const recurrenceId = first(component, 'RECURRENCE-ID');
+
+    if (recurrenceId) {
+      const original = parseDateValue(recurrenceId, timeZone) || start;
+      events.push(buildEvent(component, `${uid}_${formatOccurrenceStamp(original)}`, start, durationMs, calendarId));
+      return;
+    }
+
+    if (!rrule) {
+      events.push(buildEvent(component, uid, start, durationMs, calendarId));
+      return;
+    }
+
+    const rule = parseRule(rrule.value);
+    const count = rule.COUNT ? parseInt(rule.COUNT, 10) : Infinity;
+    const untilValue = rule.UNTIL && parseDateValue({ value: rule.UNTIL, params: {} }, start.timeZone);
+    const until = untilValue ? toInstant(untilValue.parts, untilValue.timeZone) : null;
+
+    const excluded = new Set();
+    for (const exdate of component.EXDATE || []) {
+      for (const value of exdate.value.split(',')) {
+        const parsed = parseDateValue({ value, params: exdate.params }, timeZone);
+        if (parsed) excluded.add(occurrenceKey(parsed));
+      }
+    }
+
+    // Long-running series (a daily stand-up since 2019) start expanding just before the range
+    const startInstant = toInstant(start.parts, start.timeZone);
+    const periodDays = (PERIOD_DAYS[rule.FREQ] || 1) * Math.max(1, parseInt(rule.INTERVAL, 10) || 1);
+    const firstStep = rule.COUNT
+      ? 0
+      : Math.max(0, Math.floor((rangeStart - startInstant - durationMs) / DAY_MS / periodDays) - 1);
+
+    let generated = 0;
+    for (const parts of recurrenceDates(rule, start.parts, firstStep)) {
+      const occurrence = { ...start, parts };
+      const occurrenceStart = toInstant(parts, start.timeZone);
+
+      if (generated >= count || (until && occurrenceStart > until) || occurrenceStart >= rangeEnd) break;
+      generated++;
+
+      const key = occurrenceKey(occurrence);
+      if (excluded.has(key) || overrides.has(`${uid}|${key}`)) continue;
+      if (occurrenceStart.getTime() + durationMs <= rangeStart.getTime()) continue;
+
+      events.push(buildEvent(component, `${uid}_${formatOccurrenceStamp(occurrence)}`, occurrence, durationMs, calendarId));
+    }
+  });
+
+  return events
+    .filter(event => event.end > rangeStart && event.start < rangeEnd)
+    .sort((a, b) => a.start - b.start)
+    .map(({ start, end, ...event }) => event);
+}
+
+// Addresses that are not on the public internet: loopback, private, link-local,
+// carrier-grade NAT, unspecified, multicast and reserved ranges (IPv4-mapped IPv6
+// addresses are checked against the IPv4 ranges)
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([prefix, bits]) => NON_PUBLIC_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[
+  // ::/96 covers :: and the deprecated IPv4-compatible form
+  ['::', 96], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => NON_PUBLIC_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+// Redirects followed per download; each hop is checked like the first URL
+const MAX_REDIRECTS = 3;
+
+/**
+ * Checks whether an IP address is outside the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if the address must not be contacted
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return NON_PUBLIC_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Checks whether a hostname is known to point at this machine or a private network
+ * without looking it up: local names and non-public IP literals. Other names are
+ * checked by resolvePublicHost.
+ * @param {string} hostname - URL hostname (IPv6 literals in brackets)
+ * @returns {boolean} True if the host must not be fetched
+ */
+function isPrivateHost(hostname) {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal')) return true;
+  return isPrivateAddress(host);
+}
+
+/**
+ * Resolves a hostname and checks every address it points at
+ * @param {string} hostname - URL hostname (IPv6 literals in brackets)
+ * @returns {Promise<Array<Object>|null>} Addresses ({address, family}), or null if the
+ *   host or any of its addresses is not public
+ */
+async function resolvePublicHost(hostname) {
+  if (isPrivateHost(hostname)) return null;
+
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host)
+    ? [{ address: host, family: net.isIP(host) }]
+    : await dns.lookup(host, { all: true, verbatim: true });
+
+  return addresses.length > 0 && addresses.every(({ address }) => !isPrivateAddress(address)) ? addresses : null;
+}
+
+/**
+ * Builds HTTP agents that connect only to already-checked addresses, so the host
+ * cannot resolve somewhere else between the check and the request
+ * @param {Array<Object>} addresses - Addresses from resolvePublicHost
+ * @returns {Object} {httpAgent, httpsAgent} for axios
+ */
+function pinnedAgents(addresses) {
+  const lookup = (hostname, options, callback) => {
+    if (options && options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  };
+  return {
+    httpAgent: new http.Agent({ lookup }),
+    httpsAgent: new https.Agent({ lookup })
+  };
+}
+
+/**
+ * Downloads an ICS document from a calendar subscription URL
+ * webcal:// links (as Apple Calendar and Outlook share them) are fetched over https.
+ * Every redirect is checked before it is followed.
+ * @param {string} url - http(s) or webcal URL
+ * @returns {Promise<string>} ICS document
+ * @throws {Error} ICS_URL_NOT_ALLOWED for other schemes or private hosts, ICS_FETCH_FAILED if the download fails
+ */
+async function fetchICalendar(url) {
+  let parsed;
+  try {
+    parsed = new URL(url.replace(/^webcals?:\/\//i, 'https://'));
+  } catch (error) {
+    throw icsError('Calendar URL is not a valid URL', 'ICS_URL_NOT_ALLOWED');
+  }
+
+  for (let redirects = 0; ; redirects++) {
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw icsError('Calendar URL must use http, https or webcal', 'ICS_URL_NOT_ALLOWED');
+    }
+
+    let addresses;
+    try {
+      addresses = await resolvePublicHost(parsed.hostname);
+    } catch (error) {
+      throw icsError(`Could not download calendar: ${error.message}`, 'ICS_FETCH_FAILED');
+    }
+    if (!addresses) {
+      throw icsError('Calendar URL must point at a public host', 'ICS_URL_NOT_ALLOWED');
+    }
+
+    let response;
+    try {
+      response = await axios.get(parsed.toString(), {
+        timeout: config.ics.timeoutMs,
+        maxContentLength: config.ics.maxBytes,
+        maxRedirects: 0,
+        validateStatus: status => status >= 200 && status < 400,
+        responseType: 'text',
+        transformResponse: [data => data],
+        headers: { Accept: 'text/calendar' },
+        ...pinnedAgents(addresses)
+      });
+    } catch (error) {
+      const reason = error.response ? `HTTP ${error.response.status}` : error.message;
+      throw icsError(`Could not download calendar: ${reason}`, 'ICS_FETCH_FAILED');
+    }
+
+    if (response.status < 300) {
+      return String(response.data);
+    }
+
+    const location = response.headers && response.headers.location;
+    if (!location || redirects >= MAX_REDIRECTS) {
+      throw icsError(`Could not download calendar: HTTP ${response.status}`, 'ICS_FETCH_FAILED');
+    }
+    try {
+      parsed = new URL(location, parsed);
+    } catch (error) {
+      throw icsError('Calendar URL redirected to an invalid URL', 'ICS_URL_NOT_ALLOWED');
+    }
+  }
+}
+
+/**
+ * Folds a content line to 75 octets as RFC 5545 requires
+ * @param {string} line - Content line
+ * @returns {string} Folded line (CRLF + space between parts)
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Builds an ICS document from timed items
+ * @param {Array<Object>} items - Items {uid, start, end, title, description, location,
+ *   transparency ('opaque' or 'transparent'), alarmMinutes (reminders before start), updatedAt}
+ * @param {Object} [options] - Calendar options
+ * @param {string} [options.name] - Calendar name shown by calendar apps
+ * @param {string|null} [options.method] - METHOD property (default 'PUBLISH'; null for
+ *   CalDAV resources, which must not have one)
+ * @returns {string} ICS document (CRLF line endings)
+ */
+function buildICalendar(items, options = {}) {
+  const now = formatUTCDateTime(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//AuraFlow//Focus Sessions//EN',
+    'CALSCALE:GREGORIAN'
+  ];
+  if (options.method !== null) {
+    lines.push(`METHOD:${options.method || 'PUBLISH'}`);
+  }
+  if (options.name) {
+    lines.push(`X-WR-CALNAME:${escapeText(options.name)}`);
+  }
+
+  for (const item of items) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${item.uid}`,
+      `DTSTAMP:${item.updatedAt ? formatUTCDateTime(new Date(item.updatedAt)) : now}`,
+      `DTSTART:${formatUTCDateTime(new Date(item.start))}`,
+      `DTEND:${formatUTCDateTime(new Date(item.end))}`,
+      `SUMMARY:${escapeText(item.title)}`
+    );
+    if (item.description) {
+      lines.push(`DESCRIPTION:${escapeText(item.description)}`);
+    }
+    if (item.location) {
+      lines.push(`LOCATION:${escapeText(item.location)}`);
+    }
+    lines.push(`TRANSP:${item.transparency === 'transparent' ? 'TRANSPARENT' : 'OPAQUE'}`);
+    for (const minutes of item.alarmMinutes || []) {
+      lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${escapeText(item.title)}`, `TRIGGER:-PT${minutes}M`, 'END:VALARM');
+    }
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  parseICalendar,
+  fetchICalendar,
+  buildICalendar,
+  isPrivateHost,
+  isPrivateAddress,
+  resolvePublicHost,
+  pinnedAgents
+};
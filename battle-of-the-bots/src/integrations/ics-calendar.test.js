@@ -0,0 +1,256 @@
+/**
+ * Unit tests for the ICS calendar integration
+ */
+
+jest.mock('axios', () => ({ get: jest.fn() }));
+
+const dns = require('dns');
+const axios = require('axios');
+const { parseICalendar, fetchICalendar, buildICalendar } = require('./ics-calendar');
+
+/**
+ * Wraps event lines in a calendar document with CRLF line endings
+ */
+function calendar(...events) {
+  return ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Test//EN', ...events.flat(), 'END:VCALENDAR'].join('\r\n');
+}
+
+const range = { rangeStart: '2025-03-01T00:00:00Z', rangeEnd: '2025-04-01T00:00:00Z' };
+
+describe('ICS calendar', () => {
+  describe('parseICalendar', () => {
+    test('should read timed, zoned and all-day events into the calendar event model', () => {
+      const events = parseICalendar(calendar(
+        [
+          'BEGIN:VEVENT',
+          'UID:utc@example.com',
+          'DTSTART:20250310T090000Z',
+          'DTEND:20250310T100000Z',
+          'SUMMARY:Planning\\, Q2',
+          'DESCRIPTION:Line one\\nLine two',
+          'LOCATION:Room 4',
+          'BEGIN:VALARM',
+          'TRIGGER:-PT15M',
+          'DESCRIPTION:Reminder',
+          'END:VALARM',
+          'END:VEVENT'
+        ],
+        [
+          'BEGIN:VEVENT',
+          'UID:outlook@example.com',
+          'DTSTART;TZID="W. Europe Standard Time":20250311T140000',
+          'DURATION:PT30M',
+          'SUMMARY:Design review',
+          'END:VEVENT'
+        ],
+        [
+          'BEGIN:VEVENT',
+          'UID:holiday@example.com',
+          'DTSTART;VALUE=DATE:20250312',
+          'DTEND;VALUE=DATE:20250314',
+          'SUMMARY:Offsite',
+          'END:VEVENT'
+        ]
+      ), range);
+
+      expect(events).toEqual([
+        {
+          id: 'utc@example.com',
+          startTime: '2025-03-10T09:00:00.000Z',
+          endTime: '2025-03-10T10:00:00.000Z',
+          title: 'Planning, Q2',
+          description: 'Line one\nLine two',
+          location: 'Room 4',
+          calendarId: 'ics'
+        },
+        expect.objectContaining({
+          id: 'outlook@example.com',
+          startTime: '2025-03-11T13:00:00.000Z',
+          endTime: '2025-03-11T13:30:00.000Z',
+          title: 'Design review'
+        }),
+        expect.objectContaining({
+          id: 'holiday@example.com',
+          startTime: '2025-03-12',
+          endTime: '2025-03-14'
+        })
+      ]);
+    });
+
+    test('should unfold long lines and read floating times in the given time zone', () => {
+      const [event] = parseICalendar(calendar([
+        'BEGIN:VEVENT',
+        'UID:floating',
+        'DTSTART:20250317T090000',
+        'DTEND:20250317T093000',
+        'SUMMARY:A very long meeting title that an exporter fol',
+        ' ded onto a second line',
+        'END:VEVENT'
+      ]), { ...range, timeZone: 'America/New_York' });
+
+      expect(event.title).toBe('A very long meeting title that an exporter folded onto a second line');
+      expect(event.startTime).toBe('2025-03-17T13:00:00.000Z');
+    });
+
+    test('should leave out cancelled and free events and events outside the range', () => {
+      const events = parseICalendar(calendar(
+        ['BEGIN:VEVENT', 'UID:cancelled', 'DTSTART:20250310T090000Z', 'DTEND:20250310T100000Z', 'STATUS:CANCELLED', 'END:VEVENT'],
+        ['BEGIN:VEVENT', 'UID:free', 'DTSTART:20250310T090000Z', 'DTEND:20250310T100000Z', 'TRANSP:TRANSPARENT', 'END:VEVENT'],
+        ['BEGIN:VEVENT', 'UID:old', 'DTSTART:20250210T090000Z', 'DTEND:20250210T100000Z', 'END:VEVENT'],
+        ['BEGIN:VEVENT', 'UID:busy', 'DTSTART:20250310T090000Z', 'DTEND:20250310T100000Z', 'END:VEVENT']
+      ), range);
+
+      expect(events.map(event => event.id)).toEqual(['busy']);
+    });
+
+    test('should expand weekly recurrences across DST with exceptions and moved occurrences', () => {
+      const events = parseICalendar(calendar(
+        [
+          'BEGIN:VEVENT',
+          'UID:standup',
+          'DTSTART;TZID=America/New_York:20250303T093000',
+          'DTEND;TZID=America/New_York:20250303T094500',
+          'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20250313T000000Z',
+          'EXDATE;TZID=America/New_York:20250305T093000',
+          'SUMMARY:Stand-up',
+          'END:VEVENT'
+        ],
+        [
+          'BEGIN:VEVENT',
+          'UID:standup',
+          'RECURRENCE-ID;TZID=America/New_York:20250310T093000',
+          'DTSTART;TZID=America/New_York:20250310T110000',
+          'DTEND;TZID=America/New_York:20250310T111500',
+          'SUMMARY:Stand-up (moved)',
+          'END:VEVENT'
+        ]
+      ), range);
+
+      expect(events.map(event => [event.id, event.startTime, event.title])).toEqual([
+        ['standup_20250303T143000Z', '2025-03-03T14:30:00.000Z', 'Stand-up'],
+        // Clocks went forward on March 9: same wall-clock time, one hour earlier in UTC
+        ['standup_20250310T133000Z', '2025-03-10T15:00:00.000Z', 'Stand-up (moved)'],
+        ['standup_20250312T133000Z', '2025-03-12T13:30:00.000Z', 'Stand-up']
+      ]);
+    });
+
+    test('should honour COUNT and INTERVAL and expand long-running series inside the range', () => {
+      const counted = parseICalendar(calendar([
+        'BEGIN:VEVENT', 'UID:review', 'DTSTART:20250303T150000Z', 'DTEND:20250303T160000Z',
+        'RRULE:FREQ=DAILY;INTERVAL=2;COUNT=3', 'END:VEVENT'
+      ]), range);
+      const longRunning = parseICalendar(calendar([
+        'BEGIN:VEVENT', 'UID:sync', 'DTSTART:20190104T150000Z', 'DTEND:20190104T153000Z',
+        'RRULE:FREQ=DAILY', 'END:VEVENT'
+      ]), { rangeStart: '2025-03-10T00:00:00Z', rangeEnd: '2025-03-12T00:00:00Z' });
+
+      expect(counted.map(event => event.startTime.slice(0, 10))).toEqual(['2025-03-03', '2025-03-05', '2025-03-07']);
+      expect(longRunning.map(event => event.id)).toEqual(['sync_20250310T150000Z', 'sync_20250311T150000Z']);
+    });
+
+    test('should reject text that is not a calendar', () => {
+      expect(() => parseICalendar('<html></html>')).toThrow(expect.objectContaining({ code: 'ICS_INVALID' }));
+    });
+  });
+
+  describe('fetchICalendar', () => {
+    beforeEach(() => {
+      axios.get.mockReset();
+      jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should download webcal subscriptions over https', async () => {
+      axios.get.mockResolvedValue({ status: 200, data: calendar() });
+
+      const text = await fetchICalendar('webcal://calendars.example.com/team.ics');
+
+      expect(text).toContain('BEGIN:VCALENDAR');
+      expect(axios.get.mock.calls[0][0]).toBe('https://calendars.example.com/team.ics');
+    });
+
+    test.each([
+      'file:///etc/passwd',
+      'http://localhost:3000/api/health',
+      'http://169.254.169.254/latest/meta-data',
+      'http://192.168.1.10/calendar.ics',
+      'http://[::ffff:127.0.0.1]/calendar.ics',
+      'http://[::]/calendar.ics',
+      'http://[fd12::1]/calendar.ics',
+      'http://100.64.0.1/calendar.ics'
+    ])('should refuse to fetch %s', async url => {
+      await expect(fetchICalendar(url)).rejects.toMatchObject({ code: 'ICS_URL_NOT_ALLOWED' });
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    test.each([
+      'https://fcbarcelona.com/a.ics',
+      'https://fdic.gov/x'
+    ])('should fetch public hosts whose names look like IPv6 prefixes (%s)', async url => {
+      axios.get.mockResolvedValue({ status: 200, data: calendar() });
+
+      await expect(fetchICalendar(url)).resolves.toContain('BEGIN:VCALENDAR');
+    });
+
+    test('should refuse names that resolve to a private address', async () => {
+      dns.promises.lookup.mockResolvedValue([
+        { address: '93.184.216.34', family: 4 },
+        { address: '127.0.0.1', family: 4 }
+      ]);
+
+      await expect(fetchICalendar('https://127.0.0.1.nip.io/calendar.ics'))
+        .rejects.toMatchObject({ code: 'ICS_URL_NOT_ALLOWED' });
+      expect(dns.promises.lookup).toHaveBeenCalledWith('127.0.0.1.nip.io', expect.objectContaining({ all: true }));
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    test('should check every redirect before following it', async () => {
+      axios.get
+        .mockResolvedValueOnce({ status: 301, headers: { location: '/v2/team.ics' } })
+        .mockResolvedValueOnce({ status: 302, headers: { location: 'http://169.254.169.254/latest/meta-data' } });
+
+      await expect(fetchICalendar('https://calendars.example.com/team.ics'))
+        .rejects.toMatchObject({ code: 'ICS_URL_NOT_ALLOWED' });
+      expect(axios.get.mock.calls.map(([url]) => url)).toEqual([
+        'https://calendars.example.com/team.ics',
+        'https://calendars.example.com/v2/team.ics'
+      ]);
+      expect(axios.get.mock.calls[0][1]).toMatchObject({ maxRedirects: 0 });
+    });
+
+    test('should report download failures', async () => {
+      axios.get.mockRejectedValue(Object.assign(new Error('Not Found'), { response: { status: 404 } }));
+
+      await expect(fetchICalendar('https://calendars.example.com/missing.ics'))
+        .rejects.toMatchObject({ code: 'ICS_FETCH_FAILED', message: expect.stringContaining('HTTP 404') });
+    });
+  });
+
+  describe('buildICalendar', () => {
+    test('should write events that parse back to the same times and text', () => {
+      const text = buildICalendar([{
+        uid: 'session_1@auraflow',
+        start: '2025-03-10T09:00:00.000Z',
+        end: '2025-03-10T09:50:00.000Z',
+        title: 'Focus: Write report; draft, review',
+        description: 'You stayed focused for 50 minutes. '.repeat(4).trim()
+      }], { name: 'AuraFlow Focus Sessions' });
+
+      expect(text).toMatch(/\r\n$/);
+      expect(text.split('\r\n').every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+      expect(text).toContain('X-WR-CALNAME:AuraFlow Focus Sessions');
+
+      const [event] = parseICalendar(text, range);
+      expect(event).toMatchObject({
+        id: 'session_1@auraflow',
+        startTime: '2025-03-10T09:00:00.000Z',
+        endTime: '2025-03-10T09:50:00.000Z',
+        title: 'Focus: Write report; draft, review',
+        description: 'You stayed focused for 50 minutes. '.repeat(4).trim()
+      });
+    });
+  });
+});
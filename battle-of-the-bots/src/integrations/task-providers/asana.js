@@ -0,0 +1,161 @@
+/**
+ * Asana task provider
+ * Reads the user's incomplete tasks in one workspace and records progress
+ * through the Asana REST API
+ */
+
+const { createTask, createHttpClient, normalizePriority, formatTimeEntry } = require('./task-model');
+
+// Fields requested for each task
+const TASK_FIELDS = [
+  'name',
+  'completed',
+  'due_on',
+  'due_at',
+  'permalink_url',
+  'projects.name',
+  'tags.name',
+  'custom_fields.name',
+  'custom_fields.number_value',
+  'custom_fields.enum_value.name'
+].join(',');
+
+// Safety limit on pagination
+const MAX_PAGES = 10;
+
+/**
+ * Checks whether Asana credentials are configured
+ * @param {Object} settings - Provider settings
+ * @returns {boolean} True if connected
+ */
+function isConnected(settings) {
+  return Boolean(settings.apiToken && settings.workspaceId);
+}
+
+/**
+ * Finds a custom field on an Asana task by name
+ * @param {Object} task - Asana task
+ * @param {RegExp} pattern - Field name pattern
+ * @returns {Object|null} Custom field
+ */
+function findCustomField(task, pattern) {
+  return (task.custom_fields || []).find(field => pattern.test(field.name || '')) || null;
+}
+
+/**
+ * Maps an Asana task onto the normalized task model
+ * Asana has no built-in priority or estimate, so the conventional
+ * "Priority" (enum) and "Estimated time" (number, minutes) custom fields are used.
+ * @param {Object} task - Task from GET /tasks
+ * @returns {Object} Normalized task
+ */
+function normalizeTask(task) {
+  const priorityField = findCustomField(task, /priority/i);
+  const estimateField = findCustomField(task, /estimat|effort/i);
+  const project = (task.projects || [])[0];
+
+  return createTask('asana', {
+    externalId: task.gid,
+    title: task.name,
+    dueDate: task.due_at || task.due_on,
+    priority: priorityField && priorityField.enum_value
+      ? normalizePriority(priorityField.enum_value.name)
+      : null,
+    project: project ? project.name : null,
+    labels: (task.tags || []).map(tag => (typeof tag === 'string' ? tag : tag.name)),
+    estimatedMinutes: estimateField ? estimateField.number_value : null,
+    completed: task.completed,
+    url: task.permalink_url
+  });
+}
+
+/**
+ * Creates an authenticated Asana API client
+ * @param {Object} settings - Provider settings (apiToken, baseUrl)
+ * @returns {Object} Axios instance
+ */
+function createClient(settings) {
+  return createHttpClient(settings.baseUrl, {
+    Authorization: `Bearer ${settings.apiToken}`
+  });
+}
+
+/**
+ * Fetches the user's incomplete Asana tasks
+ * @param {Object} settings - Provider settings (apiToken, workspaceId, baseUrl)
+ * @returns {Promise<Array<Object>>} Normalized tasks
+ */
+async function fetchTasks(settings) {
+  const client = createClient(settings);
+
+  const tasks = [];
+  let offset;
+
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const response = await client.get('/tasks', {
+      params: {
+        assignee: 'me',
+        workspace: settings.workspaceId,
+        completed_since: 'now',
+        opt_fields: TASK_FIELDS,
+        limit: 100,
+        offset
+      }
+    });
+
+    tasks.push(...response.data.data);
+
+    const nextPage = response.data.next_page;
+    if (!nextPage || !nextPage.offset) break;
+    offset = nextPage.offset;
+  }
+
+  return tasks.map(normalizeTask);
+}
+
+/**
+ * Marks an Asana task complete
+ * @param {Object} settings - Provider settings (apiToken, baseUrl)
+ * @param {string} externalId - Asana task gid
+ * @returns {Promise<void>}
+ */
+async function completeTask(settings, externalId) {
+  await createClient(settings).put(`/tasks/${encodeURIComponent(externalId)}`, {
+    data: { completed: true }
+  });
+}
+
+/**
+ * Logs focus time against an Asana task as a time tracking entry
+ * @param {Object} settings - Provider settings (apiToken, baseUrl)
+ * @param {string} externalId - Asana task gid
+ * @param {Object} entry - Time entry (minutes, note, date)
+ * @returns {Promise<void>}
+ */
+async function logTime(settings, externalId, entry) {
+  const client = createClient(settings);
+  const taskPath = `/tasks/${encodeURIComponent(externalId)}`;
+
+  await client.post(`${taskPath}/time_tracking_entries`, {
+    data: {
+      duration_minutes: entry.minutes,
+      entered_on: entry.date
+    }
+  });
+
+  // Time tracking entries have no description, so a note goes on the task as a comment
+  if (entry.note) {
+    await client.post(`${taskPath}/stories`, {
+      data: { text: formatTimeEntry(entry) }
+    });
+  }
+}
+
+module.exports = {
+  name: 'asana',
+  isConnected,
+  fetchTasks,
+  completeTask,
+  logTime,
+  normalizeTask
+};
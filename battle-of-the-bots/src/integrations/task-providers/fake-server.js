@@ -0,0 +1,327 @@
+/**
+ * Local fake task-provider server
+ *
+ * Serves sample tasks in the real Asana, Notion and Todoist API response shapes so
+ * the providers can be exercised without network access. Completions and logged
+ * time are applied to the fixtures so they can be inspected afterwards. Point the provider base
+ * URLs at it (e.g. TODOIST_API_URL=http://localhost:4010/todoist).
+ *
+ * Run standalone with: node src/integrations/task-providers/fake-server.js [port]
+ */
+
+const express = require('express');
+
+/**
+ * Builds the sample data served by the fake server
+ * @returns {Object} Provider collections
+ */
+function createFixtures() {
+  return {
+    todoist: {
+      projects: [
+        { id: '2301', name: 'Product Launch' },
+        { id: '2302', name: 'Marketing' },
+        { id: '2303', name: 'Team Operations' }
+      ],
+      tasks: [
+        {
+          id: '101',
+          content: 'Finalize presentation',
+          priority: 4,
+          due: { date: '2025-10-05', string: 'Oct 5', is_recurring: false },
+          project_id: '2301',
+          labels: ['work', 'urgent'],
+          duration: { amount: 90, unit: 'minute' },
+          is_completed: false,
+          url: 'https://todoist.com/showTask?id=101'
+        },
+        {
+          id: '102',
+          content: 'Code review',
+          priority: 3,
+          due: { date: '2025-10-04', datetime: '2025-10-04T14:00:00Z', string: 'Oct 4 2pm', is_recurring: false },
+          project_id: '2301',
+          labels: ['work', 'development'],
+          duration: null,
+          is_completed: false,
+          url: 'https://todoist.com/showTask?id=102'
+        },
+        {
+          id: '103',
+          content: 'Write blog post',
+          priority: 2,
+          due: { date: '2025-10-12', string: 'Oct 12', is_recurring: false },
+          project_id: '2302',
+          labels: ['content', 'marketing'],
+          duration: { amount: 1, unit: 'day' },
+          is_completed: false,
+          url: 'https://todoist.com/showTask?id=103'
+        },
+        {
+          id: '104',
+          content: 'Schedule team meeting',
+          priority: 1,
+          due: null,
+          project_id: '2303',
+          labels: ['admin'],
+          duration: null,
+          is_completed: false,
+          url: 'https://todoist.com/showTask?id=104'
+        }
+      ],
+      comments: []
+    },
+    asana: {
+      tasks: [
+        {
+          gid: 'a1',
+          name: 'Design mockups',
+          completed: false,
+          due_on: '2025-10-07',
+          due_at: null,
+          permalink_url: 'https://app.asana.com/0/p1/a1',
+          projects: [{ gid: 'p1', name: 'Product Launch' }],
+          tags: [{ gid: 't1', name: 'design' }, { gid: 't2', name: 'ui' }],
+          custom_fields: [
+            { gid: 'cf1', name: 'Priority', enum_value: { gid: 'e1', name: 'High' }, number_value: null },
+            { gid: 'cf2', name: 'Estimated time', enum_value: null, number_value: 120 }
+          ]
+        },
+        {
+          gid: 'a2',
+          name: 'Team sync prep',
+          completed: false,
+          due_on: '2025-10-03',
+          due_at: '2025-10-03T09:00:00.000Z',
+          permalink_url: 'https://app.asana.com/0/p2/a2',
+          projects: [{ gid: 'p2', name: 'Team Operations' }],
+          tags: [{ gid: 't3', name: 'meeting' }],
+          custom_fields: [
+            { gid: 'cf1', name: 'Priority', enum_value: { gid: 'e3', name: 'Low' }, number_value: null }
+          ]
+        },
+        {
+          gid: 'a3',
+          name: 'API integration testing',
+          completed: false,
+          due_on: '2025-10-09',
+          due_at: null,
+          permalink_url: 'https://app.asana.com/0/p1/a3',
+          projects: [{ gid: 'p1', name: 'Product Launch' }],
+          tags: [{ gid: 't4', name: 'development' }, { gid: 't5', name: 'testing' }],
+          custom_fields: []
+        }
+      ],
+      timeTrackingEntries: [],
+      stories: []
+    },
+    notion: {
+      pages: [
+        {
+          id: 'notion-1',
+          url: 'https://www.notion.so/notion-1',
+          properties: {
+            Name: { type: 'title', title: [{ plain_text: 'Review Q4 roadmap' }] },
+            Status: { type: 'status', status: { name: 'In progress' } },
+            Priority: { type: 'select', select: { name: 'High' } },
+            Due: { type: 'date', date: { start: '2025-10-15', end: null } },
+            Project: { type: 'select', select: { name: 'Product Planning' } },
+            Tags: { type: 'multi_select', multi_select: [{ name: 'planning' }] },
+            'Estimate (minutes)': { type: 'number', number: 60 },
+            'Time spent': { type: 'number', number: 15 }
+          }
+        },
+        {
+          id: 'notion-2',
+          url: 'https://www.notion.so/notion-2',
+          properties: {
+            Name: { type: 'title', title: [{ plain_text: 'Update ' }, { plain_text: 'documentation' }] },
+            Status: { type: 'status', status: { name: 'Not started' } },
+            Priority: { type: 'select', select: { name: 'Medium' } },
+            Due: { type: 'date', date: { start: '2025-10-10', end: null } },
+            Project: { type: 'select', select: { name: 'Engineering' } },
+            Tags: { type: 'multi_select', multi_select: [] },
+            'Estimate (minutes)': { type: 'number', number: null }
+          }
+        },
+        {
+          id: 'notion-3',
+          url: 'https://www.notion.so/notion-3',
+          properties: {
+            Name: { type: 'title', title: [{ plain_text: 'Team retrospective notes' }] },
+            Status: { type: 'status', status: { name: 'Done' } },
+            Priority: { type: 'select', select: { name: 'Low' } },
+            Due: { type: 'date', date: { start: '2025-10-02', end: null } },
+            Project: { type: 'select', select: { name: 'Team Operations' } },
+            Tags: { type: 'multi_select', multi_select: [{ name: 'team' }] },
+            'Estimate (minutes)': { type: 'number', number: 30 }
+          }
+        }
+      ],
+      comments: []
+    }
+  };
+}
+
+/**
+ * Rejects requests without a bearer token, like the real APIs do
+ */
+function requireBearerToken(req, res, next) {
+  if (!/^Bearer .+/.test(req.headers.authorization || '')) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
+
+/**
+ * Creates the fake provider server
+ * @param {Object} [fixtures] - Sample data (default: createFixtures())
+ * @returns {Object} Express app with a `fixtures` property for inspection
+ */
+function createFakeTaskProviderServer(fixtures = createFixtures()) {
+  const app = express();
+  app.use(express.json());
+  app.use(requireBearerToken);
+
+  // Todoist REST API v2
+  app.get('/todoist/tasks', (req, res) => {
+    res.json(fixtures.todoist.tasks.filter(task => !task.is_completed));
+  });
+
+  app.get('/todoist/projects', (req, res) => {
+    res.json(fixtures.todoist.projects);
+  });
+
+  app.post('/todoist/tasks/:id/close', (req, res) => {
+    const task = fixtures.todoist.tasks.find(item => item.id === req.params.id);
+    if (!task) return res.status(404).send('Task not found');
+
+    task.is_completed = true;
+    res.status(204).end();
+  });
+
+  app.post('/todoist/comments', (req, res) => {
+    if (!fixtures.todoist.tasks.some(item => item.id === req.body.task_id)) {
+      return res.status(404).send('Task not found');
+    }
+
+    const comment = {
+      id: String(fixtures.todoist.comments.length + 1),
+      task_id: req.body.task_id,
+      content: req.body.content,
+      posted_at: new Date().toISOString()
+    };
+    fixtures.todoist.comments.push(comment);
+    res.json(comment);
+  });
+
+  // Asana REST API (GET /tasks with completed_since=now returns incomplete tasks)
+  app.get('/asana/tasks', (req, res) => {
+    if (!req.query.workspace || req.query.assignee !== 'me') {
+      return res.status(400).json({ errors: [{ message: 'workspace and assignee are required' }] });
+    }
+
+    const tasks = req.query.completed_since === 'now'
+      ? fixtures.asana.tasks.filter(task => !task.completed)
+      : fixtures.asana.tasks;
+
+    res.json({ data: tasks, next_page: null });
+  });
+
+  /**
+   * Looks up an Asana task from the :gid route param, answering 404 if missing
+   */
+  function findAsanaTask(req, res) {
+    const task = fixtures.asana.tasks.find(item => item.gid === req.params.gid);
+    if (!task) res.status(404).json({ errors: [{ message: 'task: Unknown object' }] });
+    return task;
+  }
+
+  app.put('/asana/tasks/:gid', (req, res) => {
+    const task = findAsanaTask(req, res);
+    if (!task) return;
+
+    Object.assign(task, (req.body && req.body.data) || {});
+    res.json({ data: task });
+  });
+
+  app.post('/asana/tasks/:gid/time_tracking_entries', (req, res) => {
+    const task = findAsanaTask(req, res);
+    if (!task) return;
+
+    const entry = { gid: `tte${fixtures.asana.timeTrackingEntries.length + 1}`, task: task.gid, ...req.body.data };
+    fixtures.asana.timeTrackingEntries.push(entry);
+    res.status(201).json({ data: entry });
+  });
+
+  app.post('/asana/tasks/:gid/stories', (req, res) => {
+    const task = findAsanaTask(req, res);
+    if (!task) return;
+
+    const story = { gid: `s${fixtures.asana.stories.length + 1}`, task: task.gid, ...req.body.data };
+    fixtures.asana.stories.push(story);
+    res.status(201).json({ data: story });
+  });
+
+  // Notion API database query
+  app.post('/notion/databases/:databaseId/query', (req, res) => {
+    if (!req.headers['notion-version']) {
+      return res.status(400).json({ object: 'error', code: 'missing_version' });
+    }
+
+    res.json({
+      object: 'list',
+      results: fixtures.notion.pages,
+      has_more: false,
+      next_cursor: null
+    });
+  });
+
+  // Notion API pages and comments
+  app.get('/notion/pages/:pageId', (req, res) => {
+    const page = fixtures.notion.pages.find(item => item.id === req.params.pageId);
+    if (!page) return res.status(404).json({ object: 'error', code: 'object_not_found' });
+
+    res.json({ object: 'page', ...page });
+  });
+
+  app.patch('/notion/pages/:pageId', (req, res) => {
+    const page = fixtures.notion.pages.find(item => item.id === req.params.pageId);
+    if (!page) return res.status(404).json({ object: 'error', code: 'object_not_found' });
+
+    for (const [name, value] of Object.entries(req.body.properties || {})) {
+      if (!page.properties[name]) {
+        return res.status(400).json({ object: 'error', code: 'validation_error', message: `${name} is not a property` });
+      }
+      Object.assign(page.properties[name], value);
+    }
+    res.json({ object: 'page', ...page });
+  });
+
+  app.post('/notion/comments', (req, res) => {
+    const pageId = req.body.parent && req.body.parent.page_id;
+    if (!fixtures.notion.pages.some(item => item.id === pageId)) {
+      return res.status(404).json({ object: 'error', code: 'object_not_found' });
+    }
+
+    const comment = { object: 'comment', id: `c${fixtures.notion.comments.length + 1}`, ...req.body };
+    fixtures.notion.comments.push(comment);
+    res.json(comment);
+  });
+
+  app.fixtures = fixtures;
+  return app;
+}
+
+// Run standalone for manual testing
+if (require.main === module) {
+  const port = Number(process.argv[2]) || 4010;
+  createFakeTaskProviderServer().listen(port, () => {
+    console.log(`Fake task providers listening on http://localhost:${port}`);
+  });
+}
+
+module.exports = {
+  createFakeTaskProviderServer,
+  createFixtures
+};
@@ -0,0 +1,38 @@
+/**
+ * Task provider registry
+ * Providers implement the interface described in task-model.js
+ */
+
+const config = require('../../utils/config');
+
+// Registered providers, keyed by name
+const PROVIDERS = {
+  asana: require('./asana'),
+  notion: require('./notion'),
+  todoist: require('./todoist')
+};
+
+/**
+ * Gets a provider module by name
+ * @param {string} name - Provider key
+ * @returns {Object|null} Provider module
+ */
+function getProvider(name) {
+  return PROVIDERS[name] || null;
+}
+
+/**
+ * Gets the server's settings for a provider from config
+ * Credentials are per user (see tasks.service.js).
+ * @param {string} name - Provider key
+ * @returns {Object} Provider settings (base URL)
+ */
+function getProviderSettings(name) {
+  return config.taskProviders[name] || {};
+}
+
+module.exports = {
+  PROVIDERS,
+  getProvider,
+  getProviderSettings
+};
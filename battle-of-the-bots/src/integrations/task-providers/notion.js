@@ -0,0 +1,211 @@
+/**
+ * Notion task provider
+ * Reads tasks from a Notion database and records progress through the Notion API
+ */
+
+const { createTask, createHttpClient, normalizePriority, formatTimeEntry } = require('./task-model');
+
+const NOTION_VERSION = '2022-06-28';
+
+// Status names that mark a task as finished
+const DONE_STATUSES = ['done', 'complete', 'completed', 'closed'];
+
+// Safety limit on pagination
+const MAX_PAGES = 10;
+
+/**
+ * Checks whether Notion credentials are configured
+ * @param {Object} settings - Provider settings
+ * @returns {boolean} True if connected
+ */
+function isConnected(settings) {
+  return Boolean(settings.apiToken && settings.databaseId);
+}
+
+/**
+ * Finds a page property by type, preferring one whose name matches a pattern
+ * Task databases name their columns freely, so names are only a hint.
+ * @param {Object} properties - Page properties keyed by column name
+ * @param {Array<string>} types - Acceptable property types
+ * @param {RegExp} [pattern] - Preferred column name pattern
+ * @param {boolean} [requireName] - Only accept a matching name
+ * @returns {Object|null} Property value
+ */
+function findProperty(properties, types, pattern, requireName = false) {
+  const entries = Object.entries(properties || {}).filter(([, property]) => types.includes(property.type));
+  const named = pattern ? entries.find(([name]) => pattern.test(name)) : null;
+
+  if (named) return named[1];
+  if (requireName) return null;
+  return entries.length > 0 ? entries[0][1] : null;
+}
+
+/**
+ * Reads the display text of a select, status, rich-text or title property
+ * @param {Object|null} property - Notion property value
+ * @returns {string|null} Text value
+ */
+function readText(property) {
+  if (!property) return null;
+
+  switch (property.type) {
+    case 'select':
+    case 'status':
+      return property[property.type] ? property[property.type].name : null;
+    case 'title':
+    case 'rich_text':
+      return property[property.type].map(part => part.plain_text).join('') || null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Maps a Notion database page onto the normalized task model
+ * @param {Object} page - Page from POST /databases/{id}/query
+ * @returns {Object} Normalized task
+ */
+function normalizeTask(page) {
+  const properties = page.properties || {};
+
+  const due = findProperty(properties, ['date'], /due|deadline/i);
+  const labels = findProperty(properties, ['multi_select'], /tag|label/i);
+  const estimate = findProperty(properties, ['number'], /estimat|effort|minutes/i, true);
+  const doneCheckbox = findProperty(properties, ['checkbox'], /done|complete/i, true);
+  const status = readText(findProperty(properties, ['status', 'select'], /status/i, true));
+
+  return createTask('notion', {
+    externalId: page.id,
+    title: readText(findProperty(properties, ['title'])),
+    dueDate: due && due.date ? due.date.start : null,
+    priority: normalizePriority(readText(findProperty(properties, ['select', 'status'], /priority/i, true))),
+    project: readText(findProperty(properties, ['select', 'rich_text'], /project/i, true)),
+    labels: labels ? labels.multi_select.map(option => option.name) : [],
+    estimatedMinutes: estimate ? estimate.number : null,
+    completed: Boolean(
+      (doneCheckbox && doneCheckbox.checkbox) ||
+      (status && DONE_STATUSES.includes(status.toLowerCase()))
+    ),
+    url: page.url
+  });
+}
+
+/**
+ * Creates an authenticated Notion API client
+ * @param {Object} settings - Provider settings (apiToken, baseUrl)
+ * @returns {Object} Axios instance
+ */
+function createClient(settings) {
+  return createHttpClient(settings.baseUrl, {
+    Authorization: `Bearer ${settings.apiToken}`,
+    'Notion-Version': NOTION_VERSION
+  });
+}
+
+/**
+ * Finds a page property by type and name, returning its column name
+ * @param {Object} properties - Page properties keyed by column name
+ * @param {Array<string>} types - Acceptable property types
+ * @param {RegExp} pattern - Column name pattern
+ * @returns {string|null} Column name
+ */
+function findPropertyName(properties, types, pattern) {
+  const entry = Object.entries(properties || {})
+    .find(([name, property]) => types.includes(property.type) && pattern.test(name));
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Fetches tasks from the configured Notion database
+ * @param {Object} settings - Provider settings (apiToken, databaseId, baseUrl)
+ * @returns {Promise<Array<Object>>} Normalized tasks
+ */
+async function fetchTasks(settings) {
+  const client = createClient(settings);
+
+  const pages = [];
+  let cursor;
+
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const response = await client.post(`/databases/${settings.databaseId}/query`, {
+      page_size: 100,
+      ...(cursor ? { start_cursor: cursor } : {})
+    });
+
+    pages.push(...response.data.results);
+
+    if (!response.data.has_more) break;
+    cursor = response.data.next_cursor;
+  }
+
+  return pages.map(normalizeTask);
+}
+
+/**
+ * Marks a Notion task page done
+ * Uses the same columns normalizeTask reads: a "Done" checkbox, else a "Status" column.
+ * @param {Object} settings - Provider settings (apiToken, baseUrl)
+ * @param {string} externalId - Notion page ID
+ * @returns {Promise<void>}
+ */
+async function completeTask(settings, externalId) {
+  const client = createClient(settings);
+  const pagePath = `/pages/${encodeURIComponent(externalId)}`;
+  const { data: page } = await client.get(pagePath);
+
+  const checkboxName = findPropertyName(page.properties, ['checkbox'], /done|complete/i);
+  const statusName = findPropertyName(page.properties, ['status', 'select'], /status/i);
+
+  let update;
+  if (checkboxName) {
+    update = { [checkboxName]: { checkbox: true } };
+  } else if (statusName) {
+    const type = page.properties[statusName].type;
+    update = { [statusName]: { [type]: { name: 'Done' } } };
+  } else {
+    const error = new Error('Notion page has no done checkbox or status property');
+    error.code = 'TASK_NOT_COMPLETABLE';
+    throw error;
+  }
+
+  await client.patch(pagePath, { properties: update });
+}
+
+/**
+ * Logs focus time against a Notion task page
+ * Adds the minutes to a "Time spent" number column when the database has one,
+ * otherwise records the entry as a page comment.
+ * @param {Object} settings - Provider settings (apiToken, baseUrl)
+ * @param {string} externalId - Notion page ID
+ * @param {Object} entry - Time entry (minutes, note, date)
+ * @returns {Promise<void>}
+ */
+async function logTime(settings, externalId, entry) {
+  const client = createClient(settings);
+  const pagePath = `/pages/${encodeURIComponent(externalId)}`;
+  const { data: page } = await client.get(pagePath);
+
+  const timeName = findPropertyName(page.properties, ['number'], /time (spent|logged)|actual/i);
+
+  if (timeName) {
+    const current = page.properties[timeName].number || 0;
+    await client.patch(pagePath, {
+      properties: { [timeName]: { number: current + entry.minutes } }
+    });
+    return;
+  }
+
+  await client.post('/comments', {
+    parent: { page_id: externalId },
+    rich_text: [{ type: 'text', text: { content: formatTimeEntry(entry) } }]
+  });
+}
+
+module.exports = {
+  name: 'notion',
+  isConnected,
+  fetchTasks,
+  completeTask,
+  logTime,
+  normalizeTask
+};
@@ -0,0 +1,122 @@
+/**
+ * Normalized task model shared by all task providers
+ *
+ * Every provider module exports the same interface:
+ *   name: string - Provider key ('asana', 'notion', 'todoist')
+ *   isConnected(settings): boolean - Whether credentials are configured
+ *   fetchTasks(settings): Promise<Array<Object>> - Open tasks as normalized tasks
+ *   completeTask(settings, externalId): Promise<void> - Marks a task done
+ *   logTime(settings, externalId, entry): Promise<void> - Records focus time on a task
+ *   normalizeTask(raw, context): Object - Maps one provider task to the normalized model
+ *
+ * Normalized task:
+ * {
+ *   id: string ('<provider>:<externalId>'),
+ *   provider: string,
+ *   externalId: string,
+ *   title: string,
+ *   dueDate: string|null (YYYY-MM-DD or ISO 8601 date-time),
+ *   priority: 'urgent'|'high'|'medium'|'low'|null,
+ *   project: string|null,
+ *   labels: Array<string>,
+ *   estimatedMinutes: number|null,
+ *   completed: boolean,
+ *   url: string|null
+ * }
+ *
+ * Time entry passed to logTime:
+ * {
+ *   minutes: number,
+ *   note: string|null,
+ *   date: string (YYYY-MM-DD)
+ * }
+ */
+
+const axios = require('axios');
+const config = require('../../utils/config');
+
+// Normalized priorities, lowest first
+const PRIORITY_LEVELS = ['low', 'medium', 'high', 'urgent'];
+
+// Provider-specific priority names mapped onto PRIORITY_LEVELS
+const PRIORITY_ALIASES = {
+  urgent: 'urgent',
+  critical: 'urgent',
+  highest: 'urgent',
+  p1: 'urgent',
+  high: 'high',
+  p2: 'high',
+  medium: 'medium',
+  normal: 'medium',
+  p3: 'medium',
+  low: 'low',
+  lowest: 'low',
+  p4: 'low'
+};
+
+/**
+ * Maps a provider's priority label onto a normalized priority
+ * @param {string} name - Priority label such as 'High' or 'P1'
+ * @returns {string|null} Normalized priority, or null if unknown
+ */
+function normalizePriority(name) {
+  if (typeof name !== 'string') return null;
+  return PRIORITY_ALIASES[name.trim().toLowerCase()] || null;
+}
+
+/**
+ * Builds a normalized task, filling defaults for missing fields
+ * @param {string} provider - Provider key
+ * @param {Object} fields - Task fields (externalId and title are required)
+ * @returns {Object} Normalized task
+ */
+function createTask(provider, fields) {
+  const externalId = String(fields.externalId);
+  const estimatedMinutes = Number(fields.estimatedMinutes);
+
+  return {
+    id: `${provider}:${externalId}`,
+    provider,
+    externalId,
+    title: (fields.title || '').trim() || 'Untitled task',
+    dueDate: fields.dueDate || null,
+    priority: PRIORITY_LEVELS.includes(fields.priority) ? fields.priority : null,
+    project: fields.project || null,
+    labels: Array.isArray(fields.labels) ? fields.labels.filter(Boolean) : [],
+    estimatedMinutes: Number.isFinite(estimatedMinutes) && estimatedMinutes > 0 ? Math.round(estimatedMinutes) : null,
+    completed: Boolean(fields.completed),
+    url: fields.url || null
+  };
+}
+
+/**
+ * Creates an HTTP client for a provider API
+ * @param {string} baseUrl - API base URL
+ * @param {Object} headers - Extra request headers (auth, versioning)
+ * @returns {Object} Axios instance
+ */
+function createHttpClient(baseUrl, headers) {
+  return axios.create({
+    baseURL: baseUrl,
+    timeout: config.taskProviders.timeoutMs,
+    headers
+  });
+}
+
+/**
+ * Formats a time entry as text for providers that record it as a comment
+ * @param {Object} entry - Time entry (minutes, note, date)
+ * @returns {string} Comment text
+ */
+function formatTimeEntry(entry) {
+  const text = `Focused for ${entry.minutes} minutes on ${entry.date} (logged by AuraFlow)`;
+  return entry.note ? `${text}: ${entry.note}` : text;
+}
+
+module.exports = {
+  PRIORITY_LEVELS,
+  normalizePriority,
+  createTask,
+  createHttpClient,
+  formatTimeEntry
+};
@@ -0,0 +1,112 @@
+/**
+ * Todoist task provider
+ * Reads open tasks and records progress through the Todoist REST API v2
+ */
+
+const { createTask, createHttpClient, formatTimeEntry } = require('./task-model');
+
+// Todoist priorities run from 1 (normal) to 4 (urgent)
+const TODOIST_PRIORITIES = {
+  1: 'low',
+  2: 'medium',
+  3: 'high',
+  4: 'urgent'
+};
+
+/**
+ * Checks whether Todoist credentials are configured
+ * @param {Object} settings - Provider settings
+ * @returns {boolean} True if connected
+ */
+function isConnected(settings) {
+  return Boolean(settings.apiToken);
+}
+
+/**
+ * Maps a Todoist task onto the normalized task model
+ * @param {Object} task - Task from GET /tasks
+ * @param {Object} [context] - Lookup data
+ * @param {Map<string, string>} [context.projects] - Project names by ID
+ * @returns {Object} Normalized task
+ */
+function normalizeTask(task, context = {}) {
+  const projects = context.projects || new Map();
+  const due = task.due || null;
+  const duration = task.duration || null;
+
+  return createTask('todoist', {
+    externalId: task.id,
+    title: task.content,
+    dueDate: due ? (due.datetime || due.date) : null,
+    priority: TODOIST_PRIORITIES[task.priority] || null,
+    project: projects.get(String(task.project_id)) || null,
+    labels: task.labels,
+    // Only minute durations are an effort estimate; day durations describe all-day tasks
+    estimatedMinutes: duration && duration.unit === 'minute' ? duration.amount : null,
+    completed: task.is_completed,
+    url: task.url
+  });
+}
+
+/**
+ * Creates an authenticated Todoist API client
+ * @param {Object} settings - Provider settings (apiToken, baseUrl)
+ * @returns {Object} Axios instance
+ */
+function createClient(settings) {
+  return createHttpClient(settings.baseUrl, {
+    Authorization: `Bearer ${settings.apiToken}`
+  });
+}
+
+/**
+ * Fetches the user's open Todoist tasks
+ * @param {Object} settings - Provider settings (apiToken, baseUrl)
+ * @returns {Promise<Array<Object>>} Normalized tasks
+ */
+async function fetchTasks(settings) {
+  const client = createClient(settings);
+
+  const [tasksResponse, projectsResponse] = await Promise.all([
+    client.get('/tasks'),
+    client.get('/projects')
+  ]);
+
+  const projects = new Map(projectsResponse.data.map(project => [String(project.id), project.name]));
+
+  return tasksResponse.data.map(task => normalizeTask(task, { projects }));
+}
+
+/**
+ * Closes a Todoist task
+ * @param {Object} settings - Provider settings (apiToken, baseUrl)
+ * @param {string} externalId - Todoist task ID
+ * @returns {Promise<void>}
+ */
+async function completeTask(settings, externalId) {
+  await createClient(settings).post(`/tasks/${encodeURIComponent(externalId)}/close`);
+}
+
+/**
+ * Logs focus time against a Todoist task
+ * Todoist has no time tracking, so the entry is added as a task comment.
+ * @param {Object} settings - Provider settings (apiToken, baseUrl)
+ * @param {string} externalId - Todoist task ID
+ * @param {Object} entry - Time entry (minutes, note, date)
+ * @returns {Promise<void>}
+ */
+async function logTime(settings, externalId, entry) {
+  await createClient(settings).post('/comments', {
+    task_id: externalId,
+    content: formatTimeEntry(entry)
+  });
+}
+
+module.exports = {
+  name: 'todoist',
+  isConnected,
+  fetchTasks,
+  completeTask,
+  logTime,
+  normalizeTask
+};
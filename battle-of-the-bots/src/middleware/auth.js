@@ -4,42 +4,77 @@
  */
 
 const tokenManager = require('../utils/token-manager');
+const calendarService = require('../services/calendar.service');
+const { getFreshTokens } = require('../integrations/google-calendar');
 
 /**
- * Middleware to verify user has valid authentication tokens
- * Expects userId in request headers or query params
+ * Loads a user's tokens, transparently refreshing an expired access token
+ * Responds 401 only when Google rejects the refresh; other refresh failures go
+ * to the error handler.
+ * @param {string} userId - User identifier
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ * @returns {Promise<Object|null>} Tokens, or null if a response was already sent
  */
-function requireAuth(req, res, next) {
-  // Get userId from header or query parameter
-  const userId = req.headers['x-user-id'] || req.query.userId || req.body.userId;
-  
-  if (!userId) {
+async function loadFreshTokens(userId, res, next) {
+  try {
+    return await getFreshTokens(userId);
+  } catch (error) {
+    if (error.code === 'REFRESH_REJECTED') {
+      res.status(401).json({
+        error: {
+          code: 'TOKEN_EXPIRED',
+          message: 'Access token has expired and could not be refreshed. Please log in again.',
+          timestamp: new Date().toISOString()
+        }
+      });
+    } else {
+      next(error);
+    }
+    return null;
+  }
+}
+
+/**
+ * Middleware to require a signed-in user whose calendar can be used
+ * The user always comes from the session (see requireSession). Google users' access
+ * tokens are refreshed, failing only if Google rejects the refresh. Users whose
+ * calendars are on another provider signed in with it (POST /api/auth/caldav) and
+ * their saved provider credentials are used instead.
+ */
+async function requireAuth(req, res, next) {
+  if (!req.session || !req.session.authenticated || !req.session.userId) {
     return res.status(401).json({
       error: {
-        code: 'MISSING_USER_ID',
-        message: 'User ID is required for authentication',
+        code: 'UNAUTHORIZED',
+        message: 'Authentication required',
         timestamp: new Date().toISOString()
       }
     });
   }
   
-  // Check if user has tokens
-  const tokens = tokenManager.getTokens(userId);
+  const userId = req.session.userId;
   
-  if (!tokens) {
+  if (calendarService.getProviderName(userId) !== 'google') {
+    req.userId = userId;
+    return next();
+  }
+  
+  if (!tokenManager.getTokens(userId)) {
     return res.status(401).json({
       error: {
-        code: 'NOT_AUTHENTICATED',
-        message: 'User is not authenticated. Please complete OAuth flow.',
+        code: 'UNAUTHORIZED',
+        message: 'No valid tokens found',
         timestamp: new Date().toISOString()
       }
     });
   }
   
-  // Attach userId to request for downstream use
+  const tokens = await loadFreshTokens(userId, res, next);
+  if (!tokens) return;
+  
   req.userId = userId;
   req.userTokens = tokens;
-  
   next();
 }
 
@@ -61,10 +96,54 @@ function optionalAuth(req, res, next) {
   next();
 }
 
+/**
+ * Middleware to identify the calling user without requiring Google tokens
+ * Uses the authenticated session first, then the x-user-id header, then the userId
+ * query parameter (for clients such as EventSource that cannot set headers)
+ */
+function identifyUser(req, res, next) {
+  const sessionUserId = req.session && req.session.authenticated ? req.session.userId : null;
+  const userId = sessionUserId || req.headers['x-user-id'] || req.query.userId;
+
+  if (!userId) {
+    return res.status(401).json({
+      error: {
+        code: 'MISSING_USER_ID',
+        message: 'User ID is required',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  req.userId = userId;
+  next();
+}
+
+/**
+ * Middleware to require a signed-in session (Google or CalDAV sign-in)
+ * The user ID comes from the session only, never from headers or query parameters,
+ * so routes that use a user's stored credentials cannot be pointed at someone else.
+ */
+function requireSession(req, res, next) {
+  if (!req.session || !req.session.authenticated || !req.session.userId) {
+    return res.status(401).json({
+      error: {
+        code: 'UNAUTHORIZED',
+        message: 'Authentication required',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  req.userId = req.session.userId;
+  next();
+}
+
 /**
  * Middleware to check if user has valid (non-expired) tokens
+ * Expired access tokens are refreshed before the request continues.
  */
-function requireValidTokens(req, res, next) {
+async function requireValidTokens(req, res, next) {
   const userId = req.userId || req.headers['x-user-id'] || req.query.userId;
   
   if (!userId) {
@@ -77,23 +156,28 @@ function requireValidTokens(req, res, next) {
     });
   }
   
-  // Check if tokens exist and are not expired
-  if (tokenManager.isTokenExpired(userId)) {
+  if (!tokenManager.getTokens(userId)) {
     return res.status(401).json({
       error: {
-        code: 'TOKEN_EXPIRED',
-        message: 'Access token has expired. Token refresh will be attempted automatically.',
+        code: 'NOT_AUTHENTICATED',
+        message: 'User is not authenticated. Please complete OAuth flow.',
         timestamp: new Date().toISOString()
       }
     });
   }
   
+  const tokens = await loadFreshTokens(userId, res, next);
+  if (!tokens) return;
+  
   req.userId = userId;
+  req.userTokens = tokens;
   next();
 }
 
 module.exports = {
   requireAuth,
   optionalAuth,
+  identifyUser,
+  requireSession,
   requireValidTokens
 };
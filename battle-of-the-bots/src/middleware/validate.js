@@ -4,6 +4,7 @@
  */
 
 const { body, query, param, validationResult } = require('express-validator');
+const config = require('../utils/config');
 
 /**
  * Middleware to check validation results and return errors
@@ -173,6 +174,32 @@ const validateCreateEventRequest = [
   handleValidationErrors
 ];
 
+/**
+ * Validation rules for booking a suggested focus window
+ * The title is optional here and defaults to the configured focus-event title.
+ */
+const validateFocusEventRequest = [
+  body('title')
+    .default(config.defaults.focusEvent.title),
+  
+  body('colorId')
+    .optional()
+    .isIn(['1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11'])
+    .withMessage('colorId must be a Google Calendar event color ID (1-11)'),
+  
+  body('transparency')
+    .optional()
+    .isIn(['opaque', 'transparent'])
+    .withMessage('transparency must be one of: opaque, transparent'),
+  
+  body('reminderMinutes')
+    .optional()
+    .isInt({ min: 0, max: 40320 })
+    .withMessage('reminderMinutes must be between 0 and 40320'),
+  
+  ...validateCreateEventRequest
+];
+
 /**
  * Validation rules for fetching calendar events
  */
@@ -263,6 +290,7 @@ module.exports = {
   validateRitualRequest,
   validateSessionSummaryRequest,
   validateCreateEventRequest,
+  validateFocusEventRequest,
   validateGetEventsRequest,
   validateUserId,
   validateTimeRange,
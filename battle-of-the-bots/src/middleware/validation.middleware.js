@@ -3,13 +3,43 @@
  * Uses express-validator to validate API request payloads
  */
 
-const { body, validationResult } = require('express-validator');
+const { body, query, param, validationResult } = require('express-validator');
+const config = require('../utils/config');
+const { isValidTimeZone, parseTimeOfDay } = require('../utils/date-utils');
+const { CLIENT_UPDATE_TYPES } = require('../services/live-updates.service');
+const { SESSION_STATUSES } = require('../services/active-session.service');
+const { resolveRange, MAX_RANGE_DAYS } = require('../services/analytics.service');
+
+const WORKING_HOURS_DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
 
 /**
- * Validation rules for schedule suggestion requests
- * Validates calendar events array and user preferences
+ * Checks a workingHours object: weekday keys mapping to null (day off) or
+ * a list of { start: 'HH:MM', end: 'HH:MM' } ranges with end after start
+ * @param {any} workingHours - Value to check
+ * @returns {boolean} True if valid
  */
-const validateScheduleRequest = [
+function isValidWorkingHours(workingHours) {
+  if (!workingHours || typeof workingHours !== 'object' || Array.isArray(workingHours)) {
+    return false;
+  }
+  
+  return Object.entries(workingHours).every(([day, ranges]) => {
+    if (!WORKING_HOURS_DAYS.includes(day)) return false;
+    if (ranges === null) return true;
+    if (!Array.isArray(ranges)) return false;
+    
+    return ranges.every(range => {
+      const start = parseTimeOfDay(range && range.start);
+      const end = parseTimeOfDay(range && range.end);
+      return start && end && (end.hour * 60 + end.minute) > (start.hour * 60 + start.minute);
+    });
+  });
+}
+
+/**
+ * Validation rules for the calendarEvents array shared by scheduling requests
+ */
+const calendarEventRules = [
   body('calendarEvents')
     .isArray({ min: 0 })
     .withMessage('calendarEvents must be an array'),
@@ -29,8 +59,13 @@ const validateScheduleRequest = [
   
   body('calendarEvents.*.title')
     .isString()
-    .withMessage('Event title must be a string'),
-  
+    .withMessage('Event title must be a string')
+];
+
+/**
+ * Validation rules for the userPreferences object shared by scheduling requests
+ */
+const userPreferenceRules = [
   body('userPreferences')
     .optional()
     .isObject()
@@ -49,7 +84,75 @@ const validateScheduleRequest = [
   body('userPreferences.bufferTime')
     .optional()
     .isInt({ min: 0, max: 60 })
-    .withMessage('bufferTime must be an integer between 0 and 60 minutes')
+    .withMessage('bufferTime must be an integer between 0 and 60 minutes'),
+  
+  body('userPreferences.timeZone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('timeZone must be a valid IANA time zone (e.g. America/New_York)'),
+  
+  body('userPreferences.workingHours')
+    .optional()
+    .custom(isValidWorkingHours)
+    .withMessage('workingHours must map weekdays to null or a list of {start, end} ranges in HH:MM format')
+];
+
+/**
+ * Validation rules for schedule suggestion requests
+ * Validates calendar events array and user preferences
+ */
+const validateScheduleRequest = [
+  ...calendarEventRules,
+  ...userPreferenceRules,
+  
+  body('alternatives')
+    .optional()
+    .isInt({ min: 0, max: 10 })
+    .withMessage('alternatives must be an integer between 0 and 10')
+];
+
+/**
+ * Validation rules for multi-day focus plan requests
+ * Validates calendar events, user preferences and planning options
+ */
+const validateSchedulePlanRequest = [
+  ...calendarEventRules,
+  ...userPreferenceRules,
+  
+  body('planOptions')
+    .optional()
+    .isObject()
+    .withMessage('planOptions must be an object'),
+  
+  body('planOptions.startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('startDate must be in ISO 8601 format'),
+  
+  body('planOptions.days')
+    .optional()
+    .isInt({ min: 1, max: 14 })
+    .withMessage('days must be an integer between 1 and 14'),
+  
+  body('planOptions.weeklyTargetHours')
+    .optional()
+    .isFloat({ min: 0.25, max: 60 })
+    .withMessage('weeklyTargetHours must be a number between 0.25 and 60'),
+  
+  body('planOptions.maxBlockDuration')
+    .optional()
+    .isInt({ min: 15, max: 480 })
+    .withMessage('maxBlockDuration must be an integer between 15 and 480 minutes'),
+  
+  body('planOptions.maxBlocksPerDay')
+    .optional()
+    .isInt({ min: 1, max: 6 })
+    .withMessage('maxBlocksPerDay must be an integer between 1 and 6'),
+  
+  body('planOptions.includeWeekends')
+    .optional()
+    .isBoolean()
+    .withMessage('includeWeekends must be a boolean')
 ];
 
 /**
@@ -111,6 +214,596 @@ const validateSessionSummaryRequest = [
     .withMessage('ritualUsed must be a string')
 ];
 
+/**
+ * Shared validation rules for stored session fields
+ * Every field is optional so the same rules serve create and update requests
+ */
+const sessionRecordFieldRules = [
+  body('taskGoal')
+    .optional()
+    .isString()
+    .withMessage('taskGoal must be a string'),
+  
+  body('mode')
+    .optional()
+    .isIn(['work', 'break'])
+    .withMessage('mode must be one of: work, break'),
+  
+  body('startTime')
+    .optional()
+    .isISO8601()
+    .withMessage('startTime must be in ISO 8601 format'),
+  
+  body('endTime')
+    .optional()
+    .isISO8601()
+    .withMessage('endTime must be in ISO 8601 format'),
+  
+  body('plannedDuration')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('plannedDuration must be a positive integer (minutes)'),
+  
+  body('actualDuration')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('actualDuration must be a non-negative integer (minutes)'),
+  
+  body('pauseCount')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('pauseCount must be a non-negative integer'),
+  
+  body('interruptions')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('interruptions must be a non-negative integer'),
+  
+  body('ritualUsed')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('ritualUsed must be a string'),
+  
+  body('completed')
+    .optional()
+    .isBoolean()
+    .withMessage('completed must be a boolean'),
+  
+  body('source')
+    .optional()
+    .isIn(['manual', 'suggestion'])
+    .withMessage('source must be one of: manual, suggestion'),
+  
+  body('externalTaskId')
+    .optional({ nullable: true })
+    .matches(/^(asana|notion|todoist):.+$/)
+    .withMessage('externalTaskId must be a task ID such as todoist:123')
+];
+
+/**
+ * Validation rules for recording a completed session
+ * Requires at least a planned or actual duration
+ */
+const validateSessionRecordRequest = [
+  body('sessionId')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 128 })
+    .withMessage('sessionId must be a string of at most 128 characters'),
+  
+  ...sessionRecordFieldRules,
+  
+  body()
+    .custom(value => value.plannedDuration !== undefined || value.actualDuration !== undefined)
+    .withMessage('plannedDuration or actualDuration is required')
+];
+
+/**
+ * Validation rules for updating a stored session
+ */
+const validateSessionUpdateRequest = [
+  ...sessionRecordFieldRules
+];
+
+/**
+ * Validation rules for date-range list queries (from/to)
+ */
+const validateDateRangeQuery = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be in ISO 8601 format'),
+  
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be in ISO 8601 format'),
+  
+  query('to')
+    .optional()
+    .custom((to, { req }) => !req.query.from || new Date(to) > new Date(req.query.from))
+    .withMessage('to must be after from')
+];
+
+/**
+ * Validation rules for task-aware scheduling requests
+ * Tasks are optional; without them the connected task providers are used.
+ */
+const validateScheduleTasksRequest = [
+  ...calendarEventRules,
+  ...userPreferenceRules,
+  
+  body('tasks')
+    .optional()
+    .isArray({ max: 500 })
+    .withMessage('tasks must be an array of at most 500 tasks'),
+  
+  body('tasks.*.title')
+    .isString()
+    .notEmpty()
+    .withMessage('Each task needs a title'),
+  
+  body('tasks.*.dueDate')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Task dueDate must be in ISO 8601 format'),
+  
+  body('tasks.*.priority')
+    .optional({ values: 'null' })
+    .isIn(['urgent', 'high', 'medium', 'low'])
+    .withMessage('Task priority must be one of: urgent, high, medium, low'),
+  
+  body('tasks.*.estimatedMinutes')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 10080 })
+    .withMessage('Task estimatedMinutes must be a positive integer'),
+  
+  body('maxSlots')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('maxSlots must be an integer between 1 and 10')
+];
+
+/**
+ * Validation rules for focus analytics queries
+ * Accepts a named period and/or an explicit range of at most one year
+ */
+const validateAnalyticsQuery = [
+  query('period')
+    .optional()
+    .isIn(['week', 'month'])
+    .withMessage('period must be one of: week, month'),
+  
+  ...validateDateRangeQuery,
+  
+  // Checked on the resolved range, so a lone `from` is measured up to the default `to`
+  query('from')
+    .optional()
+    .custom((from, { req }) => {
+      try {
+        resolveRange({ period: req.query.period, from, to: req.query.to });
+        return true;
+      } catch (error) {
+        // Malformed dates are reported by the ISO 8601 checks above
+        return error.code !== 'VALIDATION_ERROR';
+      }
+    })
+    .withMessage(`Analytics range cannot exceed ${MAX_RANGE_DAYS} days`)
+];
+
+/**
+ * Checks a focus-rule window: { start: 'HH:MM', end: 'HH:MM' } with end after start
+ * @param {any} window - Value to check
+ * @returns {boolean} True if valid
+ */
+function isValidTimeWindow(window) {
+  if (window === null) return true;
+  
+  const start = parseTimeOfDay(window && window.start);
+  const end = parseTimeOfDay(window && window.end);
+  return Boolean(start && end && (end.hour * 60 + end.minute) > (start.hour * 60 + start.minute));
+}
+
+/**
+ * Validation rules for creating or updating a protected focus-block rule
+ * All fields are optional; missing ones keep their defaults or current values.
+ */
+const validateFocusRuleRequest = [
+  body('name')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('name must be a string of 1-100 characters'),
+  
+  body('durationMinutes')
+    .optional()
+    .isInt({ min: 15, max: 480 })
+    .withMessage('durationMinutes must be between 15 and 480 minutes'),
+  
+  body('days')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('days must be a non-empty array of weekday names'),
+  
+  body('days.*')
+    .isIn(WORKING_HOURS_DAYS)
+    .withMessage(`days must only contain: ${WORKING_HOURS_DAYS.join(', ')}`),
+  
+  body('preferredTime')
+    .optional({ values: 'null' })
+    .isIn(['morning', 'afternoon', 'evening'])
+    .withMessage('preferredTime must be one of: morning, afternoon, evening'),
+  
+  body('window')
+    .optional()
+    .custom(isValidTimeWindow)
+    .withMessage('window must be null or {start, end} in HH:MM format with end after start'),
+  
+  body('timeZone')
+    .optional({ values: 'null' })
+    .custom(isValidTimeZone)
+    .withMessage('timeZone must be a valid IANA time zone'),
+  
+  body('enabled')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('enabled must be a boolean')
+];
+
+// Task providers a user can connect
+const TASK_PROVIDER_NAMES = ['asana', 'notion', 'todoist'];
+
+/**
+ * Validation rules for task list queries
+ */
+const validateTasksQuery = [
+  query('provider')
+    .optional()
+    .custom(value => value.split(',').every(name => TASK_PROVIDER_NAMES.includes(name)))
+    .withMessage('provider must be a comma-separated list of: asana, notion, todoist'),
+  
+  query('includeCompleted')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('includeCompleted must be true or false')
+];
+
+/**
+ * Validation rules for logging focus time against a task
+ */
+const validateTaskTimeRequest = [
+  body('minutes')
+    .isInt({ min: 1, max: 1440 })
+    .withMessage('minutes must be an integer between 1 and 1440')
+    .toInt(),
+  
+  body('note')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('note must be a string of at most 500 characters'),
+  
+  body('date')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .isISO8601({ strict: true })
+    .withMessage('date must be a calendar date (YYYY-MM-DD)')
+];
+
+/**
+ * Validation rules for the task provider named in the path
+ */
+const validateTaskProviderParam = [
+  param('provider')
+    .isIn(TASK_PROVIDER_NAMES)
+    .withMessage('provider must be one of: asana, notion, todoist')
+];
+
+/**
+ * Validation rules for connecting a task provider account
+ * Asana also needs the workspace and Notion the task database to read.
+ */
+const validateTaskProviderRequest = [
+  ...validateTaskProviderParam,
+  
+  body('apiToken')
+    .isString()
+    .withMessage('apiToken is required')
+    .bail()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('apiToken must be 1-500 characters'),
+  
+  body('workspaceId')
+    .if(param('provider').equals('asana'))
+    .isString()
+    .withMessage('workspaceId is required for Asana')
+    .bail()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('workspaceId must be 1-100 characters'),
+  
+  body('databaseId')
+    .if(param('provider').equals('notion'))
+    .isString()
+    .withMessage('databaseId is required for Notion')
+    .bail()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('databaseId must be 1-100 characters')
+];
+
+/**
+ * Validation rules for choosing the calendars that count as busy
+ */
+const validateBusyCalendarsRequest = [
+  body('calendarIds')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('calendarIds must be an array of 1 to 50 calendar IDs'),
+  
+  body('calendarIds.*')
+    .isString()
+    .notEmpty()
+    .withMessage('Each calendar ID must be a non-empty string')
+];
+
+/**
+ * Validation rules for choosing who may read a user's free/busy
+ */
+const validateFreeBusySharingRequest = [
+  body('userIds')
+    .isArray({ max: 50 })
+    .withMessage('userIds must be an array of at most 50 user IDs'),
+  
+  body('userIds.*')
+    .isString()
+    .notEmpty()
+    .withMessage('Each user ID must be a non-empty string')
+];
+
+/**
+ * Builds the validation rules for CalDAV credentials
+ * @param {Function} [onlyIf] - Builds a condition chain; the rules apply only when it passes
+ * @returns {Array} Validation chains for serverUrl, username and password
+ */
+function caldavCredentialRules(onlyIf) {
+  const field = name => (onlyIf ? body(name).if(onlyIf()) : body(name));
+  
+  return [
+    field('serverUrl')
+      .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+      .withMessage('serverUrl must be an http or https URL'),
+    
+    field('username')
+      .isString()
+      .withMessage('username is required for CalDAV')
+      .bail()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('username must be 1-200 characters'),
+    
+    field('password')
+      .isString()
+      .withMessage('password is required for CalDAV')
+      .bail()
+      .isLength({ min: 1, max: 500 })
+      .withMessage('password must be 1-500 characters')
+  ];
+}
+
+/**
+ * Validation rules for switching a user's calendar provider
+ * CalDAV needs a server URL and credentials; Google needs nothing else.
+ */
+const validateCalendarProviderRequest = [
+  body('provider')
+    .isIn(['google', 'caldav'])
+    .withMessage('provider must be one of: google, caldav'),
+  
+  ...caldavCredentialRules(() => body('provider').equals('caldav'))
+];
+
+/**
+ * Validation rules for signing in with a CalDAV account
+ */
+const validateCalDAVSignInRequest = caldavCredentialRules();
+
+/**
+ * Validation rules for suggesting a focus window from the user's own calendars
+ * Calendar events are read server-side, so only preferences are accepted.
+ */
+const validateCalendarSuggestRequest = [
+  ...userPreferenceRules,
+  
+  body('date')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .isISO8601({ strict: true })
+    .withMessage('date must be a calendar date (YYYY-MM-DD)'),
+  
+  body('alternatives')
+    .optional()
+    .isInt({ min: 0, max: 10 })
+    .withMessage('alternatives must be an integer between 0 and 10')
+];
+
+/**
+ * Validation rules for ICS calendar imports
+ * Exactly one of ics (the file's text) or url (a subscription link) is required.
+ */
+const validateCalendarImportRequest = [
+  body('ics')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: config.ics.maxBytes })
+    .withMessage('ics must be the text of an .ics file'),
+  
+  body('url')
+    .optional()
+    .isURL({ protocols: ['http', 'https', 'webcal', 'webcals'], require_protocol: true, require_tld: false })
+    .withMessage('url must be an http, https or webcal URL'),
+  
+  body('ics')
+    .custom((ics, { req }) => (ics === undefined) !== (req.body.url === undefined))
+    .withMessage('Provide either ics or url'),
+  
+  body('start')
+    .optional()
+    .isISO8601()
+    .withMessage('start must be in ISO 8601 format'),
+  
+  body('end')
+    .optional()
+    .isISO8601()
+    .withMessage('end must be in ISO 8601 format'),
+  
+  body('end')
+    .optional()
+    .custom((end, { req }) => new Date(end) > new Date(req.body.start || Date.now()))
+    .withMessage('end must be after start'),
+  
+  body('timeZone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('timeZone must be a valid IANA time zone')
+];
+
+/**
+ * Validation rules for team focus window searches
+ * At least one teammate (member user ID or attendee email) is required.
+ */
+const validateTeamFocusRequest = [
+  ...userPreferenceRules,
+  
+  body('members')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('members must be an array of at most 50 user IDs'),
+  
+  body('members.*')
+    .isString()
+    .notEmpty()
+    .withMessage('Each member must be a user ID'),
+  
+  body('attendees')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('attendees must be an array of at most 50 email addresses'),
+  
+  body('attendees.*')
+    .isEmail()
+    .withMessage('Each attendee must be an email address'),
+  
+  body('members')
+    .custom((members, { req }) => (members || []).length + (req.body.attendees || []).length > 0)
+    .withMessage('Add at least one member or attendee'),
+  
+  body('teamOptions')
+    .optional()
+    .isObject()
+    .withMessage('teamOptions must be an object'),
+  
+  body('teamOptions.startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('startDate must be in ISO 8601 format'),
+  
+  body('teamOptions.days')
+    .optional()
+    .isInt({ min: 1, max: 14 })
+    .withMessage('days must be an integer between 1 and 14'),
+  
+  body('teamOptions.maxWindows')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('maxWindows must be an integer between 1 and 20'),
+  
+  body('teamOptions.includeWeekends')
+    .optional()
+    .isBoolean()
+    .withMessage('includeWeekends must be a boolean')
+];
+
+/**
+ * Validation rules for updates published by clients to the live stream
+ */
+const validateLiveUpdateRequest = [
+  body('type')
+    .isIn(CLIENT_UPDATE_TYPES)
+    .withMessage(`type must be one of: ${CLIENT_UPDATE_TYPES.join(', ')}`),
+  
+  body('data')
+    .optional()
+    .isObject()
+    .custom(data => JSON.stringify(data).length <= 4096)
+    .withMessage('data must be an object of at most 4 KB'),
+  
+  body('source.client')
+    .optional()
+    .isIn(['webapp', 'extension'])
+    .withMessage('source.client must be one of: webapp, extension'),
+  
+  body('source.id')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('source.id must be a string of at most 100 characters')
+];
+
+/**
+ * Validation rules for changes to the user's active (cross-device) session
+ */
+const validateActiveSessionRequest = [
+  body('sessionId')
+    .isString()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('sessionId must be a string of 1 to 100 characters'),
+  
+  body('status')
+    .isIn(SESSION_STATUSES)
+    .withMessage(`status must be one of: ${SESSION_STATUSES.join(', ')}`),
+  
+  body('baseVersion')
+    .isInt({ min: 0 })
+    .withMessage('baseVersion must be a non-negative integer (0 if no version was seen)')
+    .toInt(),
+  
+  body('remainingSeconds')
+    .if(body('status').not().equals('ended'))
+    .isInt({ min: 0, max: 86400 })
+    .withMessage('remainingSeconds must be an integer between 0 and 86400')
+    .toInt(),
+  
+  body('durationSeconds')
+    .optional()
+    .isInt({ min: 1, max: 86400 })
+    .withMessage('durationSeconds must be an integer between 1 and 86400')
+    .toInt(),
+  
+  body('mode')
+    .optional()
+    .isIn(['work', 'break'])
+    .withMessage('mode must be either "work" or "break"'),
+  
+  body('taskGoal')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('taskGoal must be a string of at most 500 characters'),
+  
+  body('changedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('changedAt must be in ISO 8601 format'),
+  
+  body('source.client')
+    .optional()
+    .isIn(['webapp', 'extension'])
+    .withMessage('source.client must be one of: webapp, extension'),
+  
+  body('source.id')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('source.id must be a string of at most 100 characters')
+];
+
 /**
  * Middleware to handle validation errors
  * Returns 400 status with descriptive error messages
@@ -140,7 +833,27 @@ function handleValidationErrors(req, res, next) {
 
 module.exports = {
   validateScheduleRequest,
+  validateSchedulePlanRequest,
+  validateScheduleTasksRequest,
   validateRitualRequest,
   validateSessionSummaryRequest,
+  validateSessionRecordRequest,
+  validateSessionUpdateRequest,
+  validateDateRangeQuery,
+  validateAnalyticsQuery,
+  validateFocusRuleRequest,
+  validateTasksQuery,
+  validateTaskTimeRequest,
+  validateTaskProviderParam,
+  validateTaskProviderRequest,
+  validateBusyCalendarsRequest,
+  validateFreeBusySharingRequest,
+  validateCalendarSuggestRequest,
+  validateCalendarImportRequest,
+  validateCalendarProviderRequest,
+  validateCalDAVSignInRequest,
+  validateTeamFocusRequest,
+  validateLiveUpdateRequest,
+  validateActiveSessionRequest,
   handleValidationErrors
 };
@@ -0,0 +1,56 @@
+/**
+ * Analytics API Routes
+ * Endpoints for weekly and monthly focus statistics
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getFocusAnalytics } = require('../services/analytics.service');
+const {
+  validateAnalyticsQuery,
+  handleValidationErrors
+} = require('../middleware/validation.middleware');
+const { asyncHandler } = require('../middleware/error.middleware');
+const { requireSession } = require('../middleware/auth');
+
+/**
+ * GET /api/analytics
+ * Returns focus analytics computed from the user's session history
+ * 
+ * Query params:
+ *   period: 'week' | 'month' (optional, default 'week')
+ *   from: string (ISO 8601, optional, inclusive)
+ *   to: string (ISO 8601, optional, exclusive, defaults to end of today)
+ * 
+ * Response:
+ * {
+ *   range: { period, from, to },
+ *   totalFocusMinutes: number,
+ *   sessionCount: number,
+ *   completedSessions: number,
+ *   completionRate: number (0-100),
+ *   averageSessionMinutes: number,
+ *   sessionsPerDay: Array<{date, sessions, completedSessions, focusMinutes}>,
+ *   timeOfDay: { morning, afternoon, evening, other },
+ *   bestTimeOfDay: string|null,
+ *   streaks: { current: number, longest: number },
+ *   bySource: { suggestion, manual }
+ * }
+ */
+router.get(
+  '/',
+  requireSession,
+  validateAnalyticsQuery,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const analytics = getFocusAnalytics(req.userId, {
+      period: req.query.period,
+      from: req.query.from,
+      to: req.query.to
+    });
+    
+    res.status(200).json(analytics);
+  })
+);
+
+module.exports = router;
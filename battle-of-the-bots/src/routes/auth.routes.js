@@ -5,7 +5,30 @@
 const express = require('express');
 const router = express.Router();
 const googleCalendar = require('../integrations/google-calendar');
+const calendarCache = require('../services/calendar-cache.service');
+const calendarService = require('../services/calendar.service');
+const calendarWatch = require('../services/calendar-watch.service');
 const tokenManager = require('../utils/token-manager');
+const { validateCalDAVSignInRequest, handleValidationErrors } = require('../middleware/validation.middleware');
+
+/**
+ * Generates the ID of a new AuraFlow user
+ * @returns {string} User ID
+ */
+function createUserId() {
+  return `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Marks the session as signed in for a user
+ * @param {Object} req - Express request
+ * @param {string} userId - User identifier
+ */
+function signIn(req, userId) {
+  req.session.userId = userId;
+  req.session.authenticated = true;
+  req.session.authTime = Date.now();
+}
 
 /**
  * GET /api/auth/google
@@ -61,15 +84,9 @@ router.get('/google/callback', async (req, res) => {
     // Exchange code for tokens
     const tokens = await googleCalendar.exchangeCodeForTokens(code);
     
-    // Generate or get userId from session
-    if (!req.session.userId) {
-      req.session.userId = `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    }
-    const userId = req.session.userId;
-    
-    // Mark session as authenticated
-    req.session.authenticated = true;
-    req.session.authTime = Date.now();
+    // Keep the session's user, or start a new one
+    const userId = req.session.userId || createUserId();
+    signIn(req, userId);
     
     // Store tokens securely
     tokenManager.storeTokens(userId, tokens);
@@ -155,6 +172,74 @@ router.get('/google/callback', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/auth/caldav
+ * Signs in with a CalDAV account, for users whose calendars are not on Google
+ * The credentials are checked against the server before the session is signed in.
+ * Signing in again with the same server and username returns to the same user.
+ * 
+ * Request body:
+ * {
+ *   serverUrl: string (e.g. https://caldav.icloud.com/),
+ *   username: string,
+ *   password: string (an app-specific password for iCloud or Fastmail)
+ * }
+ * 
+ * Response:
+ * {
+ *   success: true,
+ *   userId: string,
+ *   provider, serverUrl, username, connectedAt, calendars (see PUT /api/calendar/provider),
+ *   timestamp: string
+ * }
+ * 
+ * Responds 422 CALENDAR_AUTH_FAILED when the server rejects the credentials, 400
+ * CALENDAR_URL_NOT_ALLOWED for URLs on private networks and 502
+ * CALENDAR_REQUEST_FAILED when the server cannot be used.
+ */
+router.post('/caldav', validateCalDAVSignInRequest, handleValidationErrors, async (req, res) => {
+  const { serverUrl, username, password } = req.body;
+  const userId = calendarService.findCalDAVUserId(serverUrl, username) || createUserId();
+  
+  try {
+    const result = await calendarService.connectCalendarProvider(userId, {
+      provider: 'caldav',
+      serverUrl,
+      username,
+      password
+    });
+    signIn(req, userId);
+    
+    res.json({
+      success: true,
+      userId,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    const statuses = { CALENDAR_AUTH_FAILED: 422, CALENDAR_URL_NOT_ALLOWED: 400, CALENDAR_REQUEST_FAILED: 502 };
+    
+    if (statuses[error.code]) {
+      return res.status(statuses[error.code]).json({
+        error: {
+          code: error.code,
+          message: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+    
+    console.error('CalDAV sign-in error:', error);
+    res.status(500).json({
+      error: {
+        code: 'CALDAV_SIGN_IN_FAILED',
+        message: 'Failed to sign in with the CalDAV account',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
 /**
  * GET /api/auth/status
  * Checks authentication status for current user
@@ -169,6 +254,17 @@ router.get('/status', (req, res) => {
   }
   
   const userId = req.session.userId;
+  
+  // CalDAV users signed in with their calendar server and have no Google tokens
+  if (calendarService.getProviderName(userId) !== 'google') {
+    return res.json({
+      authenticated: true,
+      userId: userId,
+      tokenExpired: false,
+      message: 'Authenticated'
+    });
+  }
+  
   const tokens = tokenManager.getTokens(userId);
   
   if (!tokens) {
@@ -190,13 +286,16 @@ router.get('/status', (req, res) => {
 
 /**
  * POST /api/auth/logout
- * Clears user tokens and destroys session
+ * Stops calendar push notifications, clears user tokens and destroys session
  */
-router.post('/logout', (req, res) => {
+router.post('/logout', async (req, res) => {
   const userId = req.session?.userId;
   
   if (userId) {
+    // Channels are stopped with the user's tokens, so this comes first
+    await calendarWatch.stopWatching(userId);
     tokenManager.clearTokens(userId);
+    calendarCache.clearUserCache(userId);
   }
   
   // Destroy session
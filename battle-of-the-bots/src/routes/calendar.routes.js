@@ -1,47 +1,241 @@
 /**
- * Calendar routes for fetching Google Calendar events
+ * Calendar routes for the user's calendar provider (Google or CalDAV) and ICS imports
  */
 
+const crypto = require('crypto');
 const express = require('express');
 const router = express.Router();
-const googleCalendar = require('../integrations/google-calendar');
-const tokenManager = require('../utils/token-manager');
+const icsCalendar = require('../integrations/ics-calendar');
+const calendarService = require('../services/calendar.service');
+const calendarWatch = require('../services/calendar-watch.service');
+const { suggestOptimalFocusWindow, findTeamFocusWindows, getTeamFocusRange } = require('../services/scheduling.service');
+const { getCalendarDate } = require('../utils/date-utils');
+const { requireAuth, requireSession } = require('../middleware/auth');
+const { validateFocusEventRequest, validateTimeRange } = require('../middleware/validate');
+const {
+  validateBusyCalendarsRequest,
+  validateFreeBusySharingRequest,
+  validateCalendarSuggestRequest,
+  validateCalendarImportRequest,
+  validateCalendarProviderRequest,
+  validateTeamFocusRequest,
+  handleValidationErrors
+} = require('../middleware/validation.middleware');
 
 /**
- * Middleware to check authentication
+ * Sends the error response for a failed calendar provider call
+ * Rejected Google credentials become 401 TOKEN_EXPIRED and rejected CalDAV credentials
+ * 401 CALENDAR_AUTH_FAILED; anything else a 500 with the given code.
+ * @param {Object} res - Express response
+ * @param {Error} error - Error from the calendar service
+ * @param {string} code - Error code for unexpected failures
+ * @param {string} message - Error message for unexpected failures
  */
-function requireAuth(req, res, next) {
-  if (!req.session || !req.session.authenticated || !req.session.userId) {
+function sendCalendarError(res, error, code, message) {
+  if (error.message.includes('invalid_grant') || error.message.includes('re-authenticate')) {
     return res.status(401).json({
       error: {
-        code: 'UNAUTHORIZED',
-        message: 'Authentication required',
+        code: 'TOKEN_EXPIRED',
+        message: 'Authentication token expired. Please log in again.',
         timestamp: new Date().toISOString()
       }
     });
   }
   
-  const userId = req.session.userId;
-  const tokens = tokenManager.getTokens(userId);
-  
-  if (!tokens) {
+  if (error.message.includes('rejected the username or password')) {
     return res.status(401).json({
       error: {
-        code: 'UNAUTHORIZED',
-        message: 'No valid tokens found',
+        code: 'CALENDAR_AUTH_FAILED',
+        message: 'The calendar server rejected the saved credentials. Please reconnect the calendar.',
         timestamp: new Date().toISOString()
       }
     });
   }
   
-  // Attach userId to request for use in route handlers
-  req.userId = userId;
-  next();
+  res.status(500).json({
+    error: {
+      code,
+      message,
+      timestamp: new Date().toISOString()
+    }
+  });
+}
+
+/**
+ * GET /api/calendar/provider
+ * Shows which calendar provider the user's events are read from and booked on
+ * 
+ * Response:
+ * {
+ *   success: true,
+ *   provider: 'google' | 'caldav',
+ *   serverUrl: string|null,
+ *   username: string|null,
+ *   connectedAt: string|null,
+ *   timestamp: string
+ * }
+ */
+router.get('/provider', requireSession, (req, res) => {
+  res.json({
+    success: true,
+    ...calendarService.getCalendarProviderInfo(req.userId),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * PUT /api/calendar/provider
+ * Switches the user's calendar provider, so teams without Google can schedule, book
+ * focus time and protect focus blocks on their own calendar server
+ * CalDAV credentials are checked against the server before they are saved (encrypted).
+ * Needs a signed-in session; users without a Google account sign in with their CalDAV
+ * account instead (POST /api/auth/caldav).
+ * Switching resets the busy calendars to the new provider's primary calendar and
+ * stops Google push notifications.
+ * 
+ * Request body:
+ * {
+ *   provider: 'google' | 'caldav',
+ *   serverUrl: string (CalDAV only, e.g. https://caldav.icloud.com/),
+ *   username: string (CalDAV only),
+ *   password: string (CalDAV only; an app-specific password for iCloud or Fastmail)
+ * }
+ * 
+ * Response:
+ * {
+ *   success: true,
+ *   provider, serverUrl, username, connectedAt (see GET /api/calendar/provider),
+ *   calendars: Array<Object> (see GET /api/calendar/calendars),
+ *   timestamp: string
+ * }
+ * 
+ * Responds 422 CALENDAR_AUTH_FAILED when the server rejects the credentials, 400
+ * CALENDAR_URL_NOT_ALLOWED for URLs on private networks and 502
+ * CALENDAR_REQUEST_FAILED when the server cannot be used.
+ */
+router.put('/provider', requireSession, validateCalendarProviderRequest, handleValidationErrors, async (req, res) => {
+  try {
+    const result = await calendarService.connectCalendarProvider(req.userId, req.body);
+    
+    if (result.provider !== 'google') {
+      await calendarWatch.stopWatching(req.userId).catch(error => {
+        console.warn(`Could not stop Google push notifications for ${req.userId}:`, error.message);
+      });
+    }
+    
+    res.json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    const statuses = { CALENDAR_AUTH_FAILED: 422, CALENDAR_URL_NOT_ALLOWED: 400, CALENDAR_REQUEST_FAILED: 502 };
+    
+    if (statuses[error.code]) {
+      return res.status(statuses[error.code]).json({
+        error: {
+          code: error.code,
+          message: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+    
+    console.error('Calendar provider update error:', error);
+    sendCalendarError(res, error, 'CALENDAR_PROVIDER_FAILED', 'Failed to connect the calendar provider');
+  }
+});
+
+/**
+ * GET /api/calendar/calendars
+ * Lists the user's calendars and which of them count as busy for scheduling
+ * 
+ * Response:
+ * {
+ *   success: true,
+ *   calendars: Array<{id, name, primary, accessRole, backgroundColor, selected, timeZone, busy}>,
+ *   timestamp: string
+ * }
+ * 
+ * The primary calendar's id is always 'primary'. Only the primary calendar is busy
+ * until the user chooses otherwise.
+ */
+router.get('/calendars', requireAuth, async (req, res) => {
+  try {
+    const calendars = await calendarService.listCalendars(req.userId);
+    
+    res.json({
+      success: true,
+      calendars,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Calendar list fetch error:', error);
+    sendCalendarError(res, error, 'CALENDAR_LIST_FAILED', 'Failed to fetch calendar list');
+  }
+});
+
+/**
+ * PUT /api/calendar/calendars/busy
+ * Chooses which calendars count as busy when suggesting and booking focus time
+ * 
+ * Request body:
+ * {
+ *   calendarIds: Array<string> (ids from GET /api/calendar/calendars)
+ * }
+ * 
+ * Response: same as GET /api/calendar/calendars
+ * 
+ * Responds 400 UNKNOWN_CALENDAR if an id is not on the user's calendar list.
+ * If push notifications are on (POST /api/calendar/watch), the new calendars are watched instead.
+ */
+router.put('/calendars/busy', requireAuth, validateBusyCalendarsRequest, handleValidationErrors, async (req, res) => {
+  try {
+    const calendars = await calendarService.setBusyCalendars(req.userId, req.body.calendarIds);
+    
+    // Push notifications follow the new choice of calendars
+    if (calendarWatch.listChannels(req.userId).length > 0) {
+      await calendarWatch.startWatching(req.userId);
+    }
+    
+    res.json({
+      success: true,
+      calendars,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error.code === 'UNKNOWN_CALENDAR') {
+      return res.status(400).json({
+        error: {
+          code: 'UNKNOWN_CALENDAR',
+          message: error.message,
+          details: error.unknownIds,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+    
+    console.error('Busy calendar update error:', error);
+    sendCalendarError(res, error, 'CALENDAR_SETTINGS_FAILED', 'Failed to update busy calendars');
+  }
+});
+
+/**
+ * Builds a weak ETag for a list of events
+ * @param {Array<Object>} events - Events as sent to the client
+ * @returns {string} ETag header value
+ */
+function eventsETag(events) {
+  const hash = crypto.createHash('sha1').update(JSON.stringify(events)).digest('base64url');
+  return `W/"${hash}"`;
 }
 
 /**
  * GET /api/calendar/events
- * Fetches today's calendar events from Google Calendar
+ * Fetches today's events from every calendar that counts as busy
+ * Each event carries the calendarId it was read from. Events are served from the
+ * server-side calendar cache, and the response carries an ETag: a request whose
+ * If-None-Match still matches gets 304 Not Modified with no body.
  */
 router.get('/events', requireAuth, async (req, res) => {
   try {
@@ -52,8 +246,8 @@ router.get('/events', requireAuth, async (req, res) => {
     const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
     const endOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
     
-    // Fetch events from Google Calendar
-    const events = await googleCalendar.fetchCalendarEvents(
+    // Fetch and merge events from the user's busy calendars
+    const events = await calendarService.getCalendarEvents(
       userId,
       startOfDay.toISOString(),
       endOfDay.toISOString()
@@ -62,6 +256,7 @@ router.get('/events', requireAuth, async (req, res) => {
     // Convert to format expected by webapp
     const formattedEvents = events.map(event => ({
       id: event.id,
+      calendarId: event.calendarId,
       summary: event.title,
       description: event.description,
       location: event.location,
@@ -76,6 +271,13 @@ router.get('/events', requireAuth, async (req, res) => {
       status: 'confirmed'
     }));
     
+    // Clients must revalidate, but an unchanged day costs them only a 304
+    res.set('Cache-Control', 'private, no-cache');
+    res.set('ETag', eventsETag(formattedEvents));
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    
     res.json({
       success: true,
       events: formattedEvents,
@@ -105,4 +307,382 @@ router.get('/events', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/calendar/suggest
+ * Suggests a focus window from the user's own calendars
+ * Events from every busy calendar are merged before the scheduler runs, so unlike
+ * POST /api/schedule/suggest the client does not send calendarEvents.
+ * 
+ * Request body:
+ * {
+ *   userPreferences: {preferredTime, minimumDuration, bufferTime, timeZone, workingHours} (optional),
+ *   date: string (YYYY-MM-DD in userPreferences.timeZone, optional, default today),
+ *   alternatives: number (0-10, optional, default 0)
+ * }
+ * 
+ * Response:
+ * {
+ *   success: true,
+ *   suggestion: Object|null (see POST /api/schedule/suggest),
+ *   calendarIds: Array<string> (the calendars that were read),
+ *   timestamp: string
+ * }
+ */
+router.post('/suggest', requireAuth, validateCalendarSuggestRequest, handleValidationErrors, async (req, res) => {
+  try {
+    const userPreferences = req.body.userPreferences || {};
+    const timeZone = userPreferences.timeZone;
+    let calendarDate = getCalendarDate(new Date(), timeZone);
+    if (req.body.date) {
+      const [year, month, day] = req.body.date.split('-').map(Number);
+      calendarDate = { year, month, day };
+    }
+    
+    const events = await calendarService.getDayEvents(req.userId, calendarDate, timeZone);
+    const suggestion = suggestOptimalFocusWindow(events, userPreferences, {
+      alternatives: req.body.alternatives || 0
+    });
+    
+    res.json({
+      success: true,
+      suggestion,
+      calendarIds: calendarService.getBusyCalendarIds(req.userId),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Calendar suggestion error:', error);
+    sendCalendarError(res, error, 'CALENDAR_SUGGEST_FAILED', 'Failed to suggest a focus window');
+  }
+});
+
+/**
+ * GET /api/calendar/sharing
+ * Lists the teammates who may include the user's free/busy in their team focus searches
+ * 
+ * Response:
+ * {
+ *   success: true,
+ *   userIds: Array<string> (AuraFlow user IDs),
+ *   timestamp: string
+ * }
+ */
+router.get('/sharing', requireSession, (req, res) => {
+  res.json({
+    success: true,
+    userIds: calendarService.getFreeBusySharing(req.userId),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * PUT /api/calendar/sharing
+ * Chooses the teammates who may include the user's free/busy in their team focus
+ * searches. Only busy periods are shared, never event details. Needs a signed-in
+ * session, so nobody can add themselves to another user's list.
+ * 
+ * Request body:
+ * {
+ *   userIds: Array<string> (AuraFlow user IDs; replaces the current list, [] stops sharing)
+ * }
+ * 
+ * Response: same as GET /api/calendar/sharing
+ */
+router.put('/sharing', requireSession, validateFreeBusySharingRequest, handleValidationErrors, (req, res) => {
+  res.json({
+    success: true,
+    userIds: calendarService.setFreeBusySharing(req.userId, req.body.userIds),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * POST /api/calendar/team-focus
+ * Finds shared quiet windows in which the whole team can go heads-down at once
+ * Busy periods of the caller, their AuraFlow teammates and any attendees are merged,
+ * and the best free windows inside the team's working hours are returned. Only the
+ * shared windows are sent back, never anyone's own busy times.
+ * 
+ * Request body:
+ * {
+ *   members: Array<string> (AuraFlow user IDs; each is read from their own calendar provider
+ *     once they share their free/busy with the caller, see PUT /api/calendar/sharing),
+ *   attendees: Array<string> (email addresses, read through the caller's calendar provider;
+ *     Google needs free/busy access to their calendars),
+ *   userPreferences: {preferredTime, minimumDuration, bufferTime, timeZone, workingHours}
+ *     (the team's, optional),
+ *   teamOptions: {
+ *     startDate: string (ISO 8601, default today),
+ *     days: number (working days to search, 1-14, default 5),
+ *     maxWindows: number (1-20, default 5),
+ *     includeWeekends: boolean (default false)
+ *   }
+ * }
+ * At least one member or attendee is required.
+ * 
+ * Response:
+ * {
+ *   success: true,
+ *   startDate: string|null (YYYY-MM-DD),
+ *   endDate: string|null (YYYY-MM-DD),
+ *   windows: Array<{startTime, endTime, duration, score, rank, reasoning}> (chronological),
+ *   participants: Array<{id, type: 'user'|'attendee', available: boolean}>,
+ *   timestamp: string
+ * }
+ * 
+ * Participants whose calendars could not be read, and members who don't share their
+ * free/busy with the caller, have available: false and are left out of the search, so
+ * check them before booking.
+ */
+router.post('/team-focus', requireAuth, validateTeamFocusRequest, handleValidationErrors, async (req, res) => {
+  try {
+    const userPreferences = req.body.userPreferences || {};
+    const teamOptions = { ...(req.body.teamOptions || {}), notBefore: new Date().toISOString() };
+    const range = getTeamFocusRange(userPreferences, teamOptions);
+    
+    const participants = range
+      ? await calendarService.getTeamFreeBusy(req.userId, req.body, range.startTime, range.endTime)
+      : [];
+    const busyPeriods = participants
+      .flatMap(participant => participant.busy)
+      .map(period => ({ startTime: period.start, endTime: period.end, title: 'Busy' }));
+    
+    res.json({
+      success: true,
+      ...findTeamFocusWindows(busyPeriods, userPreferences, teamOptions),
+      participants: participants.map(({ id, type, available }) => ({ id, type, available })),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Team focus error:', error);
+    sendCalendarError(res, error, 'TEAM_FOCUS_FAILED', 'Failed to find team focus windows');
+  }
+});
+
+/**
+ * POST /api/calendar/import
+ * Reads events from an ICS calendar (Outlook, Apple Calendar or any other app that
+ * exports iCalendar), for users who do not sign in with Google
+ * Recurring events are expanded into their occurrences; cancelled events and events
+ * marked free are left out. The events have the same shape as Google events, so they
+ * can be sent unchanged as calendarEvents to POST /api/schedule/suggest.
+ * No sign-in is needed.
+ * 
+ * Request body (exactly one of ics or url):
+ * {
+ *   ics: string (contents of an .ics file),
+ *   url: string (http, https or webcal subscription URL),
+ *   start: string (ISO 8601, optional, default now),
+ *   end: string (ISO 8601, optional, default 30 days after start),
+ *   timeZone: string (IANA, optional, for times without a zone and all-day events)
+ * }
+ * 
+ * Response:
+ * {
+ *   success: true,
+ *   events: Array<{id, startTime, endTime, title, description, location, calendarId: 'ics'}>,
+ *   count: number,
+ *   timestamp: string
+ * }
+ * 
+ * Responds 422 ICS_INVALID for text that is not a calendar, 400 ICS_URL_NOT_ALLOWED
+ * for URLs on private networks and 502 ICS_FETCH_FAILED when the URL cannot be read.
+ */
+router.post('/import', validateCalendarImportRequest, handleValidationErrors, async (req, res) => {
+  try {
+    const text = req.body.url
+      ? await icsCalendar.fetchICalendar(req.body.url)
+      : req.body.ics;
+    
+    const events = icsCalendar.parseICalendar(text, {
+      timeZone: req.body.timeZone,
+      rangeStart: req.body.start,
+      rangeEnd: req.body.end
+    });
+    
+    res.json({
+      success: true,
+      events,
+      count: events.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    const statuses = { ICS_INVALID: 422, ICS_URL_NOT_ALLOWED: 400, ICS_FETCH_FAILED: 502 };
+    
+    if (statuses[error.code]) {
+      return res.status(statuses[error.code]).json({
+        error: {
+          code: error.code,
+          message: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+    
+    console.error('Calendar import error:', error);
+    res.status(500).json({
+      error: {
+        code: 'CALENDAR_IMPORT_FAILED',
+        message: 'Failed to import calendar',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
+/**
+ * POST /api/calendar/watch
+ * Turns on push notifications for the user's busy calendars
+ * Google then calls POST /api/webhooks/google-calendar whenever an event changes, the
+ * cached events are refreshed and a calendar-changed update is published to the user's
+ * clients. Calling it again replaces the existing channels.
+ * 
+ * Response (201):
+ * {
+ *   success: true,
+ *   channels: Array<{id, calendarId, expiration}>,
+ *   timestamp: string
+ * }
+ * 
+ * Responds 503 WEBHOOKS_NOT_CONFIGURED when GOOGLE_WEBHOOK_URL is not set, and 409
+ * WATCH_NOT_SUPPORTED for users on another calendar provider.
+ */
+router.post('/watch', requireAuth, async (req, res) => {
+  try {
+    const channels = await calendarWatch.startWatching(req.userId);
+    
+    res.status(201).json({
+      success: true,
+      channels,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error.code === 'WEBHOOKS_NOT_CONFIGURED' || error.code === 'WATCH_NOT_SUPPORTED') {
+      return res.status(error.code === 'WATCH_NOT_SUPPORTED' ? 409 : 503).json({
+        error: {
+          code: error.code,
+          message: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+    
+    console.error('Calendar watch error:', error);
+    sendCalendarError(res, error, 'CALENDAR_WATCH_FAILED', 'Failed to watch calendars');
+  }
+});
+
+/**
+ * GET /api/calendar/watch
+ * Lists the user's open push-notification channels
+ * 
+ * Response:
+ * {
+ *   success: true,
+ *   channels: Array<{id, calendarId, expiration}>,
+ *   timestamp: string
+ * }
+ */
+router.get('/watch', requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    channels: calendarWatch.listChannels(req.userId),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * DELETE /api/calendar/watch
+ * Turns push notifications off
+ * 
+ * Response:
+ * {
+ *   success: true,
+ *   stopped: number (channels stopped),
+ *   timestamp: string
+ * }
+ */
+router.delete('/watch', requireAuth, async (req, res) => {
+  try {
+    const stopped = await calendarWatch.stopWatching(req.userId);
+    
+    res.json({
+      success: true,
+      stopped,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Calendar unwatch error:', error);
+    sendCalendarError(res, error, 'CALENDAR_WATCH_FAILED', 'Failed to stop watching calendars');
+  }
+});
+
+/**
+ * POST /api/calendar/focus-time
+ * Books a suggested focus window (e.g. from /api/schedule/suggest) as a focus-time event
+ * The slot is re-checked against the calendar first to avoid double-booking.
+ * 
+ * Request body:
+ * {
+ *   startTime: string (ISO 8601),
+ *   endTime: string (ISO 8601),
+ *   title: string (optional, default 'Focus Time'),
+ *   description: string (optional, defaults to the suggestion reasoning),
+ *   reasoning: string (optional),
+ *   timeZone: string (optional),
+ *   colorId: string (optional, '1'-'11', default '9'),
+ *   transparency: 'opaque' | 'transparent' (optional, default 'opaque'),
+ *   reminderMinutes: number (optional, default 5, 0 disables reminders)
+ * }
+ * 
+ * Response (201):
+ * {
+ *   success: true,
+ *   event: {id, startTime, endTime, title, htmlLink, colorId, transparency, duration},
+ *   timestamp: string
+ * }
+ * 
+ * Responds 409 SLOT_UNAVAILABLE if the window is no longer free.
+ */
+router.post('/focus-time', requireAuth, validateFocusEventRequest, validateTimeRange, async (req, res) => {
+  try {
+    const event = await calendarService.bookFocusTime(req.userId, req.body);
+    
+    if (!event) {
+      return res.status(409).json({
+        error: {
+          code: 'SLOT_UNAVAILABLE',
+          message: 'This time is no longer free. Please request a new suggestion.',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+    
+    res.status(201).json({
+      success: true,
+      event,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Focus time booking error:', error);
+    
+    if (error.message.includes('invalid_grant') || error.message.includes('re-authenticate')) {
+      return res.status(401).json({
+        error: {
+          code: 'TOKEN_EXPIRED',
+          message: 'Authentication token expired. Please log in again.',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+    
+    res.status(500).json({
+      error: {
+        code: 'CALENDAR_BOOKING_FAILED',
+        message: 'Failed to book focus time',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,187 @@
+/**
+ * Focus Rules API Routes
+ * Endpoints for recurring protected focus blocks kept booked on the user's calendar
+ */
+
+const express = require('express');
+const router = express.Router();
+const focusRules = require('../services/focus-rules.service');
+const {
+  validateFocusRuleRequest,
+  handleValidationErrors
+} = require('../middleware/validation.middleware');
+const { asyncHandler, AppError } = require('../middleware/error.middleware');
+const { requireAuth } = require('../middleware/auth');
+
+/**
+ * Runs a calendar operation, turning missing or expired Google tokens into a 401
+ * @param {Function} operation - Async calendar operation
+ * @returns {Promise<any>} Operation result
+ */
+async function withCalendar(operation) {
+  try {
+    return await operation();
+  } catch (error) {
+    if (error.message.includes('authenticate')) {
+      throw new AppError('Google Calendar access is required. Please log in again.', 401, 'NOT_AUTHENTICATED');
+    }
+    throw error;
+  }
+}
+
+/**
+ * GET /api/focus-rules
+ * Lists the user's protected focus-block rules
+ *
+ * Response:
+ * {
+ *   rules: Array<Object>,
+ *   count: number
+ * }
+ */
+router.get(
+  '/',
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const rules = focusRules.listRules(req.userId);
+
+    res.status(200).json({
+      rules,
+      count: rules.length
+    });
+  })
+);
+
+/**
+ * POST /api/focus-rules
+ * Creates a rule such as "protect 2 hours of focus every weekday morning"
+ * Blocks are booked on the next sync (periodic, or POST /api/focus-rules/:id/sync).
+ *
+ * Request body (all optional):
+ * {
+ *   name: string (event title, default 'Focus Time'),
+ *   durationMinutes: number (15-480, default 120),
+ *   days: Array<string> (weekday names, default monday-friday),
+ *   preferredTime: 'morning' | 'afternoon' | 'evening' | null (default 'morning'),
+ *   window: {start: 'HH:MM', end: 'HH:MM'} | null (overrides the preferred time range),
+ *   timeZone: string (IANA, default server time),
+ *   enabled: boolean (default true)
+ * }
+ *
+ * Response (201):
+ * {
+ *   rule: {id, userId, ...fields, bookings, staleEventIds, lastSyncedAt, createdAt, updatedAt}
+ * }
+ */
+router.post(
+  '/',
+  requireAuth,
+  validateFocusRuleRequest,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const rule = focusRules.createRule(req.userId, req.body);
+
+    res.status(201).json({
+      rule
+    });
+  })
+);
+
+/**
+ * GET /api/focus-rules/:id
+ * Fetches a single rule with its current bookings
+ */
+router.get(
+  '/:id',
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const rule = focusRules.getRule(req.userId, req.params.id);
+
+    if (!rule) {
+      throw new AppError('Focus rule not found', 404, 'NOT_FOUND');
+    }
+
+    res.status(200).json({
+      rule
+    });
+  })
+);
+
+/**
+ * PUT /api/focus-rules/:id
+ * Updates a rule (same fields as POST /api/focus-rules)
+ * Disabling a rule or changing its days syncs it right away, so blocks it no longer
+ * needs come off the calendar; if the calendar can't be reached they go on the next sync.
+ */
+router.put(
+  '/:id',
+  requireAuth,
+  validateFocusRuleRequest,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    let rule = focusRules.updateRule(req.userId, req.params.id, req.body);
+
+    if (!rule) {
+      throw new AppError('Focus rule not found', 404, 'NOT_FOUND');
+    }
+
+    if (req.body.enabled === false || req.body.days !== undefined) {
+      try {
+        await focusRules.syncRule(req.userId, rule.id);
+        rule = focusRules.getRule(req.userId, rule.id) || rule;
+      } catch (error) {
+        console.warn(`Could not release focus blocks of rule ${rule.id}:`, error.message);
+      }
+    }
+
+    res.status(200).json({
+      rule
+    });
+  })
+);
+
+/**
+ * DELETE /api/focus-rules/:id
+ * Deletes a rule and removes its upcoming blocks from the calendar
+ */
+router.delete(
+  '/:id',
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const deleted = await focusRules.deleteRule(req.userId, req.params.id);
+
+    if (!deleted) {
+      throw new AppError('Focus rule not found', 404, 'NOT_FOUND');
+    }
+
+    res.status(204).end();
+  })
+);
+
+/**
+ * POST /api/focus-rules/:id/sync
+ * Books, keeps or moves the rule's blocks for the coming days right away
+ *
+ * Response:
+ * {
+ *   ruleId: string,
+ *   syncedAt: string (ISO 8601),
+ *   days: Array<{date, status: 'booked'|'kept'|'moved'|'conflict'|'unplaced'|'released', eventId, startTime, endTime}>
+ *     ('released': a block of a disabled rule or a dropped day was deleted)
+ * }
+ */
+router.post(
+  '/:id/sync',
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const report = await withCalendar(() => focusRules.syncRule(req.userId, req.params.id));
+
+    if (!report) {
+      throw new AppError('Focus rule not found', 404, 'NOT_FOUND');
+    }
+
+    res.status(200).json(report);
+  })
+);
+
+module.exports = router;
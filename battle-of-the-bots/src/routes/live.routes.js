@@ -0,0 +1,133 @@
+/**
+ * Live Update Routes
+ * Server-Sent Events stream of a user's session, status and calendar updates, so
+ * every open client (webapp tab, extension popup) sees changes made on the others
+ */
+
+const express = require('express');
+const router = express.Router();
+const liveUpdates = require('../services/live-updates.service');
+const {
+  validateLiveUpdateRequest,
+  handleValidationErrors
+} = require('../middleware/validation.middleware');
+const { identifyUser } = require('../middleware/auth');
+const config = require('../utils/config');
+
+// Open streams, ended on shutdown since the server can't close while they are open
+const openStreams = new Set();
+
+/**
+ * Writes one update as an SSE message
+ * @param {Object} res - Express response
+ * @param {Object} update - Update from the live updates service
+ */
+function writeUpdate(res, update) {
+  res.write(`id: ${update.id}\nevent: ${update.type}\ndata: ${JSON.stringify(update)}\n\n`);
+}
+
+/**
+ * GET /api/live/stream
+ * Opens a Server-Sent Events stream of the user's updates
+ * Browsers connect with EventSource; since it cannot set headers, the user may be
+ * given as ?userId= instead of x-user-id.
+ *
+ * Query params:
+ *   userId: string (when neither a session nor x-user-id identifies the user)
+ *   lastEventId: number (optional, same as the Last-Event-ID header)
+ *
+ * Stream:
+ *   event: connected          data: {userId, subscribers}
+ *   event: <update type>      data: {id, type, data, source, timestamp}
+ *
+ * Update types: session-started, session-paused, session-resumed, session-ended,
+ * status-changed, calendar-changed. A reconnecting client that sends Last-Event-ID
+ * first receives the recent updates it missed. Comment lines are sent as a heartbeat.
+ */
+router.get('/stream', identifyUser, (req, res) => {
+  const userId = req.userId;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Don't let reverse proxies buffer the stream
+  });
+  res.flushHeaders();
+  res.write(`retry: ${config.live.retryMs}\n\n`);
+
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10);
+  if (lastEventId > 0) {
+    liveUpdates.getUpdatesSince(userId, lastEventId).forEach(update => writeUpdate(res, update));
+  }
+
+  const unsubscribe = liveUpdates.subscribe(userId, update => writeUpdate(res, update));
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), config.live.heartbeatSeconds * 1000);
+
+  res.write(`event: connected\ndata: ${JSON.stringify({
+    userId,
+    subscribers: liveUpdates.getSubscriberCount(userId)
+  })}\n\n`);
+
+  const stream = {
+    res,
+    close: () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      openStreams.delete(stream);
+    }
+  };
+  openStreams.add(stream);
+
+  req.on('close', stream.close);
+});
+
+/**
+ * POST /api/live/events
+ * Publishes a session or status change to the user's other clients
+ *
+ * Request body:
+ * {
+ *   type: 'session-started' | 'session-paused' | 'session-resumed' | 'session-ended' | 'status-changed',
+ *   data: Object (optional, at most 4 KB, e.g. {taskGoal, workDuration, endsAt} or {status}),
+ *   source: {client: 'webapp' | 'extension', id: string} (optional, lets the sender skip its own echo)
+ * }
+ *
+ * Response (202):
+ * {
+ *   success: true,
+ *   update: {id, type, data, source, timestamp},
+ *   delivered: number (clients connected when it was published)
+ * }
+ */
+router.post('/events', identifyUser, validateLiveUpdateRequest, handleValidationErrors, (req, res) => {
+  const { type, data, source } = req.body;
+
+  const update = liveUpdates.publish(req.userId, type, data || {}, source || null);
+
+  res.status(202).json({
+    success: true,
+    update,
+    delivered: liveUpdates.getSubscriberCount(req.userId)
+  });
+});
+
+/**
+ * Ends every open stream and stops its heartbeat
+ * Called on shutdown; clients reconnect to the next server with Last-Event-ID.
+ * @returns {number} Number of streams ended
+ */
+function closeAllStreams() {
+  const streams = [...openStreams];
+
+  streams.forEach(stream => {
+    stream.close();
+    stream.res.end();
+  });
+
+  return streams.length;
+}
+
+router.closeAllStreams = closeAllStreams;
+
+module.exports = router;
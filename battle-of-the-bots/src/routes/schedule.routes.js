@@ -5,12 +5,18 @@
 
 const express = require('express');
 const router = express.Router();
-const { suggestOptimalFocusWindow } = require('../services/scheduling.service');
+const { suggestOptimalFocusWindow, planFocusWeek } = require('../services/scheduling.service');
+const { planTaskFocus } = require('../services/task-scheduling.service');
+const { getTasks } = require('../services/tasks.service');
+const { createTask } = require('../integrations/task-providers/task-model');
 const {
   validateScheduleRequest,
+  validateSchedulePlanRequest,
+  validateScheduleTasksRequest,
   handleValidationErrors
 } = require('../middleware/validation.middleware');
 const { asyncHandler } = require('../middleware/error.middleware');
+const { requireSession } = require('../middleware/auth');
 
 /**
  * POST /api/schedule/suggest
@@ -19,27 +25,40 @@ const { asyncHandler } = require('../middleware/error.middleware');
  * Request body:
  * {
  *   calendarEvents: Array<{id, startTime, endTime, title}>,
- *   userPreferences: {preferredTime, minimumDuration, bufferTime}
+ *   userPreferences: {
+ *     preferredTime, minimumDuration, bufferTime,
+ *     timeZone: string (IANA, optional, defaults to server time),
+ *     workingHours: { monday: [{start: 'HH:MM', end: 'HH:MM'}, ...], saturday: null, ... } (optional)
+ *   },
+ *   alternatives: number (0-10, optional, default 0)
  * }
  * 
+ * Weekdays missing from workingHours use 08:00-21:00; null or [] marks a day off.
+ * 
  * Response:
  * {
  *   startTime: string (ISO 8601),
  *   endTime: string (ISO 8601),
  *   duration: number (minutes),
  *   score: number (0-100),
- *   reasoning: string
+ *   reasoning: string,
+ *   breakdown: {duration, timePreference, bufferCompliance, timeOfDay} (only when alternatives > 0),
+ *   alternatives: Array<{startTime, endTime, duration, score, rank, breakdown, reasoning}> (only when alternatives > 0)
  * }
+ * 
+ * Each breakdown factor is {score: 0-1, weight, points}; the points sum to the slot score.
  */
 router.post(
   '/suggest',
   validateScheduleRequest,
   handleValidationErrors,
   asyncHandler(async (req, res) => {
-    const { calendarEvents, userPreferences } = req.body;
+    const { calendarEvents, userPreferences, alternatives } = req.body;
     
     // Call scheduling service
-    const focusWindow = suggestOptimalFocusWindow(calendarEvents, userPreferences || {});
+    const focusWindow = suggestOptimalFocusWindow(calendarEvents, userPreferences || {}, {
+      alternatives: alternatives || 0
+    });
     
     // Handle case where no suitable window is found
     if (!focusWindow) {
@@ -51,4 +70,111 @@ router.post(
   })
 );
 
+/**
+ * POST /api/schedule/plan
+ * Plans ranked focus blocks across several days to meet a weekly focus target
+ * Time before the current moment is never planned.
+ * 
+ * Request body:
+ * {
+ *   calendarEvents: Array<{id, startTime, endTime, title}> (covering the whole range),
+ *   userPreferences: {preferredTime, minimumDuration, bufferTime, timeZone, workingHours},
+ *   planOptions: {
+ *     startDate: string (ISO 8601, default today),
+ *     days: number (plannable days, default 5),
+ *     weeklyTargetHours: number (default 10),
+ *     maxBlockDuration: number (minutes, default 120),
+ *     maxBlocksPerDay: number (default 2),
+ *     includeWeekends: boolean (default false)
+ *   }
+ * }
+ * 
+ * Response:
+ * {
+ *   startDate: string (YYYY-MM-DD),
+ *   endDate: string (YYYY-MM-DD),
+ *   targetMinutes: number,
+ *   plannedMinutes: number,
+ *   targetMet: boolean,
+ *   shortfallMinutes: number,
+ *   days: Array<{date, plannedMinutes, blocks: Array<{startTime, endTime, duration, score, rank, reasoning}>}>
+ * }
+ */
+router.post(
+  '/plan',
+  validateSchedulePlanRequest,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { calendarEvents, userPreferences, planOptions } = req.body;
+    
+    const plan = planFocusWeek(calendarEvents, userPreferences || {}, {
+      ...(planOptions || {}),
+      notBefore: new Date().toISOString()
+    });
+    
+    res.status(200).json(plan);
+  })
+);
+
+/**
+ * Normalizes tasks sent in a request body
+ * Tasks taken from GET /api/tasks keep their ids; ad-hoc tasks get 'inline:<n>' ids.
+ * @param {Array<Object>} tasks - Tasks from the request
+ * @returns {Array<Object>} Normalized tasks
+ */
+function normalizeRequestTasks(tasks) {
+  return tasks.map((task, index) => {
+    const provider = task.provider || 'inline';
+    const id = task.id ? String(task.id) : null;
+    const prefix = `${provider}:`;
+    const externalId = task.externalId ||
+      (id && id.startsWith(prefix) ? id.slice(prefix.length) : id) ||
+      index + 1;
+    
+    const normalized = createTask(provider, { ...task, externalId });
+    return id ? { ...normalized, id } : normalized;
+  });
+}
+
+/**
+ * POST /api/schedule/tasks
+ * Proposes which task to work on in each of the best free focus slots
+ * Tasks are matched on due date, priority and estimated effort. Needs a signed-in
+ * session, since the tasks may come from the user's task provider accounts.
+ * 
+ * Request body:
+ * {
+ *   calendarEvents: Array<{id, startTime, endTime, title}>,
+ *   userPreferences: {preferredTime, minimumDuration, bufferTime, timeZone, workingHours},
+ *   tasks: Array<{id, provider, title, dueDate, priority, estimatedMinutes, ...}> (optional,
+ *          defaults to open tasks from the user's connected providers, see GET /api/tasks),
+ *   maxSlots: number (1-10, default 3)
+ * }
+ * 
+ * Response:
+ * {
+ *   slots: Array<{startTime, endTime, duration, score, rank, reasoning, task, taskScore, taskReasoning}>,
+ *   unassignedTasks: Array<Object>
+ * }
+ * 
+ * Slots are in chronological order; rank is the scheduler's ranking of the slot itself.
+ */
+router.post(
+  '/tasks',
+  requireSession,
+  validateScheduleTasksRequest,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { calendarEvents, userPreferences, maxSlots } = req.body;
+    
+    const tasks = req.body.tasks
+      ? normalizeRequestTasks(req.body.tasks)
+      : (await getTasks(req.userId)).tasks;
+    
+    const plan = planTaskFocus(calendarEvents, tasks, userPreferences || {}, { maxSlots });
+    
+    res.status(200).json(plan);
+  })
+);
+
 module.exports = router;
@@ -1,16 +1,26 @@
 /**
- * Session Summary API Routes
- * Endpoints for generating intelligent session summaries
+ * Session API Routes
+ * Endpoints for session summaries, the persisted session history and the
+ * active session shared across devices
+ * History and the active session need a signed-in session; the ICS feed is also
+ * readable with the user's feed token, for calendar apps that cannot sign in.
  */
 
 const express = require('express');
 const router = express.Router();
 const { createIntelligentSummary } = require('../services/summary.service');
+const sessionHistory = require('../services/session-history.service');
+const activeSession = require('../services/active-session.service');
 const {
   validateSessionSummaryRequest,
+  validateSessionRecordRequest,
+  validateSessionUpdateRequest,
+  validateDateRangeQuery,
+  validateActiveSessionRequest,
   handleValidationErrors
 } = require('../middleware/validation.middleware');
-const { asyncHandler } = require('../middleware/error.middleware');
+const { asyncHandler, AppError } = require('../middleware/error.middleware');
+const { requireSession } = require('../middleware/auth');
 
 /**
  * POST /api/session/summary
@@ -49,4 +59,307 @@ router.post(
   })
 );
 
+/**
+ * POST /api/session
+ * Records a completed focus session in the user's history
+ * Re-posting with the same sessionId replaces the stored record
+ * 
+ * Request body:
+ * {
+ *   sessionId: string (optional, client-generated),
+ *   taskGoal: string (optional),
+ *   mode: 'work' | 'break' (optional),
+ *   startTime: string (ISO 8601, optional),
+ *   endTime: string (ISO 8601, optional, defaults to now),
+ *   plannedDuration: number (minutes),
+ *   actualDuration: number (minutes, defaults to plannedDuration),
+ *   pauseCount: number (optional),
+ *   interruptions: number (optional),
+ *   ritualUsed: string (optional),
+ *   completed: boolean (optional, defaults to true),
+ *   source: 'manual' | 'suggestion' (optional, defaults to 'manual'),
+ *   externalTaskId: string (optional, task worked on, e.g. 'todoist:123')
+ * }
+ * 
+ * Response (201):
+ * {
+ *   session: Object (stored record, including generated summary)
+ * }
+ */
+router.post(
+  '/',
+  requireSession,
+  validateSessionRecordRequest,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const session = sessionHistory.recordSession(req.userId, req.body);
+    
+    res.status(201).json({
+      session
+    });
+  })
+);
+
+/**
+ * GET /api/session
+ * Lists the user's sessions, newest first
+ * 
+ * Query params:
+ *   from: string (ISO 8601, optional, inclusive)
+ *   to: string (ISO 8601, optional, exclusive)
+ * 
+ * Response:
+ * {
+ *   sessions: Array<Object>,
+ *   count: number
+ * }
+ */
+router.get(
+  '/',
+  requireSession,
+  validateDateRangeQuery,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const sessions = sessionHistory.listSessions(req.userId, {
+      from: req.query.from,
+      to: req.query.to
+    });
+    
+    res.status(200).json({
+      sessions,
+      count: sessions.length
+    });
+  })
+);
+
+/**
+ * GET /api/session/active
+ * Fetches the user's current session as last reported by any of their devices
+ * 
+ * Response:
+ * {
+ *   session: {
+ *     sessionId, status: 'running' | 'paused' | 'ended', mode, taskGoal,
+ *     durationSeconds, remainingSeconds, endsAt (running only), startedAt,
+ *     changedAt, version, source: {client, id}
+ *   } | null
+ * }
+ */
+router.get(
+  '/active',
+  requireSession,
+  asyncHandler(async (req, res) => {
+    res.status(200).json({
+      session: activeSession.getActiveSession(req.userId)
+    });
+  })
+);
+
+/**
+ * PUT /api/session/active
+ * Starts, pauses, resumes or stops the user's current session
+ * Other devices hear about accepted changes on GET /api/live/stream.
+ * 
+ * Request body:
+ * {
+ *   sessionId: string (client-generated),
+ *   status: 'running' | 'paused' | 'ended',
+ *   baseVersion: number (version of the session the client last saw, 0 if none),
+ *   remainingSeconds: number (time left when the change was made, not needed to end),
+ *   durationSeconds: number (optional, planned length),
+ *   mode: 'work' | 'break' (optional),
+ *   taskGoal: string (optional),
+ *   changedAt: string (ISO 8601, optional, when the change was made, e.g. while offline),
+ *   source: {client: 'webapp' | 'extension', id: string} (optional)
+ * }
+ * 
+ * Response (200):
+ * {
+ *   session: Object (the stored session, with its new version)
+ * }
+ * 
+ * Responds 409 SESSION_CONFLICT, with the current session, when a change made
+ * against an older version loses to a change from another device.
+ */
+router.put(
+  '/active',
+  requireSession,
+  validateActiveSessionRequest,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const result = activeSession.applySessionChange(req.userId, req.body);
+    
+    if (!result.applied) {
+      return res.status(409).json({
+        error: {
+          code: 'SESSION_CONFLICT',
+          message: result.reason,
+          timestamp: new Date().toISOString()
+        },
+        session: result.session
+      });
+    }
+    
+    res.status(200).json({
+      session: result.session
+    });
+  })
+);
+
+/**
+ * Lets a calendar app read the ICS feed with the user's feed token
+ * Requests without a token need a signed-in session instead.
+ */
+function requireFeedAccess(req, res, next) {
+  if (req.query.token === undefined) {
+    return requireSession(req, res, next);
+  }
+
+  const userId = sessionHistory.findCalendarFeedUser(req.query.token);
+  if (!userId) {
+    return res.status(401).json({
+      error: {
+        code: 'INVALID_FEED_TOKEN',
+        message: 'This calendar feed URL is no longer valid',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  req.userId = userId;
+  next();
+}
+
+/**
+ * Builds the URL of a user's ICS feed
+ * @param {Object} req - Express request
+ * @param {string} token - Feed token
+ * @returns {string} Feed URL
+ */
+function buildFeedUrl(req, token) {
+  return `${req.protocol}://${req.get('host')}${req.baseUrl}/calendar.ics?token=${token}`;
+}
+
+/**
+ * GET /api/session/calendar-feed
+ * Gets the private URL of the user's ICS feed, for subscribing in a calendar app
+ * 
+ * Response:
+ * {
+ *   url: string (GET /api/session/calendar.ics with the user's feed token)
+ * }
+ */
+router.get('/calendar-feed', requireSession, (req, res) => {
+  res.status(200).json({
+    url: buildFeedUrl(req, sessionHistory.getCalendarFeedToken(req.userId))
+  });
+});
+
+/**
+ * POST /api/session/calendar-feed
+ * Replaces the user's feed URL, e.g. after sharing it by mistake; the old one stops working
+ * 
+ * Response:
+ * {
+ *   url: string
+ * }
+ */
+router.post('/calendar-feed', requireSession, (req, res) => {
+  res.status(200).json({
+    url: buildFeedUrl(req, sessionHistory.resetCalendarFeedToken(req.userId))
+  });
+});
+
+/**
+ * GET /api/session/calendar.ics
+ * Exports the user's completed focus sessions as an ICS calendar
+ * Signed-in clients can download it directly; calendar apps subscribe to the URL
+ * from GET /api/session/calendar-feed, which carries the user's feed token.
+ * 
+ * Query params:
+ *   token: string (feed token, when not signed in)
+ *   from: string (ISO 8601, optional, inclusive lower bound on end time)
+ *   to: string (ISO 8601, optional, exclusive upper bound on end time)
+ * 
+ * Response: text/calendar document with one event per completed focus session
+ * 
+ * Responds 401 INVALID_FEED_TOKEN for a token that was replaced or never issued.
+ */
+router.get(
+  '/calendar.ics',
+  requireFeedAccess,
+  validateDateRangeQuery,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const ics = sessionHistory.exportSessionsAsICalendar(req.userId, {
+      from: req.query.from,
+      to: req.query.to
+    });
+    
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'attachment; filename="auraflow-focus-sessions.ics"');
+    res.status(200).send(ics);
+  })
+);
+
+/**
+ * GET /api/session/:id
+ * Fetches a single stored session
+ */
+router.get(
+  '/:id',
+  requireSession,
+  asyncHandler(async (req, res) => {
+    const session = sessionHistory.getSession(req.userId, req.params.id);
+    
+    if (!session) {
+      throw new AppError('Session not found', 404, 'NOT_FOUND');
+    }
+    
+    res.status(200).json({
+      session
+    });
+  })
+);
+
+/**
+ * PUT /api/session/:id
+ * Updates fields of a stored session (same fields as POST /api/session)
+ */
+router.put(
+  '/:id',
+  requireSession,
+  validateSessionUpdateRequest,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const session = sessionHistory.updateSession(req.userId, req.params.id, req.body);
+    
+    if (!session) {
+      throw new AppError('Session not found', 404, 'NOT_FOUND');
+    }
+    
+    res.status(200).json({
+      session
+    });
+  })
+);
+
+/**
+ * DELETE /api/session/:id
+ * Removes a session from the user's history
+ */
+router.delete(
+  '/:id',
+  requireSession,
+  asyncHandler(async (req, res) => {
+    const deleted = sessionHistory.deleteSession(req.userId, req.params.id);
+    
+    if (!deleted) {
+      throw new AppError('Session not found', 404, 'NOT_FOUND');
+    }
+    
+    res.status(204).end();
+  })
+);
+
 module.exports = router;
@@ -0,0 +1,229 @@
+/**
+ * Tasks API Routes
+ * Endpoints for tasks aggregated from the user's Asana, Notion and Todoist accounts
+ * Every route needs a signed-in session, since it uses the user's stored API tokens.
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+  listTaskConnections,
+  connectTaskProvider,
+  disconnectTaskProvider,
+  getTasks,
+  resolveTask,
+  completeTask,
+  logTaskTime
+} = require('../services/tasks.service');
+const {
+  validateTasksQuery,
+  validateTaskTimeRequest,
+  validateTaskProviderParam,
+  validateTaskProviderRequest,
+  handleValidationErrors
+} = require('../middleware/validation.middleware');
+const { asyncHandler, AppError } = require('../middleware/error.middleware');
+const { requireSession } = require('../middleware/auth');
+
+/**
+ * Runs a write against a task's provider, translating provider failures
+ * @param {string} userId - User identifier
+ * @param {string} taskId - Task ID ('<provider>:<externalId>')
+ * @param {Function} operation - Async provider write
+ * @returns {Promise<any>} Operation result
+ */
+async function withTaskProvider(userId, taskId, operation) {
+  const task = resolveTask(userId, taskId);
+
+  if (!task) {
+    throw new AppError('Task not found', 404, 'NOT_FOUND');
+  }
+  if (!task.connected) {
+    throw new AppError(`Task provider ${task.provider} is not connected`, 409, 'PROVIDER_DISCONNECTED');
+  }
+
+  try {
+    return await operation();
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      throw new AppError('Task not found', 404, 'NOT_FOUND');
+    }
+    if (error.code === 'TASK_NOT_COMPLETABLE') {
+      throw new AppError(error.message, 422, error.code);
+    }
+    throw error;
+  }
+}
+
+/**
+ * GET /api/tasks/providers
+ * Lists the user's task providers and which of them are connected
+ *
+ * Response:
+ * {
+ *   providers: Array<{name, connected, connectedAt, workspaceId (Asana), databaseId (Notion)}>
+ * }
+ */
+router.get('/providers', requireSession, (req, res) => {
+  res.status(200).json({
+    providers: listTaskConnections(req.userId)
+  });
+});
+
+/**
+ * PUT /api/tasks/providers/:provider
+ * Connects the user's account with a task provider (asana, notion or todoist)
+ * The token is checked by reading the account's tasks before it is saved (encrypted).
+ *
+ * Request body:
+ * {
+ *   apiToken: string (personal access token; for Notion the integration secret),
+ *   workspaceId: string (Asana only, workspace GID),
+ *   databaseId: string (Notion only, task database shared with the integration)
+ * }
+ *
+ * Response:
+ * {
+ *   provider: {name, connected: true, connectedAt, workspaceId, databaseId}
+ * }
+ *
+ * Responds 422 TASK_AUTH_FAILED when the provider rejects the token or account ID
+ * and 502 TASK_PROVIDER_REQUEST_FAILED when it cannot be reached.
+ */
+router.put(
+  '/providers/:provider',
+  requireSession,
+  validateTaskProviderRequest,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    try {
+      const provider = await connectTaskProvider(req.userId, req.params.provider, req.body);
+
+      res.status(200).json({ provider });
+    } catch (error) {
+      const statuses = { TASK_AUTH_FAILED: 422, TASK_PROVIDER_REQUEST_FAILED: 502 };
+
+      if (statuses[error.code]) {
+        throw new AppError(error.message, statuses[error.code], error.code);
+      }
+      throw error;
+    }
+  })
+);
+
+/**
+ * DELETE /api/tasks/providers/:provider
+ * Disconnects a task provider and forgets its token
+ */
+router.delete(
+  '/providers/:provider',
+  requireSession,
+  validateTaskProviderParam,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    if (!disconnectTaskProvider(req.userId, req.params.provider)) {
+      throw new AppError('Task provider is not connected', 404, 'NOT_FOUND');
+    }
+
+    res.status(204).end();
+  })
+);
+
+/**
+ * GET /api/tasks
+ * Returns open tasks from every provider the user connected in one normalized list
+ *
+ * Query params:
+ *   provider: string (optional, comma-separated: asana, notion, todoist)
+ *   includeCompleted: boolean (optional, default false)
+ *
+ * Response:
+ * {
+ *   tasks: Array<{id, provider, externalId, title, dueDate, priority, project, labels,
+ *                 estimatedMinutes, completed, url}>,
+ *   count: number,
+ *   providers: Array<{name, status: 'ok'|'error'|'disconnected', taskCount, error}>
+ * }
+ *
+ * Tasks are sorted by due date (undated last), then by priority.
+ */
+router.get(
+  '/',
+  requireSession,
+  validateTasksQuery,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { tasks, providers } = await getTasks(req.userId, {
+      providers: req.query.provider ? req.query.provider.split(',') : undefined,
+      includeCompleted: req.query.includeCompleted === 'true'
+    });
+
+    res.status(200).json({
+      tasks,
+      count: tasks.length,
+      providers
+    });
+  })
+);
+
+/**
+ * POST /api/tasks/:taskId/complete
+ * Marks a task done in its provider, e.g. when the focus session spent on it ends
+ *
+ * Response:
+ * {
+ *   taskId: string,
+ *   provider: string,
+ *   completed: true
+ * }
+ */
+router.post(
+  '/:taskId/complete',
+  requireSession,
+  asyncHandler(async (req, res) => {
+    const { taskId } = req.params;
+    const result = await withTaskProvider(req.userId, taskId, () => completeTask(req.userId, taskId));
+
+    res.status(200).json(result);
+  })
+);
+
+/**
+ * POST /api/tasks/:taskId/time
+ * Logs focus time against a task in its provider
+ * Asana records a time tracking entry; Todoist (and Notion databases without a
+ * "Time spent" number column) get a comment instead.
+ *
+ * Request body:
+ * {
+ *   minutes: number (1-1440),
+ *   note: string (optional),
+ *   date: string (YYYY-MM-DD, optional, defaults to today)
+ * }
+ *
+ * Response:
+ * {
+ *   taskId: string,
+ *   provider: string,
+ *   loggedMinutes: number,
+ *   date: string
+ * }
+ */
+router.post(
+  '/:taskId/time',
+  requireSession,
+  validateTaskTimeRequest,
+  handleValidationErrors,
+  asyncHandler(async (req, res) => {
+    const { taskId } = req.params;
+    const result = await withTaskProvider(req.userId, taskId, () => logTaskTime(req.userId, taskId, {
+      minutes: req.body.minutes,
+      note: req.body.note,
+      date: req.body.date
+    }));
+
+    res.status(200).json(result);
+  })
+);
+
+module.exports = router;
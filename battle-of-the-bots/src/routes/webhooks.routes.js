@@ -0,0 +1,55 @@
+/**
+ * Webhook Routes
+ * Receivers for push notifications sent by third-party services
+ */
+
+const express = require('express');
+const router = express.Router();
+const { handleNotification } = require('../services/calendar-watch.service');
+const { asyncHandler, AppError } = require('../middleware/error.middleware');
+
+/**
+ * POST /api/webhooks/google-calendar
+ * Receives Google Calendar watch-channel notifications (see POST /api/calendar/watch)
+ * Google sends no body; the notification is carried in headers:
+ *   X-Goog-Channel-ID, X-Goog-Channel-Token, X-Goog-Resource-ID,
+ *   X-Goog-Resource-State ('sync' | 'exists' | 'not_exists'), X-Goog-Message-Number
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   status: 'ignored' | 'updated'
+ * }
+ *
+ * Responds 404 CHANNEL_NOT_FOUND for channels we didn't open (or have stopped) and
+ * 403 INVALID_CHANNEL_TOKEN when the channel secret doesn't match.
+ */
+router.post(
+  '/google-calendar',
+  asyncHandler(async (req, res) => {
+    let result;
+    try {
+      result = await handleNotification({
+        channelId: req.get('X-Goog-Channel-ID'),
+        token: req.get('X-Goog-Channel-Token'),
+        resourceId: req.get('X-Goog-Resource-ID'),
+        resourceState: req.get('X-Goog-Resource-State')
+      });
+    } catch (error) {
+      if (error.code === 'CHANNEL_NOT_FOUND') {
+        throw new AppError(error.message, 404, error.code);
+      }
+      if (error.code === 'INVALID_CHANNEL_TOKEN') {
+        throw new AppError(error.message, 403, error.code);
+      }
+      throw error;
+    }
+
+    res.status(200).json({
+      success: true,
+      status: result.status
+    });
+  })
+);
+
+module.exports = router;
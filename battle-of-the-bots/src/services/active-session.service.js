@@ -0,0 +1,157 @@
+/**
+ * Active Session Service
+ * The user's one running focus session, shared by the webapp and the extension so
+ * starting, pausing or stopping it on one device carries over to the others
+ *
+ * Every accepted change bumps the session's version. A client sends the version it
+ * last saw (baseVersion); a change made against an older version (for example while
+ * the device was offline) is resolved as follows:
+ *   - ending a session is final: later pauses or resumes of that session are rejected
+ *   - stopping a session beats a pause or resume made before the stop reached us
+ *   - ending a session that another device has since replaced is rejected
+ *   - otherwise the change made last (by changedAt) wins
+ * Rejected changes come back with the current session so the client can adopt it.
+ */
+
+const { createRecordStore } = require('../utils/record-store');
+const liveUpdates = require('./live-updates.service');
+
+const activeSessionStore = createRecordStore('active-sessions');
+
+const SESSION_STATUSES = ['running', 'paused', 'ended'];
+
+/**
+ * Gets a user's active session
+ * @param {string} userId - User identifier
+ * @returns {Object|null} Session, or null if the user never started one
+ */
+function getActiveSession(userId) {
+  return activeSessionStore.get(userId) || null;
+}
+
+/**
+ * Gets when a change was made, never later than now (device clocks drift)
+ * @param {Object} change - Session change
+ * @returns {Date} Time of the change
+ */
+function getChangeTime(change) {
+  const now = new Date();
+  const changedAt = change.changedAt ? new Date(change.changedAt) : now;
+  return changedAt > now ? now : changedAt;
+}
+
+/**
+ * Decides whether a change made against an older version may replace the current session
+ * @param {Object} current - Stored session
+ * @param {Object} change - Incoming change
+ * @param {Date} changedAt - When the change was made
+ * @returns {Object} {accept: boolean, reason: string}
+ */
+function resolveConflict(current, change, changedAt) {
+  const newer = changedAt >= new Date(current.changedAt);
+
+  if (change.sessionId !== current.sessionId) {
+    if (change.status === 'ended') {
+      return { accept: false, reason: 'Session was replaced on another device' };
+    }
+    return newer
+      ? { accept: true, reason: 'Newer session replaces the current one' }
+      : { accept: false, reason: 'A newer session was started on another device' };
+  }
+
+  if (current.status === 'ended') {
+    return { accept: false, reason: 'Session was already ended on another device' };
+  }
+  if (change.status === 'ended') {
+    return { accept: true, reason: 'Stopping a session overrides other changes' };
+  }
+  return newer
+    ? { accept: true, reason: 'Latest change wins' }
+    : { accept: false, reason: 'Session was changed more recently on another device' };
+}
+
+/**
+ * Picks the live update type announcing an accepted change
+ * @param {Object|null} previous - Session before the change
+ * @param {Object} session - Session after the change
+ * @returns {string} Update type
+ */
+function getUpdateType(previous, session) {
+  const { UPDATE_TYPES } = liveUpdates;
+
+  if (session.status === 'ended') return UPDATE_TYPES.SESSION_ENDED;
+  if (session.status === 'paused') return UPDATE_TYPES.SESSION_PAUSED;
+  return previous && previous.sessionId === session.sessionId && previous.status !== 'ended'
+    ? UPDATE_TYPES.SESSION_RESUMED
+    : UPDATE_TYPES.SESSION_STARTED;
+}
+
+/**
+ * Applies a change to a user's active session
+ * @param {string} userId - User identifier
+ * @param {Object} change - Desired session state
+ * @param {string} change.sessionId - Client-generated session ID
+ * @param {string} change.status - 'running', 'paused' or 'ended'
+ * @param {number} change.baseVersion - Version the client last saw (0 if none)
+ * @param {number} [change.remainingSeconds] - Time left when the change was made
+ * @param {number} [change.durationSeconds] - Planned length of the session
+ * @param {string} [change.mode] - 'work' or 'break'
+ * @param {string} [change.taskGoal] - What the session is for
+ * @param {string} [change.changedAt] - When the change was made (ISO 8601, defaults to now)
+ * @param {Object} [change.source] - Client making the change ({client, id})
+ * @returns {Object} {applied: boolean, session: Object, reason: string}
+ */
+function applySessionChange(userId, change) {
+  const current = getActiveSession(userId);
+  const changedAt = getChangeTime(change);
+
+  let resolution = { accept: true, reason: 'Applied' };
+  if (current && change.baseVersion !== current.version) {
+    resolution = resolveConflict(current, change, changedAt);
+  }
+
+  if (!resolution.accept) {
+    return { applied: false, session: current, reason: resolution.reason };
+  }
+
+  const sameSession = current && current.sessionId === change.sessionId;
+  const remainingSeconds = change.status === 'ended' ? 0 : Math.max(0, change.remainingSeconds || 0);
+
+  const session = {
+    userId,
+    sessionId: change.sessionId,
+    status: change.status,
+    mode: change.mode || (sameSession ? current.mode : 'work'),
+    taskGoal: change.taskGoal !== undefined ? change.taskGoal : (sameSession ? current.taskGoal : ''),
+    durationSeconds: change.durationSeconds || (sameSession ? current.durationSeconds : remainingSeconds),
+    remainingSeconds,
+    endsAt: change.status === 'running'
+      ? new Date(changedAt.getTime() + remainingSeconds * 1000).toISOString()
+      : null,
+    startedAt: sameSession ? current.startedAt : changedAt.toISOString(),
+    changedAt: changedAt.toISOString(),
+    version: (current ? current.version : 0) + 1,
+    source: change.source || null,
+    updatedAt: new Date().toISOString()
+  };
+
+  activeSessionStore.set(userId, session);
+  liveUpdates.publish(userId, getUpdateType(current, session), session, session.source);
+
+  return { applied: true, session, reason: resolution.reason };
+}
+
+/**
+ * Removes all active sessions (for testing)
+ * @returns {void}
+ */
+function clearAllActiveSessions() {
+  activeSessionStore.clear();
+}
+
+module.exports = {
+  SESSION_STATUSES,
+  getActiveSession,
+  applySessionChange,
+  clearAllActiveSessions
+};
@@ -0,0 +1,167 @@
+/**
+ * Unit tests for Active Session Service
+ */
+
+const liveUpdates = require('./live-updates.service');
+const {
+  getActiveSession,
+  applySessionChange,
+  clearAllActiveSessions
+} = require('./active-session.service');
+
+describe('Active Session Service', () => {
+  const minutesAgo = minutes => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+  beforeEach(() => {
+    clearAllActiveSessions();
+    liveUpdates.clearRecentUpdates();
+  });
+
+  /**
+   * Starts a session as the webapp would
+   */
+  function start(sessionId = 'session-a', changedAt = minutesAgo(10)) {
+    return applySessionChange('user-1', {
+      sessionId,
+      status: 'running',
+      baseVersion: getActiveSession('user-1') ? getActiveSession('user-1').version : 0,
+      remainingSeconds: 1500,
+      durationSeconds: 1500,
+      taskGoal: 'Write report',
+      changedAt,
+      source: { client: 'webapp', id: 'tab-1' }
+    });
+  }
+
+  describe('applySessionChange', () => {
+    test('should store a started session and tell the user\'s other devices', () => {
+      const changedAt = minutesAgo(10);
+      const result = start('session-a', changedAt);
+
+      expect(result.applied).toBe(true);
+      expect(result.session).toMatchObject({
+        sessionId: 'session-a',
+        status: 'running',
+        taskGoal: 'Write report',
+        version: 1,
+        startedAt: changedAt,
+        endsAt: new Date(new Date(changedAt).getTime() + 1500 * 1000).toISOString()
+      });
+      expect(getActiveSession('user-1')).toEqual(result.session);
+
+      const [update] = liveUpdates.getUpdatesSince('user-1', 0);
+      expect(update).toMatchObject({
+        type: 'session-started',
+        source: { client: 'webapp', id: 'tab-1' },
+        data: { sessionId: 'session-a', version: 1 }
+      });
+    });
+
+    test('should apply up-to-date changes and announce pauses and resumes', () => {
+      start();
+
+      const paused = applySessionChange('user-1', {
+        sessionId: 'session-a',
+        status: 'paused',
+        baseVersion: 1,
+        remainingSeconds: 900
+      });
+      const resumed = applySessionChange('user-1', {
+        sessionId: 'session-a',
+        status: 'running',
+        baseVersion: 2,
+        remainingSeconds: 900
+      });
+
+      expect(paused.session).toMatchObject({ status: 'paused', endsAt: null, version: 2, taskGoal: 'Write report' });
+      expect(resumed.session).toMatchObject({ status: 'running', version: 3, durationSeconds: 1500 });
+      expect(liveUpdates.getUpdatesSince('user-1', 0).map(update => update.type))
+        .toEqual(['session-started', 'session-paused', 'session-resumed']);
+    });
+
+    test('should never date a change in the future', () => {
+      const result = start('session-a', new Date(Date.now() + 60 * 60 * 1000).toISOString());
+
+      expect(new Date(result.session.changedAt).getTime()).toBeLessThanOrEqual(Date.now());
+    });
+  });
+
+  describe('conflict resolution', () => {
+    test('should let a stop win over an earlier pause made offline', () => {
+      start();
+      applySessionChange('user-1', { sessionId: 'session-a', status: 'ended', baseVersion: 1, changedAt: minutesAgo(2) });
+
+      // The extension paused at the same version while offline, before the stop
+      const pause = applySessionChange('user-1', {
+        sessionId: 'session-a',
+        status: 'paused',
+        baseVersion: 1,
+        remainingSeconds: 600,
+        changedAt: minutesAgo(5)
+      });
+
+      expect(pause.applied).toBe(false);
+      expect(pause.session.status).toBe('ended');
+    });
+
+    test('should keep a session ended even when a later offline change arrives', () => {
+      start();
+      applySessionChange('user-1', { sessionId: 'session-a', status: 'ended', baseVersion: 1, changedAt: minutesAgo(5) });
+
+      const resume = applySessionChange('user-1', {
+        sessionId: 'session-a',
+        status: 'running',
+        baseVersion: 1,
+        remainingSeconds: 600,
+        changedAt: minutesAgo(1)
+      });
+
+      expect(resume.applied).toBe(false);
+      expect(getActiveSession('user-1').status).toBe('ended');
+    });
+
+    test('should let an offline stop override a more recent pause', () => {
+      start();
+      applySessionChange('user-1', { sessionId: 'session-a', status: 'paused', baseVersion: 1, remainingSeconds: 600, changedAt: minutesAgo(1) });
+
+      const stop = applySessionChange('user-1', { sessionId: 'session-a', status: 'ended', baseVersion: 1, changedAt: minutesAgo(3) });
+
+      expect(stop.applied).toBe(true);
+      expect(stop.session).toMatchObject({ status: 'ended', version: 3 });
+    });
+
+    test('should resolve competing pauses and resumes by when they were made', () => {
+      start();
+      applySessionChange('user-1', { sessionId: 'session-a', status: 'paused', baseVersion: 1, remainingSeconds: 600, changedAt: minutesAgo(4) });
+
+      const olderResume = applySessionChange('user-1', { sessionId: 'session-a', status: 'running', baseVersion: 1, remainingSeconds: 700, changedAt: minutesAgo(6) });
+      const newerResume = applySessionChange('user-1', { sessionId: 'session-a', status: 'running', baseVersion: 1, remainingSeconds: 500, changedAt: minutesAgo(2) });
+
+      expect(olderResume.applied).toBe(false);
+      expect(newerResume.applied).toBe(true);
+      expect(newerResume.session.remainingSeconds).toBe(500);
+    });
+
+    test('should keep the most recently started of two sessions', () => {
+      start('session-a', minutesAgo(5));
+
+      const older = applySessionChange('user-1', { sessionId: 'session-b', status: 'running', baseVersion: 0, remainingSeconds: 1500, changedAt: minutesAgo(8) });
+      const newer = applySessionChange('user-1', { sessionId: 'session-c', status: 'running', baseVersion: 0, remainingSeconds: 1500, changedAt: minutesAgo(1) });
+
+      expect(older.applied).toBe(false);
+      expect(older.session.sessionId).toBe('session-a');
+      expect(newer.applied).toBe(true);
+      expect(newer.session).toMatchObject({ sessionId: 'session-c', version: 2 });
+    });
+
+    test('should not let a stale stop end a session that replaced it', () => {
+      start('session-a', minutesAgo(10));
+      start('session-b', minutesAgo(5));
+
+      const stop = applySessionChange('user-1', { sessionId: 'session-a', status: 'ended', baseVersion: 1, changedAt: minutesAgo(1) });
+
+      expect(stop.applied).toBe(false);
+      expect(getActiveSession('user-1')).toMatchObject({ sessionId: 'session-b', status: 'running' });
+    });
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Focus Analytics Service
+ * Aggregates the persisted session history into weekly and monthly focus statistics
+ */
+
+const { listSessions } = require('./session-history.service');
+const {
+  parseISODate,
+  formatToISO,
+  getTimeOfDay,
+  formatDateKey
+} = require('../utils/date-utils');
+
+// Number of days covered by each named period
+const PERIOD_DAYS = {
+  week: 7,
+  month: 30
+};
+
+// Longest range a report may cover, so the per-day breakdown stays bounded
+const MAX_RANGE_DAYS = 366;
+
+const TIME_OF_DAY_BUCKETS = ['morning', 'afternoon', 'evening', 'other'];
+
+/**
+ * Resolves the analytics date range from a period name and optional bounds
+ * Without bounds the range ends at the end of today and spans the whole period.
+ * @param {Object} [options] - Range options
+ * @param {string} [options.period] - 'week' or 'month' (default: 'week')
+ * @param {string} [options.from] - Inclusive start (ISO 8601)
+ * @param {string} [options.to] - Exclusive end (ISO 8601)
+ * @param {Date} [now] - Reference time (for testing)
+ * @returns {Object} Range with from/to ISO strings, period and the list of day keys
+ * @throws {Error} VALIDATION_ERROR if the range is longer than MAX_RANGE_DAYS
+ */
+function resolveRange(options = {}, now = new Date()) {
+  const period = PERIOD_DAYS[options.period] ? options.period : 'week';
+
+  let end;
+  if (options.to) {
+    end = parseISODate(options.to);
+  } else {
+    end = new Date(now);
+    end.setHours(0, 0, 0, 0);
+    end.setDate(end.getDate() + 1);
+  }
+
+  let start;
+  if (options.from) {
+    start = parseISODate(options.from);
+  } else {
+    start = new Date(end);
+    start.setDate(start.getDate() - PERIOD_DAYS[period]);
+  }
+
+  if ((end - start) / (24 * 60 * 60 * 1000) > MAX_RANGE_DAYS) {
+    const error = new Error(`Analytics range cannot exceed ${MAX_RANGE_DAYS} days`);
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+
+  // Enumerate the calendar days touched by the range
+  const days = [];
+  const cursor = new Date(start);
+  cursor.setHours(0, 0, 0, 0);
+  while (cursor < end) {
+    days.push(formatDateKey(cursor));
+    cursor.setDate(cursor.getDate() + 1);
+  }
+
+  return {
+    period,
+    from: formatToISO(start),
+    to: formatToISO(end),
+    days
+  };
+}
+
+/**
+ * Summarizes a group of work sessions
+ * @param {Array<Object>} sessions - Work session records
+ * @returns {Object} Session count, completed count, focus minutes and completion rate
+ */
+function summarizeGroup(sessions) {
+  const completedSessions = sessions.filter(session => session.completed).length;
+  const focusMinutes = sessions.reduce((total, session) => total + (session.actualDuration || 0), 0);
+
+  return {
+    sessions: sessions.length,
+    completedSessions,
+    focusMinutes,
+    completionRate: sessions.length > 0 ? Math.round((completedSessions / sessions.length) * 100) : 0
+  };
+}
+
+/**
+ * Calculates current and longest streaks of days with a completed session
+ * The current streak may end yesterday, so an unfinished today doesn't break it.
+ * @param {Array<Object>} sessionsPerDay - Per-day stats in chronological order
+ * @returns {Object} Streak lengths in days
+ */
+function calculateStreaks(sessionsPerDay) {
+  let longest = 0;
+  let run = 0;
+
+  for (const day of sessionsPerDay) {
+    run = day.completedSessions > 0 ? run + 1 : 0;
+    longest = Math.max(longest, run);
+  }
+
+  let current = 0;
+  let index = sessionsPerDay.length - 1;
+  if (index >= 0 && sessionsPerDay[index].completedSessions === 0) {
+    index--;
+  }
+  while (index >= 0 && sessionsPerDay[index].completedSessions > 0) {
+    current++;
+    index--;
+  }
+
+  return { current, longest };
+}
+
+/**
+ * Computes focus analytics for a set of sessions within a resolved range
+ * Only work sessions count as focus time; breaks are ignored.
+ * @param {Array<Object>} sessions - Session records inside the range
+ * @param {Object} range - Range from resolveRange
+ * @returns {Object} Analytics report
+ */
+function computeFocusAnalytics(sessions, range) {
+  const workSessions = sessions.filter(session => (session.mode || 'work') === 'work');
+  const overall = summarizeGroup(workSessions);
+
+  // Per-day breakdown
+  const sessionsByDay = new Map(range.days.map(day => [day, []]));
+  for (const session of workSessions) {
+    const key = formatDateKey(session.endTime);
+    if (sessionsByDay.has(key)) {
+      sessionsByDay.get(key).push(session);
+    }
+  }
+  const sessionsPerDay = range.days.map(date => {
+    const { sessions: count, completedSessions, focusMinutes } = summarizeGroup(sessionsByDay.get(date));
+    return { date, sessions: count, completedSessions, focusMinutes };
+  });
+
+  // Time-of-day breakdown, keyed by when the session started
+  const timeOfDay = {};
+  for (const bucket of TIME_OF_DAY_BUCKETS) {
+    timeOfDay[bucket] = summarizeGroup(
+      workSessions.filter(session => getTimeOfDay(session.startTime || session.endTime) === bucket)
+    );
+  }
+  const bestTimeOfDay = TIME_OF_DAY_BUCKETS
+    .filter(bucket => timeOfDay[bucket].completedSessions > 0)
+    .reduce((best, bucket) => {
+      if (!best) return bucket;
+      return timeOfDay[bucket].focusMinutes > timeOfDay[best].focusMinutes ? bucket : best;
+    }, null);
+
+  // Scheduler-suggested sessions versus manually started ones
+  const bySource = {
+    suggestion: summarizeGroup(workSessions.filter(session => session.source === 'suggestion')),
+    manual: summarizeGroup(workSessions.filter(session => session.source !== 'suggestion'))
+  };
+
+  return {
+    range: {
+      period: range.period,
+      from: range.from,
+      to: range.to
+    },
+    totalFocusMinutes: overall.focusMinutes,
+    sessionCount: overall.sessions,
+    completedSessions: overall.completedSessions,
+    completionRate: overall.completionRate,
+    averageSessionMinutes: overall.sessions > 0 ? Math.round(overall.focusMinutes / overall.sessions) : 0,
+    sessionsPerDay,
+    timeOfDay,
+    bestTimeOfDay,
+    streaks: calculateStreaks(sessionsPerDay),
+    bySource
+  };
+}
+
+/**
+ * Builds the focus analytics report for a user
+ * @param {string} userId - User identifier
+ * @param {Object} [options] - Range options (see resolveRange)
+ * @returns {Object} Analytics report
+ */
+function getFocusAnalytics(userId, options = {}) {
+  const range = resolveRange(options);
+  const sessions = listSessions(userId, { from: range.from, to: range.to });
+
+  return computeFocusAnalytics(sessions, range);
+}
+
+module.exports = {
+  getFocusAnalytics,
+  PERIOD_DAYS,
+  // Export for testing
+  resolveRange,
+  MAX_RANGE_DAYS,
+  computeFocusAnalytics,
+  calculateStreaks
+};
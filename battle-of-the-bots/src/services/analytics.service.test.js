@@ -0,0 +1,144 @@
+/**
+ * Unit tests for Focus Analytics Service
+ */
+
+const {
+  getFocusAnalytics,
+  resolveRange,
+  computeFocusAnalytics,
+  calculateStreaks
+} = require('./analytics.service');
+const { recordSession, clearAllSessions } = require('./session-history.service');
+
+// Local-time helper so day buckets don't depend on the machine's timezone
+function localISO(day, hour, minute = 0) {
+  return new Date(2025, 9, day, hour, minute).toISOString();
+}
+
+describe('Analytics Service', () => {
+  describe('resolveRange', () => {
+    test('should default to the last 7 days ending tonight', () => {
+      const range = resolveRange({}, new Date(2025, 9, 10, 15, 0));
+
+      expect(range.period).toBe('week');
+      expect(range.days).toHaveLength(7);
+      expect(range.days[0]).toBe('2025-10-04');
+      expect(range.days[6]).toBe('2025-10-10');
+      expect(range.to).toBe(new Date(2025, 9, 11).toISOString());
+    });
+
+    test('should cover 30 days for the month period', () => {
+      const range = resolveRange({ period: 'month' }, new Date(2025, 9, 31, 9, 0));
+
+      expect(range.period).toBe('month');
+      expect(range.days).toHaveLength(30);
+    });
+
+    test('should honor explicit bounds', () => {
+      const range = resolveRange({ from: localISO(1, 0), to: localISO(4, 0) });
+
+      expect(range.days).toEqual(['2025-10-01', '2025-10-02', '2025-10-03']);
+    });
+
+    test('should refuse ranges longer than a year, including up to the default end', () => {
+      expect(() => resolveRange({ from: '2023-01-01T00:00:00Z', to: '2025-01-01T00:00:00Z' }))
+        .toThrow(expect.objectContaining({ code: 'VALIDATION_ERROR' }));
+      expect(() => resolveRange({ from: '1000-01-01T00:00:00Z' }, new Date(2025, 9, 10)))
+        .toThrow(expect.objectContaining({ code: 'VALIDATION_ERROR' }));
+      expect(resolveRange({ from: localISO(1, 0) }, new Date(2025, 9, 10)).days).toHaveLength(10);
+    });
+  });
+
+  describe('calculateStreaks', () => {
+    const days = counts => counts.map((completedSessions, i) => ({ date: `d${i}`, completedSessions }));
+
+    test('should find the longest run of active days', () => {
+      expect(calculateStreaks(days([1, 1, 0, 1, 1, 1, 0])).longest).toBe(3);
+    });
+
+    test('should not break the current streak on an empty last day', () => {
+      expect(calculateStreaks(days([0, 1, 2, 0])).current).toBe(2);
+      expect(calculateStreaks(days([1, 0, 0])).current).toBe(0);
+    });
+
+    test('should handle empty input', () => {
+      expect(calculateStreaks([])).toEqual({ current: 0, longest: 0 });
+    });
+  });
+
+  describe('computeFocusAnalytics', () => {
+    const range = resolveRange({ from: localISO(1, 0), to: localISO(4, 0) });
+    const sessions = [
+      { mode: 'work', startTime: localISO(1, 9), endTime: localISO(1, 10), actualDuration: 60, completed: true, source: 'suggestion' },
+      { mode: 'work', startTime: localISO(2, 9), endTime: localISO(2, 9, 50), actualDuration: 50, completed: true, source: 'manual' },
+      { mode: 'work', startTime: localISO(2, 14), endTime: localISO(2, 14, 10), actualDuration: 10, completed: false, source: 'manual' },
+      { mode: 'break', startTime: localISO(2, 15), endTime: localISO(2, 15, 5), actualDuration: 5, completed: true }
+    ];
+
+    test('should compute totals over work sessions only', () => {
+      const report = computeFocusAnalytics(sessions, range);
+
+      expect(report.totalFocusMinutes).toBe(120);
+      expect(report.sessionCount).toBe(3);
+      expect(report.completedSessions).toBe(2);
+      expect(report.completionRate).toBe(67);
+      expect(report.averageSessionMinutes).toBe(40);
+    });
+
+    test('should bucket sessions per day', () => {
+      const report = computeFocusAnalytics(sessions, range);
+
+      expect(report.sessionsPerDay).toEqual([
+        { date: '2025-10-01', sessions: 1, completedSessions: 1, focusMinutes: 60 },
+        { date: '2025-10-02', sessions: 2, completedSessions: 1, focusMinutes: 60 },
+        { date: '2025-10-03', sessions: 0, completedSessions: 0, focusMinutes: 0 }
+      ]);
+      expect(report.streaks).toEqual({ current: 2, longest: 2 });
+    });
+
+    test('should pick the time of day with the most focus minutes', () => {
+      const report = computeFocusAnalytics(sessions, range);
+
+      expect(report.bestTimeOfDay).toBe('morning');
+      expect(report.timeOfDay.morning.focusMinutes).toBe(110);
+      expect(report.timeOfDay.afternoon.completionRate).toBe(0);
+    });
+
+    test('should compare suggested and manual sessions', () => {
+      const report = computeFocusAnalytics(sessions, range);
+
+      expect(report.bySource.suggestion).toEqual({
+        sessions: 1,
+        completedSessions: 1,
+        focusMinutes: 60,
+        completionRate: 100
+      });
+      expect(report.bySource.manual.completionRate).toBe(50);
+    });
+
+    test('should return empty stats when there are no sessions', () => {
+      const report = computeFocusAnalytics([], range);
+
+      expect(report.totalFocusMinutes).toBe(0);
+      expect(report.completionRate).toBe(0);
+      expect(report.bestTimeOfDay).toBeNull();
+    });
+  });
+
+  describe('getFocusAnalytics', () => {
+    beforeEach(() => {
+      clearAllSessions();
+    });
+
+    test('should only include the user\'s sessions within the range', () => {
+      recordSession('user-1', { plannedDuration: 25, startTime: localISO(2, 9), endTime: localISO(2, 9, 25) });
+      recordSession('user-1', { plannedDuration: 25, startTime: localISO(9, 9), endTime: localISO(9, 9, 25) });
+      recordSession('user-2', { plannedDuration: 25, startTime: localISO(2, 9), endTime: localISO(2, 9, 25) });
+
+      const report = getFocusAnalytics('user-1', { from: localISO(1, 0), to: localISO(4, 0) });
+
+      expect(report.sessionCount).toBe(1);
+      expect(report.totalFocusMinutes).toBe(25);
+    });
+  });
+});
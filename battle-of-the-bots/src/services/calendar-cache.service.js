@@ -0,0 +1,238 @@
+/**
+ * Calendar Cache Service
+ * Keeps a per-calendar copy of each user's upcoming events, refreshed with Google's
+ * incremental sync tokens so repeat reads don't re-download the whole range
+ */
+
+const googleCalendar = require('../integrations/google-calendar');
+const config = require('../utils/config');
+const { parseISODate, formatToISO, getCalendarDate, addCalendarDays, zonedTimeToDate } = require('../utils/date-utils');
+
+// Cached calendars keyed by '<userId>|<calendarId>':
+// { events: Map<eventId, event>, syncToken, windowStart, windowEnd, syncedAt, stale, lastChanges }
+const entries = new Map();
+
+// Syncs in flight, keyed like entries, so concurrent reads share one request to Google
+const pendingSyncs = new Map();
+
+/**
+ * Builds the cache key for a user's calendar
+ * @param {string} userId - User identifier
+ * @param {string} calendarId - Calendar ID
+ * @returns {string} Cache key
+ */
+function cacheKey(userId, calendarId) {
+  return `${userId}|${calendarId}`;
+}
+
+/**
+ * Gets the window of events a full sync downloads, relative to today
+ * @param {Date} now - Current time
+ * @returns {Object} { start: Date, end: Date }
+ */
+function getSyncWindow(now) {
+  const { pastDays, futureDays } = config.calendarCache;
+  const today = getCalendarDate(now);
+  const first = addCalendarDays(today, -pastDays);
+  const last = addCalendarDays(today, futureDays + 1);
+
+  return {
+    start: zonedTimeToDate(first.year, first.month, first.day, 0, 0),
+    end: zonedTimeToDate(last.year, last.month, last.day, 0, 0)
+  };
+}
+
+/**
+ * Downloads every event in the sync window and replaces the cache entry
+ * @param {string} userId - User identifier
+ * @param {string} calendarId - Calendar ID
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} New cache entry
+ */
+async function fullSync(userId, calendarId, now) {
+  const window = getSyncWindow(now);
+  const { events, nextSyncToken } = await googleCalendar.listEventChanges(userId, calendarId, {
+    timeMin: formatToISO(window.start),
+    timeMax: formatToISO(window.end)
+  });
+
+  const entry = {
+    events: new Map(events.map(event => [event.id, event])),
+    syncToken: nextSyncToken,
+    windowStart: window.start,
+    windowEnd: window.end,
+    syncedAt: now.getTime(),
+    stale: false,
+    lastChanges: null // Unknown after a full sync
+  };
+  entries.set(cacheKey(userId, calendarId), entry);
+  return entry;
+}
+
+/**
+ * Applies the changes since the entry's sync token
+ * Falls back to a full sync when there is no token or Google has expired it.
+ * @param {string} userId - User identifier
+ * @param {string} calendarId - Calendar ID
+ * @param {Object} entry - Cache entry to update
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} Updated cache entry
+ */
+async function incrementalSync(userId, calendarId, entry, now) {
+  if (!entry.syncToken) {
+    return fullSync(userId, calendarId, now);
+  }
+
+  let changes;
+  try {
+    changes = await googleCalendar.listEventChanges(userId, calendarId, { syncToken: entry.syncToken });
+  } catch (error) {
+    if (error.code === 'SYNC_TOKEN_EXPIRED') {
+      return fullSync(userId, calendarId, now);
+    }
+    throw error;
+  }
+
+  for (const eventId of changes.deletedIds) {
+    entry.events.delete(eventId);
+  }
+  for (const event of changes.events) {
+    entry.events.set(event.id, event);
+  }
+
+  entry.syncToken = changes.nextSyncToken;
+  entry.syncedAt = now.getTime();
+  entry.stale = false;
+  entry.lastChanges = {
+    updatedIds: changes.events.map(event => event.id),
+    deletedIds: changes.deletedIds
+  };
+  return entry;
+}
+
+/**
+ * Brings a calendar's cache entry up to date for a date range
+ * @param {string} userId - User identifier
+ * @param {string} calendarId - Calendar ID
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} Current cache entry
+ */
+function syncEntry(userId, calendarId, start, end, now) {
+  const key = cacheKey(userId, calendarId);
+  const entry = entries.get(key);
+
+  if (pendingSyncs.has(key)) {
+    return pendingSyncs.get(key);
+  }
+
+  const covered = entry && start >= entry.windowStart && end <= entry.windowEnd;
+  const fresh = covered && !entry.stale &&
+    now.getTime() - entry.syncedAt < config.calendarCache.maxAgeSeconds * 1000;
+
+  if (fresh) {
+    return Promise.resolve(entry);
+  }
+
+  const sync = (covered ? incrementalSync(userId, calendarId, entry, now) : fullSync(userId, calendarId, now))
+    .finally(() => pendingSyncs.delete(key));
+  pendingSyncs.set(key, sync);
+  return sync;
+}
+
+/**
+ * Gets a calendar's events within a date range, served from the cache when possible
+ * Ranges outside the cached window, and all reads while the cache is disabled, go
+ * straight to Google.
+ * @param {string} userId - User identifier
+ * @param {string} startDate - Start date (ISO 8601)
+ * @param {string} endDate - End date (ISO 8601)
+ * @param {string} [calendarId] - Calendar to read (default: the user's primary calendar)
+ * @returns {Promise<Array<Object>>} Events overlapping the range, sorted by start time
+ */
+async function getEvents(userId, startDate, endDate, calendarId = 'primary') {
+  const start = parseISODate(startDate);
+  const end = parseISODate(endDate);
+  const now = new Date();
+  const window = getSyncWindow(now);
+
+  if (!config.calendarCache.enabled || start < window.start || end > window.end) {
+    return googleCalendar.fetchCalendarEvents(userId, startDate, endDate, calendarId);
+  }
+
+  const entry = await syncEntry(userId, calendarId, start, end, now);
+
+  return [...entry.events.values()]
+    .filter(event => parseISODate(event.startTime) < end && parseISODate(event.endTime) > start)
+    .sort((a, b) => parseISODate(a.startTime) - parseISODate(b.startTime));
+}
+
+/**
+ * Syncs a cached calendar with Google right away (e.g. when Google reports a change)
+ * Calendars that aren't cached are left for the next read to download.
+ * @param {string} userId - User identifier
+ * @param {string} calendarId - Calendar ID
+ * @returns {Promise<Object|null>} { updatedIds, deletedIds }, or null if the calendar isn't
+ *   cached or had to be downloaded again in full
+ */
+async function refresh(userId, calendarId) {
+  const key = cacheKey(userId, calendarId);
+
+  // A sync already in flight may have started before the change
+  await Promise.resolve(pendingSyncs.get(key)).catch(() => {});
+
+  const entry = entries.get(key);
+  if (!config.calendarCache.enabled || !entry) {
+    return null;
+  }
+
+  entry.stale = true;
+  const synced = await syncEntry(userId, calendarId, entry.windowStart, entry.windowEnd, new Date());
+  return synced.lastChanges;
+}
+
+/**
+ * Marks cached events as out of date so the next read syncs with Google
+ * Call after changing a calendar, or when Google reports a change.
+ * @param {string} userId - User identifier
+ * @param {string} [calendarId] - Calendar that changed (default: all of the user's calendars)
+ * @returns {void}
+ */
+function invalidate(userId, calendarId) {
+  for (const [key, entry] of entries) {
+    if (calendarId ? key === cacheKey(userId, calendarId) : key.startsWith(`${userId}|`)) {
+      entry.stale = true;
+    }
+  }
+}
+
+/**
+ * Drops all cached events for a user (e.g. on logout)
+ * @param {string} userId - User identifier
+ * @returns {void}
+ */
+function clearUserCache(userId) {
+  for (const key of [...entries.keys()]) {
+    if (key.startsWith(`${userId}|`)) {
+      entries.delete(key);
+    }
+  }
+}
+
+/**
+ * Clears the whole cache (for testing)
+ * @returns {void}
+ */
+function clearCache() {
+  entries.clear();
+  pendingSyncs.clear();
+}
+
+module.exports = {
+  getEvents,
+  refresh,
+  invalidate,
+  clearUserCache,
+  clearCache
+};
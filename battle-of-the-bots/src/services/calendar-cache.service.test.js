@@ -0,0 +1,128 @@
+/**
+ * Unit tests for Calendar Cache Service
+ */
+
+jest.mock('../integrations/google-calendar', () => ({
+  listEventChanges: jest.fn(),
+  fetchCalendarEvents: jest.fn(async () => [])
+}));
+
+const googleCalendar = require('../integrations/google-calendar');
+const config = require('../utils/config');
+const { getEvents, invalidate, clearUserCache, clearCache } = require('./calendar-cache.service');
+
+const NOW = new Date('2025-10-06T07:00:00Z');
+const DAY = ['2025-10-06T00:00:00Z', '2025-10-07T00:00:00Z'];
+
+function meeting(id, startTime, endTime, title = id) {
+  return { id, startTime, endTime, title, calendarId: 'primary' };
+}
+
+describe('Calendar Cache Service', () => {
+  const originalCache = { ...config.calendarCache };
+
+  beforeAll(() => {
+    config.calendarCache.enabled = true;
+    config.calendarCache.maxAgeSeconds = 60;
+  });
+
+  afterAll(() => {
+    Object.assign(config.calendarCache, originalCache);
+    jest.useRealTimers();
+  });
+
+  beforeEach(() => {
+    clearCache();
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate'] });
+
+    googleCalendar.listEventChanges.mockImplementation(async (userId, calendarId, { syncToken }) => (
+      syncToken
+        ? { events: [], deletedIds: [], nextSyncToken: 'token-2' }
+        : {
+          events: [
+            meeting('standup', '2025-10-06T09:00:00Z', '2025-10-06T09:15:00Z'),
+            meeting('review', '2025-10-06T14:00:00Z', '2025-10-06T15:00:00Z'),
+            meeting('tomorrow', '2025-10-07T09:00:00Z', '2025-10-07T10:00:00Z')
+          ],
+          deletedIds: [],
+          nextSyncToken: 'token-1'
+        }
+    ));
+  });
+
+  test('should download the window once and serve later reads from the cache', async () => {
+    const first = await getEvents('user-1', ...DAY);
+    const second = await getEvents('user-1', ...DAY);
+
+    expect(first.map(event => event.id)).toEqual(['standup', 'review']);
+    expect(second).toEqual(first);
+    expect(googleCalendar.listEventChanges).toHaveBeenCalledTimes(1);
+
+    const { timeMin, timeMax, syncToken } = googleCalendar.listEventChanges.mock.calls[0][2];
+    expect(syncToken).toBeUndefined();
+    expect(new Date(timeMin).getTime()).toBeLessThan(new Date(DAY[0]).getTime());
+    expect(new Date(timeMax).getTime()).toBeGreaterThan(new Date(DAY[1]).getTime());
+  });
+
+  test('should apply incremental changes once the cache is older than the max age', async () => {
+    await getEvents('user-1', ...DAY);
+    googleCalendar.listEventChanges.mockResolvedValueOnce({
+      events: [meeting('review', '2025-10-06T16:00:00Z', '2025-10-06T17:00:00Z', 'Review (moved)')],
+      deletedIds: ['standup'],
+      nextSyncToken: 'token-2'
+    });
+
+    jest.setSystemTime(new Date(NOW.getTime() + 61 * 1000));
+    const events = await getEvents('user-1', ...DAY);
+
+    expect(googleCalendar.listEventChanges).toHaveBeenLastCalledWith('user-1', 'primary', { syncToken: 'token-1' });
+    expect(events.map(event => [event.id, event.startTime])).toEqual([['review', '2025-10-06T16:00:00Z']]);
+  });
+
+  test('should sync again right away after invalidation', async () => {
+    await getEvents('user-1', ...DAY);
+    invalidate('user-1');
+    await getEvents('user-1', ...DAY);
+
+    expect(googleCalendar.listEventChanges).toHaveBeenCalledTimes(2);
+    expect(googleCalendar.listEventChanges).toHaveBeenLastCalledWith('user-1', 'primary', { syncToken: 'token-1' });
+  });
+
+  test('should fall back to a full sync when the sync token has expired', async () => {
+    await getEvents('user-1', ...DAY);
+    googleCalendar.listEventChanges.mockRejectedValueOnce(Object.assign(new Error('Gone'), { code: 'SYNC_TOKEN_EXPIRED' }));
+
+    invalidate('user-1', 'primary');
+    const events = await getEvents('user-1', ...DAY);
+
+    expect(googleCalendar.listEventChanges).toHaveBeenCalledTimes(3);
+    expect(googleCalendar.listEventChanges.mock.calls[2][2].syncToken).toBeUndefined();
+    expect(events).toHaveLength(2);
+  });
+
+  test('should share one sync between concurrent reads', async () => {
+    const results = await Promise.all([getEvents('user-1', ...DAY), getEvents('user-1', ...DAY)]);
+
+    expect(googleCalendar.listEventChanges).toHaveBeenCalledTimes(1);
+    expect(results[0]).toEqual(results[1]);
+  });
+
+  test('should read ranges outside the cached window straight from Google', async () => {
+    await getEvents('user-1', '2026-03-01T00:00:00Z', '2026-03-02T00:00:00Z');
+
+    expect(googleCalendar.fetchCalendarEvents).toHaveBeenCalledWith(
+      'user-1', '2026-03-01T00:00:00Z', '2026-03-02T00:00:00Z', 'primary'
+    );
+    expect(googleCalendar.listEventChanges).not.toHaveBeenCalled();
+  });
+
+  test('should forget a user\'s events when their cache is cleared', async () => {
+    await getEvents('user-1', ...DAY);
+    clearUserCache('user-1');
+    await getEvents('user-1', ...DAY);
+
+    expect(googleCalendar.listEventChanges).toHaveBeenCalledTimes(2);
+    expect(googleCalendar.listEventChanges.mock.calls[1][2].syncToken).toBeUndefined();
+  });
+});
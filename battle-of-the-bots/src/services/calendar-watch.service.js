@@ -0,0 +1,263 @@
+/**
+ * Calendar Watch Service
+ * Manages Google Calendar push-notification channels and turns their notifications
+ * into cache refreshes and live calendar-changed updates for the user's clients
+ */
+
+const crypto = require('crypto');
+const googleCalendar = require('../integrations/google-calendar');
+const calendarService = require('./calendar.service');
+const calendarCache = require('./calendar-cache.service');
+const liveUpdates = require('./live-updates.service');
+const { createRecordStore } = require('../utils/record-store');
+const config = require('../utils/config');
+
+// Open channels keyed by channel ID: { id, userId, calendarId, resourceId, token, expiration, createdAt }
+const channelStore = createRecordStore('calendar-channels');
+
+/**
+ * Builds an error carrying a code for the routes to map
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error with code
+ */
+function createWatchError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Strips the channel secret before a channel is returned to clients
+ * @param {Object} channel - Stored channel
+ * @returns {Object} { id, calendarId, expiration }
+ */
+function toPublicChannel(channel) {
+  return {
+    id: channel.id,
+    calendarId: channel.calendarId,
+    expiration: new Date(channel.expiration).toISOString()
+  };
+}
+
+/**
+ * Lists a user's open channels
+ * @param {string} userId - User identifier
+ * @returns {Array<Object>} Stored channels
+ */
+function getUserChannels(userId) {
+  return channelStore.values().filter(channel => channel.userId === userId);
+}
+
+/**
+ * Opens a channel for one calendar
+ * @param {string} userId - User identifier
+ * @param {string} calendarId - Calendar to watch
+ * @returns {Promise<Object>} Stored channel
+ */
+async function openChannel(userId, calendarId) {
+  const id = `chan_${crypto.randomUUID()}`;
+  const token = crypto.randomBytes(24).toString('hex');
+
+  const opened = await googleCalendar.watchEvents(userId, calendarId, {
+    id,
+    token,
+    address: config.google.webhookUrl,
+    ttlSeconds: config.calendarWatch.ttlSeconds
+  });
+
+  return channelStore.set(id, {
+    id,
+    userId,
+    calendarId,
+    resourceId: opened.resourceId,
+    token,
+    expiration: opened.expiration,
+    createdAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Stops a channel with Google and forgets it
+ * A channel that cannot be stopped is forgotten anyway; Google stops it when it expires.
+ * @param {Object} channel - Stored channel
+ * @returns {Promise<void>}
+ */
+async function closeChannel(channel) {
+  channelStore.delete(channel.id);
+
+  try {
+    await googleCalendar.stopChannel(channel.userId, channel);
+  } catch (error) {
+    console.warn(`Failed to stop calendar channel ${channel.id}:`, error.message);
+  }
+}
+
+/**
+ * Watches every calendar that counts as busy for a user
+ * Existing channels are replaced, so this also applies a new choice of busy calendars.
+ * @param {string} userId - User identifier
+ * @returns {Promise<Array<Object>>} Open channels ({id, calendarId, expiration})
+ * @throws {Error} With code WEBHOOKS_NOT_CONFIGURED if no webhook URL is set, or
+ *   WATCH_NOT_SUPPORTED if the user's calendars are not on Google
+ */
+async function startWatching(userId) {
+  if (calendarService.getProviderName(userId) !== 'google') {
+    throw createWatchError('Push notifications are only available for Google calendars', 'WATCH_NOT_SUPPORTED');
+  }
+  if (!config.google.webhookUrl) {
+    throw createWatchError('Calendar push notifications need GOOGLE_WEBHOOK_URL to be set', 'WEBHOOKS_NOT_CONFIGURED');
+  }
+
+  const previous = getUserChannels(userId);
+  const channels = [];
+
+  for (const calendarId of calendarService.getBusyCalendarIds(userId)) {
+    channels.push(await openChannel(userId, calendarId));
+  }
+
+  // Close the old channels only once their replacements are open
+  for (const channel of previous) {
+    await closeChannel(channel);
+  }
+
+  return channels.map(toPublicChannel);
+}
+
+/**
+ * Stops all of a user's channels
+ * @param {string} userId - User identifier
+ * @returns {Promise<number>} Number of channels stopped
+ */
+async function stopWatching(userId) {
+  const channels = getUserChannels(userId);
+
+  for (const channel of channels) {
+    await closeChannel(channel);
+  }
+
+  return channels.length;
+}
+
+/**
+ * Lists a user's open channels
+ * @param {string} userId - User identifier
+ * @returns {Array<Object>} Channels ({id, calendarId, expiration})
+ */
+function listChannels(userId) {
+  return getUserChannels(userId).map(toPublicChannel);
+}
+
+/**
+ * Compares a notification's token with the channel secret in constant time
+ * @param {string} expected - Stored token
+ * @param {string} actual - Token from the notification
+ * @returns {boolean} True if they match
+ */
+function tokensMatch(expected, actual) {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(actual || ''));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Handles a push notification from Google
+ * 'sync' notifications only confirm a new channel. Any other state means the calendar
+ * changed: the cache is brought up to date and the user's clients are told.
+ * @param {Object} notification - Values of the X-Goog-* headers
+ * @param {string} notification.channelId - X-Goog-Channel-ID
+ * @param {string} notification.token - X-Goog-Channel-Token
+ * @param {string} notification.resourceId - X-Goog-Resource-ID
+ * @param {string} notification.resourceState - X-Goog-Resource-State ('sync', 'exists' or 'not_exists')
+ * @returns {Promise<Object>} { status: 'ignored' | 'updated', update? }
+ * @throws {Error} With code CHANNEL_NOT_FOUND or INVALID_CHANNEL_TOKEN for notifications we didn't ask for
+ */
+async function handleNotification({ channelId, token, resourceId, resourceState }) {
+  const channel = channelId ? channelStore.get(channelId) : null;
+
+  if (!channel || (resourceId && channel.resourceId && resourceId !== channel.resourceId)) {
+    throw createWatchError('Unknown notification channel', 'CHANNEL_NOT_FOUND');
+  }
+  if (!tokensMatch(channel.token, token)) {
+    throw createWatchError('Notification token does not match the channel', 'INVALID_CHANNEL_TOKEN');
+  }
+
+  if (resourceState === 'sync') {
+    return { status: 'ignored' };
+  }
+
+  const { userId, calendarId } = channel;
+  let changes = null;
+
+  try {
+    changes = await calendarCache.refresh(userId, calendarId);
+  } catch (error) {
+    // Clients still hear about the change; their next read syncs again
+    calendarCache.invalidate(userId, calendarId);
+    console.warn(`Calendar refresh after notification failed for ${userId}:`, error.message);
+  }
+
+  const update = liveUpdates.publish(userId, liveUpdates.UPDATE_TYPES.CALENDAR_CHANGED, {
+    calendarId,
+    updatedIds: changes ? changes.updatedIds : null,
+    deletedIds: changes ? changes.deletedIds : null
+  });
+
+  return { status: 'updated', update };
+}
+
+/**
+ * Replaces channels that are about to expire
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Number of channels renewed
+ */
+async function renewExpiringChannels(now = new Date()) {
+  const renewBefore = now.getTime() + config.calendarWatch.renewBeforeMinutes * 60 * 1000;
+  const expiring = channelStore.values().filter(channel => channel.expiration < renewBefore);
+  let renewed = 0;
+
+  for (const channel of expiring) {
+    try {
+      await openChannel(channel.userId, channel.calendarId);
+      await closeChannel(channel);
+      renewed++;
+    } catch (error) {
+      console.warn(`Calendar channel ${channel.id} renewal failed:`, error.message);
+    }
+  }
+
+  return renewed;
+}
+
+/**
+ * Starts periodic renewal of expiring channels
+ * @param {number} [intervalMinutes] - Minutes between checks (default from config)
+ * @returns {Object} Interval handle (pass to clearInterval to stop)
+ */
+function startChannelRenewal(intervalMinutes = config.calendarWatch.renewIntervalMinutes) {
+  const timer = setInterval(() => {
+    renewExpiringChannels().catch(error => console.warn('Calendar channel renewal failed:', error.message));
+  }, intervalMinutes * 60 * 1000);
+
+  // Don't keep the process alive just for this timer
+  timer.unref();
+  return timer;
+}
+
+/**
+ * Forgets all channels without contacting Google (for testing)
+ * @returns {void}
+ */
+function clearAllChannels() {
+  channelStore.clear();
+}
+
+module.exports = {
+  startWatching,
+  stopWatching,
+  listChannels,
+  handleNotification,
+  renewExpiringChannels,
+  startChannelRenewal,
+  clearAllChannels
+};
@@ -0,0 +1,176 @@
+/**
+ * Unit tests for Calendar Watch Service
+ */
+
+jest.mock('../integrations/google-calendar', () => {
+  let nextResource = 1;
+
+  return {
+    watchEvents: jest.fn(async (userId, calendarId, { id }) => ({
+      id,
+      resourceId: `resource-${nextResource++}`,
+      expiration: Date.now() + 7 * 24 * 60 * 60 * 1000
+    })),
+    stopChannel: jest.fn(async () => true),
+    listEventChanges: jest.fn(),
+    fetchCalendarList: jest.fn(async () => [
+      { id: 'me@example.com', primary: true },
+      { id: 'team@example.com', primary: false }
+    ])
+  };
+});
+
+const googleCalendar = require('../integrations/google-calendar');
+const config = require('../utils/config');
+const calendarCache = require('./calendar-cache.service');
+const liveUpdates = require('./live-updates.service');
+const { setBusyCalendars, clearAllCalendarSettings } = require('./calendar.service');
+const {
+  startWatching,
+  stopWatching,
+  listChannels,
+  handleNotification,
+  renewExpiringChannels,
+  clearAllChannels
+} = require('./calendar-watch.service');
+
+describe('Calendar Watch Service', () => {
+  const originalWebhookUrl = config.google.webhookUrl;
+  const originalCache = { ...config.calendarCache };
+
+  beforeAll(() => {
+    config.google.webhookUrl = 'https://auraflow.example/api/webhooks/google-calendar';
+    config.calendarCache.enabled = true;
+  });
+
+  afterAll(() => {
+    config.google.webhookUrl = originalWebhookUrl;
+    Object.assign(config.calendarCache, originalCache);
+  });
+
+  beforeEach(() => {
+    clearAllChannels();
+    clearAllCalendarSettings();
+    calendarCache.clearCache();
+    jest.clearAllMocks();
+  });
+
+  /**
+   * Gets the secret a channel was opened with, as Google would echo it back
+   */
+  function channelToken(channelId) {
+    const call = googleCalendar.watchEvents.mock.calls.find(([, , channel]) => channel.id === channelId);
+    return call[2].token;
+  }
+
+  describe('startWatching', () => {
+    test('should require a webhook URL', async () => {
+      config.google.webhookUrl = '';
+
+      await expect(startWatching('user-1')).rejects.toMatchObject({ code: 'WEBHOOKS_NOT_CONFIGURED' });
+      config.google.webhookUrl = 'https://auraflow.example/api/webhooks/google-calendar';
+    });
+
+    test('should open one channel per busy calendar and replace old channels', async () => {
+      await setBusyCalendars('user-1', ['primary', 'team@example.com']);
+
+      const first = await startWatching('user-1');
+      expect(first.map(channel => channel.calendarId)).toEqual(['primary', 'team@example.com']);
+      expect(googleCalendar.watchEvents.mock.calls[0][2]).toMatchObject({
+        address: 'https://auraflow.example/api/webhooks/google-calendar',
+        ttlSeconds: config.calendarWatch.ttlSeconds
+      });
+
+      const second = await startWatching('user-1');
+      expect(googleCalendar.stopChannel).toHaveBeenCalledTimes(2);
+      expect(listChannels('user-1').map(channel => channel.id)).toEqual(second.map(channel => channel.id));
+
+      expect(await stopWatching('user-1')).toBe(2);
+      expect(listChannels('user-1')).toEqual([]);
+    });
+  });
+
+  describe('handleNotification', () => {
+    let channel;
+
+    beforeEach(async () => {
+      [channel] = await startWatching('user-1');
+    });
+
+    test('should reject unknown channels and wrong tokens', async () => {
+      await expect(handleNotification({ channelId: 'chan_unknown', token: 'x', resourceState: 'exists' }))
+        .rejects.toMatchObject({ code: 'CHANNEL_NOT_FOUND' });
+      await expect(handleNotification({ channelId: channel.id, token: 'forged', resourceState: 'exists' }))
+        .rejects.toMatchObject({ code: 'INVALID_CHANNEL_TOKEN' });
+    });
+
+    test('should ignore the sync handshake', async () => {
+      const result = await handleNotification({ channelId: channel.id, token: channelToken(channel.id), resourceState: 'sync' });
+
+      expect(result).toEqual({ status: 'ignored' });
+    });
+
+    test('should refresh the cached calendar and tell the user\'s clients what changed', async () => {
+      const today = new Date();
+      const start = new Date(today.getFullYear(), today.getMonth(), today.getDate()).toISOString();
+      const end = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1).toISOString();
+      const meetingStart = new Date(new Date(start).getTime() + 10 * 60 * 60 * 1000).toISOString();
+      const meetingEnd = new Date(new Date(start).getTime() + 11 * 60 * 60 * 1000).toISOString();
+
+      googleCalendar.listEventChanges
+        .mockResolvedValueOnce({ events: [], deletedIds: [], nextSyncToken: 'token-1' })
+        .mockResolvedValueOnce({
+          events: [{ id: 'new-meeting', startTime: meetingStart, endTime: meetingEnd, title: 'Added', calendarId: 'primary' }],
+          deletedIds: [],
+          nextSyncToken: 'token-2'
+        });
+      expect(await calendarCache.getEvents('user-1', start, end)).toEqual([]);
+
+      const updates = [];
+      const unsubscribe = liveUpdates.subscribe('user-1', update => updates.push(update));
+      const result = await handleNotification({ channelId: channel.id, token: channelToken(channel.id), resourceState: 'exists' });
+      unsubscribe();
+
+      expect(result.status).toBe('updated');
+      expect(updates).toHaveLength(1);
+      expect(updates[0]).toMatchObject({
+        type: 'calendar-changed',
+        data: { calendarId: 'primary', updatedIds: ['new-meeting'], deletedIds: [] }
+      });
+      expect((await calendarCache.getEvents('user-1', start, end)).map(event => event.id)).toEqual(['new-meeting']);
+      expect(googleCalendar.listEventChanges).toHaveBeenCalledTimes(2);
+    });
+
+    test('should still notify clients when the refresh fails', async () => {
+      const updates = [];
+      const unsubscribe = liveUpdates.subscribe('user-1', update => updates.push(update));
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      jest.spyOn(calendarCache, 'refresh').mockRejectedValueOnce(new Error('Google is down'));
+
+      await handleNotification({ channelId: channel.id, token: channelToken(channel.id), resourceState: 'exists' });
+      unsubscribe();
+      warn.mockRestore();
+
+      expect(updates[0].data).toEqual({ calendarId: 'primary', updatedIds: null, deletedIds: null });
+    });
+  });
+
+  describe('renewExpiringChannels', () => {
+    test('should replace only channels that expire within the renewal margin', async () => {
+      googleCalendar.watchEvents.mockImplementationOnce(async (userId, calendarId, { id }) => ({
+        id,
+        resourceId: 'resource-soon',
+        expiration: Date.now() + 60 * 60 * 1000
+      }));
+      await setBusyCalendars('user-1', ['primary', 'team@example.com']);
+      const [expiring, lasting] = await startWatching('user-1');
+
+      expect(await renewExpiringChannels()).toBe(1);
+
+      const ids = listChannels('user-1').map(channel => channel.id);
+      expect(ids).toContain(lasting.id);
+      expect(ids).not.toContain(expiring.id);
+      expect(ids).toHaveLength(2);
+    });
+  });
+});
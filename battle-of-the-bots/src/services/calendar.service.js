@@ -1,19 +1,265 @@
 /**
  * Calendar service
  * Business logic layer for calendar operations
+ * Each user reads and writes one calendar provider (Google by default, or CalDAV);
+ * see integrations/calendar-providers.
  */
 
-const googleCalendar = require('../integrations/google-calendar');
+const calendarProviders = require('../integrations/calendar-providers');
+const calendarCache = require('./calendar-cache.service');
+const liveUpdates = require('./live-updates.service');
+const { createRecordStore } = require('../utils/record-store');
+const tokenManager = require('../utils/token-manager');
 const dateUtils = require('../utils/date-utils');
+const config = require('../utils/config');
+
+// Per-user calendar settings, keyed by user ID
+const settingsStore = createRecordStore('calendar-settings');
+
+// Users' non-Google calendar connections (passwords encrypted), keyed by user ID
+const connectionStore = createRecordStore('calendar-connections');
+
+// Teammates each user lets read their free/busy for team focus searches, keyed by user ID
+const sharingStore = createRecordStore('calendar-sharing');
+
+// CalDAV passwords are encrypted with the token key, so they rotate with it
+tokenManager.registerEncryptedStore('calendar-connections', connectionStore, { id: 'userId', secret: 'password' });
+
+// The user's primary calendar is always addressed by this alias
+const PRIMARY_CALENDAR_ID = 'primary';
+
+// Private extended property on the focus blocks AuraFlow books, so clients can tell them apart
+const FOCUS_BLOCK_MARKER = { auraflow: 'focus-block' };
+
+/**
+ * Gets the calendar provider a user is connected to
+ * @param {string} userId - User identifier
+ * @returns {Object} { provider: provider module, connection: {userId, provider, ...credentials} }
+ */
+function getCalendarProvider(userId) {
+  const record = connectionStore.get(userId);
+  const connection = record
+    ? { ...record, password: record.password ? tokenManager.decryptToken(record.password) : null }
+    : { userId, provider: calendarProviders.DEFAULT_PROVIDER };
+  
+  return {
+    provider: calendarProviders.getProvider(connection.provider),
+    connection
+  };
+}
+
+/**
+ * Gets the name of the calendar provider a user is connected to
+ * @param {string} userId - User identifier
+ * @returns {string} Provider key ('google' or 'caldav')
+ */
+function getProviderName(userId) {
+  const record = connectionStore.get(userId);
+  return record ? record.provider : calendarProviders.DEFAULT_PROVIDER;
+}
+
+/**
+ * Describes a user's calendar provider without its credentials
+ * @param {string} userId - User identifier
+ * @returns {Object} { provider, serverUrl, username, connectedAt } (null fields for Google)
+ */
+function getCalendarProviderInfo(userId) {
+  const record = connectionStore.get(userId);
+  
+  return {
+    provider: getProviderName(userId),
+    serverUrl: record ? record.serverUrl : null,
+    username: record ? record.username : null,
+    connectedAt: record ? record.connectedAt : null
+  };
+}
+
+/**
+ * Switches the calendar provider a user reads and writes
+ * The credentials are checked by listing the user's calendars before they are saved.
+ * Calendar IDs differ between accounts, so the busy-calendar choice goes back to the
+ * primary calendar unless the same CalDAV account is reconnected (e.g. a new password).
+ * @param {string} userId - User identifier
+ * @param {Object} settings - Provider settings
+ * @param {string} settings.provider - 'google' or 'caldav'
+ * @param {string} [settings.serverUrl] - CalDAV server URL
+ * @param {string} [settings.username] - CalDAV username
+ * @param {string} [settings.password] - CalDAV password (an app-specific password for iCloud)
+ * @returns {Promise<Object>} { provider info (see getCalendarProviderInfo), calendars }
+ * @throws {Error} From the provider when the server cannot be reached or rejects the credentials
+ */
+async function connectCalendarProvider(userId, settings) {
+  const previous = connectionStore.get(userId);
+  
+  if (settings.provider === calendarProviders.DEFAULT_PROVIDER) {
+    connectionStore.delete(userId);
+  } else {
+    const connection = {
+      userId,
+      provider: settings.provider,
+      serverUrl: settings.serverUrl,
+      username: settings.username,
+      password: settings.password
+    };
+    await calendarProviders.getProvider(settings.provider).listCalendars(connection);
+    
+    connectionStore.set(userId, {
+      ...connection,
+      password: tokenManager.encryptToken(settings.password),
+      connectedAt: new Date().toISOString()
+    });
+  }
+  
+  const sameAccount = previous && previous.provider === settings.provider &&
+    previous.serverUrl === settings.serverUrl && previous.username === settings.username;
+  if (!sameAccount) {
+    settingsStore.delete(userId);
+    calendarCache.clearUserCache(userId);
+  }
+  
+  return {
+    ...getCalendarProviderInfo(userId),
+    calendars: await listCalendars(userId)
+  };
+}
+
+/**
+ * Finds the user a CalDAV account is connected to
+ * @param {string} serverUrl - CalDAV server URL
+ * @param {string} username - CalDAV username
+ * @returns {string|null} User ID, or null if no user has connected the account
+ */
+function findCalDAVUserId(serverUrl, username) {
+  const record = connectionStore.values().find(connection =>
+    connection.provider === 'caldav' && connection.serverUrl === serverUrl && connection.username === username);
+  return record ? record.userId : null;
+}
+
+/**
+ * Gets the calendars whose events count as busy time for a user
+ * @param {string} userId - User identifier
+ * @returns {Array<string>} Calendar IDs (default: the primary calendar only)
+ */
+function getBusyCalendarIds(userId) {
+  const settings = settingsStore.get(userId);
+  return settings ? settings.busyCalendarIds : [PRIMARY_CALENDAR_ID];
+}
+
+/**
+ * Lists a user's calendars, flagging the ones that count as busy
+ * The primary calendar is reported with the 'primary' alias as its ID.
+ * @param {string} userId - User identifier
+ * @returns {Promise<Array<Object>>} Calendars ({id, name, primary, accessRole, backgroundColor, selected, timeZone, busy})
+ */
+async function listCalendars(userId) {
+  const busyIds = getBusyCalendarIds(userId);
+  const { provider, connection } = getCalendarProvider(userId);
+  const calendars = await provider.listCalendars(connection);
+  
+  return calendars.map(calendar => {
+    const id = calendar.primary ? PRIMARY_CALENDAR_ID : calendar.id;
+    return { ...calendar, id, busy: busyIds.includes(id) };
+  });
+}
+
+/**
+ * Chooses which of a user's calendars count as busy for scheduling
+ * @param {string} userId - User identifier
+ * @param {Array<string>} calendarIds - Calendar IDs from listCalendars (the primary calendar's
+ *   own ID is accepted as well as 'primary')
+ * @returns {Promise<Array<Object>>} Updated calendar list
+ * @throws {Error} With code UNKNOWN_CALENDAR (and unknownIds) if an ID is not on the user's list
+ */
+async function setBusyCalendars(userId, calendarIds) {
+  const { provider, connection } = getCalendarProvider(userId);
+  const calendars = await provider.listCalendars(connection);
+  const primary = calendars.find(calendar => calendar.primary);
+  const knownIds = new Set(calendars.filter(calendar => !calendar.primary).map(calendar => calendar.id));
+  
+  const busyCalendarIds = [];
+  const unknownIds = [];
+  
+  for (const calendarId of calendarIds) {
+    const id = calendarId === PRIMARY_CALENDAR_ID || (primary && calendarId === primary.id)
+      ? PRIMARY_CALENDAR_ID
+      : calendarId;
+    
+    if (id !== PRIMARY_CALENDAR_ID && !knownIds.has(id)) {
+      unknownIds.push(calendarId);
+    } else if (!busyCalendarIds.includes(id)) {
+      busyCalendarIds.push(id);
+    }
+  }
+  
+  if (unknownIds.length > 0) {
+    const error = new Error(`Unknown calendar: ${unknownIds.join(', ')}`);
+    error.code = 'UNKNOWN_CALENDAR';
+    error.unknownIds = unknownIds;
+    throw error;
+  }
+  
+  settingsStore.set(userId, {
+    userId,
+    busyCalendarIds,
+    updatedAt: new Date().toISOString()
+  });
+  
+  return listCalendars(userId);
+}
+
+/**
+ * Fetches and merges events from several calendars
+ * A secondary calendar that cannot be read (e.g. unshared since it was chosen) is
+ * skipped with a warning; failures on the primary calendar are passed on.
+ * Events that appear on more than one calendar (shared meetings) are kept once.
+ * @param {string} userId - User identifier
+ * @param {string} startDate - Start date (ISO 8601)
+ * @param {string} endDate - End date (ISO 8601)
+ * @param {Array<string>} calendarIds - Calendars to read
+ * @returns {Promise<Array<Object>>} Events sorted by start time, each tagged with its calendarId
+ */
+async function fetchMergedEvents(userId, startDate, endDate, calendarIds) {
+  const { provider, connection } = getCalendarProvider(userId);
+  
+  const perCalendar = await Promise.all(calendarIds.map(async calendarId => {
+    try {
+      const events = provider.cached
+        ? await calendarCache.getEvents(userId, startDate, endDate, calendarId)
+        : await provider.fetchEvents(connection, startDate, endDate, calendarId);
+      return events.map(event => ({ ...event, calendarId }));
+    } catch (error) {
+      if (calendarId === PRIMARY_CALENDAR_ID) {
+        throw error;
+      }
+      console.warn(`Skipping calendar ${calendarId} for ${userId}:`, error.message);
+      return [];
+    }
+  }));
+  
+  const seen = new Set();
+  const merged = [];
+  
+  for (const event of perCalendar.flat()) {
+    const key = `${event.id}|${event.startTime}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    merged.push(event);
+  }
+  
+  return merged.sort((a, b) => dateUtils.parseISODate(a.startTime) - dateUtils.parseISODate(b.startTime));
+}
 
 /**
  * Gets calendar events for a user within date range
+ * Events are merged from every calendar that counts as busy for the user.
  * @param {string} userId - User identifier
  * @param {string} startDate - Start date (ISO 8601)
  * @param {string} endDate - End date (ISO 8601)
+ * @param {Object} [options] - Fetch options
+ * @param {Array<string>} [options.calendarIds] - Calendars to read instead of the user's busy calendars
  * @returns {Promise<Array<Object>>} Array of calendar events
  */
-async function getCalendarEvents(userId, startDate, endDate) {
+async function getCalendarEvents(userId, startDate, endDate, options = {}) {
   try {
     // Validate date range
     const start = dateUtils.parseISODate(startDate);
@@ -23,8 +269,9 @@ async function getCalendarEvents(userId, startDate, endDate) {
       throw new Error('End date must be after start date');
     }
     
-    // Fetch events from Google Calendar
-    const events = await googleCalendar.fetchCalendarEvents(userId, startDate, endDate);
+    // Fetch events from the user's calendar provider
+    const calendarIds = options.calendarIds || getBusyCalendarIds(userId);
+    const events = await fetchMergedEvents(userId, startDate, endDate, calendarIds);
     
     // Add calculated duration to each event
     const eventsWithDuration = events.map(event => ({
@@ -63,8 +310,15 @@ async function createCalendarEvent(userId, eventData) {
       throw new Error('End time must be after start time');
     }
     
-    // Create event in Google Calendar
-    const createdEvent = await googleCalendar.createCalendarEvent(userId, eventData);
+    // Create event with the user's calendar provider
+    const { provider, connection } = getCalendarProvider(userId);
+    const createdEvent = await provider.createEvent(connection, eventData);
+    calendarCache.invalidate(userId, PRIMARY_CALENDAR_ID);
+    liveUpdates.publish(userId, liveUpdates.UPDATE_TYPES.CALENDAR_CHANGED, {
+      calendarId: PRIMARY_CALENDAR_ID,
+      updatedIds: [createdEvent.id],
+      deletedIds: []
+    });
     
     return {
       ...createdEvent,
@@ -75,6 +329,28 @@ async function createCalendarEvent(userId, eventData) {
   }
 }
 
+/**
+ * Deletes a calendar event for a user
+ * @param {string} userId - User identifier
+ * @param {string} eventId - Event identifier
+ * @returns {Promise<boolean>} True once the event no longer exists
+ */
+async function deleteCalendarEvent(userId, eventId) {
+  try {
+    const { provider, connection } = getCalendarProvider(userId);
+    const deleted = await provider.deleteEvent(connection, eventId);
+    calendarCache.invalidate(userId, PRIMARY_CALENDAR_ID);
+    liveUpdates.publish(userId, liveUpdates.UPDATE_TYPES.CALENDAR_CHANGED, {
+      calendarId: PRIMARY_CALENDAR_ID,
+      updatedIds: [],
+      deletedIds: [eventId]
+    });
+    return deleted;
+  } catch (error) {
+    throw new Error(`Failed to delete calendar event: ${error.message}`);
+  }
+}
+
 /**
  * Gets calendar events for today
  * @param {string} userId - User identifier
@@ -88,14 +364,135 @@ async function getTodayEvents(userId) {
   return getCalendarEvents(userId, startOfDay, endOfDay);
 }
 
+/**
+ * Gets the busy events of one calendar day in a time zone
+ * Events that began the day before are clipped to midnight so the scheduler
+ * plans the requested day.
+ * @param {string} userId - User identifier
+ * @param {Object} calendarDate - Day to read ({year, month, day}, see dateUtils.getCalendarDate)
+ * @param {string} [timeZone] - IANA time zone (default: server-local)
+ * @returns {Promise<Array<Object>>} Events overlapping the day
+ */
+async function getDayEvents(userId, calendarDate, timeZone) {
+  const { year, month, day } = calendarDate;
+  const next = dateUtils.addCalendarDays(calendarDate, 1);
+  const dayStart = dateUtils.zonedTimeToDate(year, month, day, 0, 0, timeZone);
+  const dayEnd = dateUtils.zonedTimeToDate(next.year, next.month, next.day, 0, 0, timeZone);
+  
+  const events = await getCalendarEvents(userId, dateUtils.formatToISO(dayStart), dateUtils.formatToISO(dayEnd));
+  
+  return events.map(event => (dateUtils.parseISODate(event.startTime) < dayStart
+    ? { ...event, startTime: dateUtils.formatToISO(dayStart) }
+    : event));
+}
+
+/**
+ * Gets the busy periods of a user's calendars
+ * @param {string} userId - User identifier
+ * @param {string} startDate - Start date (ISO 8601)
+ * @param {string} endDate - End date (ISO 8601)
+ * @param {Array<string>} [calendarIds] - Calendars to read (default: the user's busy calendars)
+ * @returns {Promise<Object>} Busy periods ({start, end}) keyed by calendar ID
+ */
+async function getFreeBusy(userId, startDate, endDate, calendarIds) {
+  const { provider, connection } = getCalendarProvider(userId);
+  return provider.fetchFreeBusy(connection, startDate, endDate, calendarIds || getBusyCalendarIds(userId));
+}
+
+/**
+ * Gets the teammates a user shares their free/busy with
+ * @param {string} userId - User identifier
+ * @returns {Array<string>} AuraFlow user IDs (empty until the user opts in)
+ */
+function getFreeBusySharing(userId) {
+  const record = sharingStore.get(userId);
+  return record ? record.sharedWith : [];
+}
+
+/**
+ * Chooses the teammates allowed to include a user's free/busy in their team focus searches
+ * @param {string} userId - User identifier
+ * @param {Array<string>} userIds - AuraFlow user IDs (replaces the current list; empty stops sharing)
+ * @returns {Array<string>} Updated list
+ */
+function setFreeBusySharing(userId, userIds) {
+  const sharedWith = [...new Set(userIds)].filter(id => id !== userId);
+  
+  if (sharedWith.length === 0) {
+    sharingStore.delete(userId);
+  } else {
+    sharingStore.set(userId, {
+      userId,
+      sharedWith,
+      updatedAt: new Date().toISOString()
+    });
+  }
+  
+  return sharedWith;
+}
+
+/**
+ * Gets the busy periods of everyone taking part in a team focus search
+ * The calling user's busy calendars are always read, and a failure there is thrown.
+ * Teammates who use AuraFlow are read from their own calendar provider, but only if they
+ * share their free/busy with the caller (see setFreeBusySharing); attendees are
+ * read by email through the caller's provider (Google needs free/busy access to their
+ * calendars). Participants whose calendars cannot be read are reported as unavailable
+ * rather than failing the search.
+ * @param {string} userId - Calling user's identifier
+ * @param {Object} team - Other participants
+ * @param {Array<string>} [team.members] - AuraFlow user IDs
+ * @param {Array<string>} [team.attendees] - Attendee email addresses
+ * @param {string} startDate - Start date (ISO 8601)
+ * @param {string} endDate - End date (ISO 8601)
+ * @returns {Promise<Array<Object>>} Participants ({id, type: 'user'|'attendee', available, busy: Array<{start, end}>})
+ */
+async function getTeamFreeBusy(userId, { members = [], attendees = [] }, startDate, endDate) {
+  const flatten = busyByCalendar => Object.values(busyByCalendar).flat();
+  const memberIds = [...new Set(members)].filter(memberId => memberId !== userId);
+  const emails = [...new Set(attendees.map(email => email.toLowerCase()))];
+  
+  const own = { id: userId, type: 'user', available: true, busy: flatten(await getFreeBusy(userId, startDate, endDate)) };
+  
+  const teammates = await Promise.all(memberIds.map(async memberId => {
+    if (!getFreeBusySharing(memberId).includes(userId)) {
+      return { id: memberId, type: 'user', available: false, busy: [] };
+    }
+    
+    try {
+      return { id: memberId, type: 'user', available: true, busy: flatten(await getFreeBusy(memberId, startDate, endDate)) };
+    } catch (error) {
+      console.warn(`Could not read free/busy for ${memberId}:`, error.message);
+      return { id: memberId, type: 'user', available: false, busy: [] };
+    }
+  }));
+  
+  let attendeeBusy = {};
+  if (emails.length > 0) {
+    attendeeBusy = await getFreeBusy(userId, startDate, endDate, emails);
+  }
+  
+  return [
+    own,
+    ...teammates,
+    ...emails.map(email => ({
+      id: email,
+      type: 'attendee',
+      available: email in attendeeBusy,
+      busy: attendeeBusy[email] || []
+    }))
+  ];
+}
+
 /**
  * Checks if a time slot is available (no conflicts with existing events)
  * @param {string} userId - User identifier
  * @param {string} startTime - Proposed start time (ISO 8601)
  * @param {string} endTime - Proposed end time (ISO 8601)
+ * @param {string[]} [ignoreEventIds] - Events that don't count as conflicts
  * @returns {Promise<boolean>} True if slot is available
  */
-async function isTimeSlotAvailable(userId, startTime, endTime) {
+async function isTimeSlotAvailable(userId, startTime, endTime, ignoreEventIds = []) {
   try {
     const events = await getCalendarEvents(userId, startTime, endTime);
     
@@ -104,6 +501,10 @@ async function isTimeSlotAvailable(userId, startTime, endTime) {
     const proposedEnd = dateUtils.parseISODate(endTime);
     
     for (const event of events) {
+      if (ignoreEventIds.includes(event.id)) {
+        continue;
+      }
+      
       const eventStart = dateUtils.parseISODate(event.startTime);
       const eventEnd = dateUtils.parseISODate(event.endTime);
       
@@ -119,9 +520,112 @@ async function isTimeSlotAvailable(userId, startTime, endTime) {
   }
 }
 
+/**
+ * Builds calendar event data for booking a suggested focus window
+ * Missing fields fall back to the focus-event defaults in config. Busy blocks are
+ * marked as Google focus-time events, which decline conflicting invitations and mute
+ * chat; providers without focus time (CalDAV) book them as plain events. Every block
+ * carries FOCUS_BLOCK_MARKER so the extension can find it whatever its title.
+ * @param {Object} focusWindow - Suggestion from the scheduler plus optional overrides
+ * @param {string} focusWindow.startTime - Start time (ISO 8601)
+ * @param {string} focusWindow.endTime - End time (ISO 8601)
+ * @param {string} [focusWindow.title] - Event title
+ * @param {string} [focusWindow.description] - Event description (defaults to the suggestion reasoning)
+ * @param {string} [focusWindow.timeZone] - IANA time zone for the event
+ * @param {string} [focusWindow.colorId] - Google Calendar event color ID
+ * @param {string} [focusWindow.transparency] - 'opaque' (busy) or 'transparent' (free)
+ * @param {number} [focusWindow.reminderMinutes] - Popup reminder before start; 0 disables reminders
+ * @returns {Object} Event data for createCalendarEvent
+ */
+function buildFocusEventData(focusWindow) {
+  const defaults = config.defaults.focusEvent;
+  const reminderMinutes = focusWindow.reminderMinutes !== undefined
+    ? focusWindow.reminderMinutes
+    : defaults.reminderMinutes;
+  const transparency = focusWindow.transparency || defaults.transparency;
+  
+  const eventData = {
+    title: focusWindow.title || defaults.title,
+    description: focusWindow.description || focusWindow.reasoning || '',
+    startTime: focusWindow.startTime,
+    endTime: focusWindow.endTime,
+    timeZone: focusWindow.timeZone,
+    colorId: focusWindow.colorId || defaults.colorId,
+    transparency,
+    reminders: {
+      useDefault: false,
+      overrides: reminderMinutes > 0 ? [{ method: 'popup', minutes: reminderMinutes }] : []
+    },
+    extendedProperties: { private: { ...FOCUS_BLOCK_MARKER } }
+  };
+  
+  // Google only allows focus time on blocks that show as busy
+  if (transparency === 'opaque') {
+    eventData.eventType = 'focusTime';
+    eventData.focusTimeProperties = {
+      autoDeclineMode: defaults.autoDeclineMode,
+      chatStatus: defaults.chatStatus
+    };
+  }
+  
+  return eventData;
+}
+
+/**
+ * Books a suggested focus window as a focus-time calendar event
+ * The slot is re-checked first because the calendar may have changed since the suggestion.
+ * @param {string} userId - User identifier
+ * @param {Object} focusWindow - Suggestion and overrides (see buildFocusEventData)
+ * @param {Object} [options]
+ * @param {string[]} [options.replacesEventIds] - Blocks this one replaces; they are ignored in the check
+ * @returns {Promise<Object|null>} Created event, or null if the slot is no longer free
+ */
+async function bookFocusTime(userId, focusWindow, options = {}) {
+  const available = await isTimeSlotAvailable(
+    userId,
+    focusWindow.startTime,
+    focusWindow.endTime,
+    options.replacesEventIds
+  );
+  
+  if (!available) {
+    return null;
+  }
+  
+  return createCalendarEvent(userId, buildFocusEventData(focusWindow));
+}
+
+/**
+ * Clears all calendar settings and provider connections (for testing)
+ * @returns {void}
+ */
+function clearAllCalendarSettings() {
+  settingsStore.clear();
+  connectionStore.clear();
+  sharingStore.clear();
+}
+
 module.exports = {
+  PRIMARY_CALENDAR_ID,
+  getCalendarProvider,
+  getProviderName,
+  getCalendarProviderInfo,
+  connectCalendarProvider,
+  findCalDAVUserId,
+  getBusyCalendarIds,
+  listCalendars,
+  setBusyCalendars,
   getCalendarEvents,
   createCalendarEvent,
+  deleteCalendarEvent,
   getTodayEvents,
-  isTimeSlotAvailable
+  getDayEvents,
+  getFreeBusy,
+  getFreeBusySharing,
+  setFreeBusySharing,
+  getTeamFreeBusy,
+  isTimeSlotAvailable,
+  buildFocusEventData,
+  bookFocusTime,
+  clearAllCalendarSettings
 };
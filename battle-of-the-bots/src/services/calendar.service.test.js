@@ -0,0 +1,328 @@
+/**
+ * Unit tests for Calendar Service
+ */
+
+jest.mock('../integrations/google-calendar', () => ({
+  fetchCalendarList: jest.fn(async () => [
+    { id: 'me@example.com', name: 'Me', primary: true },
+    { id: 'team@example.com', name: 'Team', primary: false },
+    { id: 'holidays@example.com', name: 'Holidays', primary: false }
+  ]),
+  fetchCalendarEvents: jest.fn(async () => []),
+  fetchFreeBusy: jest.fn(async () => ({}))
+}));
+
+const googleCalendar = require('../integrations/google-calendar');
+const config = require('../utils/config');
+const tokenManager = require('../utils/token-manager');
+const { createFakeCalDAVServer, USERNAME, PASSWORD } = require('../integrations/calendar-providers/fake-caldav-server');
+const {
+  buildFocusEventData,
+  setBusyCalendars,
+  getBusyCalendarIds,
+  getCalendarEvents,
+  getDayEvents,
+  connectCalendarProvider,
+  findCalDAVUserId,
+  getCalendarProviderInfo,
+  getCalendarProvider,
+  bookFocusTime,
+  deleteCalendarEvent,
+  getFreeBusy,
+  setFreeBusySharing,
+  getFreeBusySharing,
+  getTeamFreeBusy,
+  clearAllCalendarSettings
+} = require('./calendar.service');
+
+describe('Calendar Service', () => {
+  describe('buildFocusEventData', () => {
+    const focusWindow = {
+      startTime: '2025-10-06T14:15:00.000Z',
+      endTime: '2025-10-06T16:15:00.000Z',
+      duration: 120,
+      score: 92,
+      reasoning: 'Long afternoon slot.'
+    };
+
+    test('should apply focus-event defaults to a bare suggestion', () => {
+      const eventData = buildFocusEventData(focusWindow);
+
+      expect(eventData).toEqual({
+        title: 'Focus Time',
+        description: 'Long afternoon slot.',
+        startTime: focusWindow.startTime,
+        endTime: focusWindow.endTime,
+        timeZone: undefined,
+        colorId: '9',
+        transparency: 'opaque',
+        reminders: { useDefault: false, overrides: [{ method: 'popup', minutes: 5 }] },
+        extendedProperties: { private: { auraflow: 'focus-block' } },
+        eventType: 'focusTime',
+        focusTimeProperties: {
+          autoDeclineMode: 'declineOnlyNewConflictingInvitations',
+          chatStatus: 'doNotDisturb'
+        }
+      });
+    });
+
+    test('should honor overrides and allow disabling reminders', () => {
+      const eventData = buildFocusEventData({
+        ...focusWindow,
+        title: 'Deep work: Q4 plan',
+        description: 'No meetings',
+        colorId: '2',
+        transparency: 'transparent',
+        reminderMinutes: 0
+      });
+
+      expect(eventData.title).toBe('Deep work: Q4 plan');
+      expect(eventData.description).toBe('No meetings');
+      expect(eventData.colorId).toBe('2');
+      expect(eventData.transparency).toBe('transparent');
+      // Focus time has to show as busy, so a free block is a plain event
+      expect(eventData).not.toHaveProperty('eventType');
+      expect(eventData.reminders.overrides).toEqual([]);
+    });
+  });
+
+  describe('busy calendars', () => {
+    const range = ['2025-10-06T00:00:00Z', '2025-10-07T00:00:00Z'];
+
+    function meeting(id, startTime, endTime) {
+      return { id, startTime, endTime, title: id };
+    }
+
+    beforeEach(() => {
+      clearAllCalendarSettings();
+      googleCalendar.fetchCalendarEvents.mockReset();
+    });
+
+    test('should store the primary calendar under its alias and drop duplicates', async () => {
+      await setBusyCalendars('user-1', ['me@example.com', 'team@example.com', 'primary']);
+
+      expect(getBusyCalendarIds('user-1')).toEqual(['primary', 'team@example.com']);
+      expect(getBusyCalendarIds('user-2')).toEqual(['primary']);
+    });
+
+    test('should reject calendars that are not on the user\'s list', async () => {
+      await expect(setBusyCalendars('user-1', ['team@example.com', 'other@example.com']))
+        .rejects.toMatchObject({ code: 'UNKNOWN_CALENDAR', unknownIds: ['other@example.com'] });
+      expect(getBusyCalendarIds('user-1')).toEqual(['primary']);
+    });
+
+    test('should merge busy calendars in start order without duplicates', async () => {
+      const shared = meeting('shared', '2025-10-06T10:00:00Z', '2025-10-06T11:00:00Z');
+      googleCalendar.fetchCalendarEvents.mockImplementation(async (userId, start, end, calendarId) => (
+        calendarId === 'primary'
+          ? [shared]
+          : [meeting('early', '2025-10-06T08:00:00Z', '2025-10-06T09:00:00Z'), shared]
+      ));
+      await setBusyCalendars('user-1', ['primary', 'team@example.com']);
+
+      const events = await getCalendarEvents('user-1', ...range);
+
+      expect(events.map(event => [event.id, event.calendarId, event.duration])).toEqual([
+        ['early', 'team@example.com', 60],
+        ['shared', 'primary', 60]
+      ]);
+    });
+
+    test('should skip a secondary calendar that cannot be read', async () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      googleCalendar.fetchCalendarEvents.mockImplementation(async (userId, start, end, calendarId) => {
+        if (calendarId === 'team@example.com') throw new Error('Not Found');
+        return [meeting('standup', '2025-10-06T09:00:00Z', '2025-10-06T09:15:00Z')];
+      });
+      await setBusyCalendars('user-1', ['primary', 'team@example.com']);
+
+      const events = await getCalendarEvents('user-1', ...range);
+
+      expect(events.map(event => event.id)).toEqual(['standup']);
+      expect(warn).toHaveBeenCalled();
+      warn.mockRestore();
+    });
+
+    test('should fail when the primary calendar cannot be read', async () => {
+      googleCalendar.fetchCalendarEvents.mockRejectedValue(new Error('Authentication failed. Please re-authenticate.'));
+
+      await expect(getCalendarEvents('user-1', ...range)).rejects.toThrow('re-authenticate');
+    });
+
+    test('should read a whole day in the user\'s time zone and clip overnight events', async () => {
+      googleCalendar.fetchCalendarEvents.mockResolvedValue([
+        meeting('overnight', '2025-10-06T02:00:00Z', '2025-10-06T05:00:00Z')
+      ]);
+
+      const events = await getDayEvents('user-1', { year: 2025, month: 10, day: 6 }, 'America/New_York');
+
+      expect(googleCalendar.fetchCalendarEvents).toHaveBeenCalledWith(
+        'user-1', '2025-10-06T04:00:00.000Z', '2025-10-07T04:00:00.000Z', 'primary'
+      );
+      expect(events[0].startTime).toBe('2025-10-06T04:00:00.000Z');
+    });
+  });
+
+  describe('calendar providers', () => {
+    let server;
+    let fakeApp;
+    let serverUrl;
+    const range = ['2025-10-06T00:00:00Z', '2025-10-08T00:00:00Z'];
+    const originalAllowPrivateHosts = config.caldav.allowPrivateHosts;
+
+    beforeAll(done => {
+      config.caldav.allowPrivateHosts = true;
+      fakeApp = createFakeCalDAVServer();
+      server = fakeApp.listen(0, '127.0.0.1', () => {
+        serverUrl = `http://127.0.0.1:${server.address().port}/`;
+        done();
+      });
+    });
+
+    afterAll(done => {
+      config.caldav.allowPrivateHosts = originalAllowPrivateHosts;
+      server.close(done);
+    });
+
+    beforeEach(() => {
+      clearAllCalendarSettings();
+      googleCalendar.fetchCalendarEvents.mockClear();
+    });
+
+    function connectCalDAV(userId = 'user-1') {
+      return connectCalendarProvider(userId, { provider: 'caldav', serverUrl, username: USERNAME, password: PASSWORD });
+    }
+
+    test('should use Google until the user connects another provider', () => {
+      expect(getCalendarProviderInfo('user-1')).toEqual({
+        provider: 'google',
+        serverUrl: null,
+        username: null,
+        connectedAt: null
+      });
+    });
+
+    test('should connect a CalDAV account and keep the password encrypted', async () => {
+      const result = await connectCalDAV();
+
+      expect(result).toMatchObject({ provider: 'caldav', serverUrl, username: USERNAME });
+      expect(result.calendars.map(calendar => [calendar.id, calendar.busy])).toEqual([
+        ['primary', true],
+        ['/calendars/alice/team/', false]
+      ]);
+      expect(result).not.toHaveProperty('password');
+      expect(getCalendarProvider('user-1').connection.password).toBe(PASSWORD);
+    });
+
+    test('should re-encrypt the CalDAV password when the encryption key rotates', async () => {
+      const originalSecurity = { ...config.security };
+      await connectCalDAV();
+
+      try {
+        config.security.previousEncryptionKeys = [config.security.encryptionKey];
+        config.security.encryptionKey = 'next-key';
+        expect(tokenManager.rotateEncryptionKey()).toEqual({ rotated: 1, failed: [] });
+
+        // The old key is no longer needed
+        config.security.previousEncryptionKeys = [];
+        expect(getCalendarProvider('user-1').connection.password).toBe(PASSWORD);
+      } finally {
+        Object.assign(config.security, originalSecurity);
+      }
+    });
+
+    test('should not save credentials the server rejects', async () => {
+      await expect(connectCalendarProvider('user-1', { provider: 'caldav', serverUrl, username: USERNAME, password: 'wrong' }))
+        .rejects.toMatchObject({ code: 'CALENDAR_AUTH_FAILED' });
+      expect(getCalendarProviderInfo('user-1').provider).toBe('google');
+    });
+
+    test('should schedule against, book on and delete from the CalDAV calendars', async () => {
+      await connectCalDAV();
+      await setBusyCalendars('user-1', ['primary', '/calendars/alice/team/']);
+
+      const events = await getCalendarEvents('user-1', ...range);
+      const booked = await bookFocusTime('user-1', { startTime: '2025-10-07T08:00:00Z', endTime: '2025-10-07T10:00:00Z' });
+      const clash = await bookFocusTime('user-1', { startTime: '2025-10-07T14:00:00Z', endTime: '2025-10-07T16:00:00Z' });
+
+      expect(events.map(event => [event.title, event.calendarId])).toEqual([
+        ['Sprint planning', 'primary'],
+        ['Team offsite prep', '/calendars/alice/team/']
+      ]);
+      expect(googleCalendar.fetchCalendarEvents).not.toHaveBeenCalled();
+      expect(fakeApp.fixtures['/calendars/alice/work/'].objects[`${booked.id}.ics`]).toContain('SUMMARY:Focus Time');
+      expect(clash).toBeNull();
+
+      await deleteCalendarEvent('user-1', booked.id);
+      expect(fakeApp.fixtures['/calendars/alice/work/'].objects[`${booked.id}.ics`]).toBeUndefined();
+    });
+
+    test('should read free/busy from the user\'s provider', async () => {
+      await connectCalDAV();
+
+      const busy = await getFreeBusy('user-1', ...range);
+
+      expect(busy).toEqual({ primary: [{ start: '2025-10-06T08:00:00.000Z', end: '2025-10-06T09:00:00.000Z' }] });
+    });
+
+    test('should gather a team\'s free/busy across providers', async () => {
+      const meeting = { start: '2025-10-06T12:00:00Z', end: '2025-10-06T13:00:00Z' };
+      googleCalendar.fetchFreeBusy.mockImplementation(async (userId, startDate, endDate, calendarIds) => {
+        if (userId === 'user-without-calendar') throw new Error('No tokens found for user');
+        return Object.fromEntries(calendarIds
+          .filter(id => id === 'primary' || id === 'dana@example.com')
+          .map(id => [id, [meeting]]));
+      });
+      await connectCalDAV('user-2');
+      setFreeBusySharing('user-2', ['user-1']);
+      setFreeBusySharing('user-without-calendar', ['user-1']);
+      setFreeBusySharing('user-3', ['someone-else']);
+
+      const participants = await getTeamFreeBusy('user-1', {
+        members: ['user-2', 'user-without-calendar', 'user-3', 'user-1'],
+        attendees: ['Dana@example.com', 'eve@example.com']
+      }, ...range);
+
+      expect(participants.map(({ id, type, available, busy }) => [id, type, available, busy.length])).toEqual([
+        ['user-1', 'user', true, 1],
+        ['user-2', 'user', true, 1],
+        ['user-without-calendar', 'user', false, 0],
+        ['user-3', 'user', false, 0],
+        ['dana@example.com', 'attendee', true, 1],
+        ['eve@example.com', 'attendee', false, 0]
+      ]);
+      // A teammate who hasn't shared with the caller is never read
+      expect(googleCalendar.fetchFreeBusy.mock.calls.map(([calledFor]) => calledFor)).not.toContain('user-3');
+      googleCalendar.fetchFreeBusy.mockImplementation(async () => ({}));
+    });
+
+    test('should keep a free/busy sharing list without the user or duplicates', () => {
+      expect(getFreeBusySharing('user-1')).toEqual([]);
+      expect(setFreeBusySharing('user-1', ['user-2', 'user-1', 'user-2', 'user-3'])).toEqual(['user-2', 'user-3']);
+      expect(getFreeBusySharing('user-1')).toEqual(['user-2', 'user-3']);
+      expect(setFreeBusySharing('user-1', [])).toEqual([]);
+      expect(getFreeBusySharing('user-1')).toEqual([]);
+    });
+
+    test('should find the user of a CalDAV account and keep their settings when it reconnects', async () => {
+      await connectCalDAV();
+      await setBusyCalendars('user-1', ['primary', '/calendars/alice/team/']);
+
+      expect(findCalDAVUserId(serverUrl, USERNAME)).toBe('user-1');
+      expect(findCalDAVUserId(serverUrl, 'mallory')).toBeNull();
+
+      await connectCalDAV();
+      expect(getBusyCalendarIds('user-1')).toEqual(['primary', '/calendars/alice/team/']);
+    });
+
+    test('should reset busy calendars when switching back to Google', async () => {
+      await connectCalDAV();
+      await setBusyCalendars('user-1', ['/calendars/alice/team/']);
+
+      const result = await connectCalendarProvider('user-1', { provider: 'google' });
+
+      expect(result.provider).toBe('google');
+      expect(getBusyCalendarIds('user-1')).toEqual(['primary']);
+    });
+  });
+});
@@ -0,0 +1,561 @@
+/**
+ * Focus Rules Service
+ * Recurring protected focus blocks ("2 hours every weekday morning") that are
+ * placed with the scheduler and kept booked on the user's calendar
+ */
+
+const { createRecordStore } = require('../utils/record-store');
+const calendarService = require('./calendar.service');
+const { planFocusWeek, TIME_PREFERENCES, WEEKDAY_NAMES } = require('./scheduling.service');
+const config = require('../utils/config');
+const {
+  parseISODate,
+  formatToISO,
+  formatDateKey,
+  getCalendarDate,
+  addCalendarDays,
+  zonedTimeToDate
+} = require('../utils/date-utils');
+
+const ruleStore = createRecordStore('focus-rules');
+
+// Syncs in flight, keyed by rule, so two syncs of one rule never book the same day twice
+const pendingSyncs = new Map();
+
+// Defaults for a new rule
+const RULE_DEFAULTS = {
+  name: 'Focus Time',
+  durationMinutes: 120,
+  days: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'],
+  preferredTime: 'morning',
+  window: null,
+  timeZone: null,
+  enabled: true
+};
+
+// Fields a client may set on a rule
+const RULE_FIELDS = Object.keys(RULE_DEFAULTS);
+
+/**
+ * Generates a unique rule identifier
+ * @returns {string} Rule ID
+ */
+function generateRuleId() {
+  return `rule_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+}
+
+/**
+ * Copies the client-settable fields from input
+ * @param {Object} input - Raw rule data
+ * @returns {Object} Rule fields present in input
+ */
+function pickRuleFields(input) {
+  const fields = {};
+  for (const field of RULE_FIELDS) {
+    if (input[field] !== undefined) {
+      fields[field] = input[field];
+    }
+  }
+  return fields;
+}
+
+/**
+ * Creates a protected focus-block rule
+ * @param {string} userId - User identifier
+ * @param {Object} ruleData - Rule fields (see RULE_DEFAULTS)
+ * @returns {Object} Stored rule
+ */
+function createRule(userId, ruleData) {
+  const now = new Date().toISOString();
+  const id = generateRuleId();
+
+  return ruleStore.set(id, {
+    id,
+    userId,
+    ...RULE_DEFAULTS,
+    ...pickRuleFields(ruleData),
+    bookings: {},
+    staleEventIds: [],
+    lastSyncedAt: null,
+    createdAt: now,
+    updatedAt: now
+  });
+}
+
+/**
+ * Lists a user's rules, oldest first
+ * @param {string} userId - User identifier
+ * @returns {Array<Object>} Rules
+ */
+function listRules(userId) {
+  return ruleStore.values()
+    .filter(rule => rule.userId === userId)
+    .sort((a, b) => parseISODate(a.createdAt) - parseISODate(b.createdAt));
+}
+
+/**
+ * Gets a single rule owned by a user
+ * @param {string} userId - User identifier
+ * @param {string} ruleId - Rule identifier
+ * @returns {Object|null} Rule or null if not found
+ */
+function getRule(userId, ruleId) {
+  const rule = ruleStore.get(ruleId);
+
+  if (!rule || rule.userId !== userId) {
+    return null;
+  }
+
+  return rule;
+}
+
+/**
+ * Updates a rule owned by a user
+ * Existing bookings are kept and re-checked against the new settings on the next sync.
+ * @param {string} userId - User identifier
+ * @param {string} ruleId - Rule identifier
+ * @param {Object} updates - Fields to change
+ * @returns {Object|null} Updated rule or null if not found
+ */
+function updateRule(userId, ruleId, updates) {
+  const rule = getRule(userId, ruleId);
+
+  if (!rule) {
+    return null;
+  }
+
+  return ruleStore.set(ruleId, {
+    ...rule,
+    ...pickRuleFields(updates),
+    updatedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Deletes a rule and removes its upcoming blocks from the calendar
+ * Calendar clean-up is best effort; the rule is deleted either way.
+ * @param {string} userId - User identifier
+ * @param {string} ruleId - Rule identifier
+ * @param {Date} [now] - Reference time (for testing)
+ * @returns {Promise<boolean>} True if the rule was deleted
+ */
+async function deleteRule(userId, ruleId, now = new Date()) {
+  const rule = getRule(userId, ruleId);
+
+  if (!rule) {
+    return false;
+  }
+
+  const eventIds = Object.values(rule.bookings)
+    .filter(booking => parseISODate(booking.endTime) > now)
+    .map(booking => booking.eventId);
+
+  for (const eventId of [...eventIds, ...(rule.staleEventIds || [])]) {
+    try {
+      await calendarService.deleteCalendarEvent(userId, eventId);
+    } catch (error) {
+      console.warn(`Could not remove focus block ${eventId}:`, error.message);
+    }
+  }
+
+  return ruleStore.delete(ruleId);
+}
+
+/**
+ * Gets the wall-clock window a rule's block must fit in
+ * An explicit window wins; otherwise the preferred time of day's range is used.
+ * @param {Object} rule - Focus rule
+ * @returns {Object|null} { start, end } in HH:MM, or null for the default working day
+ */
+function getRuleWindow(rule) {
+  if (rule.window) {
+    return rule.window;
+  }
+
+  const preference = TIME_PREFERENCES[rule.preferredTime];
+  if (!preference) {
+    return null;
+  }
+
+  const pad = hour => `${String(hour).padStart(2, '0')}:00`;
+  return { start: pad(preference.start), end: pad(preference.end) };
+}
+
+/**
+ * Computes where a rule's block should go on one day
+ * @param {Object} rule - Focus rule
+ * @param {Object} calendarDate - Day to place on (from getCalendarDate)
+ * @param {Array<Object>} busyEvents - Calendar events the block must avoid
+ * @param {Date} now - Time before which nothing is placed
+ * @returns {Object|null} Block with startTime, endTime and reasoning, or null if it doesn't fit
+ */
+function placeRuleBlock(rule, calendarDate, busyEvents, now) {
+  const weekday = WEEKDAY_NAMES[calendarDate.weekday];
+  const window = getRuleWindow(rule);
+
+  const plan = planFocusWeek(busyEvents, {
+    preferredTime: rule.preferredTime || undefined,
+    minimumDuration: rule.durationMinutes,
+    timeZone: rule.timeZone || undefined,
+    workingHours: window ? { [weekday]: [window] } : undefined
+  }, {
+    // Noon is safely inside the intended calendar day in any zone
+    startDate: formatToISO(zonedTimeToDate(
+      calendarDate.year, calendarDate.month, calendarDate.day, 12, 0, rule.timeZone || undefined
+    )),
+    days: 1,
+    weeklyTargetHours: rule.durationMinutes / 60,
+    maxBlockDuration: rule.durationMinutes,
+    maxBlocksPerDay: 1,
+    includeWeekends: true,
+    notBefore: formatToISO(now)
+  });
+
+  const day = plan.days[0];
+  if (!day || day.date !== formatDateKey(calendarDate) || day.blocks.length === 0) {
+    return null;
+  }
+
+  return day.blocks[0];
+}
+
+/**
+ * Checks whether any event overlaps a booked block
+ * @param {Object} booking - Booked block with startTime and endTime
+ * @param {Array<Object>} events - Calendar events
+ * @returns {boolean} True if an event collides with the block
+ */
+function hasCollision(booking, events) {
+  const start = parseISODate(booking.startTime);
+  const end = parseISODate(booking.endTime);
+
+  return events.some(event => {
+    try {
+      return parseISODate(event.startTime) < end && parseISODate(event.endTime) > start;
+    } catch (error) {
+      return false;
+    }
+  });
+}
+
+/**
+ * Records one day's booking on the stored rule right away, so a sync that fails
+ * later still knows which blocks it created
+ * The rule is re-read first so changes made while the sync was waiting on the
+ * calendar are kept.
+ * @param {string} ruleId - Rule identifier
+ * @param {Object} changes - Changes to the stored rule
+ * @param {Object} [changes.bookings] - Bookings to set, keyed by date (null removes the day)
+ * @param {Array<string>} [changes.staleEventIds] - Full list of blocks still to delete
+ * @returns {boolean} False if the rule was deleted in the meantime
+ */
+function saveSyncProgress(ruleId, changes) {
+  const current = ruleStore.get(ruleId);
+
+  if (!current) {
+    return false;
+  }
+
+  const bookings = { ...current.bookings };
+  for (const [date, booking] of Object.entries(changes.bookings || {})) {
+    if (booking) {
+      bookings[date] = booking;
+    } else {
+      delete bookings[date];
+    }
+  }
+
+  ruleStore.set(ruleId, {
+    ...current,
+    bookings,
+    staleEventIds: changes.staleEventIds || current.staleEventIds || []
+  });
+  return true;
+}
+
+/**
+ * Deletes blocks a rule no longer uses
+ * @param {string} userId - User identifier
+ * @param {Array<string>} eventIds - Event IDs to delete
+ * @returns {Promise<Array<string>>} Event IDs that could not be deleted
+ */
+async function deleteStaleBlocks(userId, eventIds) {
+  const remaining = [];
+
+  for (const eventId of eventIds) {
+    try {
+      await calendarService.deleteCalendarEvent(userId, eventId);
+    } catch (error) {
+      console.warn(`Could not remove old focus block ${eventId}:`, error.message);
+      remaining.push(eventId);
+    }
+  }
+
+  return remaining;
+}
+
+/**
+ * Gets the weekday of a booking's date key
+ * @param {string} date - Date key (YYYY-MM-DD)
+ * @returns {string} Weekday name (e.g. 'monday')
+ */
+function getDateKeyWeekday(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return WEEKDAY_NAMES[addCalendarDays({ year, month, day }, 0).weekday];
+}
+
+/**
+ * Runs one sync of a rule (see syncRule)
+ * @param {string} userId - User identifier
+ * @param {string} ruleId - Rule identifier
+ * @param {Object} options - Sync options
+ * @returns {Promise<Object|null>} Sync report, or null if the rule doesn't exist
+ */
+async function runSync(userId, ruleId, options) {
+  const rule = getRule(userId, ruleId);
+
+  if (!rule) {
+    return null;
+  }
+
+  const now = options.now || new Date();
+  const horizonDays = options.horizonDays || config.focusDefense.horizonDays;
+  const timeZone = rule.timeZone || undefined;
+
+  // Keep only bookings that haven't ended yet
+  const bookings = {};
+  for (const [date, booking] of Object.entries(rule.bookings)) {
+    if (parseISODate(booking.endTime) > now) {
+      bookings[date] = booking;
+    }
+  }
+
+  let staleEventIds = await deleteStaleBlocks(userId, rule.staleEventIds || []);
+  if (!saveSyncProgress(ruleId, { staleEventIds })) {
+    return null;
+  }
+
+  const results = [];
+
+  // A disabled rule gives back all its blocks, and a day dropped from the rule its block
+  const releasedDates = Object.keys(bookings)
+    .filter(date => !rule.enabled || !rule.days.includes(getDateKeyWeekday(date)));
+  if (releasedDates.length > 0) {
+    const failed = await deleteStaleBlocks(userId, releasedDates.map(date => bookings[date].eventId));
+    staleEventIds = [...staleEventIds, ...failed];
+
+    for (const date of releasedDates) {
+      delete bookings[date];
+      results.push({ date, status: 'released' });
+    }
+    const cleared = Object.fromEntries(releasedDates.map(date => [date, null]));
+    if (!saveSyncProgress(ruleId, { bookings: cleared, staleEventIds })) {
+      return null;
+    }
+  }
+
+  if (rule.enabled) {
+    const today = getCalendarDate(now, timeZone);
+    const rangeStart = zonedTimeToDate(today.year, today.month, today.day, 0, 0, timeZone);
+    const lastDay = addCalendarDays(today, horizonDays);
+    const rangeEnd = zonedTimeToDate(lastDay.year, lastDay.month, lastDay.day, 0, 0, timeZone);
+
+    // Blocks are booked on the primary calendar, so it is read even when it doesn't count as busy
+    const busyCalendarIds = calendarService.getBusyCalendarIds(userId);
+    const calendarIds = [...new Set([calendarService.PRIMARY_CALENDAR_ID, ...busyCalendarIds])];
+    const events = await calendarService.getCalendarEvents(userId, formatToISO(rangeStart), formatToISO(rangeEnd), { calendarIds });
+    const ownEventIds = new Set([...Object.values(bookings).map(booking => booking.eventId), ...staleEventIds]);
+    const busyEvents = events.filter(event =>
+      busyCalendarIds.includes(event.calendarId) && !ownEventIds.has(event.id));
+
+    for (let offset = 0; offset < horizonDays; offset++) {
+      const calendarDate = addCalendarDays(today, offset);
+      const date = formatDateKey(calendarDate);
+      const existing = bookings[date];
+
+      if (!rule.days.includes(WEEKDAY_NAMES[calendarDate.weekday])) {
+        continue;
+      }
+
+      // A block that is still on the calendar and collision-free stays put
+      const stillBooked = existing && events.some(event => event.id === existing.eventId);
+      if (stillBooked && !hasCollision(existing, busyEvents)) {
+        results.push({ date, status: 'kept', ...existing });
+        continue;
+      }
+
+      const block = placeRuleBlock(rule, calendarDate, busyEvents, now);
+      if (!block) {
+        results.push(existing
+          ? { date, status: 'conflict', ...existing }
+          : { date, status: 'unplaced' });
+        continue;
+      }
+
+      const event = await calendarService.bookFocusTime(userId, {
+        startTime: block.startTime,
+        endTime: block.endTime,
+        title: rule.name,
+        description: block.reasoning,
+        timeZone
+      }, {
+        // The block being moved and any stale copies are ours and are about to go
+        replacesEventIds: existing ? [existing.eventId, ...staleEventIds] : staleEventIds
+      });
+
+      if (!event) {
+        // Someone booked the slot between our read and write; a block being moved stays where it was
+        if (stillBooked) {
+          results.push({ date, status: 'conflict', ...existing });
+        } else {
+          delete bookings[date];
+          saveSyncProgress(ruleId, { bookings: { [date]: null } });
+          results.push({ date, status: 'unplaced' });
+        }
+        continue;
+      }
+
+      bookings[date] = { eventId: event.id, startTime: block.startTime, endTime: block.endTime };
+      if (!saveSyncProgress(ruleId, { bookings: { [date]: bookings[date] } })) {
+        // The rule was deleted while we were booking; don't leave its block behind
+        await deleteStaleBlocks(userId, [event.id]);
+        return null;
+      }
+      results.push({ date, status: stillBooked ? 'moved' : 'booked', ...bookings[date] });
+
+      // The new block is busy time for the rest of this sync
+      busyEvents.push({ id: event.id, startTime: block.startTime, endTime: block.endTime });
+
+      if (stillBooked) {
+        const failed = await deleteStaleBlocks(userId, [existing.eventId]);
+        if (failed.length > 0) {
+          staleEventIds = [...staleEventIds, ...failed];
+          saveSyncProgress(ruleId, { staleEventIds });
+        }
+      }
+    }
+  }
+
+  const current = ruleStore.get(ruleId);
+  if (!current) {
+    return null;
+  }
+
+  // Drop bookings that have ended
+  const activeBookings = {};
+  for (const [date, booking] of Object.entries(current.bookings)) {
+    if (parseISODate(booking.endTime) > now) {
+      activeBookings[date] = booking;
+    }
+  }
+
+  const syncedAt = new Date().toISOString();
+  ruleStore.set(ruleId, { ...current, bookings: activeBookings, lastSyncedAt: syncedAt });
+
+  return {
+    ruleId,
+    syncedAt,
+    days: results
+  };
+}
+
+/**
+ * Books, keeps or moves a rule's blocks over the coming days
+ * Blocks that still fit are left alone; blocks hit by a new meeting are moved to the
+ * best free slot that day; days without room are reported as conflicts. Blocks of a
+ * disabled rule, and of days the rule no longer covers, are deleted. Each booking
+ * is saved as soon as it is made, and a moved block's new slot is booked before the
+ * old one is deleted; old blocks that can't be deleted are retried on the next sync.
+ * Syncs of the same rule run one after the other, each reading the rule afresh.
+ * @param {string} userId - User identifier
+ * @param {string} ruleId - Rule identifier
+ * @param {Object} [options] - Sync options
+ * @param {Date} [options.now] - Reference time (for testing)
+ * @param {number} [options.horizonDays] - Days ahead to keep booked (default from config)
+ * @returns {Promise<Object|null>} Sync report, or null if the rule doesn't exist (or
+ *   was deleted during the sync)
+ */
+async function syncRule(userId, ruleId, options = {}) {
+  const previous = pendingSyncs.get(ruleId) || Promise.resolve();
+  const sync = previous
+    .catch(() => {})
+    .then(() => runSync(userId, ruleId, options));
+  pendingSyncs.set(ruleId, sync);
+
+  try {
+    return await sync;
+  } finally {
+    if (pendingSyncs.get(ruleId) === sync) {
+      pendingSyncs.delete(ruleId);
+    }
+  }
+}
+
+/**
+ * Checks whether a rule has blocks on the calendar or still to delete
+ * @param {Object} rule - Focus rule
+ * @returns {boolean} True if the rule has bookings or stale blocks
+ */
+function hasBlocks(rule) {
+  return Object.keys(rule.bookings).length > 0 || (rule.staleEventIds || []).length > 0;
+}
+
+/**
+ * Syncs every enabled rule for every user, and every disabled rule that still has blocks
+ * Errors are logged per rule so one user's expired tokens don't stop the others.
+ * @param {Object} [options] - Sync options passed to syncRule
+ * @returns {Promise<number>} Number of rules synced successfully
+ */
+async function syncAllRules(options = {}) {
+  let synced = 0;
+
+  for (const rule of ruleStore.values().filter(candidate => candidate.enabled || hasBlocks(candidate))) {
+    try {
+      await syncRule(rule.userId, rule.id, options);
+      synced++;
+    } catch (error) {
+      console.warn(`Focus rule ${rule.id} sync failed:`, error.message);
+    }
+  }
+
+  return synced;
+}
+
+/**
+ * Starts periodic syncing of all focus rules
+ * @param {number} [intervalMinutes] - Minutes between syncs (default from config)
+ * @returns {Object} Interval handle (pass to clearInterval to stop)
+ */
+function startFocusDefense(intervalMinutes = config.focusDefense.syncIntervalMinutes) {
+  const timer = setInterval(() => {
+    syncAllRules().catch(error => console.warn('Focus defense sync failed:', error.message));
+  }, intervalMinutes * 60 * 1000);
+
+  // Don't keep the process alive just for this timer
+  timer.unref();
+  return timer;
+}
+
+/**
+ * Clears all stored rules (for testing)
+ * @returns {void}
+ */
+function clearAllRules() {
+  ruleStore.clear();
+}
+
+module.exports = {
+  createRule,
+  listRules,
+  getRule,
+  updateRule,
+  deleteRule,
+  syncRule,
+  syncAllRules,
+  startFocusDefense,
+  clearAllRules,
+  RULE_DEFAULTS,
+  // Export for testing
+  getRuleWindow,
+  placeRuleBlock
+};
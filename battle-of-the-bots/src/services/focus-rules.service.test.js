@@ -0,0 +1,270 @@
+/**
+ * Unit tests for Focus Rules Service
+ */
+
+// In-memory stand-in for the user's Google Calendar
+jest.mock('../integrations/google-calendar', () => {
+  const events = new Map();
+  let nextId = 1;
+
+  return {
+    events,
+    fetchCalendarEvents: jest.fn(async (userId, startDate, endDate) => [...events.values()]
+      .filter(event => new Date(event.startTime) < new Date(endDate) && new Date(event.endTime) > new Date(startDate))),
+    createCalendarEvent: jest.fn(async (userId, eventData) => {
+      const event = {
+        id: `evt_${nextId++}`,
+        startTime: eventData.startTime,
+        endTime: eventData.endTime,
+        title: eventData.title
+      };
+      events.set(event.id, event);
+      return event;
+    }),
+    deleteCalendarEvent: jest.fn(async (userId, eventId) => {
+      events.delete(eventId);
+      return true;
+    })
+  };
+});
+
+const googleCalendar = require('../integrations/google-calendar');
+const {
+  createRule,
+  listRules,
+  getRule,
+  updateRule,
+  deleteRule,
+  syncRule,
+  syncAllRules,
+  clearAllRules,
+  getRuleWindow
+} = require('./focus-rules.service');
+
+// Monday 2025-10-06, 07:00 in UTC
+const NOW = new Date('2025-10-06T07:00:00Z');
+
+function addMeeting(id, startTime, endTime) {
+  googleCalendar.events.set(id, { id, startTime, endTime, title: 'Meeting' });
+}
+
+describe('Focus Rules Service', () => {
+  beforeEach(() => {
+    clearAllRules();
+    googleCalendar.events.clear();
+    jest.clearAllMocks();
+  });
+
+  describe('rule CRUD', () => {
+    test('should create a rule with weekday-morning defaults', () => {
+      const rule = createRule('user-1', { timeZone: 'UTC' });
+
+      expect(rule.id).toMatch(/^rule_/);
+      expect(rule.durationMinutes).toBe(120);
+      expect(rule.days).toEqual(['monday', 'tuesday', 'wednesday', 'thursday', 'friday']);
+      expect(rule.preferredTime).toBe('morning');
+      expect(rule.bookings).toEqual({});
+    });
+
+    test('should only list and update the user\'s own rules', () => {
+      const rule = createRule('user-1', {});
+      createRule('user-2', {});
+
+      expect(listRules('user-1')).toHaveLength(1);
+      expect(updateRule('user-2', rule.id, { durationMinutes: 60 })).toBeNull();
+      expect(updateRule('user-1', rule.id, { durationMinutes: 60, userId: 'user-2' }).userId).toBe('user-1');
+    });
+  });
+
+  describe('getRuleWindow', () => {
+    test('should prefer an explicit window over the preferred time range', () => {
+      expect(getRuleWindow({ preferredTime: 'morning', window: null })).toEqual({ start: '08:00', end: '12:00' });
+      expect(getRuleWindow({ preferredTime: 'morning', window: { start: '09:00', end: '11:30' } }))
+        .toEqual({ start: '09:00', end: '11:30' });
+      expect(getRuleWindow({ preferredTime: null, window: null })).toBeNull();
+    });
+  });
+
+  describe('syncRule', () => {
+    test('should book one morning block per matching day', async () => {
+      const rule = createRule('user-1', { timeZone: 'UTC', days: ['monday', 'wednesday'] });
+
+      const report = await syncRule('user-1', rule.id, { now: NOW, horizonDays: 7 });
+
+      expect(report.days.map(day => [day.date, day.status])).toEqual([
+        ['2025-10-06', 'booked'],
+        ['2025-10-08', 'booked']
+      ]);
+      report.days.forEach(day => {
+        const start = new Date(day.startTime);
+        expect(start.getUTCHours()).toBeGreaterThanOrEqual(8);
+        expect((new Date(day.endTime) - start) / 60000).toBe(120);
+        expect(new Date(day.endTime).getUTCHours()).toBeLessThanOrEqual(12);
+      });
+      expect(googleCalendar.events.size).toBe(2);
+    });
+
+    test('should keep blocks that still fit on the next sync', async () => {
+      const rule = createRule('user-1', { timeZone: 'UTC', days: ['monday'] });
+      await syncRule('user-1', rule.id, { now: NOW, horizonDays: 1 });
+
+      const report = await syncRule('user-1', rule.id, { now: NOW, horizonDays: 1 });
+
+      expect(report.days[0].status).toBe('kept');
+      expect(googleCalendar.createCalendarEvent).toHaveBeenCalledTimes(1);
+    });
+
+    test('should move a block when a new meeting collides with it', async () => {
+      const rule = createRule('user-1', { timeZone: 'UTC', days: ['monday'] });
+      const first = (await syncRule('user-1', rule.id, { now: NOW, horizonDays: 1 })).days[0];
+
+      addMeeting('standup', first.startTime, new Date(new Date(first.startTime).getTime() + 30 * 60000).toISOString());
+      const report = await syncRule('user-1', rule.id, { now: NOW, horizonDays: 1 });
+
+      expect(report.days[0].status).toBe('moved');
+      expect(report.days[0].eventId).not.toBe(first.eventId);
+      expect(googleCalendar.events.has(first.eventId)).toBe(false);
+      expect(new Date(report.days[0].startTime) >= new Date('2025-10-06T08:45:00Z')).toBe(true);
+    });
+
+    test('should report a conflict and leave the block when the day has no room', async () => {
+      const rule = createRule('user-1', { timeZone: 'UTC', days: ['monday'] });
+      const first = (await syncRule('user-1', rule.id, { now: NOW, horizonDays: 1 })).days[0];
+
+      addMeeting('offsite', '2025-10-06T08:00:00Z', '2025-10-06T12:00:00Z');
+      const report = await syncRule('user-1', rule.id, { now: NOW, horizonDays: 1 });
+
+      expect(report.days[0].status).toBe('conflict');
+      expect(googleCalendar.events.has(first.eventId)).toBe(true);
+    });
+
+    test('should keep the blocks already booked when the calendar fails partway', async () => {
+      const rule = createRule('user-1', { timeZone: 'UTC', days: ['monday', 'tuesday', 'wednesday'] });
+      const createEvent = googleCalendar.createCalendarEvent.getMockImplementation();
+      googleCalendar.createCalendarEvent
+        .mockImplementationOnce(createEvent)
+        .mockRejectedValueOnce(new Error('Calendar unavailable'));
+
+      await expect(syncRule('user-1', rule.id, { now: NOW, horizonDays: 3 })).rejects.toThrow('Calendar unavailable');
+      expect(Object.keys(getRule('user-1', rule.id).bookings)).toEqual(['2025-10-06']);
+
+      const report = await syncRule('user-1', rule.id, { now: NOW, horizonDays: 3 });
+
+      expect(report.days.map(day => day.status)).toEqual(['kept', 'booked', 'booked']);
+      expect(googleCalendar.events.size).toBe(3);
+    });
+
+    test('should leave a block in place when booking its new slot fails', async () => {
+      const rule = createRule('user-1', { timeZone: 'UTC', days: ['monday'] });
+      const first = (await syncRule('user-1', rule.id, { now: NOW, horizonDays: 1 })).days[0];
+
+      addMeeting('standup', first.startTime, new Date(new Date(first.startTime).getTime() + 30 * 60000).toISOString());
+      googleCalendar.createCalendarEvent.mockRejectedValueOnce(new Error('Calendar unavailable'));
+
+      await expect(syncRule('user-1', rule.id, { now: NOW, horizonDays: 1 })).rejects.toThrow();
+      expect(googleCalendar.deleteCalendarEvent).not.toHaveBeenCalled();
+      expect(getRule('user-1', rule.id).bookings['2025-10-06'].eventId).toBe(first.eventId);
+    });
+
+    test('should retry deleting a moved block\'s old event on the next sync', async () => {
+      const rule = createRule('user-1', { timeZone: 'UTC', days: ['monday'] });
+      const first = (await syncRule('user-1', rule.id, { now: NOW, horizonDays: 1 })).days[0];
+
+      addMeeting('standup', first.startTime, new Date(new Date(first.startTime).getTime() + 30 * 60000).toISOString());
+      googleCalendar.deleteCalendarEvent.mockRejectedValueOnce(new Error('Calendar unavailable'));
+      const moved = await syncRule('user-1', rule.id, { now: NOW, horizonDays: 1 });
+
+      expect(moved.days[0].status).toBe('moved');
+      expect(getRule('user-1', rule.id).staleEventIds).toEqual([first.eventId]);
+
+      const report = await syncRule('user-1', rule.id, { now: NOW, horizonDays: 1 });
+
+      expect(report.days[0].status).toBe('kept');
+      expect(googleCalendar.events.has(first.eventId)).toBe(false);
+      expect(getRule('user-1', rule.id).staleEventIds).toEqual([]);
+    });
+
+    test('should keep changes made during a sync and not bring back a deleted rule', async () => {
+      const rule = createRule('user-1', { timeZone: 'UTC', days: ['monday', 'tuesday'] });
+      const createEvent = googleCalendar.createCalendarEvent.getMockImplementation();
+      googleCalendar.createCalendarEvent.mockImplementationOnce(async (...args) => {
+        updateRule('user-1', rule.id, { name: 'Deep work' });
+        return createEvent(...args);
+      });
+
+      await syncRule('user-1', rule.id, { now: NOW, horizonDays: 2 });
+      expect(getRule('user-1', rule.id)).toMatchObject({ name: 'Deep work' });
+      expect(Object.keys(getRule('user-1', rule.id).bookings)).toHaveLength(2);
+
+      const other = createRule('user-1', { timeZone: 'UTC', days: ['wednesday'] });
+      googleCalendar.createCalendarEvent.mockImplementationOnce(async (...args) => {
+        await deleteRule('user-1', other.id, NOW);
+        return createEvent(...args);
+      });
+
+      const wednesday = new Date('2025-10-08T07:00:00Z');
+      await expect(syncRule('user-1', other.id, { now: wednesday, horizonDays: 1 })).resolves.toBeNull();
+      expect(getRule('user-1', other.id)).toBeNull();
+      expect([...googleCalendar.events.values()].filter(event => event.startTime.startsWith('2025-10-08'))).toHaveLength(0);
+    });
+
+    test('should not book anything for a disabled rule', async () => {
+      const rule = createRule('user-1', { timeZone: 'UTC', enabled: false });
+
+      const report = await syncRule('user-1', rule.id, { now: NOW });
+
+      expect(report.days).toEqual([]);
+      expect(googleCalendar.fetchCalendarEvents).not.toHaveBeenCalled();
+    });
+
+    test('should book each day once when two syncs of a rule overlap', async () => {
+      const rule = createRule('user-1', { timeZone: 'UTC', days: ['monday', 'tuesday'] });
+
+      const [first, second] = await Promise.all([
+        syncRule('user-1', rule.id, { now: NOW, horizonDays: 2 }),
+        syncRule('user-1', rule.id, { now: NOW, horizonDays: 2 })
+      ]);
+
+      expect(first.days.map(day => day.status)).toEqual(['booked', 'booked']);
+      expect(second.days.map(day => day.status)).toEqual(['kept', 'kept']);
+      expect(googleCalendar.events.size).toBe(2);
+    });
+
+    test('should delete the upcoming blocks of a rule once it is disabled', async () => {
+      const rule = createRule('user-1', { timeZone: 'UTC', days: ['monday', 'tuesday'] });
+      await syncRule('user-1', rule.id, { now: NOW, horizonDays: 2 });
+
+      updateRule('user-1', rule.id, { enabled: false });
+      expect(await syncAllRules({ now: NOW, horizonDays: 2 })).toBe(1);
+
+      expect(googleCalendar.events.size).toBe(0);
+      expect(getRule('user-1', rule.id).bookings).toEqual({});
+    });
+
+    test('should delete the block of a day dropped from the rule', async () => {
+      const rule = createRule('user-1', { timeZone: 'UTC', days: ['monday', 'tuesday'] });
+      const booked = (await syncRule('user-1', rule.id, { now: NOW, horizonDays: 2 })).days;
+
+      updateRule('user-1', rule.id, { days: ['monday'] });
+      const report = await syncRule('user-1', rule.id, { now: NOW, horizonDays: 2 });
+
+      expect(report.days.map(day => [day.date, day.status])).toEqual([
+        ['2025-10-07', 'released'],
+        ['2025-10-06', 'kept']
+      ]);
+      expect(googleCalendar.events.has(booked[1].eventId)).toBe(false);
+      expect(Object.keys(getRule('user-1', rule.id).bookings)).toEqual(['2025-10-06']);
+    });
+  });
+
+  describe('deleteRule', () => {
+    test('should remove upcoming blocks from the calendar', async () => {
+      const rule = createRule('user-1', { timeZone: 'UTC', days: ['monday', 'tuesday'] });
+      await syncRule('user-1', rule.id, { now: NOW, horizonDays: 2 });
+
+      expect(await deleteRule('user-1', rule.id, NOW)).toBe(true);
+      expect(googleCalendar.events.size).toBe(0);
+      expect(listRules('user-1')).toHaveLength(0);
+    });
+  });
+});
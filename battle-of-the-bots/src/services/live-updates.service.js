@@ -0,0 +1,112 @@
+/**
+ * Live Updates Service
+ * In-process, per-user publish/subscribe hub for changes that connected clients
+ * should see immediately (e.g. a meeting added to the user's calendar)
+ */
+
+const { EventEmitter } = require('events');
+const config = require('../utils/config');
+
+// Update types published to clients
+const UPDATE_TYPES = {
+  SESSION_STARTED: 'session-started',
+  SESSION_PAUSED: 'session-paused',
+  SESSION_RESUMED: 'session-resumed',
+  SESSION_ENDED: 'session-ended',
+  STATUS_CHANGED: 'status-changed',
+  CALENDAR_CHANGED: 'calendar-changed'
+};
+
+// Types clients may publish themselves; the rest come from the server
+const CLIENT_UPDATE_TYPES = [
+  UPDATE_TYPES.SESSION_STARTED,
+  UPDATE_TYPES.SESSION_PAUSED,
+  UPDATE_TYPES.SESSION_RESUMED,
+  UPDATE_TYPES.SESSION_ENDED,
+  UPDATE_TYPES.STATUS_CHANGED
+];
+
+const emitter = new EventEmitter();
+
+// One listener per open client connection, so there is no fixed limit
+emitter.setMaxListeners(0);
+
+// Latest updates per user, replayed to clients that reconnect
+const recentUpdates = new Map();
+
+let nextUpdateId = 1;
+
+/**
+ * Publishes an update to every subscriber of a user
+ * @param {string} userId - User identifier
+ * @param {string} type - Update type (see UPDATE_TYPES)
+ * @param {Object} [data] - Update payload
+ * @param {Object} [source] - Client that caused the update ({client, id}), so it can skip its own echo
+ * @returns {Object} Published update ({id, type, data, source, timestamp})
+ */
+function publish(userId, type, data = {}, source = null) {
+  const update = {
+    id: nextUpdateId++,
+    type,
+    data,
+    source,
+    timestamp: new Date().toISOString()
+  };
+
+  const recent = recentUpdates.get(userId) || [];
+  recent.push(update);
+  recentUpdates.set(userId, recent.slice(-config.live.replayLimit));
+
+  emitter.emit(`user:${userId}`, update);
+  return update;
+}
+
+/**
+ * Gets a user's recent updates newer than an update ID
+ * @param {string} userId - User identifier
+ * @param {number} lastId - Last update the client received
+ * @returns {Array<Object>} Updates in publish order
+ */
+function getUpdatesSince(userId, lastId) {
+  return (recentUpdates.get(userId) || []).filter(update => update.id > lastId);
+}
+
+/**
+ * Subscribes to a user's updates
+ * @param {string} userId - User identifier
+ * @param {Function} listener - Called with each update
+ * @returns {Function} Unsubscribe function
+ */
+function subscribe(userId, listener) {
+  const channel = `user:${userId}`;
+  emitter.on(channel, listener);
+
+  return () => emitter.off(channel, listener);
+}
+
+/**
+ * Counts a user's subscribers (connected clients)
+ * @param {string} userId - User identifier
+ * @returns {number} Subscriber count
+ */
+function getSubscriberCount(userId) {
+  return emitter.listenerCount(`user:${userId}`);
+}
+
+/**
+ * Forgets all recent updates (for testing)
+ * @returns {void}
+ */
+function clearRecentUpdates() {
+  recentUpdates.clear();
+}
+
+module.exports = {
+  UPDATE_TYPES,
+  CLIENT_UPDATE_TYPES,
+  publish,
+  subscribe,
+  getUpdatesSince,
+  getSubscriberCount,
+  clearRecentUpdates
+};
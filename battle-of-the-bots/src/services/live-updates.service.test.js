@@ -0,0 +1,60 @@
+/**
+ * Unit tests for Live Updates Service
+ */
+
+const config = require('../utils/config');
+const {
+  UPDATE_TYPES,
+  publish,
+  subscribe,
+  getUpdatesSince,
+  getSubscriberCount,
+  clearRecentUpdates
+} = require('./live-updates.service');
+
+describe('Live Updates Service', () => {
+  beforeEach(() => {
+    clearRecentUpdates();
+  });
+
+  test('should deliver updates only to the user\'s subscribers', () => {
+    const received = [];
+    const unsubscribe = subscribe('user-1', update => received.push(update));
+
+    publish('user-1', UPDATE_TYPES.SESSION_STARTED, { taskGoal: 'Write' }, { client: 'webapp', id: 'tab-1' });
+    publish('user-2', UPDATE_TYPES.SESSION_ENDED);
+
+    expect(getSubscriberCount('user-1')).toBe(1);
+    unsubscribe();
+    expect(getSubscriberCount('user-1')).toBe(0);
+
+    expect(received).toHaveLength(1);
+    expect(received[0]).toMatchObject({
+      type: 'session-started',
+      data: { taskGoal: 'Write' },
+      source: { client: 'webapp', id: 'tab-1' }
+    });
+    expect(typeof received[0].id).toBe('number');
+  });
+
+  test('should replay updates newer than the last one a client saw', () => {
+    const first = publish('user-1', UPDATE_TYPES.SESSION_STARTED);
+    const second = publish('user-1', UPDATE_TYPES.SESSION_PAUSED);
+    publish('user-2', UPDATE_TYPES.STATUS_CHANGED);
+
+    expect(getUpdatesSince('user-1', first.id)).toEqual([second]);
+    expect(getUpdatesSince('user-1', second.id)).toEqual([]);
+  });
+
+  test('should keep only the most recent updates per user', () => {
+    const originalLimit = config.live.replayLimit;
+    config.live.replayLimit = 2;
+
+    for (let i = 0; i < 5; i++) {
+      publish('user-1', UPDATE_TYPES.STATUS_CHANGED, { i });
+    }
+    config.live.replayLimit = originalLimit;
+
+    expect(getUpdatesSince('user-1', 0).map(update => update.data.i)).toEqual([3, 4]);
+  });
+});
@@ -14,7 +14,13 @@ const {
   getStartOfDay,
   getEndOfDay,
   findTimeGaps,
-  applyBuffer
+  applyBuffer,
+  formatDateKey,
+  isValidTimeZone,
+  zonedTimeToDate,
+  getCalendarDate,
+  addCalendarDays,
+  parseTimeOfDay
 } = require('../utils/date-utils');
 
 /**
@@ -42,22 +48,20 @@ function normalizeCalendarEventsInput(calendarEvents) {
 /**
  * Expands all-day events to block the entire workday
  * @param {Object} event - Calendar event
+ * @param {string} [timeZone] - User's IANA time zone (default: server-local)
  * @returns {Object} Event with expanded time range if all-day
  */
-function expandAllDayEvent(event) {
+function expandAllDayEvent(event, timeZone) {
   try {
     // Check if event is all-day (has date but no time component)
     // All-day events are typically in format YYYY-MM-DD (10 characters)
     if (event.startTime && event.startTime.length === 10 && !event.startTime.includes('T')) {
       // Parse the date
-      const date = new Date(event.startTime + 'T00:00:00');
+      const [year, month, day] = event.startTime.split('-').map(Number);
       
-      // Set to workday hours (9 AM - 5 PM)
-      const startOfWorkday = new Date(date);
-      startOfWorkday.setHours(9, 0, 0, 0);
-      
-      const endOfWorkday = new Date(date);
-      endOfWorkday.setHours(17, 0, 0, 0);
+      // Set to workday hours (9 AM - 5 PM) in the user's time zone
+      const startOfWorkday = zonedTimeToDate(year, month, day, 9, 0, timeZone);
+      const endOfWorkday = zonedTimeToDate(year, month, day, 17, 0, timeZone);
       
       return {
         ...event,
@@ -73,6 +77,17 @@ function expandAllDayEvent(event) {
   return event;
 }
 
+/**
+ * Checks whether two time slots share any time
+ * @param {Object} a - Slot with startTime and endTime
+ * @param {Object} b - Slot with startTime and endTime
+ * @returns {boolean} True if the slots overlap
+ */
+function slotsOverlap(a, b) {
+  return parseISODate(a.startTime) < parseISODate(b.endTime) &&
+    parseISODate(b.startTime) < parseISODate(a.endTime);
+}
+
 /**
  * Merges overlapping events into consolidated busy blocks
  * @param {Array} events - Validated events sorted by start time
@@ -119,16 +134,62 @@ function mergeOverlappingEvents(events) {
 }
 
 // Helper function to create day range
-function createDayRange(date) {
+function createDayRange(date, timeZone) {
   return {
-    dayStart: getStartOfDay(date, 8),
-    dayEnd: getEndOfDay(date, 21)
+    dayStart: getStartOfDay(date, 8, timeZone),
+    dayEnd: getEndOfDay(date, 21, timeZone)
   };
 }
 
-// Helper function to find available slots
-function findAvailableSlots(calendarEvents, dayStart, dayEnd) {
-  return findTimeGaps(calendarEvents, dayStart, dayEnd);
+// Helper function to find available slots inside each working window
+function findAvailableSlots(calendarEvents, windows) {
+  return windows.flatMap(({ dayStart, dayEnd }) => {
+    const windowStart = parseISODate(dayStart);
+    const windowEnd = parseISODate(dayEnd);
+    
+    // Only events touching this window can split it
+    const windowEvents = calendarEvents.filter(event =>
+      parseISODate(event.startTime) < windowEnd && parseISODate(event.endTime) > windowStart
+    );
+    
+    return findTimeGaps(windowEvents, dayStart, dayEnd);
+  });
+}
+
+// Weekday keys accepted in userPreferences.workingHours (index matches Date#getDay)
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Gets the working windows for a calendar day in the user's time zone
+ * Days missing from workingHours use the default 8 AM - 9 PM window;
+ * an empty list (or null) marks a day off.
+ * @param {Object} calendarDate - Calendar date from getCalendarDate
+ * @param {Object} preferences - Sanitized preferences (timeZone, workingHours)
+ * @returns {Array<Object>} Windows with dayStart and dayEnd (ISO 8601), in order
+ */
+function getWorkingWindows(calendarDate, preferences) {
+  const { timeZone, workingHours } = preferences;
+  const { year, month, day } = calendarDate;
+  const weekdayName = WEEKDAY_NAMES[calendarDate.weekday];
+  
+  if (!workingHours || !(weekdayName in workingHours)) {
+    // Noon is safely inside the intended calendar day in any zone
+    return [createDayRange(zonedTimeToDate(year, month, day, 12, 0, timeZone), timeZone)];
+  }
+  
+  return (workingHours[weekdayName] || [])
+    .map(range => {
+      const start = parseTimeOfDay(range.start);
+      const end = parseTimeOfDay(range.end);
+      if (!start || !end) return null;
+      
+      return {
+        dayStart: formatToISO(zonedTimeToDate(year, month, day, start.hour, start.minute, timeZone)),
+        dayEnd: formatToISO(zonedTimeToDate(year, month, day, end.hour, end.minute, timeZone))
+      };
+    })
+    .filter(window => window && parseISODate(window.dayEnd) > parseISODate(window.dayStart))
+    .sort((a, b) => parseISODate(a.dayStart) - parseISODate(b.dayStart));
 }
 
 // Scoring weights for different factors
@@ -167,15 +228,16 @@ function scoreDuration(duration, minimumDuration) {
  * Calculates a score based on time preference match
  * @param {string} slotStartTime - ISO 8601 start time
  * @param {string} preferredTime - 'morning', 'afternoon', or 'evening'
+ * @param {string} [timeZone] - User's IANA time zone (default: server-local)
  * @returns {number} Score between 0 and 1
  */
-function scoreTimePreference(slotStartTime, preferredTime) {
+function scoreTimePreference(slotStartTime, preferredTime, timeZone) {
   if (!preferredTime || !TIME_PREFERENCES[preferredTime]) {
     return 0.5; // Neutral score if no preference
   }
   
   const preference = TIME_PREFERENCES[preferredTime];
-  const hour = getHourOfDay(slotStartTime);
+  const hour = getHourOfDay(slotStartTime, timeZone);
   
   // Check if hour is within preferred range
   if (hour >= preference.start && hour < preference.end) {
@@ -202,10 +264,11 @@ function scoreBufferCompliance(slot, bufferTime) {
 /**
  * Calculates a score based on time of day (penalize late evening)
  * @param {string} slotStartTime - ISO 8601 start time
+ * @param {string} [timeZone] - User's IANA time zone (default: server-local)
  * @returns {number} Score between 0 and 1
  */
-function scoreTimeOfDay(slotStartTime) {
-  const hour = getHourOfDay(slotStartTime);
+function scoreTimeOfDay(slotStartTime, timeZone) {
+  const hour = getHourOfDay(slotStartTime, timeZone);
   
   // Exclude slots after 9 PM (21:00)
   if (hour >= 21) {
@@ -227,37 +290,65 @@ function scoreTimeOfDay(slotStartTime) {
 }
 
 /**
- * Calculates overall score for a time slot
+ * Scores a time slot factor by factor
+ * Each factor carries its raw 0-1 score, its weight and the points it adds to the total.
  * @param {Object} slot - Time slot with startTime and endTime
  * @param {Object} userPreferences - User preferences object
- * @returns {number} Overall score between 0 and 100
+ * @returns {Object} Breakdown with total (0-100) and per-factor scores
  */
-function calculateSlotScore(slot, userPreferences) {
+function calculateScoreBreakdown(slot, userPreferences) {
   const duration = calculateDuration(slot.startTime, slot.endTime);
   const minimumDuration = userPreferences.minimumDuration || 75;
   const bufferTime = userPreferences.bufferTime || 15;
   
+  const timeZone = userPreferences.timeZone;
+  
   // Calculate individual scores
-  const durationScore = scoreDuration(duration, minimumDuration);
-  const timePreferenceScore = scoreTimePreference(slot.startTime, userPreferences.preferredTime);
-  const bufferScore = scoreBufferCompliance(slot, bufferTime);
-  const timeOfDayScore = scoreTimeOfDay(slot.startTime);
+  const factorScores = {
+    duration: scoreDuration(duration, minimumDuration),
+    timePreference: scoreTimePreference(slot.startTime, userPreferences.preferredTime, timeZone),
+    bufferCompliance: scoreBufferCompliance(slot, bufferTime),
+    timeOfDay: scoreTimeOfDay(slot.startTime, timeZone)
+  };
   
-  // If time of day score is 0 (after 9 PM), return 0
-  if (timeOfDayScore === 0) {
-    return 0;
+  // If time of day score is 0 (after 9 PM), the slot is disqualified -
+  // unless the user declared those hours as working hours
+  let disqualified = false;
+  if (factorScores.timeOfDay === 0) {
+    if (userPreferences.workingHours) {
+      factorScores.timeOfDay = 0.3;
+    } else {
+      disqualified = true;
+    }
   }
   
-  // Calculate weighted score
-  const weightedScore = (
-    durationScore * SCORING_WEIGHTS.duration +
-    timePreferenceScore * SCORING_WEIGHTS.timePreference +
-    bufferScore * SCORING_WEIGHTS.bufferCompliance +
-    timeOfDayScore * SCORING_WEIGHTS.timeOfDay
-  );
+  const factors = {};
+  let weightedScore = 0;
+  for (const [factor, score] of Object.entries(factorScores)) {
+    const weight = SCORING_WEIGHTS[factor];
+    factors[factor] = {
+      score: Math.round(score * 100) / 100,
+      weight,
+      points: Math.round(score * weight * 1000) / 10
+    };
+    weightedScore += score * weight;
+  }
   
   // Convert to 0-100 scale
-  return Math.round(weightedScore * 100);
+  return {
+    total: disqualified ? 0 : Math.round(weightedScore * 100),
+    factors
+  };
+}
+
+/**
+ * Calculates overall score for a time slot
+ * @param {Object} slot - Time slot with startTime and endTime
+ * @param {Object} userPreferences - User preferences object
+ * @returns {number} Overall score between 0 and 100
+ */
+function calculateSlotScore(slot, userPreferences) {
+  return calculateScoreBreakdown(slot, userPreferences).total;
 }
 
 /**
@@ -269,7 +360,7 @@ function calculateSlotScore(slot, userPreferences) {
  */
 function generateReasoning(slot, score, userPreferences) {
   const duration = calculateDuration(slot.startTime, slot.endTime);
-  const timeOfDay = getTimeOfDay(slot.startTime);
+  const timeOfDay = getTimeOfDay(slot.startTime, userPreferences.timeZone);
   const preferredTime = userPreferences.preferredTime || 'any time';
   
   let reasoning = `This ${duration}-minute slot `;
@@ -286,25 +377,38 @@ function generateReasoning(slot, score, userPreferences) {
 }
 
 /**
- * Suggests optimal focus window based on calendar and preferences
- * @param {Array<Object>} calendarEvents - User's calendar events
- * @param {Object} userPreferences - User's focus preferences
- * @returns {Object|null} Optimal time block or null if none found
+ * Sanitizes user preferences, applying defaults and clamping to allowed ranges
+ * @param {Object} userPreferences - Raw user preferences
+ * @returns {Object} Sanitized minimumDuration, bufferTime, preferredTime, timeZone and workingHours
  */
-function suggestOptimalFocusWindow(calendarEvents, userPreferences = {}) {
-  // Step 1: Normalize input (handles null/undefined/non-array)
+function sanitizePreferences(userPreferences = {}) {
+  return {
+    minimumDuration: Math.max(15, Math.min(480, userPreferences.minimumDuration || 75)),
+    bufferTime: Math.max(0, Math.min(60, userPreferences.bufferTime || 15)),
+    preferredTime: ['morning', 'afternoon', 'evening'].includes(userPreferences.preferredTime)
+      ? userPreferences.preferredTime
+      : null,
+    // Without a valid zone, times are evaluated in server-local time
+    timeZone: isValidTimeZone(userPreferences.timeZone) ? userPreferences.timeZone : null,
+    workingHours: userPreferences.workingHours && typeof userPreferences.workingHours === 'object'
+      ? userPreferences.workingHours
+      : null
+  };
+}
+
+/**
+ * Turns raw calendar input into sorted, merged busy blocks
+ * Normalizes input, expands all-day events and drops invalid events
+ * @param {any} calendarEvents - Raw calendar events input
+ * @param {string} [timeZone] - User's IANA time zone for all-day events
+ * @returns {Array<Object>} Merged busy blocks sorted by start time
+ */
+function prepareBusyBlocks(calendarEvents, timeZone) {
   const normalizedEvents = normalizeCalendarEventsInput(calendarEvents);
   
-  // Step 2: Validate and sanitize user preferences with defaults
-  const minimumDuration = Math.max(15, Math.min(480, userPreferences.minimumDuration || 75));
-  const bufferTime = Math.max(0, Math.min(60, userPreferences.bufferTime || 15));
-  const preferredTime = ['morning', 'afternoon', 'evening'].includes(userPreferences.preferredTime) 
-    ? userPreferences.preferredTime 
-    : null;
-  
-  // Step 3: Expand all-day events and filter out invalid events
+  // Expand all-day events and filter out invalid events
   const validEvents = normalizedEvents
-    .map(expandAllDayEvent)  // Expand all-day events first
+    .map(event => expandAllDayEvent(event, timeZone))  // Expand all-day events first
     .filter(event => {
       if (!event || typeof event !== 'object') return false;
       if (!event.startTime || !event.endTime) return false;
@@ -325,7 +429,7 @@ function suggestOptimalFocusWindow(calendarEvents, userPreferences = {}) {
       }
     });
   
-  // Step 4: Sort events by start time
+  // Sort events by start time
   const sortedEvents = [...validEvents].sort((a, b) => {
     try {
       return parseISODate(a.startTime).getTime() - parseISODate(b.startTime).getTime();
@@ -334,35 +438,20 @@ function suggestOptimalFocusWindow(calendarEvents, userPreferences = {}) {
     }
   });
   
-  // Step 5: Merge overlapping events
-  const mergedEvents = mergeOverlappingEvents(sortedEvents);
-  
-  // Step 6: Determine day range
-  let dayStart, dayEnd;
-  
-  try {
-    if (mergedEvents.length === 0) {
-      // No events - use today as default
-      const today = new Date();
-      const range = createDayRange(today);
-      dayStart = range.dayStart;
-      dayEnd = range.dayEnd;
-    } else {
-      const firstEvent = parseISODate(mergedEvents[0].startTime);
-      const range = createDayRange(firstEvent);
-      dayStart = range.dayStart;
-      dayEnd = range.dayEnd;
-    }
-  } catch (error) {
-    // Fallback to today if date parsing fails
-    const today = new Date();
-    const range = createDayRange(today);
-    dayStart = range.dayStart;
-    dayEnd = range.dayEnd;
-  }
-  
-  // Step 7: Find available time slots using merged events
-  const availableSlots = findAvailableSlots(mergedEvents, dayStart, dayEnd);
+  // Merge overlapping events
+  return mergeOverlappingEvents(sortedEvents);
+}
+
+/**
+ * Finds free slots in a day that fit the minimum duration once buffers are applied
+ * @param {Array<Object>} mergedEvents - Merged busy blocks
+ * @param {Array<Object>} windows - Working windows with dayStart and dayEnd (ISO 8601)
+ * @param {Object} preferences - Sanitized preferences
+ * @returns {Array<Object>} Free slots with startTime and endTime
+ */
+function findFreeSlots(mergedEvents, windows, preferences) {
+  const { minimumDuration, bufferTime, timeZone, workingHours } = preferences;
+  const availableSlots = findAvailableSlots(mergedEvents, windows);
   
   // Apply buffer to each slot and filter by minimum duration
   const validSlots = availableSlots
@@ -380,11 +469,58 @@ function suggestOptimalFocusWindow(calendarEvents, userPreferences = {}) {
       return duration >= minimumDuration;
     });
   
-  // Filter out slots after 9 PM
-  const daytimeSlots = validSlots.filter(slot => {
-    const hour = getHourOfDay(slot.startTime);
+  // Filter out slots after 9 PM, unless the user works then
+  if (workingHours) {
+    return validSlots;
+  }
+  
+  return validSlots.filter(slot => {
+    const hour = getHourOfDay(slot.startTime, timeZone);
     return hour < 21;
   });
+}
+
+/**
+ * Suggests optimal focus window based on calendar and preferences
+ * @param {Array<Object>} calendarEvents - User's calendar events
+ * @param {Object} userPreferences - User's focus preferences
+ * @param {Object} [options] - Suggestion options
+ * @param {number} [options.alternatives] - Number of ranked alternative slots to include (default 0)
+ * @returns {Object|null} Optimal time block or null if none found; with alternatives requested
+ *   it also carries the per-factor breakdown and the ranked alternatives
+ */
+function suggestOptimalFocusWindow(calendarEvents, userPreferences = {}, options = {}) {
+  // Step 1: Validate and sanitize user preferences with defaults
+  const preferences = sanitizePreferences(userPreferences);
+  const { timeZone } = preferences;
+  const scoringPreferences = {
+    ...userPreferences,
+    timeZone,
+    workingHours: preferences.workingHours
+  };
+  
+  // Step 2: Normalize, validate, sort and merge calendar events
+  const mergedEvents = prepareBusyBlocks(calendarEvents, timeZone);
+  
+  // Step 3: Determine the day (in the user's time zone) and its working windows
+  let calendarDate;
+  
+  try {
+    if (mergedEvents.length === 0) {
+      // No events - use today as default
+      calendarDate = getCalendarDate(new Date(), timeZone);
+    } else {
+      calendarDate = getCalendarDate(parseISODate(mergedEvents[0].startTime), timeZone);
+    }
+  } catch (error) {
+    // Fallback to today if date parsing fails
+    calendarDate = getCalendarDate(new Date(), timeZone);
+  }
+  
+  const windows = getWorkingWindows(calendarDate, preferences);
+  
+  // Step 4: Find available time slots using merged events
+  const daytimeSlots = findFreeSlots(mergedEvents, windows, preferences);
   
   // If no valid slots found
   if (daytimeSlots.length === 0) {
@@ -405,10 +541,10 @@ function suggestOptimalFocusWindow(calendarEvents, userPreferences = {}) {
       const slotStart = parseISODate(slot.startTime);
       const slotEnd = parseISODate(slot.endTime);
       
-      // Try to place a 90-minute window at the peak hour
+      // Try to place a 90-minute window at the peak hour (in the user's time zone)
       const targetHour = preference.peak;
-      const windowStart = new Date(slotStart);
-      windowStart.setHours(targetHour, 0, 0, 0);
+      const slotDate = getCalendarDate(slotStart, timeZone);
+      const windowStart = zonedTimeToDate(slotDate.year, slotDate.month, slotDate.day, targetHour, 0, timeZone);
       
       // Make sure window is within the slot
       if (windowStart >= slotStart && windowStart < slotEnd) {
@@ -432,11 +568,12 @@ function suggestOptimalFocusWindow(calendarEvents, userPreferences = {}) {
   // Score each window
   const scoredSlots = optimalWindows.map(slot => {
     const duration = calculateDuration(slot.startTime, slot.endTime);
-    const score = calculateSlotScore(slot, userPreferences);
+    const breakdown = calculateScoreBreakdown(slot, scoringPreferences);
     return {
       ...slot,
       duration,
-      score
+      score: breakdown.total,
+      breakdown: breakdown.factors
     };
   });
   
@@ -447,28 +584,355 @@ function suggestOptimalFocusWindow(calendarEvents, userPreferences = {}) {
     return null;
   }
   
-  // Find highest scoring slot
-  const optimalSlot = viableSlots.reduce((best, current) => {
-    return current.score > best.score ? current : best;
-  });
+  // Rank slots best-first; the sort is stable so ties keep chronological order
+  const rankedSlots = [...viableSlots].sort((a, b) => b.score - a.score);
+  const optimalSlot = rankedSlots[0];
   
   // Generate reasoning
-  const reasoning = generateReasoning(optimalSlot, optimalSlot.score, userPreferences);
+  const reasoning = generateReasoning(optimalSlot, optimalSlot.score, scoringPreferences);
   
-  return {
+  const suggestion = {
     startTime: optimalSlot.startTime,
     endTime: optimalSlot.endTime,
     duration: optimalSlot.duration,
     score: optimalSlot.score,
     reasoning
   };
+  
+  const alternativeCount = Math.max(0, Math.floor(options.alternatives || 0));
+  if (alternativeCount === 0) {
+    return suggestion;
+  }
+  
+  // Alternatives never overlap the suggestion or each other, so a carved
+  // peak window and the free slot it came from aren't both offered
+  const chosen = [optimalSlot];
+  for (const slot of rankedSlots.slice(1)) {
+    if (chosen.length > alternativeCount) {
+      break;
+    }
+    if (!chosen.some(picked => slotsOverlap(picked, slot))) {
+      chosen.push(slot);
+    }
+  }
+  
+  return {
+    ...suggestion,
+    breakdown: optimalSlot.breakdown,
+    alternatives: chosen.slice(1).map((slot, index) => ({
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      duration: slot.duration,
+      score: slot.score,
+      rank: index + 2,
+      breakdown: slot.breakdown,
+      reasoning: generateReasoning(slot, slot.score, scoringPreferences)
+    }))
+  };
+}
+
+// Defaults for multi-day focus planning
+const PLAN_DEFAULTS = {
+  days: 5,                  // Working days to plan
+  weeklyTargetHours: 10,    // Total focus hours to place across the range
+  maxBlockDuration: 120,    // Longest single focus block in minutes
+  maxBlocksPerDay: 2,
+  includeWeekends: false
+};
+
+/**
+ * Lists the days to plan in the user's time zone
+ * Weekends are skipped unless requested or given explicit working hours;
+ * days marked off in workingHours are always skipped.
+ * @param {Object} startDate - First calendar date to consider (from getCalendarDate)
+ * @param {number} dayCount - Number of plannable days to return
+ * @param {boolean} includeWeekends - Whether Saturday/Sunday count as plannable
+ * @param {Object} preferences - Sanitized preferences (workingHours)
+ * @returns {Array<Object>} Calendar dates of each plannable day
+ */
+function listPlanningDays(startDate, dayCount, includeWeekends, preferences) {
+  const { workingHours } = preferences;
+  const days = [];
+  
+  // Bound the search so a week of days off can't loop forever
+  for (let offset = 0; days.length < dayCount && offset < dayCount * 7 + 7; offset++) {
+    const cursor = addCalendarDays(startDate, offset);
+    const weekdayName = WEEKDAY_NAMES[cursor.weekday];
+    const hasExplicitHours = Boolean(workingHours && weekdayName in workingHours);
+    const isWeekend = cursor.weekday === 0 || cursor.weekday === 6;
+    
+    if (hasExplicitHours && (workingHours[weekdayName] || []).length === 0) continue;
+    if (isWeekend && !includeWeekends && !hasExplicitHours) continue;
+    
+    days.push(cursor);
+  }
+  
+  return days;
+}
+
+/**
+ * Gets a day's working windows with time before notBefore cut off
+ * @param {Object} calendarDate - Calendar date from getCalendarDate
+ * @param {Object} preferences - Sanitized preferences (timeZone, workingHours)
+ * @param {Date|null} notBefore - Earliest plannable instant
+ * @returns {Array<Object>} Windows with dayStart and dayEnd (ISO 8601), in order
+ */
+function getPlannableWindows(calendarDate, preferences, notBefore) {
+  return getWorkingWindows(calendarDate, preferences)
+    .filter(window => !notBefore || notBefore < parseISODate(window.dayEnd))
+    .map(window => (notBefore && notBefore > parseISODate(window.dayStart)
+      ? { ...window, dayStart: formatToISO(notBefore) }
+      : window));
+}
+
+/**
+ * Splits a free slot into consecutive focus blocks separated by buffer time
+ * @param {Object} slot - Free slot with startTime and endTime
+ * @param {Object} preferences - Sanitized preferences (minimumDuration, bufferTime)
+ * @param {number} maxBlockDuration - Longest allowed block in minutes
+ * @returns {Array<Object>} Blocks with startTime and endTime
+ */
+function carveFocusBlocks(slot, preferences, maxBlockDuration) {
+  const { minimumDuration, bufferTime } = preferences;
+  const blocks = [];
+  const slotEnd = parseISODate(slot.endTime);
+  let cursor = parseISODate(slot.startTime);
+  
+  while (calculateDuration(cursor, slotEnd) >= minimumDuration) {
+    const length = Math.min(maxBlockDuration, calculateDuration(cursor, slotEnd));
+    const blockEnd = addMinutes(cursor, length);
+    
+    blocks.push({
+      startTime: formatToISO(cursor),
+      endTime: formatToISO(blockEnd)
+    });
+    
+    cursor = addMinutes(blockEnd, bufferTime);
+  }
+  
+  return blocks;
+}
+
+/**
+ * Plans focus blocks across several days to meet a focus-hours target
+ * Candidate blocks from every day are ranked by score, then picked best-first
+ * until the target is met, with at most maxBlocksPerDay blocks on any day.
+ * @param {Array<Object>} calendarEvents - User's calendar events for the whole range
+ * @param {Object} userPreferences - User's focus preferences
+ * @param {Object} [planOptions] - Planning options
+ * @param {string} [planOptions.startDate] - First day to plan (ISO 8601, default today)
+ * @param {number} [planOptions.days] - Number of plannable days (default 5)
+ * @param {number} [planOptions.weeklyTargetHours] - Focus hours to place (default 10)
+ * @param {number} [planOptions.maxBlockDuration] - Longest block in minutes (default 120)
+ * @param {number} [planOptions.maxBlocksPerDay] - Block limit per day (default 2)
+ * @param {boolean} [planOptions.includeWeekends] - Plan Saturdays and Sundays (default false)
+ * @param {string} [planOptions.notBefore] - Ignore time before this instant (ISO 8601)
+ * @returns {Object} Plan with per-day ranked blocks and target progress
+ */
+function planFocusWeek(calendarEvents, userPreferences = {}, planOptions = {}) {
+  const preferences = sanitizePreferences(userPreferences);
+  const options = { ...PLAN_DEFAULTS, ...planOptions };
+  const maxBlockDuration = Math.max(preferences.minimumDuration, options.maxBlockDuration);
+  const targetMinutes = Math.round(options.weeklyTargetHours * 60);
+  const notBefore = options.notBefore ? parseISODate(options.notBefore) : null;
+  
+  const { timeZone } = preferences;
+  const scoringPreferences = {
+    ...userPreferences,
+    timeZone,
+    workingHours: preferences.workingHours
+  };
+  
+  const mergedEvents = prepareBusyBlocks(calendarEvents, timeZone);
+  const startDate = getCalendarDate(options.startDate ? parseISODate(options.startDate) : new Date(), timeZone);
+  const planningDays = listPlanningDays(startDate, options.days, options.includeWeekends, preferences);
+  
+  // Collect scored candidate blocks for every day
+  const candidates = [];
+  for (const day of planningDays) {
+    const windows = getPlannableWindows(day, preferences, notBefore);
+    const freeSlots = findFreeSlots(mergedEvents, windows, preferences);
+    
+    for (const slot of freeSlots) {
+      for (const block of carveFocusBlocks(slot, preferences, maxBlockDuration)) {
+        const score = calculateSlotScore(block, scoringPreferences);
+        if (score > 0) {
+          candidates.push({
+            ...block,
+            date: formatDateKey(day),
+            duration: calculateDuration(block.startTime, block.endTime),
+            score
+          });
+        }
+      }
+    }
+  }
+  
+  // Pick the best blocks first until the target is covered
+  candidates.sort((a, b) => b.score - a.score || parseISODate(a.startTime) - parseISODate(b.startTime));
+  
+  const selected = [];
+  const blocksPerDay = {};
+  let plannedMinutes = 0;
+  
+  for (const candidate of candidates) {
+    if (plannedMinutes >= targetMinutes) break;
+    if ((blocksPerDay[candidate.date] || 0) >= options.maxBlocksPerDay) continue;
+    
+    // Trim the final block to what is still needed, if it stays above the minimum
+    const remaining = targetMinutes - plannedMinutes;
+    const block = { ...candidate };
+    if (block.duration > remaining && remaining >= preferences.minimumDuration) {
+      block.endTime = formatToISO(addMinutes(block.startTime, remaining));
+      block.duration = remaining;
+    }
+    
+    block.rank = selected.length + 1;
+    block.reasoning = generateReasoning(block, block.score, scoringPreferences);
+    selected.push(block);
+    blocksPerDay[block.date] = (blocksPerDay[block.date] || 0) + 1;
+    plannedMinutes += block.duration;
+  }
+  
+  // Group the chosen blocks by day, chronologically within each day
+  const days = planningDays.map(day => {
+    const date = formatDateKey(day);
+    const blocks = selected
+      .filter(block => block.date === date)
+      .sort((a, b) => parseISODate(a.startTime) - parseISODate(b.startTime))
+      .map(({ date: _date, ...block }) => block);
+    
+    return {
+      date,
+      blocks,
+      plannedMinutes: blocks.reduce((total, block) => total + block.duration, 0)
+    };
+  });
+  
+  return {
+    startDate: days.length > 0 ? days[0].date : null,
+    endDate: days.length > 0 ? days[days.length - 1].date : null,
+    targetMinutes,
+    plannedMinutes,
+    targetMet: plannedMinutes >= targetMinutes,
+    shortfallMinutes: Math.max(0, targetMinutes - plannedMinutes),
+    days
+  };
+}
+
+// Defaults for finding shared team focus windows
+const TEAM_FOCUS_DEFAULTS = {
+  days: 5,                  // Working days to search
+  maxWindows: 5,            // Best windows to return
+  includeWeekends: false
+};
+
+/**
+ * Lists the team's working windows across the days to search
+ * @param {Object} preferences - Sanitized team preferences
+ * @param {Object} options - Team focus options (startDate, days, includeWeekends, notBefore)
+ * @returns {Array<Object>} Days as {date, windows}, in order
+ */
+function listTeamFocusDays(preferences, options) {
+  const notBefore = options.notBefore ? parseISODate(options.notBefore) : null;
+  const startDate = getCalendarDate(options.startDate ? parseISODate(options.startDate) : new Date(), preferences.timeZone);
+  
+  return listPlanningDays(startDate, options.days, options.includeWeekends, preferences).map(day => ({
+    date: formatDateKey(day),
+    windows: getPlannableWindows(day, preferences, notBefore)
+  }));
+}
+
+/**
+ * Gets the time range a team focus search covers, so free/busy can be read for it
+ * @param {Object} userPreferences - Team working preferences (timeZone, workingHours)
+ * @param {Object} [teamOptions] - Same options as findTeamFocusWindows
+ * @returns {Object|null} { startTime, endTime } (ISO 8601), or null when no working time is left
+ */
+function getTeamFocusRange(userPreferences = {}, teamOptions = {}) {
+  const preferences = sanitizePreferences(userPreferences);
+  const windows = listTeamFocusDays(preferences, { ...TEAM_FOCUS_DEFAULTS, ...teamOptions })
+    .flatMap(day => day.windows);
+  
+  if (windows.length === 0) return null;
+  
+  return {
+    startTime: windows[0].dayStart,
+    endTime: windows[windows.length - 1].dayEnd
+  };
+}
+
+/**
+ * Finds windows in which every team member is free at once
+ * Busy periods from all members are merged into one set of busy blocks, so any free
+ * slot left in the team's working hours is free for everyone. The best-scoring
+ * windows are returned in chronological order.
+ * @param {Array<Object>} busyPeriods - Every member's busy periods ({startTime, endTime})
+ * @param {Object} userPreferences - Team preferences (minimumDuration, bufferTime,
+ *   preferredTime, timeZone, workingHours)
+ * @param {Object} [teamOptions] - Search options
+ * @param {string} [teamOptions.startDate] - First day to search (ISO 8601, default today)
+ * @param {number} [teamOptions.days] - Number of working days to search (default 5)
+ * @param {number} [teamOptions.maxWindows] - Windows to return (default 5)
+ * @param {boolean} [teamOptions.includeWeekends] - Search Saturdays and Sundays (default false)
+ * @param {string} [teamOptions.notBefore] - Ignore time before this instant (ISO 8601)
+ * @returns {Object} { startDate, endDate, windows: Array<{startTime, endTime, duration, score, rank, reasoning}> }
+ */
+function findTeamFocusWindows(busyPeriods, userPreferences = {}, teamOptions = {}) {
+  const preferences = sanitizePreferences(userPreferences);
+  const options = { ...TEAM_FOCUS_DEFAULTS, ...teamOptions };
+  const { timeZone } = preferences;
+  const scoringPreferences = {
+    ...userPreferences,
+    timeZone,
+    workingHours: preferences.workingHours
+  };
+  
+  const mergedBusy = prepareBusyBlocks(busyPeriods, timeZone);
+  const days = listTeamFocusDays(preferences, options);
+  
+  const candidates = days
+    .flatMap(day => findFreeSlots(mergedBusy, day.windows, preferences))
+    .map(slot => ({
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      duration: calculateDuration(slot.startTime, slot.endTime),
+      score: calculateSlotScore(slot, scoringPreferences)
+    }))
+    .filter(slot => slot.score > 0)
+    .sort((a, b) => b.score - a.score || parseISODate(a.startTime) - parseISODate(b.startTime));
+  
+  const windows = candidates
+    .slice(0, options.maxWindows)
+    .map((window, index) => ({
+      ...window,
+      rank: index + 1,
+      reasoning: `Everyone is free for these ${window.duration} minutes during the ` +
+        `${getTimeOfDay(window.startTime, timeZone)}.`
+    }))
+    .sort((a, b) => parseISODate(a.startTime) - parseISODate(b.startTime));
+  
+  return {
+    startDate: days.length > 0 ? days[0].date : null,
+    endDate: days.length > 0 ? days[days.length - 1].date : null,
+    windows
+  };
 }
 
 module.exports = {
   suggestOptimalFocusWindow,
+  planFocusWeek,
+  findTeamFocusWindows,
+  getTeamFocusRange,
+  PLAN_DEFAULTS,
+  TEAM_FOCUS_DEFAULTS,
+  TIME_PREFERENCES,
+  WEEKDAY_NAMES,
   // Export for testing
   scoreDuration,
   scoreTimePreference,
   scoreTimeOfDay,
-  calculateSlotScore
+  scoreBufferCompliance,
+  calculateSlotScore,
+  calculateScoreBreakdown
 };
@@ -2,7 +2,14 @@
  * Unit tests for Smart Scheduling Service
  */
 
-const { suggestOptimalFocusWindow } = require('./scheduling.service');
+const {
+  suggestOptimalFocusWindow,
+  planFocusWeek,
+  findTeamFocusWindows,
+  getTeamFocusRange,
+  scoreTimeOfDay,
+  calculateScoreBreakdown
+} = require('./scheduling.service');
 
 describe('Smart Scheduling Service', () => {
   describe('suggestOptimalFocusWindow', () => {
@@ -365,4 +372,346 @@ describe('Smart Scheduling Service', () => {
       expect(result.score).toBeGreaterThan(0);
     });
   });
+
+  describe('planFocusWeek', () => {
+    // Monday 6 October 2025, built in local time so day boundaries are stable
+    const local = (day, hour, minute = 0) => new Date(2025, 9, day, hour, minute).toISOString();
+    const monday = local(6, 0);
+    
+    test('should plan only working days by default', () => {
+      const plan = planFocusWeek([], { minimumDuration: 60 }, { startDate: local(4, 0), days: 5, weeklyTargetHours: 40 });
+      
+      expect(plan.days.map(day => day.date)).toEqual([
+        '2025-10-06', '2025-10-07', '2025-10-08', '2025-10-09', '2025-10-10'
+      ]);
+      expect(plan.startDate).toBe('2025-10-06');
+    });
+    
+    test('should include weekends when requested', () => {
+      const plan = planFocusWeek([], {}, { startDate: local(4, 0), days: 2, includeWeekends: true });
+      
+      expect(plan.days.map(day => day.date)).toEqual(['2025-10-04', '2025-10-05']);
+    });
+    
+    test('should meet the weekly target with ranked blocks', () => {
+      const plan = planFocusWeek([], { preferredTime: 'morning' }, {
+        startDate: monday,
+        days: 5,
+        weeklyTargetHours: 6
+      });
+      
+      expect(plan.targetMinutes).toBe(360);
+      expect(plan.plannedMinutes).toBe(360);
+      expect(plan.targetMet).toBe(true);
+      expect(plan.shortfallMinutes).toBe(0);
+      
+      const blocks = plan.days.flatMap(day => day.blocks);
+      const ranks = blocks.map(block => block.rank).sort((a, b) => a - b);
+      expect(ranks).toEqual(blocks.map((_, i) => i + 1));
+      blocks.forEach(block => {
+        expect(block.duration).toBeLessThanOrEqual(120);
+        expect(block).toHaveProperty('reasoning');
+      });
+    });
+    
+    test('should respect minimumDuration, bufferTime and busy events', () => {
+      const calendar = [
+        { id: '1', startTime: local(6, 8), endTime: local(6, 12), title: 'Workshop' },
+        { id: '2', startTime: local(6, 13), endTime: local(6, 21), title: 'Offsite' }
+      ];
+      
+      const plan = planFocusWeek(calendar, { minimumDuration: 45, bufferTime: 15 }, {
+        startDate: monday,
+        days: 1,
+        weeklyTargetHours: 2
+      });
+      
+      // Only 12:00-13:00 is free; with 15-minute buffers a 45-minute block doesn't fit
+      // (60 < 45 + 2 * 15), so the unbuffered 60-minute gap is used as-is
+      expect(plan.days[0].blocks).toHaveLength(1);
+      expect(plan.days[0].blocks[0].startTime).toBe(local(6, 12));
+      expect(plan.days[0].blocks[0].duration).toBe(60);
+      expect(plan.targetMet).toBe(false);
+      expect(plan.shortfallMinutes).toBe(60);
+    });
+    
+    test('should separate consecutive blocks by the buffer time', () => {
+      const plan = planFocusWeek([], { minimumDuration: 60, bufferTime: 30 }, {
+        startDate: monday,
+        days: 1,
+        weeklyTargetHours: 4,
+        maxBlockDuration: 60,
+        maxBlocksPerDay: 4
+      });
+      
+      const blocks = plan.days[0].blocks;
+      expect(blocks).toHaveLength(4);
+      for (let i = 1; i < blocks.length; i++) {
+        const gap = (new Date(blocks[i].startTime) - new Date(blocks[i - 1].endTime)) / 60000;
+        expect(gap).toBeGreaterThanOrEqual(30);
+      }
+    });
+    
+    test('should cap blocks per day and spread across days', () => {
+      const plan = planFocusWeek([], {}, {
+        startDate: monday,
+        days: 3,
+        weeklyTargetHours: 8,
+        maxBlocksPerDay: 1
+      });
+      
+      plan.days.forEach(day => expect(day.blocks.length).toBeLessThanOrEqual(1));
+      expect(plan.plannedMinutes).toBe(360);
+      expect(plan.targetMet).toBe(false);
+    });
+    
+    test('should skip time before notBefore', () => {
+      const plan = planFocusWeek([], {}, {
+        startDate: monday,
+        days: 2,
+        weeklyTargetHours: 20,
+        notBefore: local(6, 22)
+      });
+      
+      expect(plan.days[0].blocks).toHaveLength(0);
+      expect(plan.days[1].blocks.length).toBeGreaterThan(0);
+    });
+  });
+
+  describe('findTeamFocusWindows', () => {
+    const at = (day, time) => `2025-10-${day}T${time}:00.000Z`;
+    const busy = (day, start, end) => ({ startTime: at(day, start), endTime: at(day, end), title: 'Busy' });
+    const team = {
+      timeZone: 'UTC',
+      minimumDuration: 60,
+      workingHours: { monday: [{ start: '08:00', end: '18:00' }], tuesday: [{ start: '08:00', end: '18:00' }] }
+    };
+    
+    test('should only offer time that is free for every member', () => {
+      const result = findTeamFocusWindows([
+        busy('06', '08:00', '10:30'),   // member A
+        busy('06', '10:00', '12:00'),   // member B, overlapping A
+        busy('06', '14:00', '15:00'),   // member C
+        busy('06', '15:00', '18:00')    // member A again
+      ], team, { startDate: at('06', '00:00'), days: 1 });
+      
+      // 12:00-14:00 is the only shared gap, less the default 15-minute buffers
+      expect(result.startDate).toBe('2025-10-06');
+      expect(result.windows).toEqual([
+        expect.objectContaining({ startTime: at('06', '12:15'), endTime: at('06', '13:45'), duration: 90, rank: 1 })
+      ]);
+      expect(result.windows[0].reasoning).toContain('Everyone is free');
+    });
+    
+    test('should return the best windows in chronological order', () => {
+      const result = findTeamFocusWindows([
+        busy('06', '10:00', '11:00'),
+        busy('06', '13:00', '14:00')
+      ], { ...team, preferredTime: 'morning' }, { startDate: at('06', '00:00'), days: 1, maxWindows: 2 });
+      
+      // 11:00-13:00 is closest to the 10 AM peak; the long afternoon slot scores lowest
+      expect(result.windows.map(window => [window.startTime, window.rank])).toEqual([
+        [at('06', '08:15'), 2],
+        [at('06', '11:15'), 1]
+      ]);
+    });
+    
+    test('should skip days off and time that has passed', () => {
+      const result = findTeamFocusWindows([], team, {
+        startDate: at('04', '00:00'),
+        days: 2,
+        notBefore: at('06', '17:30')
+      });
+      
+      expect([result.startDate, result.endDate]).toEqual(['2025-10-06', '2025-10-07']);
+      expect(result.windows.every(window => window.startTime.startsWith('2025-10-07'))).toBe(true);
+    });
+    
+    test('should report the range to read free/busy for', () => {
+      expect(getTeamFocusRange(team, { startDate: at('06', '00:00'), days: 2 })).toEqual({
+        startTime: at('06', '08:00'),
+        endTime: at('07', '18:00')
+      });
+      expect(getTeamFocusRange(team, { startDate: at('06', '00:00'), days: 2, notBefore: at('07', '18:00') })).toBeNull();
+    });
+  });
+
+  describe('Time zones and working hours', () => {
+    test('should evaluate the working day in the user\'s time zone', () => {
+      // 13:00-15:00 UTC is 09:00-11:00 in New York
+      const calendar = [
+        { id: '1', startTime: '2025-10-06T13:00:00Z', endTime: '2025-10-06T15:00:00Z', title: 'Standup block' }
+      ];
+      
+      const result = suggestOptimalFocusWindow(calendar, {
+        preferredTime: 'morning',
+        minimumDuration: 60,
+        bufferTime: 0,
+        timeZone: 'America/New_York'
+      });
+      
+      expect(result).not.toBeNull();
+      // Day starts at 08:00 New York time (12:00 UTC)
+      expect(new Date(result.startTime).getTime()).toBeGreaterThanOrEqual(Date.parse('2025-10-06T12:00:00Z'));
+      expect(result.reasoning).toContain('morning');
+    });
+    
+    test('should score time of day in the given zone', () => {
+      // 01:00 UTC is 21:00 in New York (excluded) but 10:00 in Tokyo (optimal)
+      expect(scoreTimeOfDay('2025-10-07T01:00:00Z', 'America/New_York')).toBe(0);
+      expect(scoreTimeOfDay('2025-10-07T01:00:00Z', 'Asia/Tokyo')).toBe(1);
+    });
+    
+    test('should only suggest slots inside split working hours', () => {
+      const result = suggestOptimalFocusWindow([
+        { id: '1', startTime: '2025-10-06T09:00:00Z', endTime: '2025-10-06T09:30:00Z', title: 'Sync' }
+      ], {
+        minimumDuration: 60,
+        bufferTime: 0,
+        timeZone: 'UTC',
+        workingHours: {
+          monday: [{ start: '07:00', end: '08:00' }, { start: '13:00', end: '16:00' }]
+        }
+      });
+      
+      const start = Date.parse(result.startTime);
+      const end = Date.parse(result.endTime);
+      const inMorning = start >= Date.parse('2025-10-06T07:00:00Z') && end <= Date.parse('2025-10-06T08:00:00Z');
+      const inAfternoon = start >= Date.parse('2025-10-06T13:00:00Z') && end <= Date.parse('2025-10-06T16:00:00Z');
+      expect(inMorning || inAfternoon).toBe(true);
+    });
+    
+    test('should return null on a day off', () => {
+      const result = suggestOptimalFocusWindow([
+        { id: '1', startTime: '2025-10-06T09:00:00Z', endTime: '2025-10-06T09:30:00Z', title: 'Sync' }
+      ], {
+        timeZone: 'UTC',
+        workingHours: { monday: null }
+      });
+      
+      expect(result).toBeNull();
+    });
+    
+    test('should allow late slots when the user works late', () => {
+      const result = suggestOptimalFocusWindow([
+        { id: '1', startTime: '2025-10-06T09:00:00Z', endTime: '2025-10-06T09:30:00Z', title: 'Sync' }
+      ], {
+        minimumDuration: 60,
+        bufferTime: 15,
+        timeZone: 'UTC',
+        workingHours: { monday: [{ start: '21:00', end: '23:30' }] }
+      });
+      
+      expect(result).not.toBeNull();
+      expect(result.startTime).toBe('2025-10-06T21:15:00.000Z');
+    });
+    
+    test('should expand all-day events in the user\'s time zone', () => {
+      const result = suggestOptimalFocusWindow([
+        { id: '1', startTime: '2025-10-06', endTime: '2025-10-07', title: 'Holiday' }
+      ], {
+        minimumDuration: 60,
+        bufferTime: 0,
+        timeZone: 'Asia/Tokyo',
+        workingHours: { monday: [{ start: '09:00', end: '17:00' }] }
+      });
+      
+      expect(result).toBeNull();
+    });
+    
+    test('should skip days off and plan explicit weekend hours', () => {
+      const plan = planFocusWeek([], { timeZone: 'Europe/Berlin', minimumDuration: 60 }, {
+        startDate: '2025-10-06T10:00:00Z',
+        days: 3,
+        weeklyTargetHours: 3
+      });
+      expect(plan.days.map(day => day.date)).toEqual(['2025-10-06', '2025-10-07', '2025-10-08']);
+      
+      const customPlan = planFocusWeek([], {
+        timeZone: 'Europe/Berlin',
+        minimumDuration: 60,
+        workingHours: {
+          tuesday: null,
+          saturday: [{ start: '10:00', end: '12:00' }]
+        }
+      }, {
+        startDate: '2025-10-06T10:00:00Z',
+        days: 5,
+        weeklyTargetHours: 20
+      });
+      
+      expect(customPlan.days.map(day => day.date)).toEqual([
+        '2025-10-06', '2025-10-08', '2025-10-09', '2025-10-10', '2025-10-11'
+      ]);
+      const saturday = customPlan.days[4];
+      expect(saturday.blocks).toHaveLength(1);
+      // 10:00 Berlin summer time is 08:00 UTC, plus the default 15-minute buffer
+      expect(saturday.blocks[0].startTime).toBe('2025-10-11T08:15:00.000Z');
+    });
+  });
+  
+  describe('Ranked alternatives', () => {
+    const busyDay = [
+      { id: '1', startTime: '2025-10-06T10:00:00Z', endTime: '2025-10-06T11:00:00Z', title: 'Standup' },
+      { id: '2', startTime: '2025-10-06T13:00:00Z', endTime: '2025-10-06T14:00:00Z', title: 'Lunch' },
+      { id: '3', startTime: '2025-10-06T16:30:00Z', endTime: '2025-10-06T17:00:00Z', title: 'Review' }
+    ];
+    const preferences = { preferredTime: 'afternoon', minimumDuration: 60, timeZone: 'UTC' };
+    
+    test('should keep the single-slot response when no alternatives are requested', () => {
+      const result = suggestOptimalFocusWindow(busyDay, preferences);
+      
+      expect(result).not.toHaveProperty('alternatives');
+      expect(result).not.toHaveProperty('breakdown');
+    });
+    
+    test('should return ranked, non-overlapping alternatives with breakdowns', () => {
+      const result = suggestOptimalFocusWindow(busyDay, preferences, { alternatives: 3 });
+      
+      expect(result.alternatives.length).toBeGreaterThan(0);
+      expect(result.alternatives.length).toBeLessThanOrEqual(3);
+      expect(result.breakdown).toHaveProperty('duration');
+      
+      const all = [result, ...result.alternatives];
+      for (let i = 1; i < all.length; i++) {
+        expect(all[i].score).toBeLessThanOrEqual(all[i - 1].score);
+        expect(all[i].rank).toBe(i + 1);
+        expect(all[i].reasoning).toBeTruthy();
+        expect(Object.keys(all[i].breakdown)).toEqual(['duration', 'timePreference', 'bufferCompliance', 'timeOfDay']);
+      }
+      
+      for (let i = 0; i < all.length; i++) {
+        for (let j = i + 1; j < all.length; j++) {
+          const separate = new Date(all[i].endTime) <= new Date(all[j].startTime) ||
+            new Date(all[j].endTime) <= new Date(all[i].startTime);
+          expect(separate).toBe(true);
+        }
+      }
+    });
+    
+    test('should honor the requested number of alternatives', () => {
+      const result = suggestOptimalFocusWindow(busyDay, preferences, { alternatives: 1 });
+      
+      expect(result.alternatives).toHaveLength(1);
+    });
+  });
+  
+  describe('calculateScoreBreakdown', () => {
+    test('should report factor points that add up to the total', () => {
+      const slot = { startTime: '2025-10-06T14:15:00Z', endTime: '2025-10-06T16:15:00Z' };
+      const breakdown = calculateScoreBreakdown(slot, { preferredTime: 'afternoon', minimumDuration: 60, timeZone: 'UTC' });
+      
+      const points = Object.values(breakdown.factors).reduce((sum, factor) => sum + factor.points, 0);
+      expect(Math.abs(points - breakdown.total)).toBeLessThanOrEqual(1);
+      expect(breakdown.factors.timePreference).toEqual({ score: 1, weight: 0.4, points: 40 });
+    });
+    
+    test('should zero the total for late-evening slots without working hours', () => {
+      const slot = { startTime: '2025-10-06T21:30:00Z', endTime: '2025-10-06T23:00:00Z' };
+      const breakdown = calculateScoreBreakdown(slot, { timeZone: 'UTC' });
+      
+      expect(breakdown.total).toBe(0);
+      expect(breakdown.factors.timeOfDay.score).toBe(0);
+    });
+  });
 });
@@ -0,0 +1,292 @@
+/**
+ * Session History Service
+ * Persists completed focus sessions and answers date-range queries over them
+ */
+
+const crypto = require('crypto');
+const { createRecordStore } = require('../utils/record-store');
+const { createIntelligentSummary } = require('./summary.service');
+const { parseISODate } = require('../utils/date-utils');
+const { buildICalendar } = require('../integrations/ics-calendar');
+
+const sessionStore = createRecordStore('sessions');
+
+// Secret tokens for users' ICS feed URLs, keyed by user ID
+const feedTokenStore = createRecordStore('session-feed-tokens');
+
+// Fields a client may change after a session has been recorded
+const UPDATABLE_FIELDS = [
+  'taskGoal',
+  'mode',
+  'startTime',
+  'endTime',
+  'plannedDuration',
+  'actualDuration',
+  'pauseCount',
+  'interruptions',
+  'ritualUsed',
+  'completed',
+  'source',
+  'externalTaskId'
+];
+
+/**
+ * Generates a unique session identifier
+ * @returns {string} Session ID
+ */
+function generateSessionId() {
+  return `session_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+}
+
+/**
+ * Builds the summary sentence for a session record
+ * @param {Object} record - Session record
+ * @returns {string|null} Summary text, or null if the session has no duration
+ */
+function summarizeRecord(record) {
+  if (!record.actualDuration || record.actualDuration <= 0) {
+    return null;
+  }
+
+  return createIntelligentSummary({
+    taskGoal: record.taskGoal,
+    duration: record.actualDuration,
+    completedAt: record.endTime,
+    distractionCount: record.interruptions,
+    ritualUsed: record.ritualUsed || undefined
+  });
+}
+
+/**
+ * Normalizes incoming session data into the stored record shape
+ * @param {Object} sessionData - Raw session data from the client
+ * @returns {Object} Normalized session fields (without id/user/timestamps)
+ */
+function normalizeSessionData(sessionData) {
+  const endTime = sessionData.endTime || sessionData.completedAt || new Date().toISOString();
+  const actualDuration = sessionData.actualDuration !== undefined
+    ? sessionData.actualDuration
+    : (sessionData.plannedDuration || 0);
+
+  return {
+    taskGoal: (sessionData.taskGoal || '').trim(),
+    mode: sessionData.mode || 'work',
+    startTime: sessionData.startTime || null,
+    endTime,
+    plannedDuration: sessionData.plannedDuration || null,
+    actualDuration,
+    pauseCount: sessionData.pauseCount || 0,
+    interruptions: sessionData.interruptions || 0,
+    ritualUsed: sessionData.ritualUsed || null,
+    completed: sessionData.completed !== undefined ? Boolean(sessionData.completed) : true,
+    source: sessionData.source || 'manual',
+    externalTaskId: sessionData.externalTaskId || null
+  };
+}
+
+/**
+ * Records a completed session for a user
+ * If sessionData.sessionId matches one of the user's existing sessions it is replaced,
+ * so the extension and webapp can both report the same session without duplicates.
+ * @param {string} userId - User identifier
+ * @param {Object} sessionData - Session data
+ * @returns {Object} Stored session record
+ */
+function recordSession(userId, sessionData) {
+  const now = new Date().toISOString();
+  const existing = sessionData.sessionId ? sessionStore.get(sessionData.sessionId) : null;
+  const isOwnedUpdate = existing && existing.userId === userId;
+
+  const id = isOwnedUpdate || (sessionData.sessionId && !existing)
+    ? sessionData.sessionId
+    : generateSessionId();
+
+  const record = {
+    id,
+    userId,
+    ...normalizeSessionData(sessionData),
+    createdAt: isOwnedUpdate ? existing.createdAt : now,
+    updatedAt: now
+  };
+  record.summary = summarizeRecord(record);
+
+  return sessionStore.set(id, record);
+}
+
+/**
+ * Lists a user's sessions, newest first, optionally limited to a date range
+ * @param {string} userId - User identifier
+ * @param {Object} [range] - Optional range filter on the session end time
+ * @param {string} [range.from] - Inclusive lower bound (ISO 8601)
+ * @param {string} [range.to] - Exclusive upper bound (ISO 8601)
+ * @returns {Array<Object>} Session records
+ */
+function listSessions(userId, range = {}) {
+  const from = range.from ? parseISODate(range.from) : null;
+  const to = range.to ? parseISODate(range.to) : null;
+
+  return sessionStore.values()
+    .filter(record => record.userId === userId)
+    .filter(record => {
+      const endTime = parseISODate(record.endTime);
+      if (from && endTime < from) return false;
+      if (to && endTime >= to) return false;
+      return true;
+    })
+    .sort((a, b) => parseISODate(b.endTime) - parseISODate(a.endTime));
+}
+
+/**
+ * Gets a single session owned by a user
+ * @param {string} userId - User identifier
+ * @param {string} sessionId - Session identifier
+ * @returns {Object|null} Session record or null if not found
+ */
+function getSession(userId, sessionId) {
+  const record = sessionStore.get(sessionId);
+
+  if (!record || record.userId !== userId) {
+    return null;
+  }
+
+  return record;
+}
+
+/**
+ * Updates fields of a session owned by a user
+ * @param {string} userId - User identifier
+ * @param {string} sessionId - Session identifier
+ * @param {Object} updates - Fields to change (see UPDATABLE_FIELDS)
+ * @returns {Object|null} Updated record or null if not found
+ */
+function updateSession(userId, sessionId, updates) {
+  const record = getSession(userId, sessionId);
+
+  if (!record) {
+    return null;
+  }
+
+  const changes = {};
+  for (const field of UPDATABLE_FIELDS) {
+    if (updates[field] !== undefined) {
+      changes[field] = updates[field];
+    }
+  }
+
+  const updated = {
+    ...record,
+    ...changes,
+    updatedAt: new Date().toISOString()
+  };
+
+  // Only regenerate the summary when the facts it describes changed
+  if (changes.taskGoal !== undefined || changes.actualDuration !== undefined) {
+    updated.summary = summarizeRecord(updated);
+  }
+
+  return sessionStore.set(sessionId, updated);
+}
+
+/**
+ * Deletes a session owned by a user
+ * @param {string} userId - User identifier
+ * @param {string} sessionId - Session identifier
+ * @returns {boolean} True if the session was deleted
+ */
+function deleteSession(userId, sessionId) {
+  if (!getSession(userId, sessionId)) {
+    return false;
+  }
+
+  return sessionStore.delete(sessionId);
+}
+
+/**
+ * Exports a user's completed focus sessions as an ICS calendar
+ * Breaks and abandoned sessions are left out. A session without a recorded start
+ * time is placed so it ends at endTime after lasting actualDuration minutes.
+ * @param {string} userId - User identifier
+ * @param {Object} [range] - Optional range filter on the session end time (see listSessions)
+ * @returns {string} ICS document
+ */
+function exportSessionsAsICalendar(userId, range = {}) {
+  const items = listSessions(userId, range)
+    .filter(record => record.completed && record.mode !== 'break' && record.actualDuration > 0)
+    .reverse()
+    .map(record => {
+      const end = parseISODate(record.endTime);
+      const start = record.startTime
+        ? parseISODate(record.startTime)
+        : new Date(end.getTime() - record.actualDuration * 60 * 1000);
+
+      return {
+        uid: `${record.id}@auraflow`,
+        start,
+        end,
+        title: record.taskGoal ? `Focus: ${record.taskGoal}` : 'Focus session',
+        description: record.summary,
+        updatedAt: record.updatedAt
+      };
+    });
+
+  return buildICalendar(items, { name: 'AuraFlow Focus Sessions' });
+}
+
+/**
+ * Gets the token in a user's ICS feed URL, creating one the first time
+ * Calendar apps subscribe without signing in, so the token is what identifies the user.
+ * @param {string} userId - User identifier
+ * @returns {string} Feed token
+ */
+function getCalendarFeedToken(userId) {
+  const record = feedTokenStore.get(userId);
+  return record ? record.token : resetCalendarFeedToken(userId);
+}
+
+/**
+ * Replaces a user's ICS feed token, so the old feed URL stops working
+ * @param {string} userId - User identifier
+ * @returns {string} New feed token
+ */
+function resetCalendarFeedToken(userId) {
+  const token = crypto.randomBytes(24).toString('hex');
+  feedTokenStore.set(userId, { userId, token, createdAt: new Date().toISOString() });
+  return token;
+}
+
+/**
+ * Finds the user an ICS feed token belongs to
+ * @param {string} token - Token from the feed URL
+ * @returns {string|null} User ID, or null if no user has the token
+ */
+function findCalendarFeedUser(token) {
+  const actual = Buffer.from(String(token || ''));
+  const record = feedTokenStore.values().find(candidate => {
+    const expected = Buffer.from(candidate.token);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  });
+  return record ? record.userId : null;
+}
+
+/**
+ * Clears all stored sessions and feed tokens (for testing)
+ * @returns {void}
+ */
+function clearAllSessions() {
+  sessionStore.clear();
+  feedTokenStore.clear();
+}
+
+module.exports = {
+  recordSession,
+  listSessions,
+  getSession,
+  updateSession,
+  deleteSession,
+  exportSessionsAsICalendar,
+  getCalendarFeedToken,
+  resetCalendarFeedToken,
+  findCalendarFeedUser,
+  clearAllSessions,
+  UPDATABLE_FIELDS
+};
@@ -0,0 +1,197 @@
+/**
+ * Unit tests for Session History Service
+ */
+
+const {
+  recordSession,
+  listSessions,
+  getSession,
+  updateSession,
+  deleteSession,
+  exportSessionsAsICalendar,
+  getCalendarFeedToken,
+  resetCalendarFeedToken,
+  findCalendarFeedUser,
+  clearAllSessions
+} = require('./session-history.service');
+const { parseICalendar } = require('../integrations/ics-calendar');
+
+describe('Session History Service', () => {
+  beforeEach(() => {
+    clearAllSessions();
+  });
+
+  describe('recordSession', () => {
+    test('should store a session with normalized fields and a summary', () => {
+      const session = recordSession('user-1', {
+        taskGoal: '  Write release notes ',
+        plannedDuration: 25,
+        actualDuration: 22,
+        pauseCount: 1,
+        interruptions: 2,
+        ritualUsed: 'Quick Focus Sprint',
+        endTime: '2025-10-03T10:00:00.000Z'
+      });
+
+      expect(session.id).toMatch(/^session_/);
+      expect(session.userId).toBe('user-1');
+      expect(session.taskGoal).toBe('Write release notes');
+      expect(session.plannedDuration).toBe(25);
+      expect(session.actualDuration).toBe(22);
+      expect(session.pauseCount).toBe(1);
+      expect(session.interruptions).toBe(2);
+      expect(session.completed).toBe(true);
+      expect(session.summary).toContain('22');
+      expect(session.createdAt).toBeDefined();
+    });
+
+    test('should default actualDuration to plannedDuration', () => {
+      const session = recordSession('user-1', { plannedDuration: 50 });
+
+      expect(session.actualDuration).toBe(50);
+      expect(session.endTime).toBeDefined();
+    });
+
+    test('should replace an existing session when sessionId is reused by its owner', () => {
+      const first = recordSession('user-1', { sessionId: 'abc', plannedDuration: 25 });
+      const second = recordSession('user-1', { sessionId: 'abc', plannedDuration: 25, actualDuration: 10 });
+
+      expect(second.id).toBe('abc');
+      expect(second.createdAt).toBe(first.createdAt);
+      expect(second.actualDuration).toBe(10);
+      expect(listSessions('user-1')).toHaveLength(1);
+    });
+
+    test('should not overwrite another user\'s session with the same sessionId', () => {
+      recordSession('user-1', { sessionId: 'abc', plannedDuration: 25 });
+      const other = recordSession('user-2', { sessionId: 'abc', plannedDuration: 30 });
+
+      expect(other.id).not.toBe('abc');
+      expect(getSession('user-1', 'abc').plannedDuration).toBe(25);
+    });
+  });
+
+  describe('listSessions', () => {
+    beforeEach(() => {
+      recordSession('user-1', { plannedDuration: 25, endTime: '2025-10-01T10:00:00.000Z' });
+      recordSession('user-1', { plannedDuration: 25, endTime: '2025-10-03T10:00:00.000Z' });
+      recordSession('user-1', { plannedDuration: 25, endTime: '2025-10-05T10:00:00.000Z' });
+      recordSession('user-2', { plannedDuration: 25, endTime: '2025-10-03T11:00:00.000Z' });
+    });
+
+    test('should return only the user\'s sessions, newest first', () => {
+      const sessions = listSessions('user-1');
+
+      expect(sessions).toHaveLength(3);
+      expect(sessions[0].endTime).toBe('2025-10-05T10:00:00.000Z');
+      expect(sessions[2].endTime).toBe('2025-10-01T10:00:00.000Z');
+    });
+
+    test('should filter by inclusive from and exclusive to', () => {
+      const sessions = listSessions('user-1', {
+        from: '2025-10-03T10:00:00.000Z',
+        to: '2025-10-05T10:00:00.000Z'
+      });
+
+      expect(sessions).toHaveLength(1);
+      expect(sessions[0].endTime).toBe('2025-10-03T10:00:00.000Z');
+    });
+  });
+
+  describe('updateSession', () => {
+    test('should update allowed fields and ignore others', () => {
+      const session = recordSession('user-1', { plannedDuration: 25 });
+      const updated = updateSession('user-1', session.id, {
+        interruptions: 4,
+        userId: 'user-2',
+        summary: 'hacked'
+      });
+
+      expect(updated.interruptions).toBe(4);
+      expect(updated.userId).toBe('user-1');
+      expect(updated.summary).toBe(session.summary);
+    });
+
+    test('should regenerate the summary when the goal changes', () => {
+      const session = recordSession('user-1', { plannedDuration: 25, taskGoal: 'Plan sprint' });
+      const updated = updateSession('user-1', session.id, { taskGoal: 'Review roadmap' });
+
+      expect(updated.summary).toContain('Review roadmap');
+    });
+
+    test('should return null for sessions owned by another user', () => {
+      const session = recordSession('user-1', { plannedDuration: 25 });
+
+      expect(updateSession('user-2', session.id, { interruptions: 1 })).toBeNull();
+    });
+  });
+
+  describe('deleteSession', () => {
+    test('should delete the user\'s session', () => {
+      const session = recordSession('user-1', { plannedDuration: 25 });
+
+      expect(deleteSession('user-1', session.id)).toBe(true);
+      expect(getSession('user-1', session.id)).toBeNull();
+    });
+
+    test('should refuse to delete another user\'s session', () => {
+      const session = recordSession('user-1', { plannedDuration: 25 });
+
+      expect(deleteSession('user-2', session.id)).toBe(false);
+      expect(getSession('user-1', session.id)).not.toBeNull();
+    });
+  });
+
+  describe('exportSessionsAsICalendar', () => {
+    test('should export completed focus sessions as calendar events', () => {
+      recordSession('user-1', {
+        sessionId: 'session-a',
+        taskGoal: 'Write report',
+        startTime: '2025-03-10T09:00:00.000Z',
+        endTime: '2025-03-10T09:50:00.000Z',
+        actualDuration: 50
+      });
+      recordSession('user-1', { sessionId: 'session-b', endTime: '2025-03-11T10:00:00.000Z', actualDuration: 25 });
+      recordSession('user-1', { sessionId: 'break', mode: 'break', endTime: '2025-03-11T11:00:00.000Z', actualDuration: 5 });
+      recordSession('user-1', { sessionId: 'abandoned', completed: false, endTime: '2025-03-11T12:00:00.000Z', actualDuration: 10 });
+      recordSession('user-2', { sessionId: 'other', endTime: '2025-03-11T12:00:00.000Z', actualDuration: 25 });
+
+      const events = parseICalendar(exportSessionsAsICalendar('user-1'), {
+        rangeStart: '2025-03-01T00:00:00Z',
+        rangeEnd: '2025-04-01T00:00:00Z'
+      });
+
+      expect(events).toEqual([
+        expect.objectContaining({
+          id: 'session-a@auraflow',
+          startTime: '2025-03-10T09:00:00.000Z',
+          endTime: '2025-03-10T09:50:00.000Z',
+          title: 'Focus: Write report',
+          description: expect.stringContaining('50 minutes')
+        }),
+        // No start time recorded: placed to end at endTime
+        expect.objectContaining({
+          id: 'session-b@auraflow',
+          startTime: '2025-03-11T09:35:00.000Z',
+          title: 'Focus session'
+        })
+      ]);
+    });
+  });
+
+  describe('calendar feed tokens', () => {
+    test('should keep one token per user until it is replaced', () => {
+      const token = getCalendarFeedToken('user-1');
+
+      expect(token).toMatch(/^[0-9a-f]{48}$/);
+      expect(getCalendarFeedToken('user-1')).toBe(token);
+      expect(getCalendarFeedToken('user-2')).not.toBe(token);
+      expect(findCalendarFeedUser(token)).toBe('user-1');
+
+      const replaced = resetCalendarFeedToken('user-1');
+      expect(findCalendarFeedUser(replaced)).toBe('user-1');
+      expect(findCalendarFeedUser(token)).toBeNull();
+      expect(findCalendarFeedUser('')).toBeNull();
+    });
+  });
+});
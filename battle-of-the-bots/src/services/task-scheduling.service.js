@@ -0,0 +1,201 @@
+/**
+ * Task Scheduling Service
+ * Pairs free focus slots from the scheduler with the tasks most worth doing in them
+ */
+
+const { suggestOptimalFocusWindow } = require('./scheduling.service');
+const { parseISODate, formatDateKey } = require('../utils/date-utils');
+
+// Weights for how much a task deserves a given slot
+const TASK_WEIGHTS = {
+  urgency: 0.6,   // Due date and priority
+  fit: 0.4        // Estimated effort versus slot length
+};
+
+// Share of urgency coming from the due date (the rest comes from priority)
+const DUE_DATE_SHARE = 0.55;
+
+const PRIORITY_SCORES = {
+  urgent: 1.0,
+  high: 0.75,
+  medium: 0.5,
+  low: 0.25
+};
+
+// Default number of slots to fill
+const DEFAULT_MAX_SLOTS = 3;
+
+/**
+ * Counts calendar days from one day key to another
+ * @param {string} fromKey - Day key (YYYY-MM-DD)
+ * @param {string} toKey - Day key (YYYY-MM-DD)
+ * @returns {number} Days between (negative if toKey is earlier)
+ */
+function daysBetween(fromKey, toKey) {
+  const toUTC = key => {
+    const [year, month, day] = key.split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+  };
+  return Math.round((toUTC(toKey) - toUTC(fromKey)) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Scores how soon a task is due relative to a slot
+ * @param {string|null} dueDate - Task due date (date or date-time)
+ * @param {string} slotStart - Slot start time (ISO 8601)
+ * @param {string} [timeZone] - User's IANA time zone
+ * @returns {number} Score between 0 and 1
+ */
+function scoreDueDate(dueDate, slotStart, timeZone) {
+  if (!dueDate) return 0.1;
+
+  const dueKey = dueDate.length > 10 ? formatDateKey(dueDate, timeZone) : dueDate;
+  const days = daysBetween(formatDateKey(slotStart, timeZone), dueKey);
+
+  if (days < 0) return 1.0;    // Overdue
+  if (days === 0) return 0.9;  // Due today
+  if (days === 1) return 0.75;
+  if (days <= 3) return 0.6;
+  if (days <= 7) return 0.4;
+  return 0.2;
+}
+
+/**
+ * Scores how well a task's estimated effort fits a slot
+ * Tasks that fit completely score highest, especially when they use most of the slot.
+ * @param {number|null} estimatedMinutes - Task effort estimate
+ * @param {number} slotMinutes - Slot duration
+ * @returns {number} Score between 0 and 1
+ */
+function scoreEffortFit(estimatedMinutes, slotMinutes) {
+  if (!estimatedMinutes) return 0.5;
+
+  if (estimatedMinutes <= slotMinutes) {
+    return 0.7 + 0.3 * (estimatedMinutes / slotMinutes);
+  }
+
+  // Too long to finish here, but the slot still makes progress
+  return 0.6 * (slotMinutes / estimatedMinutes);
+}
+
+/**
+ * Scores a task for a slot
+ * @param {Object} task - Normalized task
+ * @param {Object} slot - Slot with startTime and duration
+ * @param {string} [timeZone] - User's IANA time zone
+ * @returns {number} Score between 0 and 100
+ */
+function scoreTaskForSlot(task, slot, timeZone) {
+  const priorityScore = PRIORITY_SCORES[task.priority] || 0.4;
+  const urgency = DUE_DATE_SHARE * scoreDueDate(task.dueDate, slot.startTime, timeZone) +
+    (1 - DUE_DATE_SHARE) * priorityScore;
+  const fit = scoreEffortFit(task.estimatedMinutes, slot.duration);
+
+  return Math.round((urgency * TASK_WEIGHTS.urgency + fit * TASK_WEIGHTS.fit) * 100);
+}
+
+/**
+ * Explains why a task was matched with a slot
+ * @param {Object} task - Normalized task
+ * @param {Object} slot - Slot with startTime and duration
+ * @param {string} [timeZone] - User's IANA time zone
+ * @returns {string} Human-readable reasoning
+ */
+function generateTaskReasoning(task, slot, timeZone) {
+  const reasons = [];
+
+  if (task.dueDate) {
+    const dueKey = task.dueDate.length > 10 ? formatDateKey(task.dueDate, timeZone) : task.dueDate;
+    const days = daysBetween(formatDateKey(slot.startTime, timeZone), dueKey);
+    if (days < 0) reasons.push('it is overdue');
+    else if (days === 0) reasons.push('it is due today');
+    else if (days === 1) reasons.push('it is due tomorrow');
+    else reasons.push(`it is due in ${days} days`);
+  }
+
+  if (task.priority === 'urgent' || task.priority === 'high') {
+    reasons.push(`it is ${task.priority} priority`);
+  }
+
+  if (task.estimatedMinutes) {
+    reasons.push(task.estimatedMinutes <= slot.duration
+      ? `its ${task.estimatedMinutes}-minute estimate fits this ${slot.duration}-minute slot`
+      : `this slot covers ${slot.duration} of its estimated ${task.estimatedMinutes} minutes`);
+  }
+
+  if (reasons.length === 0) {
+    return `"${task.title}" is a good use of this ${slot.duration}-minute slot.`;
+  }
+
+  const last = reasons.pop();
+  const text = reasons.length > 0 ? `${reasons.join(', ')} and ${last}` : last;
+  return `Work on "${task.title}" here because ${text}.`;
+}
+
+/**
+ * Proposes a task for each of the best free focus slots
+ * The best slots are filled first, each with the highest-scoring task not yet placed.
+ * @param {Array<Object>} calendarEvents - User's calendar events
+ * @param {Array<Object>} tasks - Normalized tasks (see task-providers/task-model.js)
+ * @param {Object} [userPreferences] - User's focus preferences
+ * @param {Object} [options] - Planning options
+ * @param {number} [options.maxSlots] - Number of slots to fill (default 3)
+ * @returns {Object} { slots: Array<slot with task>, unassignedTasks: Array<Object> }
+ */
+function planTaskFocus(calendarEvents, tasks, userPreferences = {}, options = {}) {
+  const maxSlots = options.maxSlots || DEFAULT_MAX_SLOTS;
+  const timeZone = userPreferences.timeZone;
+
+  const suggestion = suggestOptimalFocusWindow(calendarEvents, userPreferences, {
+    alternatives: maxSlots - 1
+  });
+
+  if (!suggestion) {
+    return { slots: [], unassignedTasks: tasks.filter(task => !task.completed) };
+  }
+
+  // Best slot first, matching the scheduler's ranking
+  const rankedSlots = [
+    { ...suggestion, rank: 1 },
+    ...(suggestion.alternatives || [])
+  ].map(({ alternatives, breakdown, ...slot }) => slot);
+
+  const remaining = tasks.filter(task => !task.completed);
+  const filled = rankedSlots.map(slot => {
+    let best = null;
+    let bestScore = -1;
+
+    for (const task of remaining) {
+      const score = scoreTaskForSlot(task, slot, timeZone);
+      if (score > bestScore) {
+        best = task;
+        bestScore = score;
+      }
+    }
+
+    if (!best) {
+      return { ...slot, task: null, taskScore: null, taskReasoning: null };
+    }
+
+    remaining.splice(remaining.indexOf(best), 1);
+    return {
+      ...slot,
+      task: best,
+      taskScore: bestScore,
+      taskReasoning: generateTaskReasoning(best, slot, timeZone)
+    };
+  });
+
+  return {
+    slots: filled.sort((a, b) => parseISODate(a.startTime) - parseISODate(b.startTime)),
+    unassignedTasks: remaining
+  };
+}
+
+module.exports = {
+  planTaskFocus,
+  // Export for testing
+  scoreDueDate,
+  scoreEffortFit,
+  scoreTaskForSlot
+};
@@ -0,0 +1,108 @@
+/**
+ * Unit tests for Task Scheduling Service
+ */
+
+const {
+  planTaskFocus,
+  scoreDueDate,
+  scoreEffortFit,
+  scoreTaskForSlot
+} = require('./task-scheduling.service');
+
+function task(id, fields = {}) {
+  return {
+    id,
+    provider: 'todoist',
+    externalId: id,
+    title: `Task ${id}`,
+    dueDate: null,
+    priority: null,
+    project: null,
+    labels: [],
+    estimatedMinutes: null,
+    completed: false,
+    url: null,
+    ...fields
+  };
+}
+
+describe('Task Scheduling Service', () => {
+  describe('scoreDueDate', () => {
+    const slotStart = '2025-10-06T10:00:00Z';
+
+    test('should rank overdue and due-today tasks highest', () => {
+      expect(scoreDueDate('2025-10-03', slotStart, 'UTC')).toBe(1);
+      expect(scoreDueDate('2025-10-06', slotStart, 'UTC')).toBe(0.9);
+      expect(scoreDueDate('2025-10-07', slotStart, 'UTC')).toBe(0.75);
+      expect(scoreDueDate('2025-10-20', slotStart, 'UTC')).toBe(0.2);
+      expect(scoreDueDate(null, slotStart, 'UTC')).toBe(0.1);
+    });
+
+    test('should compare date-time due dates in the user\'s time zone', () => {
+      // 02:00 UTC on the 7th is still the 6th in New York
+      expect(scoreDueDate('2025-10-07T02:00:00Z', '2025-10-06T14:00:00Z', 'America/New_York')).toBe(0.9);
+    });
+  });
+
+  describe('scoreEffortFit', () => {
+    test('should prefer tasks that fill most of the slot without overflowing', () => {
+      expect(scoreEffortFit(90, 90)).toBe(1);
+      expect(scoreEffortFit(30, 90)).toBeLessThan(scoreEffortFit(80, 90));
+      expect(scoreEffortFit(240, 90)).toBeLessThan(scoreEffortFit(30, 90));
+      expect(scoreEffortFit(null, 90)).toBe(0.5);
+    });
+  });
+
+  describe('scoreTaskForSlot', () => {
+    test('should favor an urgent task due today over a low-priority one due later', () => {
+      const slot = { startTime: '2025-10-06T10:00:00Z', duration: 120 };
+      const urgent = task('1', { priority: 'urgent', dueDate: '2025-10-06' });
+      const later = task('2', { priority: 'low', dueDate: '2025-10-20' });
+
+      expect(scoreTaskForSlot(urgent, slot, 'UTC')).toBeGreaterThan(scoreTaskForSlot(later, slot, 'UTC'));
+    });
+  });
+
+  describe('planTaskFocus', () => {
+    const events = [
+      { id: 'e1', startTime: '2025-10-06T10:00:00Z', endTime: '2025-10-06T11:00:00Z', title: 'Standup' },
+      { id: 'e2', startTime: '2025-10-06T13:00:00Z', endTime: '2025-10-06T14:00:00Z', title: 'Lunch' }
+    ];
+    const preferences = { preferredTime: 'afternoon', minimumDuration: 60, timeZone: 'UTC' };
+
+    test('should give the best slot to the most pressing task', () => {
+      const tasks = [
+        task('later', { priority: 'low', dueDate: '2025-10-30' }),
+        task('pressing', { priority: 'urgent', dueDate: '2025-10-06', estimatedMinutes: 90 }),
+        task('done', { priority: 'urgent', dueDate: '2025-10-01', completed: true })
+      ];
+
+      const plan = planTaskFocus(events, tasks, preferences, { maxSlots: 2 });
+      const bestSlot = plan.slots.find(slot => slot.rank === 1);
+
+      expect(plan.slots).toHaveLength(2);
+      expect(bestSlot.task.id).toBe('pressing');
+      expect(bestSlot.taskReasoning).toContain('due today');
+      expect(plan.slots.some(slot => slot.task && slot.task.id === 'done')).toBe(false);
+      expect(plan.unassignedTasks).toEqual([]);
+    });
+
+    test('should return slots in chronological order with each task used once', () => {
+      const tasks = [task('a'), task('b'), task('c'), task('d')];
+
+      const plan = planTaskFocus(events, tasks, preferences, { maxSlots: 3 });
+      const starts = plan.slots.map(slot => new Date(slot.startTime).getTime());
+      const taskIds = plan.slots.map(slot => slot.task.id);
+
+      expect(starts).toEqual([...starts].sort((a, b) => a - b));
+      expect(new Set(taskIds).size).toBe(taskIds.length);
+      expect(plan.unassignedTasks).toHaveLength(tasks.length - plan.slots.length);
+    });
+
+    test('should leave slots empty when there are no tasks', () => {
+      const plan = planTaskFocus(events, [], preferences, { maxSlots: 1 });
+
+      expect(plan.slots[0].task).toBeNull();
+    });
+  });
+});
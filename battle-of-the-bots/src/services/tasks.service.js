@@ -0,0 +1,267 @@
+/**
+ * Tasks Service
+ * Aggregates normalized tasks from every connected task provider and
+ * writes focus progress (completion, logged time) back to them
+ */
+
+const { PROVIDERS, getProvider, getProviderSettings } = require('../integrations/task-providers');
+const { PRIORITY_LEVELS } = require('../integrations/task-providers/task-model');
+const { formatDateKey } = require('../utils/date-utils');
+const { createRecordStore } = require('../utils/record-store');
+const tokenManager = require('../utils/token-manager');
+
+// Users' task provider connections (API tokens encrypted), keyed by '<userId>:<provider>'
+const connectionStore = createRecordStore('task-connections');
+
+// API tokens are encrypted with the token key, so they rotate with it
+tokenManager.registerEncryptedStore('task-connections', connectionStore, { id: 'id', secret: 'apiToken' });
+
+// Account settings each provider needs besides the API token
+const ACCOUNT_FIELDS = {
+  asana: ['workspaceId'],
+  notion: ['databaseId'],
+  todoist: []
+};
+
+/**
+ * Creates a task provider error with a code the routes map to a status
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error with code
+ */
+function taskProviderError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Gets a user's settings for a provider: the server's API settings plus the
+ * user's own credentials
+ * @param {string} userId - User identifier
+ * @param {string} name - Provider key
+ * @returns {Object} Provider settings (baseUrl, apiToken, account ids)
+ */
+function getUserProviderSettings(userId, name) {
+  const record = connectionStore.get(`${userId}:${name}`);
+  if (!record) {
+    return getProviderSettings(name);
+  }
+
+  const account = Object.fromEntries(ACCOUNT_FIELDS[name].map(field => [field, record[field]]));
+  return {
+    ...getProviderSettings(name),
+    ...account,
+    apiToken: tokenManager.decryptToken(record.apiToken)
+  };
+}
+
+/**
+ * Lists a user's task providers and whether each is connected, without credentials
+ * @param {string} userId - User identifier
+ * @returns {Array<Object>} Array<{name, connected, connectedAt, workspaceId?, databaseId?}>
+ */
+function listTaskConnections(userId) {
+  return Object.keys(PROVIDERS).map(name => {
+    const record = connectionStore.get(`${userId}:${name}`);
+
+    return {
+      name,
+      connected: Boolean(record),
+      connectedAt: record ? record.connectedAt : null,
+      ...Object.fromEntries(ACCOUNT_FIELDS[name].map(field => [field, record ? record[field] : null]))
+    };
+  });
+}
+
+/**
+ * Connects one of a user's task provider accounts
+ * The credentials are checked by reading the user's tasks before they are saved.
+ * @param {string} userId - User identifier
+ * @param {string} name - Provider key
+ * @param {Object} credentials - Account credentials
+ * @param {string} credentials.apiToken - Personal API token (Notion: integration secret)
+ * @param {string} [credentials.workspaceId] - Asana workspace GID
+ * @param {string} [credentials.databaseId] - Notion task database ID
+ * @returns {Promise<Object>} Connection (see listTaskConnections)
+ * @throws {Error} TASK_AUTH_FAILED if the provider rejects the credentials,
+ *   TASK_PROVIDER_REQUEST_FAILED if it cannot be reached
+ */
+async function connectTaskProvider(userId, name, credentials) {
+  const account = Object.fromEntries(ACCOUNT_FIELDS[name].map(field => [field, credentials[field]]));
+  const settings = { ...getProviderSettings(name), ...account, apiToken: credentials.apiToken };
+
+  try {
+    await PROVIDERS[name].fetchTasks(settings);
+  } catch (error) {
+    const status = error.response && error.response.status;
+    if (status === 401 || status === 403 || status === 404) {
+      throw taskProviderError(`${name} rejected the API token or account ID`, 'TASK_AUTH_FAILED');
+    }
+    throw taskProviderError(`Could not reach ${name}: ${error.message}`, 'TASK_PROVIDER_REQUEST_FAILED');
+  }
+
+  connectionStore.set(`${userId}:${name}`, {
+    id: `${userId}:${name}`,
+    userId,
+    provider: name,
+    ...account,
+    apiToken: tokenManager.encryptToken(credentials.apiToken),
+    connectedAt: new Date().toISOString()
+  });
+
+  return listTaskConnections(userId).find(connection => connection.name === name);
+}
+
+/**
+ * Disconnects one of a user's task provider accounts
+ * @param {string} userId - User identifier
+ * @param {string} name - Provider key
+ * @returns {boolean} True if the provider was connected
+ */
+function disconnectTaskProvider(userId, name) {
+  return connectionStore.delete(`${userId}:${name}`);
+}
+
+/**
+ * Orders tasks by due date (undated last), then by priority (highest first)
+ * @param {Object} a - Normalized task
+ * @param {Object} b - Normalized task
+ * @returns {number} Sort order
+ */
+function compareTasks(a, b) {
+  if (a.dueDate !== b.dueDate) {
+    if (!a.dueDate) return 1;
+    if (!b.dueDate) return -1;
+    // Date-only and date-time values compare correctly on their day prefix
+    const byDay = a.dueDate.slice(0, 10).localeCompare(b.dueDate.slice(0, 10));
+    if (byDay !== 0) return byDay;
+  }
+
+  return PRIORITY_LEVELS.indexOf(b.priority) - PRIORITY_LEVELS.indexOf(a.priority);
+}
+
+/**
+ * Fetches a user's tasks from every provider they connected
+ * A failing provider is reported in the provider list instead of failing the whole request.
+ * @param {string} userId - User identifier
+ * @param {Object} [options] - Aggregation options
+ * @param {Array<string>} [options.providers] - Limit to these providers (default: all)
+ * @param {boolean} [options.includeCompleted] - Keep completed tasks (default false)
+ * @returns {Promise<Object>} { tasks, providers: Array<{name, status, taskCount, error}> }
+ */
+async function getTasks(userId, options = {}) {
+  const names = Object.keys(PROVIDERS)
+    .filter(name => !options.providers || options.providers.includes(name));
+
+  const results = await Promise.all(names.map(async name => {
+    const provider = PROVIDERS[name];
+    const settings = getUserProviderSettings(userId, name);
+
+    if (!provider.isConnected(settings)) {
+      return { name, status: 'disconnected', tasks: [] };
+    }
+
+    try {
+      return { name, status: 'ok', tasks: await provider.fetchTasks(settings) };
+    } catch (error) {
+      console.warn(`Task provider ${name} failed:`, error.message);
+      return { name, status: 'error', tasks: [], error: error.message };
+    }
+  }));
+
+  const tasks = results
+    .flatMap(result => result.tasks)
+    .filter(task => options.includeCompleted || !task.completed)
+    .sort(compareTasks);
+
+  return {
+    tasks,
+    providers: results.map(result => ({
+      name: result.name,
+      status: result.status,
+      taskCount: result.tasks.length,
+      ...(result.error ? { error: result.error } : {})
+    }))
+  };
+}
+
+/**
+ * Resolves a normalized task ID to its provider
+ * @param {string} userId - User identifier
+ * @param {string} taskId - Task ID ('<provider>:<externalId>')
+ * @returns {Object|null} { provider, externalId, connected }, or null if the provider is unknown
+ */
+function resolveTask(userId, taskId) {
+  const separator = taskId.indexOf(':');
+  if (separator <= 0) return null;
+
+  const name = taskId.slice(0, separator);
+  const provider = getProvider(name);
+  const externalId = taskId.slice(separator + 1);
+  if (!provider || !externalId) return null;
+
+  return {
+    provider: name,
+    externalId,
+    connected: provider.isConnected(getUserProviderSettings(userId, name))
+  };
+}
+
+/**
+ * Marks a task done in its provider
+ * @param {string} userId - User identifier
+ * @param {string} taskId - Task ID ('<provider>:<externalId>')
+ * @returns {Promise<Object>} { taskId, provider, completed: true }
+ */
+async function completeTask(userId, taskId) {
+  const { provider, externalId } = resolveTask(userId, taskId);
+
+  await getProvider(provider).completeTask(getUserProviderSettings(userId, provider), externalId);
+
+  return { taskId, provider, completed: true };
+}
+
+/**
+ * Logs focus time against a task in its provider
+ * @param {string} userId - User identifier
+ * @param {string} taskId - Task ID ('<provider>:<externalId>')
+ * @param {Object} entry - Time entry
+ * @param {number} entry.minutes - Minutes focused
+ * @param {string} [entry.note] - Optional note
+ * @param {string} [entry.date] - Day worked (YYYY-MM-DD, default today)
+ * @returns {Promise<Object>} { taskId, provider, loggedMinutes, date }
+ */
+async function logTaskTime(userId, taskId, entry) {
+  const { provider, externalId } = resolveTask(userId, taskId);
+  const timeEntry = {
+    minutes: entry.minutes,
+    note: entry.note || null,
+    date: entry.date || formatDateKey(new Date())
+  };
+
+  await getProvider(provider).logTime(getUserProviderSettings(userId, provider), externalId, timeEntry);
+
+  return { taskId, provider, loggedMinutes: timeEntry.minutes, date: timeEntry.date };
+}
+
+/**
+ * Clears all task provider connections (for testing)
+ * @returns {void}
+ */
+function clearAllTaskConnections() {
+  connectionStore.clear();
+}
+
+module.exports = {
+  listTaskConnections,
+  connectTaskProvider,
+  disconnectTaskProvider,
+  getTasks,
+  resolveTask,
+  completeTask,
+  logTaskTime,
+  clearAllTaskConnections,
+  // Export for testing
+  compareTasks
+};
@@ -0,0 +1,270 @@
+/**
+ * Unit tests for Tasks Service and the task providers
+ * Providers talk to the local fake server over real HTTP.
+ */
+
+const config = require('../utils/config');
+const tokenManager = require('../utils/token-manager');
+const {
+  listTaskConnections,
+  connectTaskProvider,
+  disconnectTaskProvider,
+  clearAllTaskConnections,
+  getTasks,
+  compareTasks,
+  resolveTask,
+  completeTask,
+  logTaskTime
+} = require('./tasks.service');
+const { createFakeTaskProviderServer } = require('../integrations/task-providers/fake-server');
+const todoist = require('../integrations/task-providers/todoist');
+const asana = require('../integrations/task-providers/asana');
+const notion = require('../integrations/task-providers/notion');
+
+describe('Tasks Service', () => {
+  let server;
+  let fakeApp;
+  const originalSettings = JSON.parse(JSON.stringify(config.taskProviders));
+
+  // Credentials as the provider modules receive them
+  const settings = {};
+
+  beforeAll(done => {
+    fakeApp = createFakeTaskProviderServer();
+    server = fakeApp.listen(0, '127.0.0.1', () => {
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+      config.taskProviders.todoist.baseUrl = `${baseUrl}/todoist`;
+      config.taskProviders.asana.baseUrl = `${baseUrl}/asana`;
+      config.taskProviders.notion.baseUrl = `${baseUrl}/notion`;
+      settings.todoist = { apiToken: 'todoist-token', baseUrl: `${baseUrl}/todoist` };
+      settings.asana = { apiToken: 'asana-token', workspaceId: 'w1', baseUrl: `${baseUrl}/asana` };
+      settings.notion = { apiToken: 'notion-token', databaseId: 'db1', baseUrl: `${baseUrl}/notion` };
+      done();
+    });
+  });
+
+  beforeEach(async () => {
+    clearAllTaskConnections();
+    await connectTaskProvider('user-1', 'todoist', { apiToken: 'todoist-token' });
+    await connectTaskProvider('user-1', 'asana', { apiToken: 'asana-token', workspaceId: 'w1' });
+    await connectTaskProvider('user-1', 'notion', { apiToken: 'notion-token', databaseId: 'db1' });
+  });
+
+  afterAll(done => {
+    clearAllTaskConnections();
+    Object.assign(config.taskProviders, originalSettings);
+    server.close(done);
+  });
+
+  describe('task provider connections', () => {
+    test('should list connections without their tokens', () => {
+      expect(listTaskConnections('user-1')).toEqual([
+        { name: 'asana', connected: true, connectedAt: expect.any(String), workspaceId: 'w1' },
+        { name: 'notion', connected: true, connectedAt: expect.any(String), databaseId: 'db1' },
+        { name: 'todoist', connected: true, connectedAt: expect.any(String) }
+      ]);
+      expect(listTaskConnections('user-2').every(connection => !connection.connected)).toBe(true);
+    });
+
+    test('should reject credentials the provider does not accept', async () => {
+      await expect(connectTaskProvider('user-2', 'todoist', { apiToken: '' }))
+        .rejects.toMatchObject({ code: 'TASK_AUTH_FAILED' });
+      expect(listTaskConnections('user-2').find(connection => connection.name === 'todoist').connected).toBe(false);
+    });
+
+    test('should keep each user\'s tasks to their own accounts', async () => {
+      const { tasks, providers } = await getTasks('user-2');
+
+      expect(tasks).toEqual([]);
+      expect(providers.map(provider => provider.status)).toEqual(['disconnected', 'disconnected', 'disconnected']);
+      expect(resolveTask('user-2', 'todoist:101').connected).toBe(false);
+    });
+
+    test('should disconnect a provider', async () => {
+      expect(disconnectTaskProvider('user-1', 'todoist')).toBe(true);
+      expect(disconnectTaskProvider('user-1', 'todoist')).toBe(false);
+
+      const { providers } = await getTasks('user-1', { providers: ['todoist'] });
+      expect(providers[0].status).toBe('disconnected');
+    });
+
+    test('should re-encrypt stored tokens when the encryption key rotates', async () => {
+      const originalSecurity = { ...config.security };
+
+      try {
+        config.security.previousEncryptionKeys = [config.security.encryptionKey];
+        config.security.encryptionKey = 'next-key';
+        expect(tokenManager.rotateEncryptionKey()).toEqual({ rotated: 3, failed: [] });
+
+        // The old key is no longer needed
+        config.security.previousEncryptionKeys = [];
+        expect((await getTasks('user-1')).providers.map(provider => provider.status)).toEqual(['ok', 'ok', 'ok']);
+      } finally {
+        Object.assign(config.security, originalSecurity);
+      }
+    });
+  });
+
+  describe('provider normalization', () => {
+    test('should normalize Todoist tasks', async () => {
+      const tasks = await todoist.fetchTasks(settings.todoist);
+      const presentation = tasks.find(task => task.externalId === '101');
+
+      expect(presentation).toEqual({
+        id: 'todoist:101',
+        provider: 'todoist',
+        externalId: '101',
+        title: 'Finalize presentation',
+        dueDate: '2025-10-05',
+        priority: 'urgent',
+        project: 'Product Launch',
+        labels: ['work', 'urgent'],
+        estimatedMinutes: 90,
+        completed: false,
+        url: 'https://todoist.com/showTask?id=101'
+      });
+      expect(tasks.find(task => task.externalId === '102').dueDate).toBe('2025-10-04T14:00:00Z');
+      expect(tasks.find(task => task.externalId === '103').estimatedMinutes).toBeNull();
+    });
+
+    test('should normalize Asana tasks and their custom fields', async () => {
+      const tasks = await asana.fetchTasks(settings.asana);
+      const mockups = tasks.find(task => task.externalId === 'a1');
+
+      expect(mockups.priority).toBe('high');
+      expect(mockups.estimatedMinutes).toBe(120);
+      expect(mockups.project).toBe('Product Launch');
+      expect(mockups.labels).toEqual(['design', 'ui']);
+      expect(tasks.find(task => task.externalId === 'a2').dueDate).toBe('2025-10-03T09:00:00.000Z');
+      expect(tasks.find(task => task.externalId === 'a3').priority).toBeNull();
+    });
+
+    test('should normalize Notion database pages', async () => {
+      const tasks = await notion.fetchTasks(settings.notion);
+
+      expect(tasks[0]).toMatchObject({
+        id: 'notion:notion-1',
+        title: 'Review Q4 roadmap',
+        dueDate: '2025-10-15',
+        priority: 'high',
+        project: 'Product Planning',
+        labels: ['planning'],
+        estimatedMinutes: 60,
+        completed: false
+      });
+      expect(tasks[1].title).toBe('Update documentation');
+      expect(tasks[2].completed).toBe(true);
+    });
+
+    test('should read a Notion checkbox as completion', () => {
+      const task = notion.normalizeTask({
+        id: 'p1',
+        properties: {
+          Task: { type: 'title', title: [{ plain_text: 'Ship it' }] },
+          Done: { type: 'checkbox', checkbox: true }
+        }
+      });
+
+      expect(task.title).toBe('Ship it');
+      expect(task.completed).toBe(true);
+      expect(task.labels).toEqual([]);
+    });
+  });
+
+  describe('getTasks', () => {
+    test('should merge open tasks from all providers, sorted by due date', async () => {
+      const { tasks, providers } = await getTasks('user-1');
+
+      expect(providers.map(provider => provider.status)).toEqual(['ok', 'ok', 'ok']);
+      expect(tasks.some(task => task.completed)).toBe(false);
+      expect(new Set(tasks.map(task => task.provider))).toEqual(new Set(['asana', 'notion', 'todoist']));
+      expect(tasks[0].id).toBe('asana:a2');
+      expect(tasks[tasks.length - 1].dueDate).toBeNull();
+    });
+
+    test('should filter by provider and optionally keep completed tasks', async () => {
+      const { tasks, providers } = await getTasks('user-1', { providers: ['notion'], includeCompleted: true });
+
+      expect(providers).toHaveLength(1);
+      expect(tasks).toHaveLength(3);
+    });
+
+    test('should report disconnected and failing providers without failing', async () => {
+      const savedUrl = config.taskProviders.asana.baseUrl;
+      disconnectTaskProvider('user-1', 'todoist');
+      config.taskProviders.asana.baseUrl = `${savedUrl}/missing`;
+
+      try {
+        const { tasks, providers } = await getTasks('user-1');
+        const byName = Object.fromEntries(providers.map(provider => [provider.name, provider]));
+
+        expect(byName.todoist.status).toBe('disconnected');
+        expect(byName.asana.status).toBe('error');
+        expect(byName.notion.status).toBe('ok');
+        expect(tasks.every(task => task.provider === 'notion')).toBe(true);
+      } finally {
+        config.taskProviders.asana.baseUrl = savedUrl;
+      }
+    });
+  });
+
+  describe('compareTasks', () => {
+    test('should break due-date ties by priority', () => {
+      const low = { dueDate: '2025-10-05', priority: 'low' };
+      const urgent = { dueDate: '2025-10-05T10:00:00Z', priority: 'urgent' };
+      const none = { dueDate: '2025-10-05', priority: null };
+
+      expect([low, none, urgent].sort(compareTasks)).toEqual([urgent, low, none]);
+    });
+  });
+
+  describe('task write-back', () => {
+    test('should resolve task IDs to their provider', () => {
+      expect(resolveTask('user-1', 'todoist:101')).toEqual({ provider: 'todoist', externalId: '101', connected: true });
+      expect(resolveTask('user-1', 'notion:abc:def').externalId).toBe('abc:def');
+      expect(resolveTask('user-1', 'jira:1')).toBeNull();
+      expect(resolveTask('user-1', '101')).toBeNull();
+    });
+
+    test('should close a Todoist task and log time as a comment', async () => {
+      await completeTask('user-1', 'todoist:101');
+      const result = await logTaskTime('user-1', 'todoist:102', { minutes: 25, note: 'First pass', date: '2025-10-06' });
+
+      expect(fakeApp.fixtures.todoist.tasks.find(task => task.id === '101').is_completed).toBe(true);
+      expect(result).toEqual({ taskId: 'todoist:102', provider: 'todoist', loggedMinutes: 25, date: '2025-10-06' });
+      expect(fakeApp.fixtures.todoist.comments[0]).toMatchObject({
+        task_id: '102',
+        content: 'Focused for 25 minutes on 2025-10-06 (logged by AuraFlow): First pass'
+      });
+    });
+
+    test('should complete an Asana task and add a time tracking entry', async () => {
+      await completeTask('user-1', 'asana:a1');
+      await logTaskTime('user-1', 'asana:a3', { minutes: 50, date: '2025-10-06' });
+
+      expect(fakeApp.fixtures.asana.tasks.find(task => task.gid === 'a1').completed).toBe(true);
+      expect(fakeApp.fixtures.asana.timeTrackingEntries).toEqual([
+        expect.objectContaining({ task: 'a3', duration_minutes: 50, entered_on: '2025-10-06' })
+      ]);
+      // Without a note there is nothing to comment
+      expect(fakeApp.fixtures.asana.stories).toEqual([]);
+    });
+
+    test('should set the Notion status and add minutes to a time column', async () => {
+      await completeTask('user-1', 'notion:notion-2');
+      await logTaskTime('user-1', 'notion:notion-1', { minutes: 30, date: '2025-10-06' });
+      await logTaskTime('user-1', 'notion:notion-2', { minutes: 20, date: '2025-10-06' });
+
+      const [first, second] = fakeApp.fixtures.notion.pages;
+      expect(second.properties.Status.status.name).toBe('Done');
+      expect(first.properties['Time spent'].number).toBe(45);
+      // No time column on this page, so the entry becomes a comment
+      expect(fakeApp.fixtures.notion.comments).toHaveLength(1);
+      expect(fakeApp.fixtures.notion.comments[0].parent.page_id).toBe('notion-2');
+    });
+
+    test('should surface provider errors for unknown tasks', async () => {
+      await expect(completeTask('user-1', 'todoist:999')).rejects.toMatchObject({ response: { status: 404 } });
+    });
+  });
+});
@@ -48,6 +48,8 @@ const config = {
     clientId: process.env.GOOGLE_CLIENT_ID,
     clientSecret: process.env.GOOGLE_CLIENT_SECRET,
     redirectUri: process.env.GOOGLE_REDIRECT_URI,
+    // Public HTTPS URL of POST /api/webhooks/google-calendar (push notifications are off without it)
+    webhookUrl: process.env.GOOGLE_WEBHOOK_URL,
     scopes: [
       'https://www.googleapis.com/auth/calendar.readonly',
       'https://www.googleapis.com/auth/calendar.events'
@@ -57,14 +59,92 @@ const config = {
   // Security configuration
   security: {
     sessionSecret: process.env.SESSION_SECRET,
-    encryptionKey: process.env.ENCRYPTION_KEY
+    encryptionKey: process.env.ENCRYPTION_KEY,
+    // Old keys still accepted for decryption while stored tokens are rotated
+    previousEncryptionKeys: (process.env.ENCRYPTION_KEY_PREVIOUS || '')
+      .split(',')
+      .map(key => key.trim())
+      .filter(Boolean)
+  },
+  
+  // Persistent storage configuration
+  storage: {
+    dataDir: process.env.DATA_DIR || path.join(__dirname, '../../data'),
+    persist: process.env.NODE_ENV !== 'test', // Keep tests in memory only
+    tokenAdapter: process.env.TOKEN_STORAGE || 'file' // 'file' or 'memory'
+  },
+  
+  // Task providers (each user connects their own accounts, see PUT /api/tasks/providers/:provider)
+  taskProviders: {
+    timeoutMs: 10000,
+    asana: {
+      baseUrl: process.env.ASANA_API_URL || 'https://app.asana.com/api/1.0'
+    },
+    notion: {
+      baseUrl: process.env.NOTION_API_URL || 'https://api.notion.com/v1'
+    },
+    todoist: {
+      baseUrl: process.env.TODOIST_API_URL || 'https://api.todoist.com/rest/v2'
+    }
+  },
+  
+  // Server-side calendar cache (kept current with Google's incremental sync)
+  calendarCache: {
+    enabled: process.env.NODE_ENV !== 'test' && process.env.CALENDAR_CACHE !== 'off',
+    maxAgeSeconds: parseInt(process.env.CALENDAR_CACHE_MAX_AGE_SECONDS, 10) || 60, // Served without asking Google
+    pastDays: 7, // Window of events held per calendar, relative to today
+    futureDays: 30
+  },
+  
+  // Google Calendar push-notification channels
+  calendarWatch: {
+    ttlSeconds: 7 * 24 * 60 * 60, // Requested channel lifetime (Google may shorten it)
+    renewBeforeMinutes: 24 * 60, // Channels expiring sooner than this are replaced
+    renewIntervalMinutes: 60
+  },
+  
+  // ICS calendar import (POST /api/calendar/import)
+  ics: {
+    maxBytes: 2 * 1024 * 1024, // Largest calendar file or feed accepted
+    timeoutMs: 10000, // Per subscription-URL download
+    windowDays: 30 // Default import range, from the start date
+  },
+  
+  // CalDAV calendar provider (iCloud, Fastmail, Nextcloud, ...)
+  caldav: {
+    timeoutMs: 10000,
+    maxBytes: 5 * 1024 * 1024, // Largest response accepted from a server
+    // Self-hosted servers on the local network are refused unless this is set
+    allowPrivateHosts: process.env.CALDAV_ALLOW_PRIVATE_HOSTS === 'true'
+  },
+  
+  // Live update stream (GET /api/live/stream)
+  live: {
+    heartbeatSeconds: 25, // Keeps proxies from closing idle streams
+    replayLimit: 50, // Recent updates kept per user for reconnecting clients
+    retryMs: 5000 // Reconnect delay suggested to EventSource clients
+  },
+  
+  // Protected focus-block rules
+  focusDefense: {
+    horizonDays: 7, // Days ahead kept booked
+    syncIntervalMinutes: parseInt(process.env.FOCUS_DEFENSE_SYNC_MINUTES, 10) || 30
   },
   
   // Application defaults
   defaults: {
     minimumFocusDuration: 75, // minutes
     bufferTime: 15, // minutes
-    maxEventsPerDay: 50
+    maxEventsPerDay: 50,
+    focusEvent: {
+      title: 'Focus Time',
+      colorId: '9', // Blueberry
+      transparency: 'opaque', // Show as busy
+      reminderMinutes: 5,
+      // Google focus-time behavior for busy blocks
+      autoDeclineMode: 'declineOnlyNewConflictingInvitations',
+      chatStatus: 'doNotDisturb'
+    }
   },
   
   // Validate configuration on load
@@ -45,13 +45,175 @@ function addMinutes(date, minutes) {
   return new Date(baseDate.getTime() + minutes * 60 * 1000);
 }
 
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Intl formatters are expensive to build, so keep one per time zone
+const zonedFormatters = new Map();
+
+/**
+ * Checks whether a string is a valid IANA time zone name
+ * @param {string} timeZone - Time zone name (e.g. 'America/New_York')
+ * @returns {boolean} True if the time zone is supported
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone.length === 0) {
+    return false;
+  }
+  
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Gets the wall-clock parts of a date in a time zone
+ * Falls back to server-local time when no time zone is given
+ * @param {string|Date} date - Date to split
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {Object} year, month (1-12), day, hour, minute, second and weekday (0 = Sunday)
+ */
+function getZonedParts(date, timeZone) {
+  const dateObj = typeof date === 'string' ? parseISODate(date) : date;
+  
+  if (!timeZone) {
+    return {
+      year: dateObj.getFullYear(),
+      month: dateObj.getMonth() + 1,
+      day: dateObj.getDate(),
+      hour: dateObj.getHours(),
+      minute: dateObj.getMinutes(),
+      second: dateObj.getSeconds(),
+      weekday: dateObj.getDay()
+    };
+  }
+  
+  if (!zonedFormatters.has(timeZone)) {
+    zonedFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  
+  const parts = {};
+  for (const part of zonedFormatters.get(timeZone).formatToParts(dateObj)) {
+    parts[part.type] = part.value;
+  }
+  
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAY_INDEX[parts.weekday]
+  };
+}
+
+/**
+ * Gets a time zone's UTC offset at a given instant
+ * @param {Date} date - Instant to evaluate
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in minutes (e.g. -240 for EDT)
+ */
+function getTimeZoneOffset(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const wallClockAsUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const instant = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((wallClockAsUTC - instant) / (60 * 1000));
+}
+
+/**
+ * Converts a wall-clock time in a time zone to a Date
+ * Falls back to server-local time when no time zone is given
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month (overflow rolls into the next month)
+ * @param {number} hour - Hour (0-24)
+ * @param {number} minute - Minute
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {Date} Instant for that wall-clock time
+ */
+function zonedTimeToDate(year, month, day, hour, minute, timeZone) {
+  if (!timeZone) {
+    return new Date(year, month - 1, day, hour, minute, 0, 0);
+  }
+  
+  const wallClockAsUTC = Date.UTC(year, month - 1, day, hour, minute);
+  const firstOffset = getTimeZoneOffset(new Date(wallClockAsUTC), timeZone);
+  const candidate = wallClockAsUTC - firstOffset * 60 * 1000;
+  
+  // Re-check once in case the guess crossed a DST transition
+  const secondOffset = getTimeZoneOffset(new Date(candidate), timeZone);
+  return new Date(wallClockAsUTC - secondOffset * 60 * 1000);
+}
+
+/**
+ * Gets the calendar date of an instant in a time zone
+ * @param {string|Date} date - Instant
+ * @param {string} [timeZone] - IANA time zone (default: server-local)
+ * @returns {Object} year, month (1-12), day and weekday (0 = Sunday)
+ */
+function getCalendarDate(date, timeZone) {
+  const { year, month, day, weekday } = getZonedParts(date, timeZone);
+  return { year, month, day, weekday };
+}
+
+/**
+ * Moves a calendar date by a number of days
+ * @param {Object} calendarDate - Calendar date from getCalendarDate
+ * @param {number} days - Days to add (may be negative)
+ * @returns {Object} New calendar date
+ */
+function addCalendarDays(calendarDate, days) {
+  const shifted = new Date(Date.UTC(calendarDate.year, calendarDate.month - 1, calendarDate.day + days));
+  return {
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    day: shifted.getUTCDate(),
+    weekday: shifted.getUTCDay()
+  };
+}
+
+/**
+ * Parses an 'HH:MM' wall-clock string
+ * @param {string} time - Time string such as '09:30' (24:00 allowed as end of day)
+ * @returns {Object|null} hour and minute, or null if malformed
+ */
+function parseTimeOfDay(time) {
+  const match = /^([01]\d|2[0-4]):([0-5]\d)$/.exec(time || '');
+  if (!match) return null;
+  
+  const hour = Number(match[1]);
+  const minute = Number(match[2]);
+  if (hour === 24 && minute !== 0) return null;
+  
+  return { hour, minute };
+}
+
 /**
  * Gets the hour of day from a date (0-23)
  * @param {string|Date} date - Date to extract hour from
+ * @param {string} [timeZone] - IANA time zone (default: server-local)
  * @returns {number} Hour of day (0-23)
  */
-function getHourOfDay(date) {
+function getHourOfDay(date, timeZone) {
   const dateObj = typeof date === 'string' ? parseISODate(date) : date;
+  
+  if (timeZone) {
+    return getZonedParts(dateObj, timeZone).hour;
+  }
+  
   return dateObj.getHours();
 }
 
@@ -145,10 +307,11 @@ function applyBuffer(slot, bufferMinutes) {
 /**
  * Gets time of day category for a given time
  * @param {string|Date} time - Time to categorize
+ * @param {string} [timeZone] - IANA time zone (default: server-local)
  * @returns {string} 'morning', 'afternoon', or 'evening'
  */
-function getTimeOfDay(time) {
-  const hour = getHourOfDay(time);
+function getTimeOfDay(time, timeZone) {
+  const hour = getHourOfDay(time, timeZone);
   
   if (hour >= 8 && hour < 12) return 'morning';
   if (hour >= 12 && hour < 17) return 'afternoon';
@@ -161,24 +324,37 @@ function getTimeOfDay(time) {
  * Creates a date string for start of day
  * @param {string|Date} date - Base date
  * @param {number} hour - Hour to set (default: 8)
+ * @param {string} [timeZone] - IANA time zone the hour is expressed in (default: server-local)
  * @returns {string} ISO 8601 string for start of day
  */
-function getStartOfDay(date, hour = 8) {
-  const dateObj = typeof date === 'string' ? parseISODate(date) : new Date(date);
-  dateObj.setHours(hour, 0, 0, 0);
-  return formatToISO(dateObj);
+function getStartOfDay(date, hour = 8, timeZone) {
+  const { year, month, day } = getCalendarDate(date, timeZone);
+  return formatToISO(zonedTimeToDate(year, month, day, hour, 0, timeZone));
 }
 
 /**
  * Creates a date string for end of day
  * @param {string|Date} date - Base date
  * @param {number} hour - Hour to set (default: 21)
+ * @param {string} [timeZone] - IANA time zone the hour is expressed in (default: server-local)
  * @returns {string} ISO 8601 string for end of day
  */
-function getEndOfDay(date, hour = 21) {
-  const dateObj = typeof date === 'string' ? parseISODate(date) : new Date(date);
-  dateObj.setHours(hour, 0, 0, 0);
-  return formatToISO(dateObj);
+function getEndOfDay(date, hour = 21, timeZone) {
+  const { year, month, day } = getCalendarDate(date, timeZone);
+  return formatToISO(zonedTimeToDate(year, month, day, hour, 0, timeZone));
+}
+
+/**
+ * Formats a date as a calendar day key
+ * @param {string|Date|Object} date - Date to format, or a calendar date from getCalendarDate
+ * @param {string} [timeZone] - IANA time zone (default: server-local)
+ * @returns {string} Day key in YYYY-MM-DD format
+ */
+function formatDateKey(date, timeZone) {
+  const { year, month, day } = date instanceof Date || typeof date === 'string'
+    ? getCalendarDate(date, timeZone)
+    : date;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
 }
 
 module.exports = {
@@ -193,5 +369,13 @@ module.exports = {
   applyBuffer,
   getTimeOfDay,
   getStartOfDay,
-  getEndOfDay
+  getEndOfDay,
+  formatDateKey,
+  isValidTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  zonedTimeToDate,
+  getCalendarDate,
+  addCalendarDays,
+  parseTimeOfDay
 };
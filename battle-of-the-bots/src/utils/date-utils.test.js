@@ -0,0 +1,86 @@
+/**
+ * Unit tests for time zone helpers in date-utils
+ */
+
+const {
+  isValidTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  zonedTimeToDate,
+  getCalendarDate,
+  addCalendarDays,
+  parseTimeOfDay,
+  getHourOfDay,
+  getStartOfDay,
+  getEndOfDay,
+  formatDateKey
+} = require('./date-utils');
+
+describe('Date Utils - Time Zones', () => {
+  test('should validate IANA time zone names', () => {
+    expect(isValidTimeZone('America/New_York')).toBe(true);
+    expect(isValidTimeZone('UTC')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+    expect(isValidTimeZone('')).toBe(false);
+    expect(isValidTimeZone(undefined)).toBe(false);
+  });
+
+  test('should split an instant into wall-clock parts', () => {
+    const parts = getZonedParts('2025-10-06T03:30:00Z', 'America/Los_Angeles');
+
+    expect(parts).toEqual({
+      year: 2025,
+      month: 10,
+      day: 5,
+      hour: 20,
+      minute: 30,
+      second: 0,
+      weekday: 0
+    });
+  });
+
+  test('should compute offsets across daylight saving time', () => {
+    expect(getTimeZoneOffset(new Date('2025-07-01T12:00:00Z'), 'America/New_York')).toBe(-240);
+    expect(getTimeZoneOffset(new Date('2025-12-01T12:00:00Z'), 'America/New_York')).toBe(-300);
+    expect(getTimeZoneOffset(new Date('2025-12-01T12:00:00Z'), 'Asia/Kolkata')).toBe(330);
+  });
+
+  test('should convert wall-clock times in a zone to instants', () => {
+    expect(zonedTimeToDate(2025, 10, 6, 9, 0, 'America/New_York').toISOString()).toBe('2025-10-06T13:00:00.000Z');
+    expect(zonedTimeToDate(2025, 11, 3, 9, 0, 'America/New_York').toISOString()).toBe('2025-11-03T14:00:00.000Z');
+    expect(zonedTimeToDate(2025, 10, 6, 9, 30, 'Asia/Kolkata').toISOString()).toBe('2025-10-06T04:00:00.000Z');
+  });
+
+  test('should fall back to server-local time without a zone', () => {
+    expect(zonedTimeToDate(2025, 10, 6, 9, 0).getTime()).toBe(new Date(2025, 9, 6, 9, 0).getTime());
+    expect(getHourOfDay(new Date(2025, 9, 6, 14, 0))).toBe(14);
+  });
+
+  test('should compute day boundaries in the given zone', () => {
+    // 03:00 UTC on 6 Oct is still 5 Oct in Los Angeles
+    expect(getStartOfDay('2025-10-06T03:00:00Z', 8, 'America/Los_Angeles')).toBe('2025-10-05T15:00:00.000Z');
+    expect(getEndOfDay('2025-10-06T03:00:00Z', 21, 'America/Los_Angeles')).toBe('2025-10-06T04:00:00.000Z');
+    expect(getHourOfDay('2025-10-06T03:00:00Z', 'Europe/Berlin')).toBe(5);
+  });
+
+  test('should step calendar dates across month and year ends', () => {
+    const date = getCalendarDate('2025-12-31T12:00:00Z', 'UTC');
+
+    expect(date).toEqual({ year: 2025, month: 12, day: 31, weekday: 3 });
+    expect(addCalendarDays(date, 1)).toEqual({ year: 2026, month: 1, day: 1, weekday: 4 });
+    expect(formatDateKey(addCalendarDays(date, -31))).toBe('2025-11-30');
+  });
+
+  test('should format day keys in the given zone', () => {
+    expect(formatDateKey(new Date('2025-10-06T03:00:00Z'), 'America/Los_Angeles')).toBe('2025-10-05');
+    expect(formatDateKey(new Date('2025-10-06T03:00:00Z'), 'Asia/Tokyo')).toBe('2025-10-06');
+  });
+
+  test('should parse HH:MM strings', () => {
+    expect(parseTimeOfDay('09:30')).toEqual({ hour: 9, minute: 30 });
+    expect(parseTimeOfDay('24:00')).toEqual({ hour: 24, minute: 0 });
+    expect(parseTimeOfDay('24:30')).toBeNull();
+    expect(parseTimeOfDay('9:30')).toBeNull();
+    expect(parseTimeOfDay(undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Record store
+ * Keyed record collections held in memory and persisted as JSON files
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+/**
+ * Reads a JSON collection file from disk
+ * @param {string} filePath - Absolute path to the collection file
+ * @returns {Map<string, Object>} Records keyed by id (empty if file is missing or unreadable)
+ */
+function readCollection(filePath) {
+  try {
+    if (!fs.existsSync(filePath)) {
+      return new Map();
+    }
+
+    const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return new Map(Object.entries(raw || {}));
+  } catch (error) {
+    console.warn(`Failed to read ${path.basename(filePath)}, starting empty:`, error.message);
+    return new Map();
+  }
+}
+
+/**
+ * Writes a collection to disk atomically (temp file + rename)
+ * @param {string} filePath - Absolute path to the collection file
+ * @param {Map<string, Object>} records - Records keyed by id
+ */
+function writeCollection(filePath, records) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(Object.fromEntries(records), null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Creates a named record collection
+ * @param {string} name - Collection name (used as the file name)
+ * @param {Object} [options] - Store options
+ * @param {boolean} [options.persist] - Persist to disk (default: config.storage.persist)
+ * @param {string} [options.dataDir] - Directory for collection files (default: config.storage.dataDir)
+ * @returns {Object} Store with get/set/delete/values/clear methods
+ */
+function createRecordStore(name, options = {}) {
+  const persist = options.persist !== undefined ? options.persist : config.storage.persist;
+  const dataDir = options.dataDir || config.storage.dataDir;
+  const filePath = path.join(dataDir, `${name}.json`);
+
+  const records = persist ? readCollection(filePath) : new Map();
+
+  function save() {
+    if (!persist) return;
+
+    try {
+      writeCollection(filePath, records);
+    } catch (error) {
+      console.error(`Failed to persist ${name} store:`, error.message);
+    }
+  }
+
+  return {
+    get(id) {
+      return records.get(id) || null;
+    },
+
+    set(id, record) {
+      records.set(id, record);
+      save();
+      return record;
+    },
+
+    delete(id) {
+      const removed = records.delete(id);
+      if (removed) save();
+      return removed;
+    },
+
+    values() {
+      return Array.from(records.values());
+    },
+
+    clear() {
+      records.clear();
+      save();
+    }
+  };
+}
+
+module.exports = {
+  createRecordStore
+};
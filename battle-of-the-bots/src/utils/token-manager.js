@@ -1,25 +1,114 @@
 /**
  * Token encryption and storage manager
- * Provides secure token storage using bcrypt encryption
+ * Keeps OAuth tokens encrypted at rest (AES-256-GCM) in a pluggable storage adapter
  */
 
-const bcrypt = require('bcrypt');
+const crypto = require('crypto');
 const config = require('./config');
+const { createTokenStorage } = require('./token-storage');
 
-// In-memory token storage (replace with database in production)
-const tokenStore = new Map();
+const CIPHER = 'aes-256-gcm';
+const IV_BYTES = 12;
+
+// Encrypted payload format version (prefix of every ciphertext)
+const PAYLOAD_VERSION = 'v1';
+
+let tokenStore = createTokenStorage();
+
+// Other stores whose records hold encryptToken payloads (see registerEncryptedStore)
+const encryptedStores = [];
+
+/**
+ * Derives a 256-bit cipher key and a short public key ID from a secret
+ * The key ID is stored with each ciphertext so the right key can be found after rotation.
+ * @param {string} secret - Encryption secret
+ * @returns {Object} { id, key }
+ */
+function deriveKey(secret) {
+  return {
+    id: crypto.createHash('sha256').update(`key-id:${secret}`).digest('hex').slice(0, 8),
+    key: crypto.createHash('sha256').update(secret).digest()
+  };
+}
+
+/**
+ * Gets the current key and any previous keys still accepted for decryption
+ * @returns {Object} { current, all: Array<{id, key}> }
+ */
+function getKeys() {
+  const { encryptionKey, previousEncryptionKeys = [] } = config.security;
+  if (!encryptionKey) {
+    throw new Error('ENCRYPTION_KEY is required to store tokens');
+  }
+
+  const current = deriveKey(encryptionKey);
+  return {
+    current,
+    all: [current, ...previousEncryptionKeys.map(deriveKey)]
+  };
+}
 
 /**
- * Encrypts a token string
+ * Encrypts a token string with the current key
  * @param {string} token - Plain text token
- * @returns {Promise<string>} Encrypted token
+ * @returns {string} Ciphertext ('v1:<keyId>:<iv>:<authTag>:<data>', base64 parts)
+ */
+function encryptToken(token) {
+  const { current } = getKeys();
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(CIPHER, current.key, iv);
+  const data = Buffer.concat([cipher.update(String(token), 'utf8'), cipher.final()]);
+
+  return [
+    PAYLOAD_VERSION,
+    current.id,
+    iv.toString('base64'),
+    cipher.getAuthTag().toString('base64'),
+    data.toString('base64')
+  ].join(':');
+}
+
+/**
+ * Decrypts a token encrypted by encryptToken, using the current or a previous key
+ * @param {string} payload - Ciphertext
+ * @returns {string} Plain text token
+ * @throws {Error} If the payload is malformed, tampered with, or its key is unknown
+ */
+function decryptToken(payload) {
+  const [version, keyId, iv, authTag, data] = String(payload).split(':');
+  if (version !== PAYLOAD_VERSION || !data) {
+    throw new Error('Unrecognized token payload');
+  }
+
+  const match = getKeys().all.find(candidate => candidate.id === keyId);
+  if (!match) {
+    throw new Error(`No encryption key available for key ID ${keyId}`);
+  }
+
+  const decipher = crypto.createDecipheriv(CIPHER, match.key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Gets the key ID a payload was encrypted with
+ * @param {string} payload - Ciphertext
+ * @returns {string} Key ID
  */
-async function encryptToken(token) {
-  const saltRounds = 10;
-  // For token storage, we'll use a simple encryption approach
-  // In production, consider using crypto.createCipher instead
-  const encrypted = await bcrypt.hash(token + config.security.encryptionKey, saltRounds);
-  return encrypted;
+function getPayloadKeyId(payload) {
+  return String(payload).split(':')[1];
+}
+
+/**
+ * Encrypts and saves a user's token record
+ * @param {string} userId - User identifier
+ * @param {Object} tokens - Plain token record
+ */
+function writeTokens(userId, tokens) {
+  tokenStore.set(userId, {
+    payload: encryptToken(JSON.stringify(tokens)),
+    updatedAt: new Date().toISOString()
+  });
 }
 
 /**
@@ -31,10 +120,8 @@ async function encryptToken(token) {
  */
 async function storeTokens(userId, tokens, expiresIn = 3600) {
   const expiresAt = Date.now() + (expiresIn * 1000);
-  
-  // Store tokens in plain text for MVP (encryption adds complexity for retrieval)
-  // In production, use proper encryption with retrievable keys
-  tokenStore.set(userId, {
+
+  writeTokens(userId, {
     accessToken: tokens.access_token || tokens.accessToken,
     refreshToken: tokens.refresh_token || tokens.refreshToken,
     expiresAt,
@@ -45,11 +132,27 @@ async function storeTokens(userId, tokens, expiresIn = 3600) {
 
 /**
  * Retrieves tokens for a user
+ * Records encrypted with a previous key are re-encrypted with the current key on read.
  * @param {string} userId - User identifier
- * @returns {Object|null} Token object or null if not found
+ * @returns {Object|null} Token object or null if not found or unreadable
  */
 function getTokens(userId) {
-  return tokenStore.get(userId) || null;
+  const record = tokenStore.get(userId);
+  if (!record) return null;
+
+  let tokens;
+  try {
+    tokens = JSON.parse(decryptToken(record.payload));
+  } catch (error) {
+    console.warn(`Stored tokens for ${userId} could not be decrypted:`, error.message);
+    return null;
+  }
+
+  if (getPayloadKeyId(record.payload) !== getKeys().current.id) {
+    writeTokens(userId, tokens);
+  }
+
+  return tokens;
 }
 
 /**
@@ -60,7 +163,7 @@ function getTokens(userId) {
 function isTokenExpired(userId) {
   const tokens = getTokens(userId);
   if (!tokens) return true;
-  
+
   return Date.now() >= tokens.expiresAt;
 }
 
@@ -76,10 +179,63 @@ function updateAccessToken(userId, newAccessToken, expiresIn = 3600) {
   if (!tokens) {
     throw new Error('No tokens found for user');
   }
-  
+
   tokens.accessToken = newAccessToken;
   tokens.expiresAt = Date.now() + (expiresIn * 1000);
-  tokenStore.set(userId, tokens);
+  writeTokens(userId, tokens);
+}
+
+/**
+ * Registers another record store holding encryptToken payloads so key rotation covers it
+ * @param {string} name - Store name (prefixes its record IDs in rotation failures)
+ * @param {Object} store - Record store with values/set (see record-store.js)
+ * @param {Object} fields - Record field names
+ * @param {string} fields.id - Field holding the record ID
+ * @param {string} fields.secret - Field holding the encrypted payload
+ * @returns {void}
+ */
+function registerEncryptedStore(name, store, fields) {
+  encryptedStores.push({ name, store, fields });
+}
+
+/**
+ * Re-encrypts every stored token record and registered secret with the current key
+ * Run after moving the old key to ENCRYPTION_KEY_PREVIOUS; once it reports no
+ * failures the old key can be dropped.
+ * @returns {Object} { rotated: number, failed: Array<string> (user IDs, or '<store>:<id>' for
+ *   registered stores, that could not be decrypted) }
+ */
+function rotateEncryptionKey() {
+  const currentId = getKeys().current.id;
+  const result = { rotated: 0, failed: [] };
+
+  for (const userId of tokenStore.keys()) {
+    const record = tokenStore.get(userId);
+    if (getPayloadKeyId(record.payload) === currentId) continue;
+
+    try {
+      writeTokens(userId, JSON.parse(decryptToken(record.payload)));
+      result.rotated++;
+    } catch (error) {
+      result.failed.push(userId);
+    }
+  }
+
+  for (const { name, store, fields } of encryptedStores) {
+    for (const record of store.values()) {
+      const payload = record[fields.secret];
+      if (!payload || getPayloadKeyId(payload) === currentId) continue;
+
+      try {
+        store.set(record[fields.id], { ...record, [fields.secret]: encryptToken(decryptToken(payload)) });
+        result.rotated++;
+      } catch (error) {
+        result.failed.push(`${name}:${record[fields.id]}`);
+      }
+    }
+  }
+
+  return result;
 }
 
 /**
@@ -113,17 +269,30 @@ function clearAllTokens() {
  * @returns {Array<string>} Array of user IDs
  */
 function getAllUserIds() {
-  return Array.from(tokenStore.keys());
+  return tokenStore.keys();
+}
+
+/**
+ * Replaces the storage adapter (see token-storage.js for the interface)
+ * @param {Object} adapter - Token storage adapter
+ * @returns {void}
+ */
+function setTokenStorage(adapter) {
+  tokenStore = adapter;
 }
 
 module.exports = {
   encryptToken,
+  decryptToken,
   storeTokens,
   getTokens,
   isTokenExpired,
   updateAccessToken,
+  registerEncryptedStore,
+  rotateEncryptionKey,
   removeTokens,
   clearTokens,
   clearAllTokens,
-  getAllUserIds
+  getAllUserIds,
+  setTokenStorage
 };
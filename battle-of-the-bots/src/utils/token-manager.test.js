@@ -0,0 +1,113 @@
+/**
+ * Unit tests for encrypted token storage
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('./config');
+const tokenManager = require('./token-manager');
+const { createFileTokenStorage, createMemoryTokenStorage } = require('./token-storage');
+
+describe('Token Manager', () => {
+  const originalSecurity = { ...config.security };
+  let dataDir;
+
+  beforeEach(() => {
+    config.security.encryptionKey = 'current-key';
+    config.security.previousEncryptionKeys = [];
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auraflow-tokens-'));
+    tokenManager.setTokenStorage(createFileTokenStorage({ persist: true, dataDir }));
+  });
+
+  afterEach(() => {
+    Object.assign(config.security, originalSecurity);
+    tokenManager.setTokenStorage(createMemoryTokenStorage());
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('should round-trip tokens through AES-GCM encryption', () => {
+    const payload = tokenManager.encryptToken('secret-access-token');
+
+    expect(payload).not.toContain('secret-access-token');
+    expect(tokenManager.encryptToken('secret-access-token')).not.toBe(payload);
+    expect(tokenManager.decryptToken(payload)).toBe('secret-access-token');
+  });
+
+  test('should reject tampered ciphertext', () => {
+    const parts = tokenManager.encryptToken('secret-access-token').split(':');
+    parts[4] = Buffer.from('forged').toString('base64');
+
+    expect(() => tokenManager.decryptToken(parts.join(':'))).toThrow();
+  });
+
+  test('should keep tokens encrypted on disk and readable after a restart', async () => {
+    await tokenManager.storeTokens('user-1', {
+      access_token: 'access-1',
+      refresh_token: 'refresh-1',
+      scope: 'calendar'
+    }, 3600);
+
+    const onDisk = fs.readFileSync(path.join(dataDir, 'tokens.json'), 'utf8');
+    expect(onDisk).not.toContain('access-1');
+    expect(onDisk).not.toContain('refresh-1');
+
+    // A fresh adapter over the same directory stands in for a server restart
+    tokenManager.setTokenStorage(createFileTokenStorage({ persist: true, dataDir }));
+
+    expect(tokenManager.getTokens('user-1')).toMatchObject({
+      accessToken: 'access-1',
+      refreshToken: 'refresh-1',
+      tokenType: 'Bearer',
+      scope: 'calendar'
+    });
+    expect(tokenManager.isTokenExpired('user-1')).toBe(false);
+    expect(tokenManager.getAllUserIds()).toEqual(['user-1']);
+  });
+
+  test('should update the access token and remove tokens', async () => {
+    await tokenManager.storeTokens('user-1', { access_token: 'old', refresh_token: 'refresh' });
+    tokenManager.updateAccessToken('user-1', 'new', 60);
+
+    expect(tokenManager.getTokens('user-1').accessToken).toBe('new');
+    expect(tokenManager.getTokens('user-1').refreshToken).toBe('refresh');
+
+    expect(tokenManager.removeTokens('user-1')).toBe(true);
+    expect(tokenManager.getTokens('user-1')).toBeNull();
+    expect(() => tokenManager.updateAccessToken('user-1', 'x')).toThrow('No tokens found for user');
+  });
+
+  describe('key rotation', () => {
+    beforeEach(async () => {
+      await tokenManager.storeTokens('user-1', { access_token: 'access-1', refresh_token: 'refresh-1' });
+      await tokenManager.storeTokens('user-2', { access_token: 'access-2', refresh_token: 'refresh-2' });
+
+      config.security.encryptionKey = 'next-key';
+      config.security.previousEncryptionKeys = ['current-key'];
+    });
+
+    test('should re-encrypt every record with the new key', () => {
+      expect(tokenManager.rotateEncryptionKey()).toEqual({ rotated: 2, failed: [] });
+
+      // The old key is no longer needed
+      config.security.previousEncryptionKeys = [];
+      expect(tokenManager.getTokens('user-1').accessToken).toBe('access-1');
+      expect(tokenManager.getTokens('user-2').accessToken).toBe('access-2');
+      expect(tokenManager.rotateEncryptionKey()).toEqual({ rotated: 0, failed: [] });
+    });
+
+    test('should re-encrypt a record when it is read', () => {
+      expect(tokenManager.getTokens('user-1').accessToken).toBe('access-1');
+
+      config.security.previousEncryptionKeys = [];
+      expect(tokenManager.getTokens('user-1').accessToken).toBe('access-1');
+      expect(tokenManager.getTokens('user-2')).toBeNull();
+    });
+
+    test('should report records whose key is gone', () => {
+      config.security.previousEncryptionKeys = [];
+
+      expect(tokenManager.rotateEncryptionKey()).toEqual({ rotated: 0, failed: ['user-1', 'user-2'] });
+    });
+  });
+});
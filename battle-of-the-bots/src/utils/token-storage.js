@@ -0,0 +1,66 @@
+/**
+ * Token storage adapters
+ * Where token-manager keeps encrypted token records. Records are opaque to the
+ * adapter: token-manager encrypts them before they are stored.
+ *
+ * Every adapter exposes the same interface:
+ *   get(userId): Object|null
+ *   set(userId, record): Object
+ *   delete(userId): boolean
+ *   keys(): Array<string>
+ *   clear(): void
+ */
+
+const { createRecordStore } = require('./record-store');
+const config = require('./config');
+
+/**
+ * Creates a file-backed adapter (the default)
+ * Records survive restarts in <dataDir>/tokens.json.
+ * @param {Object} [options] - Record store options (persist, dataDir)
+ * @returns {Object} Token storage adapter
+ */
+function createFileTokenStorage(options = {}) {
+  const store = createRecordStore('tokens', options);
+
+  return {
+    get: userId => store.get(userId),
+    set: (userId, record) => store.set(userId, { ...record, userId }),
+    delete: userId => store.delete(userId),
+    keys: () => store.values().map(record => record.userId),
+    clear: () => store.clear()
+  };
+}
+
+/**
+ * Creates an in-memory adapter (tokens are lost on restart)
+ * @returns {Object} Token storage adapter
+ */
+function createMemoryTokenStorage() {
+  return createFileTokenStorage({ persist: false });
+}
+
+// Adapters selectable through config.storage.tokenAdapter
+const ADAPTERS = {
+  file: createFileTokenStorage,
+  memory: createMemoryTokenStorage
+};
+
+/**
+ * Creates the adapter named in config
+ * @param {string} [name] - Adapter name (default: config.storage.tokenAdapter)
+ * @returns {Object} Token storage adapter
+ */
+function createTokenStorage(name = config.storage.tokenAdapter) {
+  const factory = ADAPTERS[name];
+  if (!factory) {
+    throw new Error(`Unknown token storage adapter: ${name}`);
+  }
+  return factory();
+}
+
+module.exports = {
+  createTokenStorage,
+  createFileTokenStorage,
+  createMemoryTokenStorage
+};
@@ -14,6 +14,7 @@ let currentTheme = 'light';
 let currentEvents = [];
 let lastSessionSettings = null;
 let currentSoundscape = null;
+let availableTasks = [];
 
 // ============================================================================
 // SECURITY UTILITIES
@@ -341,7 +342,11 @@ async function checkAuth() {
                 if (data.userId) {
                     await Platform.saveData('userId', data.userId);
                 }
+                connectLiveUpdates();
                 await loadEvents();
+                
+                // Join a session already running on another device
+                await pullActiveSession();
                 return;
             }
         }
@@ -729,6 +734,9 @@ async function handleLogout() {
         // Clear any cached data
         await Platform.removeData('cachedEvents');
         await Platform.removeData('userId');
+        await Platform.removeData('pendingSessionChange');
+        disconnectLiveUpdates();
+        activeSessionVersion = 0;
         
         console.log('Logout successful');
         showScreen('auth');
@@ -812,6 +820,9 @@ async function loadEvents() {
         
         displayEvents(currentEvents);
         showScreen('events');
+        
+        // Tasks are optional, so they load in the background
+        loadTasks();
     } catch (error) {
         console.error('Failed to load events:', error);
         
@@ -985,15 +996,30 @@ async function handleQuickStart() {
     await startSession(config);
 }
 
-async function startSession(config) {
+/**
+ * Start a session on this device
+ * @param {Object} config - Session config (mode, durations in seconds, soundscape, taskGoal...)
+ * @param {Object} [joined] - Session started on another device to follow instead
+ *   ({sessionId, remainingSeconds, paused}); it is not reported back
+ */
+async function startSession(config, joined = null) {
     try {
+        // Link the task picked on the dashboard to work sessions
+        if (!config.externalTask && config.mode === 'work' && !joined) {
+            config = { ...config, externalTask: getSelectedTask() };
+        }
+        
         // Initialize session
-        const session = CoreLogic.initializeSession(config);
+        let session = CoreLogic.initializeSession(config);
         
         if (!session) {
             throw new Error('Failed to initialize session');
         }
         
+        if (joined) {
+            session = CoreLogic.updateSessionState({ sessionId: joined.sessionId });
+        }
+        
         // Save session config
         await Platform.saveData('currentSession', session);
         
@@ -1001,13 +1027,21 @@ async function startSession(config) {
         showScreen('session');
         
         // Start timer
-        const duration = config.mode === 'work' ? config.workDuration : config.breakDuration;
+        const duration = joined
+            ? joined.remainingSeconds
+            : (config.mode === 'work' ? config.workDuration : config.breakDuration);
         
         CoreLogic.startTimer(
             duration,
             (remaining) => updateTimerDisplay(remaining),
             () => handleSessionComplete()
         );
+        updateTimerDisplay(duration);
+        
+        if (joined && joined.paused) {
+            CoreLogic.pauseTimer();
+        }
+        setPauseButtonLabel(joined && joined.paused ? 'Resume' : 'Pause');
         
         // Start soundscape
         if (config.soundscape && config.soundscape !== 'silence') {
@@ -1015,7 +1049,10 @@ async function startSession(config) {
             await Platform.playSound(config.soundscape, config.volume || 50);
         }
         
-        console.log('Session started');
+        if (!joined) {
+            pushSessionChange('running');
+        }
+        console.log(joined ? 'Joined session from another device' : 'Session started');
     } catch (error) {
         console.error('Failed to start session:', error);
         showError('Failed to start session. Please try again.');
@@ -1061,9 +1098,10 @@ async function handleSessionComplete() {
     const sessionState = CoreLogic.getSessionState();
     const timerState = CoreLogic.getTimerState();
     const sessionData = CoreLogic.prepareSessionData({ sessionState, timerState });
+    pushSessionChange('ended');
     
     try {
-        const response = await fetchWithOfflineSupport(`${BACKEND_API_URL}/sessions`, {
+        const response = await fetchWithOfflineSupport(`${BACKEND_API_URL}/session`, {
             method: 'POST',
             credentials: 'include', // Use session cookie
             headers: {
@@ -1081,6 +1119,11 @@ async function handleSessionComplete() {
     
     // Return to events screen
     showScreen('events');
+    
+    // Offer to update the linked task in its provider
+    if (sessionState.externalTask && sessionData.mode === 'work') {
+        showTaskFollowUp(sessionState.externalTask, sessionData.actualDuration);
+    }
 }
 
 async function handlePauseSession() {
@@ -1088,22 +1131,33 @@ async function handlePauseSession() {
     
     if (timerState.isPaused) {
         CoreLogic.resumeTimer();
-        const pauseBtn = document.getElementById('pause-btn');
-        if (pauseBtn) {
-            pauseBtn.textContent = 'Pause';
-        }
+        setPauseButtonLabel('Pause');
+        pushSessionChange('running');
     } else {
         CoreLogic.pauseTimer();
-        const pauseBtn = document.getElementById('pause-btn');
-        if (pauseBtn) {
-            pauseBtn.textContent = 'Resume';
-        }
+        setPauseButtonLabel('Resume');
+        pushSessionChange('paused');
+    }
+}
+
+function setPauseButtonLabel(label) {
+    const pauseBtn = document.getElementById('pause-btn');
+    if (pauseBtn) {
+        pauseBtn.textContent = label;
     }
 }
 
 async function handleStopSession() {
     console.log('Stop session clicked');
     
+    pushSessionChange('ended');
+    endLocalSession();
+}
+
+/**
+ * Stop the timer and soundscape and return to the events screen
+ */
+function endLocalSession() {
     // Stop timer
     CoreLogic.stopTimer();
     
@@ -1503,7 +1557,8 @@ async function startFocusSession(duration) {
         breakDuration: 300,
         soundscape: 'rain',
         volume: 50,
-        taskGoal: 'Focus Session'
+        taskGoal: 'Focus Session',
+        source: 'suggestion'
     };
     await startSession(config);
 }
@@ -1594,6 +1649,126 @@ async function useRitual(name, workDuration, breakDuration, soundscape) {
     await startSession(config);
 }
 
+// ============================================================================
+// EXTERNAL TASKS (ASANA, NOTION, TODOIST)
+// ============================================================================
+
+async function loadTasks() {
+    try {
+        const response = await fetch(`${BACKEND_API_URL}/tasks`, {
+            method: 'GET',
+            credentials: 'include'
+        });
+        
+        if (!response.ok) {
+            throw new Error('Failed to fetch tasks');
+        }
+        
+        const data = await response.json();
+        availableTasks = data.tasks || [];
+    } catch (error) {
+        console.error('Failed to load tasks:', error);
+        availableTasks = [];
+    }
+    
+    populateTaskPicker();
+}
+
+function populateTaskPicker() {
+    const picker = document.getElementById('task-picker');
+    const select = document.getElementById('focus-task-select');
+    if (!picker || !select) return;
+    
+    const selectedId = select.value;
+    select.innerHTML = '<option value="">No linked task</option>';
+    
+    availableTasks.forEach(task => {
+        const option = document.createElement('option');
+        option.value = task.id;
+        option.textContent = task.project ? `${task.title} (${task.project})` : task.title;
+        select.appendChild(option);
+    });
+    
+    select.value = availableTasks.some(task => task.id === selectedId) ? selectedId : '';
+    picker.classList.toggle('hidden', availableTasks.length === 0);
+}
+
+function getSelectedTask() {
+    const select = document.getElementById('focus-task-select');
+    const task = select ? availableTasks.find(item => item.id === select.value) : null;
+    return task ? { id: task.id, title: task.title } : null;
+}
+
+/**
+ * Ask what to record against the linked task after a completed work session
+ * @param {Object} task - Linked task ({id, title})
+ * @param {number} minutes - Minutes focused
+ */
+function showTaskFollowUp(task, minutes) {
+    const aiResults = document.getElementById('ai-results');
+    if (!aiResults) return;
+    
+    aiResults.classList.remove('hidden');
+    aiResults.innerHTML = `
+        <div class="focus-time-result">
+            <div class="focus-time-header">
+                <span>✅</span>
+                <h5>Update your task</h5>
+            </div>
+            <div class="focus-reasoning">You focused on "${escapeHtml(task.title)}" for ${minutes} min. Record it in your task manager?</div>
+            <div class="task-followup-actions">
+                <button class="start-session-btn" data-task-action="complete">Mark done</button>
+                <button class="start-session-btn" data-task-action="time">Log ${minutes} min</button>
+            </div>
+            <button class="close-results-btn" data-task-action="skip" aria-label="Skip">×</button>
+        </div>
+    `;
+    
+    aiResults.querySelectorAll('[data-task-action]').forEach(button => {
+        button.addEventListener('click', () => handleTaskFollowUp(task, minutes, button.dataset.taskAction));
+    });
+}
+
+async function handleTaskFollowUp(task, minutes, action) {
+    const aiResults = document.getElementById('ai-results');
+    
+    if (action === 'skip') {
+        aiResults.classList.add('hidden');
+        return;
+    }
+    
+    const path = action === 'complete' ? 'complete' : 'time';
+    const body = action === 'complete' ? {} : { minutes };
+    
+    try {
+        const response = await fetchWithOfflineSupport(`${BACKEND_API_URL}/tasks/${encodeURIComponent(task.id)}/${path}`, {
+            method: 'POST',
+            credentials: 'include',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        }, true);
+        
+        if (!response.queued && !response.ok) {
+            throw new Error(`Task update failed with status ${response.status}`);
+        }
+        
+        if (action === 'complete') {
+            availableTasks = availableTasks.filter(item => item.id !== task.id);
+            populateTaskPicker();
+        }
+        
+        aiResults.classList.add('hidden');
+        announceToScreenReader(action === 'complete'
+            ? `Marked ${task.title} as done`
+            : `Logged ${minutes} minutes on ${task.title}`);
+    } catch (error) {
+        console.error('Failed to update task:', error);
+        showAIError('Could not update the task. Please try again from your task manager.');
+    }
+}
+
 // ============================================================================
 // THEME MANAGEMENT
 // ============================================================================
@@ -1772,6 +1947,236 @@ async function updateQuickStartButton() {
     }
 }
 
+// ============================================================================
+// LIVE UPDATES
+// ============================================================================
+
+// Identifies this tab, so it can ignore the echo of its own updates
+const liveClientId = `web-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+let liveStream = null;
+
+/**
+ * Open the live update stream (session, status and calendar changes from the user's other devices)
+ * EventSource reconnects by itself and resumes from the last update it saw.
+ */
+function connectLiveUpdates() {
+    if (liveStream || typeof EventSource === 'undefined') return;
+    
+    liveStream = new EventSource(`${BACKEND_API_URL}/live/stream`, { withCredentials: true });
+    
+    ['session-started', 'session-paused', 'session-resumed', 'session-ended', 'status-changed', 'calendar-changed']
+        .forEach(type => liveStream.addEventListener(type, handleLiveUpdate));
+    
+    liveStream.onerror = () => {
+        console.warn('Live updates disconnected, retrying');
+    };
+}
+
+/**
+ * Close the live update stream
+ */
+function disconnectLiveUpdates() {
+    if (liveStream) {
+        liveStream.close();
+        liveStream = null;
+    }
+}
+
+/**
+ * Handle an update from the live stream
+ * @param {MessageEvent} event - SSE message carrying {id, type, data, source, timestamp}
+ */
+function handleLiveUpdate(event) {
+    let update;
+    try {
+        update = JSON.parse(event.data);
+    } catch (error) {
+        console.warn('Ignoring malformed live update:', error);
+        return;
+    }
+    
+    if (update.source && update.source.id === liveClientId) return;
+    
+    switch (update.type) {
+        case 'session-started':
+        case 'session-resumed':
+        case 'session-paused':
+        case 'session-ended':
+            // The update carries the shared session (see CROSS-DEVICE SESSION SYNC)
+            handleRemoteSessionUpdate(update.data);
+            break;
+        case 'calendar-changed':
+            // Reloading also switches to the events screen, so leave a running session alone
+            if (currentScreen === 'events') {
+                loadEvents();
+            }
+            break;
+        case 'status-changed':
+            if (update.data && update.data.status) {
+                announceToScreenReader(`Status changed to ${update.data.status}`);
+            }
+            break;
+    }
+}
+
+// ============================================================================
+// CROSS-DEVICE SESSION SYNC
+// ============================================================================
+
+// Version of the shared session (GET/PUT /session/active) this tab last saw, 0 if none
+let activeSessionVersion = 0;
+
+/**
+ * Report a start, pause, resume or stop of the local session to the backend,
+ * which shares it with the user's other devices
+ * Only the latest change is kept while offline; it is sent when the connection
+ * returns and the backend settles it against changes made elsewhere meanwhile.
+ * @param {string} status - 'running', 'paused' or 'ended'
+ */
+async function pushSessionChange(status) {
+    const sessionState = CoreLogic.getSessionState();
+    const timerState = CoreLogic.getTimerState();
+    
+    await Platform.saveData('pendingSessionChange', {
+        sessionId: sessionState.sessionId,
+        status,
+        baseVersion: activeSessionVersion,
+        remainingSeconds: Math.max(0, Math.round(timerState.remaining)),
+        durationSeconds: sessionState.mode === 'work' ? sessionState.workDuration : sessionState.breakDuration,
+        mode: sessionState.mode,
+        taskGoal: sessionState.taskGoal,
+        changedAt: new Date().toISOString(),
+        source: { client: 'webapp', id: liveClientId }
+    });
+    
+    await flushSessionChange();
+}
+
+/**
+ * Send the pending session change, if any
+ * A change that lost to another device (409) is dropped and the winning session adopted.
+ * @returns {Promise<boolean>} True if nothing is left pending
+ */
+async function flushSessionChange() {
+    const change = await Platform.getData('pendingSessionChange');
+    if (!change) return true;
+    if (isOffline) return false;
+    
+    try {
+        const response = await fetch(`${BACKEND_API_URL}/session/active`, {
+            method: 'PUT',
+            credentials: 'include', // Use session cookie
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(change)
+        });
+        
+        if (response.status >= 500) {
+            return false; // Try again later
+        }
+        
+        await Platform.removeData('pendingSessionChange');
+        const data = await response.json().catch(() => ({}));
+        
+        if (response.ok) {
+            activeSessionVersion = data.session.version;
+        } else if (response.status === 409) {
+            console.log('Session changed on another device:', data.error && data.error.message);
+            applyRemoteSession(data.session);
+        } else {
+            console.warn('Session change rejected:', data.error);
+        }
+        return true;
+    } catch (error) {
+        console.warn('Session change will be sent when back online:', error);
+        return false;
+    }
+}
+
+/**
+ * Catch up with the shared session, e.g. after signing in or coming back online
+ */
+async function pullActiveSession() {
+    if (isOffline || !(await flushSessionChange())) return;
+    
+    try {
+        const response = await fetch(`${BACKEND_API_URL}/session/active`, {
+            credentials: 'include' // Use session cookie
+        });
+        if (!response.ok) return;
+        
+        const data = await response.json();
+        if (data.session && data.session.version !== activeSessionVersion) {
+            applyRemoteSession(data.session);
+        }
+    } catch (error) {
+        console.warn('Failed to fetch the active session:', error);
+    }
+}
+
+/**
+ * Handle a session change pushed by another device
+ * @param {Object} session - Shared session from the live update
+ */
+async function handleRemoteSessionUpdate(session) {
+    if (!session || typeof session.version !== 'number' || session.version <= activeSessionVersion) return;
+    
+    // A local change still waiting to be sent is settled by the backend instead
+    if (await Platform.getData('pendingSessionChange')) {
+        await flushSessionChange();
+        return;
+    }
+    
+    applyRemoteSession(session);
+}
+
+/**
+ * Make this tab follow the shared session: join it, pause or resume it, or stop it
+ * @param {Object} session - Shared session ({sessionId, status, mode, taskGoal, durationSeconds, remainingSeconds, endsAt, version})
+ */
+function applyRemoteSession(session) {
+    if (!session) return;
+    activeSessionVersion = session.version;
+    
+    const localSession = CoreLogic.getSessionState();
+    const timerState = CoreLogic.getTimerState();
+    const isFollowing = timerState.isRunning && localSession.sessionId === session.sessionId;
+    
+    if (session.status === 'ended') {
+        if (isFollowing) {
+            endLocalSession();
+            announceToScreenReader('Session ended on another device');
+        }
+        return;
+    }
+    
+    const remainingSeconds = session.status === 'running'
+        ? Math.round((new Date(session.endsAt).getTime() - Date.now()) / 1000)
+        : session.remainingSeconds;
+    
+    if (remainingSeconds <= 0) return;
+    
+    if (!isFollowing) {
+        startSession({
+            mode: session.mode,
+            workDuration: session.mode === 'work' ? session.durationSeconds : undefined,
+            breakDuration: session.mode === 'break' ? session.durationSeconds : undefined,
+            taskGoal: session.taskGoal,
+            soundscape: 'silence'
+        }, { sessionId: session.sessionId, remainingSeconds, paused: session.status === 'paused' });
+        return;
+    }
+    
+    if (session.status === 'paused' && !timerState.isPaused) {
+        CoreLogic.pauseTimer();
+        setPauseButtonLabel('Resume');
+    } else if (session.status === 'running' && timerState.isPaused) {
+        CoreLogic.resumeTimer();
+        setPauseButtonLabel('Pause');
+    }
+}
+
 // ============================================================================
 // OFFLINE FUNCTIONALITY
 // ============================================================================
@@ -1798,6 +2203,9 @@ async function handleOnline() {
     
     // Process offline queue
     await processOfflineQueue();
+    
+    // Send session changes made offline and catch up with other devices
+    await pullActiveSession();
 }
 
 /**
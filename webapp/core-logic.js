@@ -191,7 +191,9 @@ let sessionState = {
     blockedSites: [],
     autoStartBreak: true,
     interruptions: 0,
-    completed: false
+    completed: false,
+    source: 'manual',          // 'manual' or 'suggestion' (started from a scheduler suggestion)
+    externalTask: null         // {id, title} of the Asana/Notion/Todoist task being worked on
 };
 
 /**
@@ -226,7 +228,9 @@ export function initializeSession(config) {
         blockedSites: Array.isArray(validatedConfig.blockedSites) ? validatedConfig.blockedSites : [],
         autoStartBreak: validatedConfig.autoStartBreak !== false,
         interruptions: 0,
-        completed: false
+        completed: false,
+        source: validatedConfig.source || 'manual',
+        externalTask: validatedConfig.externalTask || null
     };
 
     console.log('Session initialized:', sessionState.sessionId);
@@ -304,6 +308,13 @@ export function prepareSessionData(sessionInfo) {
 
     const currentState = sessionInfo.sessionState || sessionState;
     const currentTimer = sessionInfo.timerState || timerState;
+    const mode = currentState.mode || 'work';
+    const completed = currentTimer.remaining === 0;
+
+    // Planned/actual durations in minutes for the backend session history
+    const plannedSeconds = mode === 'break' ? currentState.breakDuration : currentState.workDuration;
+    const plannedDuration = Math.max(1, Math.round((plannedSeconds || 0) / 60));
+    const actualDuration = completed ? plannedDuration : Math.round((currentTimer.elapsed || 0) / 60);
 
     return {
         sessionId: currentState.sessionId || generateSessionId(),
@@ -311,11 +322,15 @@ export function prepareSessionData(sessionInfo) {
         startTime: currentState.startTime ? new Date(currentState.startTime).toISOString() : new Date().toISOString(),
         endTime: new Date().toISOString(),
         duration: currentTimer.elapsed || 0,
-        mode: currentState.mode || 'work',
-        completed: currentTimer.remaining === 0,
+        plannedDuration,
+        actualDuration,
+        mode,
+        completed,
         interruptions: currentState.interruptions || 0,
         ritualUsed: currentState.ritualName || null,
-        taskGoal: currentState.taskGoal || ''
+        taskGoal: currentState.taskGoal || '',
+        source: currentState.source || 'manual',
+        externalTaskId: currentState.externalTask ? currentState.externalTask.id : null
     };
 }
 
@@ -421,6 +436,13 @@ export function validateSessionConfig(config) {
     if (config.ritualName) validated.ritualName = String(config.ritualName);
     if (Array.isArray(config.blockedSites)) validated.blockedSites = config.blockedSites;
     if (typeof config.autoStartBreak === 'boolean') validated.autoStartBreak = config.autoStartBreak;
+    if (config.source === 'manual' || config.source === 'suggestion') validated.source = config.source;
+    if (config.externalTask && typeof config.externalTask.id === 'string') {
+        validated.externalTask = {
+            id: config.externalTask.id,
+            title: String(config.externalTask.title || '')
+        };
+    }
 
     return validated;
 }